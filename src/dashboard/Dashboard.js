@@ -7,10 +7,10 @@ import React, {
   useRef,
 } from "react";
 import { createRoot } from "react-dom/client";
-import { useAtom } from "jotai";
+import { useAtom, useSetAtom } from "jotai";
 import { produce } from "immer";
 import * as Tone from "tone";
-import { loadSettings } from "../shared/json/configUtils.js";
+import { loadSettings, saveSettings } from "../shared/json/configUtils.js";
 import {
   loadRecordingData,
   saveRecordingData,
@@ -19,6 +19,8 @@ import {
   setRecordingForTrack,
   getSequencerForTrack,
   setSequencerForTrack,
+  getAudioForTrack,
+  countRecordingHits,
 } from "../shared/json/recordingUtils.js";
 import {
   loadAppState,
@@ -27,9 +29,32 @@ import {
   saveAppStateSync,
 } from "../shared/json/appStateUtils.js";
 import MidiPlayback from "../shared/midi/midiPlayback.js";
+import TrackAudioPlayback from "../shared/audio/trackAudioPlayback.js";
+import { loadTrackAudioBuffer } from "../shared/audio/trackAudio.js";
 import SequencerPlayback from "../shared/sequencer/SequencerPlayback.js";
+import SongPlayback from "../shared/sequencer/SongPlayback.js";
+import { getArrangement } from "../shared/sequencer/arrangement.js";
+import { clampPatternLength } from "../shared/sequencer/patternLength.js";
+import {
+  MACRO_STEP_VALUES,
+  getChannelSteps,
+  getMacroLaneSteps,
+  getResolution,
+  getSwing,
+  normalizePatternStep,
+} from "../shared/sequencer/patternSteps.js";
 import SequencerAudio from "../shared/audio/sequencerAudio.js";
-import { getActiveSetTracks } from "../shared/utils/setUtils.js";
+import {
+  getActiveSet,
+  getActiveSetTracks,
+} from "../shared/utils/setUtils.js";
+import {
+  getClockInputConfig,
+  getTempoSyncConfig,
+  isInputSourceEnabled,
+} from "../shared/config/inputSources.js";
+import { MAIN_OUTPUT_ID } from "../shared/config/projectorOutputs.js";
+import AudioBandInput from "../shared/audio/audioBandInput.js";
 import { Button } from "./components/Button.js";
 import { ModalHeader } from "./components/ModalHeader.js";
 import { ModalFooter } from "./components/ModalFooter.js";
@@ -56,6 +81,8 @@ import {
   flashingChannelsAtom,
   flashingConstructorsAtom,
   recordingStateAtom,
+  trackPlayheadAtom,
+  macroValuesAtom,
   useFlashingChannels,
 } from "./core/state.js";
 import { Modal } from "./shared/Modal.jsx";
@@ -72,6 +99,9 @@ import { InputMappingsModal } from "./modals/InputMappingsModal.jsx";
 import { SelectSetModal } from "./modals/SelectSetModal.jsx";
 import { SelectTrackModal } from "./modals/SelectTrackModal.jsx";
 import { ReleaseNotesModal } from "./modals/ReleaseNotesModal.jsx";
+import { ArrangementModal } from "./modals/ArrangementModal.jsx";
+import { OutputsModal } from "./modals/OutputsModal.jsx";
+import { WarpModal } from "./modals/WarpModal.jsx";
 import { MethodConfiguratorModal } from "./modals/MethodConfiguratorModal.jsx";
 import { TrackItem } from "./components/track/TrackItem.jsx";
 import { DashboardHeader } from "./components/DashboardHeader.jsx";
@@ -85,6 +115,16 @@ import { getProjectDir } from "../shared/utils/projectDir.js";
 // Components
 // =========================
 
+// Internal clock steps carry a Transport time and draw on the audio clock;
+// external clock steps have none and run right away
+const runAtStepTime = (callback, time) => {
+  if (typeof time === "number" && Number.isFinite(time)) {
+    Tone.Draw.schedule(callback, time);
+  } else {
+    callback();
+  }
+};
+
 const Dashboard = () => {
   const [userData, setUserData] = useAtom(userDataAtom);
   const [recordingData, setRecordingData] = useAtom(recordingDataAtom);
@@ -100,6 +140,8 @@ const Dashboard = () => {
   );
 
   const sendToProjector = useIPCSend("dashboard-to-projector");
+  const sendOscOutput = useIPCSend("osc-output");
+  const sendAudioInput = useIPCSend("audio-input");
   const invokeIPC = useIPCInvoke();
 
   // Module editor states
@@ -129,11 +171,13 @@ const Dashboard = () => {
 
   // Recording state management
   const [recordingState, setRecordingState] = useAtom(recordingStateAtom);
+  const setMacroValues = useSetAtom(macroValuesAtom);
   const recordingStateRef = useRef(recordingState);
   useEffect(() => {
     recordingStateRef.current = recordingState;
   }, [recordingState]);
-  const triggerMapsRef = useRef({ trackTriggersMap: {}, channelMappings: {} });
+  const triggerMapsRef = useRef({});
+  const footerPlaybackEngineRef = useRef({});
 
   // Track pending save timeouts for cancellation
   const userDataSaveTimeoutRef = useRef(null);
@@ -225,6 +269,8 @@ const Dashboard = () => {
     port: 8000,
   });
   const [availableMidiDevices, setAvailableMidiDevices] = useState([]);
+  const [availableSerialPorts, setAvailableSerialPorts] = useState([]);
+  const [availableAudioInputs, setAvailableAudioInputs] = useState([]);
   const [inputStatus, setInputStatus] = useState({
     status: "disconnected",
     message: "",
@@ -243,13 +289,19 @@ const Dashboard = () => {
     useState(false);
   const [isDebugOverlayOpen, setIsDebugOverlayOpen] = useState(false);
   const [isReleaseNotesOpen, setIsReleaseNotesOpen] = useState(false);
+  const [isArrangementOpen, setIsArrangementOpen] = useState(false);
+  const [isOutputsModalOpen, setIsOutputsModalOpen] = useState(false);
+  const [warpOutput, setWarpOutput] = useState(null);
   const [isInputMappingsModalOpen, setIsInputMappingsModalOpen] =
     useState(false);
   const [confirmationModal, setConfirmationModal] = useState(null);
   const [debugLogs, setDebugLogs] = useState([]);
   const [footerPlaybackState, setFooterPlaybackState] = useState({});
   const [isSequencerPlaying, setIsSequencerPlaying] = useState(false);
+  // Steps since play started; each channel wraps it at its own length
   const [sequencerCurrentStep, setSequencerCurrentStep] = useState(0);
+  const [sequencerClockBpm, setSequencerClockBpm] = useState(null);
+  const [sequencerClockRole, setSequencerClockRole] = useState(null);
   const [isSequencerMuted, setIsSequencerMuted] = useState(false);
   const [isProjectorReady, setIsProjectorReady] = useState(false);
   const [workspacePath, setWorkspacePath] = useState(null);
@@ -262,6 +314,11 @@ const Dashboard = () => {
   const didMigrateWorkspaceModuleTypesRef = useRef(false);
   const loadModulesRunIdRef = useRef(0);
   const sequencerEngineRef = useRef(null);
+  const songEngineRef = useRef(null);
+  // Set while song mode switches tracks, so the switch does not stop playback
+  const songTrackSwitchRef = useRef(null);
+  const [songPosition, setSongPosition] = useState(null);
+  const [songStartIndex, setSongStartIndex] = useState(0);
   const sequencerAudioRef = useRef(null);
   const sequencerMutedRef = useRef(false);
   const sequencerRunIdRef = useRef(0);
@@ -282,10 +339,12 @@ const Dashboard = () => {
     activeTrackIdRef,
     activeSetIdRef,
     recordingStateRef,
+    footerPlaybackEngineRef,
     triggerMapsRef,
     setActiveTrackId,
     setRecordingData,
     setRecordingState,
+    setMacroValues,
     flashChannel,
     setFlashingConstructors,
     setInputStatus,
@@ -317,12 +376,21 @@ const Dashboard = () => {
     setEditingModuleName(null);
     setEditingTemplateType(null);
   };
-  const footerPlaybackEngineRef = useRef({});
+  const setTrackPlayheads = useSetAtom(trackPlayheadAtom);
+  const pendingSeekRef = useRef({});
 
   useEffect(() => {
     if (isInitialMount.current) {
       return;
     }
+    // Song mode already sent track-activate on the bar boundary
+    if (
+      songTrackSwitchRef.current !== null &&
+      songTrackSwitchRef.current === activeTrackId
+    ) {
+      songTrackSwitchRef.current = null;
+      return;
+    }
 
     if (sequencerEngineRef.current) {
       sequencerEngineRef.current.stop();
@@ -331,6 +399,7 @@ const Dashboard = () => {
       }
       setIsSequencerPlaying(false);
       setSequencerCurrentStep(0);
+      setSongPosition(null);
     }
 
     Object.entries(footerPlaybackEngineRef.current).forEach(
@@ -341,6 +410,7 @@ const Dashboard = () => {
       }
     );
     setFooterPlaybackState({});
+    setTrackPlayheads({});
 
     const tracks = getActiveSetTracks(userDataRef.current || {}, activeSetId);
     const track = tracks.find((t) => t.id === activeTrackId);
@@ -394,6 +464,11 @@ const Dashboard = () => {
               if (currentTrack.modulesData[moduleId].methods) {
                 delete currentTrack.modulesData[moduleId].methods[channelKey];
               }
+              if (currentTrack.modulesData[moduleId].releaseMethods) {
+                delete currentTrack.modulesData[moduleId].releaseMethods[
+                  channelKey
+                ];
+              }
             });
           });
         }
@@ -411,6 +486,10 @@ const Dashboard = () => {
     invokeIPC("input:get-midi-devices").then((devices) => {
       setAvailableMidiDevices(devices);
     });
+
+    invokeIPC("input:get-serial-ports").then((ports) => {
+      setAvailableSerialPorts(ports || []);
+    });
   }, [invokeIPC]);
 
   // Initialize settings when userData loads (but don't overwrite user changes from settings modal)
@@ -485,13 +564,90 @@ const Dashboard = () => {
         draft.config.input = inputConfig;
       });
 
-      invokeIPC("input:configure", inputConfig).catch((err) => {
-        console.error("[Dashboard] Failed to configure input:", err);
-      });
+      // In sequencer mode the device is only used as a clock source
+      if (!userData?.config?.sequencerMode) {
+        invokeIPC("input:configure", inputConfig).catch((err) => {
+          console.error("[Dashboard] Failed to configure input:", err);
+        });
+      }
     }
     isInitialMountInput.current = false;
   }, [inputConfig]);
 
+  // The audio input source is analysed here (Web Audio); the main process
+  // validates the resulting messages and broadcasts them like other inputs
+  const audioInputRef = useRef(null);
+  const isAudioInputEnabled =
+    userData?.config?.sequencerMode === false &&
+    isInputSourceEnabled(inputConfig, "audio");
+  // Restarts on any input change: that re-initialises the main-process
+  // sources too, so the analyser reports a fresh status
+  useEffect(() => {
+    if (!isAudioInputEnabled) return;
+    if (!audioInputRef.current) {
+      audioInputRef.current = new AudioBandInput(
+        (messages) => sendAudioInput("messages", { messages }),
+        (status, message) => sendAudioInput("status", { status, message })
+      );
+    }
+    audioInputRef.current.start(inputConfig);
+    return () => audioInputRef.current?.stop();
+  }, [isAudioInputEnabled, inputConfig, sendAudioInput]);
+
+  // Device labels are only readable once audio access was granted
+  useEffect(() => {
+    if (!isSettingsModalOpen) return;
+    AudioBandInput.getAvailableDevices().then(setAvailableAudioInputs);
+  }, [isSettingsModalOpen]);
+
+  useEffect(() => {
+    const oscOutput = userData?.config?.oscOutput;
+    if (!oscOutput) return;
+    invokeIPC("osc-output:configure", oscOutput).catch((err) => {
+      console.error("[Dashboard] Failed to configure OSC output:", err);
+    });
+  }, [userData?.config?.oscOutput, invokeIPC]);
+
+  // "midi" and "network" clocks drive the sequencer through clock events
+  const externalClock =
+    userData?.config?.sequencerMode === true &&
+    ["midi", "network"].includes(userData?.config?.sequencerClock)
+      ? userData.config.sequencerClock
+      : null;
+
+  useEffect(() => {
+    if (userData?.config?.sequencerMode === undefined) return;
+    invokeIPC(
+      "input:configure-clock",
+      getClockInputConfig(userData.config)
+    ).catch((err) => {
+      console.error("[Dashboard] Failed to configure MIDI clock:", err);
+    });
+    invokeIPC(
+      "tempo-sync:configure",
+      getTempoSyncConfig(userData.config)
+    ).catch((err) => {
+      console.error("[Dashboard] Failed to configure tempo sync:", err);
+    });
+    setSequencerClockBpm(null);
+    setSequencerClockRole(null);
+  }, [
+    userData?.config?.sequencerMode,
+    userData?.config?.sequencerClock,
+    userData?.config?.input?.deviceId,
+    userData?.config?.input?.deviceName,
+    userData?.config?.sequencerBpm,
+    userData?.config?.tempoSync,
+    invokeIPC,
+  ]);
+
+  useEffect(() => {
+    const engine = sequencerEngineRef.current;
+    if (!engine || typeof engine.setClockSource !== "function") return;
+    engine.setClockSource(externalClock ? "external" : "internal");
+    sequencerRunIdRef.current = engine.getRunId();
+  }, [externalClock]);
+
   const prevSequencerModeRef = useRef(undefined);
   useEffect(() => {
     const next = userData?.config?.sequencerMode;
@@ -624,6 +780,7 @@ const Dashboard = () => {
       }
     );
     setFooterPlaybackState({});
+    setTrackPlayheads({});
   }, []);
   useWorkspaceModules({
     workspacePath,
@@ -729,6 +886,41 @@ const Dashboard = () => {
     await ipcInvoke("workspace:select");
   }, [ipcInvoke]);
 
+  const handleSaveOutputs = useCallback(
+    async (outputs) => {
+      // Warps of removed outputs go with them
+      const outputIds = new Set([MAIN_OUTPUT_ID, ...outputs.map((o) => o.id)]);
+      const warps = Object.fromEntries(
+        Object.entries(settings.warps || {}).filter(([id]) =>
+          outputIds.has(id)
+        )
+      );
+      const nextSettings = { ...settings, outputs, warps };
+      setSettings(nextSettings);
+      await saveSettings(nextSettings);
+      await invokeIPC("outputs:configure", outputs);
+    },
+    [settings, invokeIPC]
+  );
+
+  const handleSaveWarp = useCallback(
+    async (outputId, warp) => {
+      const nextSettings = {
+        ...settings,
+        warps: { ...(settings.warps || {}), [outputId]: warp },
+      };
+      setSettings(nextSettings);
+      await saveSettings(nextSettings);
+    },
+    [settings]
+  );
+
+  const handleSelectAudioFile = useCallback(async () => {
+    const result = await invokeIPC("input:select-audio-file");
+    if (!result || result.cancelled || !result.path) return;
+    setInputConfig((prev) => ({ ...prev, audioFile: result.path }));
+  }, [invokeIPC, setInputConfig]);
+
   const openAddModuleModal = useCallback((trackIndex) => {
     setSelectedTrackForModuleMenu(trackIndex);
     setIsAddModuleModalOpen(true);
@@ -743,6 +935,32 @@ const Dashboard = () => {
     return { track, trackIndex };
   }, [activeTrackId, userData]);
 
+  const arrangement = useMemo(
+    () => getArrangement(getActiveSet(userData, activeSetId)),
+    [userData.sets, activeSetId]
+  );
+  const isSongMode = Boolean(
+    userData.config?.sequencerMode &&
+      userData.config?.songMode &&
+      arrangement.sections.length > 0
+  );
+
+  // Turning song mode off hands the sequencer back to the visible track
+  useEffect(() => {
+    if (isSongMode) return;
+    songEngineRef.current?.detach();
+    setSongPosition(null);
+  }, [isSongMode]);
+
+  // Arrangement edits apply to a running song from the next bar
+  useEffect(() => {
+    if (!songEngineRef.current) return;
+    songEngineRef.current.load(
+      arrangement,
+      userData.config?.sequencerBpm || 120
+    );
+  }, [arrangement]);
+
   const updateConfig = useCallback(
     (updates) => {
       const wasSequencerMode = userData.config?.sequencerMode;
@@ -758,6 +976,7 @@ const Dashboard = () => {
         sequencerEngineRef.current
       ) {
         sequencerEngineRef.current.setBpm(updates.sequencerBpm);
+        songEngineRef.current?.setBpm(updates.sequencerBpm);
       }
 
       if (wasSequencerMode && !willBeSequencerMode && isSequencerPlaying) {
@@ -768,6 +987,7 @@ const Dashboard = () => {
           }
           setIsSequencerPlaying(false);
           setSequencerCurrentStep(0);
+          setSongPosition(null);
         }
       }
 
@@ -863,8 +1083,10 @@ const Dashboard = () => {
     [setUserData, userData.config, isSequencerPlaying]
   );
 
-  const handleSequencerToggle = useCallback(
-    (channelName, stepIndex) => {
+  // Applies `applyUpdate` to the first visible track's stored sequencer data
+  // and reloads the running engine with the result
+  const updateSequencer = useCallback(
+    (applyUpdate) => {
       if (!firstVisibleTrack) return;
       const { track } = firstVisibleTrack;
 
@@ -879,47 +1101,20 @@ const Dashboard = () => {
           if (!draft[track.id].sequencer.pattern) {
             draft[track.id].sequencer.pattern = {};
           }
-          if (
-            !draft[track.id].sequencer.pattern[channelName] ||
-            !Array.isArray(draft[track.id].sequencer.pattern[channelName])
-          ) {
-            draft[track.id].sequencer.pattern[channelName] = [];
-          }
-
-          const steps = draft[track.id].sequencer.pattern[channelName];
-          const idx = steps.indexOf(stepIndex);
-
-          if (idx > -1) {
-            steps.splice(idx, 1);
-          } else {
-            steps.push(stepIndex);
-            steps.sort((a, b) => a - b);
-          }
+          applyUpdate(draft[track.id].sequencer);
         })
       );
 
       if (sequencerEngineRef.current && isSequencerPlaying) {
-        const sequencerData = getSequencerForTrack(recordingData, track.id);
-        const updatedPattern = { ...sequencerData.pattern };
-
-        if (!updatedPattern[channelName]) {
-          updatedPattern[channelName] = [];
-        }
-
-        const steps = [...updatedPattern[channelName]];
-        const idx = steps.indexOf(stepIndex);
-
-        if (idx > -1) {
-          steps.splice(idx, 1);
-        } else {
-          steps.push(stepIndex);
-          steps.sort((a, b) => a - b);
-        }
-
-        updatedPattern[channelName] = steps;
-
+        const updated = produce(
+          getSequencerForTrack(recordingData, track.id),
+          (sequencer) => {
+            if (!sequencer.pattern) sequencer.pattern = {};
+            applyUpdate(sequencer);
+          }
+        );
         const bpm = userData.config.sequencerBpm || 120;
-        sequencerEngineRef.current.load(updatedPattern, bpm);
+        sequencerEngineRef.current.load(updated.pattern, bpm, updated);
       }
     },
     [
@@ -931,6 +1126,119 @@ const Dashboard = () => {
     ]
   );
 
+  const handleSequencerToggle = useCallback(
+    (channelName, stepIndex) => {
+      updateSequencer((sequencer) => {
+        const steps = getChannelSteps(sequencer.pattern, channelName);
+        const idx = steps.findIndex((s) => s.step === stepIndex);
+        if (idx > -1) {
+          steps.splice(idx, 1);
+        } else {
+          steps.push({ step: stepIndex, probability: 1, ratchet: 1 });
+          steps.sort((a, b) => a.step - b.step);
+        }
+        sequencer.pattern[channelName] = steps;
+      });
+    },
+    [updateSequencer]
+  );
+
+  // Sets probability (0-1) and/or ratchet count on an existing step
+  const handleSequencerStepChange = useCallback(
+    (channelName, stepIndex, updates) => {
+      updateSequencer((sequencer) => {
+        const steps = getChannelSteps(sequencer.pattern, channelName);
+        const step = steps.find((s) => s.step === stepIndex);
+        if (!step) return;
+        Object.assign(step, normalizePatternStep({ ...step, ...updates }));
+        sequencer.pattern[channelName] = steps;
+      });
+    },
+    [updateSequencer]
+  );
+
+  // channelName null sets the track length; length null clears a channel's
+  // own length so it follows the track again
+  const handleSequencerLengthChange = useCallback(
+    (channelName, length) => {
+      updateSequencer((sequencer) => {
+        if (channelName === null) {
+          sequencer.length = clampPatternLength(length);
+          return;
+        }
+        if (!sequencer.channelLengths) {
+          sequencer.channelLengths = {};
+        }
+        if (length === null) {
+          delete sequencer.channelLengths[channelName];
+        } else {
+          sequencer.channelLengths[channelName] = clampPatternLength(length);
+        }
+      });
+    },
+    [updateSequencer]
+  );
+
+  const handleSequencerPatternImport = useCallback(
+    (pattern, length) => {
+      updateSequencer((sequencer) => {
+        // Imported steps are 16ths with the timing already in them
+        sequencer.pattern = pattern;
+        sequencer.length = clampPatternLength(length);
+        sequencer.resolution = "16n";
+        sequencer.swing = 0;
+        delete sequencer.channelLengths;
+      });
+    },
+    [updateSequencer]
+  );
+
+  // Clicks cycle a macro lane step from full down to zero, then clear it
+  const handleSequencerMacroStep = useCallback(
+    (macroId, stepIndex) => {
+      updateSequencer((sequencer) => {
+        const steps = getMacroLaneSteps(sequencer, macroId);
+        const idx = steps.findIndex((s) => s.step === stepIndex);
+        if (idx === -1) {
+          steps.push({ step: stepIndex, value: 1 });
+          steps.sort((a, b) => a.step - b.step);
+        } else {
+          const next = MACRO_STEP_VALUES.indexOf(steps[idx].value) - 1;
+          if (next < 0) {
+            steps.splice(idx, 1);
+          } else {
+            steps[idx].value = MACRO_STEP_VALUES[next];
+          }
+        }
+        if (!sequencer.macroSteps) {
+          sequencer.macroSteps = {};
+        }
+        if (steps.length > 0) {
+          sequencer.macroSteps[macroId] = steps;
+        } else {
+          delete sequencer.macroSteps[macroId];
+        }
+      });
+    },
+    [updateSequencer]
+  );
+
+  const handleSequencerGrooveChange = useCallback(
+    (updates) => {
+      updateSequencer((sequencer) => {
+        if (updates.swing !== undefined) {
+          sequencer.swing = getSwing({ swing: updates.swing });
+        }
+        if (updates.resolution !== undefined) {
+          sequencer.resolution = getResolution({
+            resolution: updates.resolution,
+          });
+        }
+      });
+    },
+    [updateSequencer]
+  );
+
   const handleFooterPlayPause = useCallback(async () => {
     if (!firstVisibleTrack) return;
     const { track, trackIndex } = firstVisibleTrack;
@@ -942,7 +1250,14 @@ const Dashboard = () => {
         sequencerEngineRef.current = new SequencerPlayback();
 
         sequencerEngineRef.current.setOnStepCallback(
-          (stepIndex, channels, time, runId) => {
+          (
+            stepIndex,
+            channels,
+            time,
+            runId,
+            stepCount = stepIndex,
+            isRatchet = false
+          ) => {
             const hasScheduledTime =
               typeof time === "number" && Number.isFinite(time);
 
@@ -972,14 +1287,20 @@ const Dashboard = () => {
                 ) {
                   return;
                 }
-                setSequencerCurrentStep(stepIndex);
+                if (!isRatchet) {
+                  setSequencerCurrentStep(stepCount);
+                  sendOscOutput("step", { step: stepIndex + 1 });
+                }
                 channels.forEach((channelName) => {
                   flashChannel(channelName, 100);
                   sendToProjector("channel-trigger", { channelName });
                 });
               }, time);
             } else {
-              setSequencerCurrentStep(stepIndex);
+              if (!isRatchet) {
+                setSequencerCurrentStep(stepCount);
+                sendOscOutput("step", { step: stepIndex + 1 });
+              }
               channels.forEach((channelName) => {
                 flashChannel(channelName, 100);
                 sendToProjector("channel-trigger", { channelName });
@@ -987,17 +1308,86 @@ const Dashboard = () => {
             }
           }
         );
+        sequencerEngineRef.current.setOnMacroCallback(
+          (values, time, runId) => {
+            runAtStepTime(() => {
+              if (runId !== sequencerRunIdRef.current) return;
+              sendToProjector("macro-change", { values });
+              const trackId = activeTrackIdRef.current;
+              setMacroValues((prev) => ({
+                ...prev,
+                [trackId]: { ...prev[trackId], ...values },
+              }));
+            }, time);
+          }
+        );
       }
 
       if (!sequencerAudioRef.current) {
         sequencerAudioRef.current = new SequencerAudio();
       }
 
+      if (!songEngineRef.current) {
+        const song = new SongPlayback(sequencerEngineRef.current);
+
+        // Runs inside the sequencer step, so the pattern is in place before
+        // the section's first step plays
+        song.setOnSectionCallback((index, section, time) => {
+          const sequencerData = getSequencerForTrack(
+            recordingDataRef.current,
+            section.trackId
+          );
+          sequencerEngineRef.current.load(
+            sequencerData.pattern || {},
+            userDataRef.current?.config?.sequencerBpm || 120,
+            sequencerData
+          );
+          const sectionTrack = getActiveSetTracks(
+            userDataRef.current || {},
+            activeSetIdRef.current
+          ).find((t) => t.id === section.trackId);
+          if (!sectionTrack || sectionTrack.id === activeTrackIdRef.current) {
+            return;
+          }
+          runAtStepTime(() => {
+            songTrackSwitchRef.current = sectionTrack.id;
+            setActiveTrackId(sectionTrack.id);
+            sendToProjector("track-activate", {
+              trackName: sectionTrack.name,
+            });
+          }, time);
+        });
+        song.setOnBarCallback((position, time) => {
+          runAtStepTime(() => setSongPosition(position), time);
+        });
+        song.setOnEndCallback((time) => {
+          runAtStepTime(() => {
+            sequencerEngineRef.current.stop();
+            sequencerRunIdRef.current = sequencerEngineRef.current.getRunId();
+            setIsSequencerPlaying(false);
+            setSequencerCurrentStep(0);
+            setSongPosition(null);
+          }, time);
+        });
+        songEngineRef.current = song;
+      }
+
       if (!isSequencerPlaying) {
         const sequencerData = getSequencerForTrack(recordingData, track.id);
         const pattern = sequencerData.pattern || {};
         const bpm = config.sequencerBpm || 120;
-        sequencerEngineRef.current.load(pattern, bpm);
+        sequencerEngineRef.current.load(pattern, bpm, sequencerData);
+        sequencerEngineRef.current.setClockSource(
+          externalClock ? "external" : "internal"
+        );
+        if (isSongMode) {
+          songEngineRef.current.load(arrangement, bpm);
+          songEngineRef.current.attach(
+            Math.min(songStartIndex, arrangement.sections.length - 1)
+          );
+        } else {
+          songEngineRef.current.detach();
+        }
 
         const keys = track.modules.map(
           (moduleInstance) => `${track.id}:${moduleInstance.id}`
@@ -1026,49 +1416,75 @@ const Dashboard = () => {
       }
     } else {
       const isPlaying = footerPlaybackState[trackId] || false;
+      const trackAudio = getAudioForTrack(recordingData, trackId);
 
-      if (!footerPlaybackEngineRef.current[trackId]) {
-        footerPlaybackEngineRef.current[trackId] = new MidiPlayback();
-
-        footerPlaybackEngineRef.current[trackId].setOnNoteCallback(
-          (channelName, midiNote) => {
-            const channelNumber = channelName.replace(/^ch/, "");
-            flashChannel(channelNumber, 100);
-
-            sendToProjector("channel-trigger", {
-              channelName: channelName,
-            });
-          }
-        );
+      // Attaching or removing audio swaps the engine for the track
+      const existingEngine = footerPlaybackEngineRef.current[trackId];
+      if (
+        existingEngine &&
+        Boolean(trackAudio) !== existingEngine instanceof TrackAudioPlayback
+      ) {
+        existingEngine.stop();
+        if (typeof existingEngine.dispose === "function") {
+          existingEngine.dispose();
+        }
+        delete footerPlaybackEngineRef.current[trackId];
+      }
 
-        footerPlaybackEngineRef.current[trackId].setOnStopCallback(() => {
+      if (!footerPlaybackEngineRef.current[trackId]) {
+        const engine = trackAudio
+          ? new TrackAudioPlayback()
+          : new MidiPlayback();
+        engine.setOnNoteCallback((channelName) => {
+          const channelNumber = channelName.replace(/^ch/, "");
+          flashChannel(channelNumber, 100);
+          sendToProjector("channel-trigger", { channelName });
+        });
+        engine.setOnStopCallback(() => {
           setFooterPlaybackState((prev) => ({ ...prev, [trackId]: false }));
+          setTrackPlayheads((prev) => ({ ...prev, [trackId]: 0 }));
         });
+        footerPlaybackEngineRef.current[trackId] = engine;
+      }
+      const engine = footerPlaybackEngineRef.current[trackId];
 
-        try {
-          const recording = getRecordingForTrack(recordingData, track.id);
-          if (
-            !recording ||
-            !recording.channels ||
-            recording.channels.length === 0
-          ) {
-            alert("No recording available. Trigger some channels first.");
-            return;
-          }
+      // Pausing keeps the position, so a rehearsal can pick up where it
+      // left off
+      if (isPlaying) {
+        engine.pause();
+        setFooterPlaybackState((prev) => ({ ...prev, [trackId]: false }));
+        setTrackPlayheads((prev) => ({
+          ...prev,
+          [trackId]: engine.getCurrentTime(),
+        }));
+        return;
+      }
 
-          const channels = recording.channels.map((ch) => ({
-            name: ch.name,
-            midi: 0,
-            sequences: ch.sequences || [],
-          }));
-
-          const bpm = track.bpm || 120;
-          footerPlaybackEngineRef.current[trackId].load(channels, bpm);
-        } catch (error) {
-          console.error("Error loading recording for playback:", error);
-          alert(`Failed to load recording for playback: ${error.message}`);
+      // Recordings can change between plays, so channels reload each time
+      try {
+        const recording = getRecordingForTrack(recordingData, trackId);
+        const channels = (recording.channels || []).map((ch) => ({
+          name: ch.name,
+          midi: 0,
+          sequences: ch.sequences || [],
+        }));
+        if (trackAudio) {
+          await Tone.start();
+          engine.load(channels, await loadTrackAudioBuffer(trackAudio.file));
+        } else if (countRecordingHits(channels) === 0) {
+          alert("No recording available. Arm REC and trigger some channels.");
           return;
+        } else {
+          engine.load(channels);
+        }
+        if (trackId in pendingSeekRef.current) {
+          engine.seek(pendingSeekRef.current[trackId]);
+          delete pendingSeekRef.current[trackId];
         }
+      } catch (error) {
+        console.error("Error loading recording for playback:", error);
+        alert(`Failed to load recording for playback: ${error.message}`);
+        return;
       }
 
       if (!isPlaying) {
@@ -1092,7 +1508,7 @@ const Dashboard = () => {
           trackName: track.name,
         });
 
-        footerPlaybackEngineRef.current[trackId].play();
+        engine.play();
         setFooterPlaybackState((prev) => ({ ...prev, [trackId]: true }));
       }
     }
@@ -1104,8 +1520,43 @@ const Dashboard = () => {
     userData.config,
     isSequencerPlaying,
     recordingData,
+    setTrackPlayheads,
+    isSongMode,
+    arrangement,
+    songStartIndex,
   ]);
 
+  // Jumps wait for the next bar while playing; stopped, they pick where
+  // the song starts
+  const handleSongJump = useCallback(
+    (index) => {
+      if (isSequencerPlaying && songPosition) {
+        songEngineRef.current?.jumpTo(index);
+        return;
+      }
+      setSongStartIndex(index);
+    },
+    [isSequencerPlaying, songPosition]
+  );
+
+  const handleTrackSeek = useCallback(
+    (trackId, ms) => {
+      const engine = footerPlaybackEngineRef.current[trackId];
+      if (engine) {
+        engine.seek(ms);
+        setTrackPlayheads((prev) => ({
+          ...prev,
+          [trackId]: engine.getCurrentTime(),
+        }));
+        return;
+      }
+      // Not loaded yet: remember the position for the first play
+      setTrackPlayheads((prev) => ({ ...prev, [trackId]: ms }));
+      pendingSeekRef.current[trackId] = ms;
+    },
+    [setTrackPlayheads]
+  );
+
   const handleFooterStop = useCallback(() => {
     if (!firstVisibleTrack) return;
     const config = userData.config;
@@ -1118,15 +1569,66 @@ const Dashboard = () => {
         }
         setIsSequencerPlaying(false);
         setSequencerCurrentStep(0);
+        setSongPosition(null);
       }
     } else {
       const trackId = firstVisibleTrack.track.id;
       if (footerPlaybackEngineRef.current[trackId]) {
         footerPlaybackEngineRef.current[trackId].stop();
         setFooterPlaybackState((prev) => ({ ...prev, [trackId]: false }));
+        setTrackPlayheads((prev) => ({ ...prev, [trackId]: 0 }));
       }
     }
-  }, [firstVisibleTrack, userData.config]);
+  }, [firstVisibleTrack, userData.config, setTrackPlayheads]);
+
+  // Playheads follow the engines while they play
+  useEffect(() => {
+    const playingIds = Object.keys(footerPlaybackState).filter(
+      (trackId) =>
+        footerPlaybackState[trackId] && footerPlaybackEngineRef.current[trackId]
+    );
+    if (playingIds.length === 0) return;
+    let frameId = null;
+    const update = () => {
+      setTrackPlayheads((prev) => {
+        const next = { ...prev };
+        playingIds.forEach((trackId) => {
+          const engine = footerPlaybackEngineRef.current[trackId];
+          if (engine) next[trackId] = engine.getCurrentTime();
+        });
+        return next;
+      });
+      frameId = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frameId);
+  }, [footerPlaybackState, setTrackPlayheads]);
+
+  // External clock: MIDI Start/Continue/Stop arm the sequencer, steps follow
+  // the clock. Network sync only shares tempo and phase, not transport.
+  const clockHandlerRef = useRef(null);
+  clockHandlerRef.current = (data) => {
+    if (!externalClock || data.source !== externalClock) return;
+    if (typeof data.bpm === "number") setSequencerClockBpm(data.bpm);
+    if (data.role !== undefined) setSequencerClockRole(data.role);
+    switch (data.action) {
+      case "start":
+      case "continue":
+        if (!isSequencerPlaying) handleFooterPlayPause();
+        break;
+      case "stop":
+        if (isSequencerPlaying) handleFooterStop();
+        break;
+      case "step":
+        sequencerEngineRef.current?.advanceTo(data.position);
+        break;
+    }
+  };
+
+  useIPCListener("input-event", (event, payload) => {
+    if (payload?.type !== "clock") return;
+    clockHandlerRef.current?.(payload.data || {});
+  });
 
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -1141,7 +1643,19 @@ const Dashboard = () => {
       if (isTyping) return;
 
       const config = userData.config;
-      if (!config.sequencerMode) return;
+      if (!config.sequencerMode) {
+        // Outside the sequencer, Space plays/pauses a track's audio or
+        // recording
+        const trackId = firstVisibleTrack?.track.id;
+        if (!trackId) return;
+        const recording = getRecordingForTrack(recordingData, trackId);
+        if (!recording.audio && !countRecordingHits(recording.channels)) {
+          return;
+        }
+        e.preventDefault();
+        handleFooterPlayPause();
+        return;
+      }
 
       e.preventDefault();
 
@@ -1162,6 +1676,8 @@ const Dashboard = () => {
     isSequencerPlaying,
     handleFooterStop,
     handleFooterPlayPause,
+    firstVisibleTrack,
+    recordingData,
   ]);
 
   useEffect(() => {
@@ -1181,6 +1697,7 @@ const Dashboard = () => {
       }
     });
     setFooterPlaybackState({});
+    setTrackPlayheads({});
   }, [activeTrackId]);
 
   return (
@@ -1190,8 +1707,10 @@ const Dashboard = () => {
         onTracks={() => setIsSelectTrackModalOpen(true)}
         onModules={() => setIsManageModulesModalOpen(true)}
         onSettings={() => setIsSettingsModalOpen(true)}
+        onOutputs={() => setIsOutputsModalOpen(true)}
         onDebugOverlay={() => setIsDebugOverlayOpen(true)}
         onReleases={() => setIsReleaseNotesOpen(true)}
+        onArrangement={() => setIsArrangementOpen(true)}
       />
 
       <div className="flex-1 overflow-y-auto pt-12 pb-32">
@@ -1231,6 +1750,18 @@ const Dashboard = () => {
                         isSequencerPlaying={isSequencerPlaying}
                         sequencerCurrentStep={sequencerCurrentStep}
                         handleSequencerToggle={handleSequencerToggle}
+                        handleSequencerStepChange={handleSequencerStepChange}
+                        handleSequencerLengthChange={
+                          handleSequencerLengthChange
+                        }
+                        handleSequencerGrooveChange={
+                          handleSequencerGrooveChange
+                        }
+                        handleSequencerMacroStep={handleSequencerMacroStep}
+                        handleSequencerPatternImport={
+                          handleSequencerPatternImport
+                        }
+                        handleTrackSeek={handleTrackSeek}
                         workspacePath={workspacePath}
                         workspaceModuleFiles={workspaceModuleFiles}
                         workspaceModuleLoadFailures={
@@ -1262,7 +1793,26 @@ const Dashboard = () => {
         onSettingsClick={() => setIsSettingsModalOpen(true)}
         isMuted={isSequencerMuted}
         onMuteChange={setIsSequencerMuted}
+        clockBpm={externalClock ? sequencerClockBpm : null}
+        clockRole={sequencerClockRole}
+        onTakeLead={() =>
+          invokeIPC("tempo-sync:lead").catch((err) => {
+            console.error("[Dashboard] Failed to take tempo lead:", err);
+          })
+        }
         isProjectorReady={isProjectorReady}
+        song={{
+          sections: arrangement.sections,
+          tracks: getActiveSetTracks(userData, activeSetId),
+          isEnabled: Boolean(userData.config?.songMode),
+          position: songPosition,
+          startIndex: Math.min(
+            songStartIndex,
+            Math.max(0, arrangement.sections.length - 1)
+          ),
+        }}
+        onSongModeChange={(songMode) => updateConfig({ songMode })}
+        onSongJump={handleSongJump}
       />
 
       <CreateTrackModal
@@ -1320,6 +1870,9 @@ const Dashboard = () => {
         inputConfig={inputConfig}
         setInputConfig={setInputConfig}
         availableMidiDevices={availableMidiDevices}
+        availableSerialPorts={availableSerialPorts}
+        availableAudioInputs={availableAudioInputs}
+        onSelectAudioFile={handleSelectAudioFile}
         onOpenMappings={() => {
           setIsSettingsModalOpen(false);
           setIsInputMappingsModalOpen(true);
@@ -1333,6 +1886,28 @@ const Dashboard = () => {
         isOpen={isInputMappingsModalOpen}
         onClose={() => setIsInputMappingsModalOpen(false)}
       />
+      <ArrangementModal
+        isOpen={isArrangementOpen}
+        onClose={() => setIsArrangementOpen(false)}
+        onConfirmDelete={openConfirmationModal}
+      />
+      <OutputsModal
+        isOpen={isOutputsModalOpen}
+        onClose={() => setIsOutputsModalOpen(false)}
+        settings={settings}
+        onSave={handleSaveOutputs}
+        onEditWarp={(output) => {
+          setIsOutputsModalOpen(false);
+          setWarpOutput(output);
+        }}
+      />
+      <WarpModal
+        isOpen={Boolean(warpOutput)}
+        onClose={() => setWarpOutput(null)}
+        output={warpOutput}
+        settings={settings}
+        onSave={handleSaveWarp}
+      />
       <ReleaseNotesModal
         isOpen={isReleaseNotesOpen}
         onClose={() => setIsReleaseNotesOpen(false)}
@@ -1,8 +1,13 @@
 import React from "react";
 import { useAtom } from "jotai";
-import { FaPlay, FaStop } from "react-icons/fa";
-import { recordingDataAtom } from "../core/state.js";
-import { Checkbox } from "./FormInputs.js";
+import { FaPause, FaPlay, FaStop } from "react-icons/fa";
+import { recordingDataAtom, trackPlayheadAtom } from "../core/state.js";
+import {
+  getRecordingForTrack,
+  countRecordingHits,
+} from "../../shared/json/recordingUtils.js";
+import { getSectionBars } from "../../shared/sequencer/arrangement.js";
+import { Checkbox, Select } from "./FormInputs.js";
 import { Button } from "./Button.js";
 
 export const DashboardFooter = ({
@@ -17,11 +22,23 @@ export const DashboardFooter = ({
   isMuted,
   onMuteChange,
   isProjectorReady,
+  clockBpm,
+  clockRole,
+  onTakeLead,
+  song,
+  onSongModeChange,
+  onSongJump,
 }) => {
   const [recordingData] = useAtom(recordingDataAtom);
+  const [playheads] = useAtom(trackPlayheadAtom);
 
-  const getStatusColor = () => {
-    switch (inputStatus.status) {
+  const formatTime = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+  };
+
+  const getStatusColor = (status = inputStatus.status) => {
+    switch (status) {
       case "connected":
         return "text-blue-500";
       case "connecting":
@@ -33,8 +50,8 @@ export const DashboardFooter = ({
     }
   };
 
-  const getStatusIcon = () => {
-    switch (inputStatus.status) {
+  const getStatusIcon = (status = inputStatus.status) => {
+    switch (status) {
       case "connected":
         return "●";
       case "connecting":
@@ -69,6 +86,137 @@ export const DashboardFooter = ({
     return "No input";
   };
 
+  // One indicator per source when several inputs are listening at once
+  const renderInputStatus = () => {
+    const sources = Array.isArray(inputStatus?.sources)
+      ? inputStatus.sources
+      : [];
+    if (sources.length < 2) {
+      return (
+        <button
+          onClick={onSettingsClick}
+          className={`text-[10px] font-mono flex items-center gap-2 cursor-pointer hover:opacity-70 transition-opacity ${getStatusColor()}`}
+          title={`${inputStatus.status}: ${getStatusText()}`}
+        >
+          <span>{getStatusIcon()}</span>
+          <span>{getStatusText()}</span>
+        </button>
+      );
+    }
+    return sources.map((source) => (
+      <button
+        key={source.type}
+        onClick={onSettingsClick}
+        className={`text-[10px] font-mono flex items-center gap-2 cursor-pointer hover:opacity-70 transition-opacity ${getStatusColor(
+          source.status
+        )}`}
+        title={`${source.status}: ${source.message || source.type}`}
+      >
+        <span>{getStatusIcon(source.status)}</span>
+        <span>{source.message || source.type.toUpperCase()}</span>
+      </button>
+    ));
+  };
+
+  // Transport for a track's audio file or recorded channel hits
+  const renderTrackTransport = () => {
+    const recording = getRecordingForTrack(recordingData, track.id);
+    const audio = recording.audio || null;
+    if (!audio && countRecordingHits(recording.channels) === 0) return null;
+    const duration = audio
+      ? audio.duration
+      : Math.max(
+          ...recording.channels.flatMap((ch) =>
+            (ch.sequences || []).map((seq) => seq.time)
+          )
+        );
+    const subject = audio ? "track audio" : "recording";
+    const position = (playheads[track.id] || 0) / 1000;
+    return (
+      <>
+        <Button
+          onClick={onPlayPause}
+          title={isPlaying ? `Pause ${subject}` : `Play ${subject}`}
+          icon={isPlaying ? <FaPause /> : <FaPlay />}
+          disabled={!isProjectorReady && !isPlaying}
+          as="button"
+        >
+          {isPlaying ? "PAUSE" : "PLAY"}
+        </Button>
+        <Button
+          onClick={onStop}
+          title="Stop and return to the start"
+          icon={<FaStop />}
+          as="button"
+        >
+          STOP
+        </Button>
+        <span className="text-[11px] text-neutral-500 font-mono">
+          {formatTime(position)} / {formatTime(duration)}
+        </span>
+      </>
+    );
+  };
+
+  // Song mode toggle, section jump and bar position
+  const renderSongControls = () => {
+    if (!song || song.sections.length === 0) return null;
+    const bpm = config?.sequencerBpm || 120;
+    const { position } = song;
+    const selectedIndex =
+      position?.pendingIndex ?? position?.index ?? song.startIndex;
+    return (
+      <>
+        <label className="flex items-center gap-2 cursor-pointer text-[11px] text-neutral-300 font-mono">
+          <Checkbox
+            checked={song.isEnabled}
+            onChange={(e) => onSongModeChange(e.target.checked)}
+          />
+          <span>Song</span>
+        </label>
+        {song.isEnabled && (
+          <>
+            <Select
+              value={selectedIndex}
+              onChange={(e) => onSongJump(Number(e.target.value))}
+              className="py-0.5 text-[11px]"
+              title={
+                isPlaying
+                  ? "Jump to a section at the next bar"
+                  : "Section the song starts from"
+              }
+            >
+              {song.sections.map((section, index) => {
+                const sectionTrack = song.tracks.find(
+                  (t) => t.id === section.trackId
+                );
+                return (
+                  <option
+                    key={section.id}
+                    value={index}
+                    className="bg-[#101010]"
+                  >
+                    {index + 1}. {sectionTrack?.name || "?"} (
+                    {getSectionBars(section, bpm)} bars)
+                  </option>
+                );
+              })}
+            </Select>
+            {isPlaying && position && (
+              <span className="text-[11px] text-neutral-500 font-mono">
+                BAR {position.bar}/{position.bars}
+                {position.pendingIndex !== null &&
+                position.pendingIndex !== undefined
+                  ? ` · NEXT ${position.pendingIndex + 1}`
+                  : ""}
+              </span>
+            )}
+          </>
+        )}
+      </>
+    );
+  };
+
   if (!track) {
     return (
       <div className="fixed bottom-0 left-0 right-0 z-50 bg-[#101010] border-t border-neutral-800 px-6 py-4">
@@ -76,16 +224,7 @@ export const DashboardFooter = ({
           <div className="text-neutral-300/30 text-[11px]">
             No track selected
           </div>
-          {!config?.sequencerMode && (
-            <button
-              onClick={onSettingsClick}
-              className={`text-[10px] font-mono flex items-center gap-2 cursor-pointer hover:opacity-70 transition-opacity ${getStatusColor()}`}
-              title={`${inputStatus.status}: ${getStatusText()}`}
-            >
-              <span>{getStatusIcon()}</span>
-              <span>{getStatusText()}</span>
-            </button>
-          )}
+          {!config?.sequencerMode && renderInputStatus()}
         </div>
       </div>
     );
@@ -145,16 +284,39 @@ export const DashboardFooter = ({
                 />
                 <span>Mute</span>
               </label>
+              {renderSongControls()}
+              {config?.sequencerClock === "midi" && (
+                <span className="text-[11px] text-neutral-500 font-mono">
+                  MIDI CLOCK{" "}
+                  {typeof clockBpm === "number"
+                    ? `${clockBpm} BPM`
+                    : "(waiting for clock)"}
+                </span>
+              )}
+              {config?.sequencerClock === "network" && (
+                <>
+                  <span className="text-[11px] text-neutral-500 font-mono">
+                    NET SYNC{" "}
+                    {typeof clockBpm === "number" ? `${clockBpm} BPM` : ""}
+                    {clockRole ? ` · ${clockRole.toUpperCase()}` : ""}
+                  </span>
+                  {clockRole === "follower" && (
+                    <Button
+                      onClick={onTakeLead}
+                      title="Make this instance the tempo leader"
+                      as="button"
+                    >
+                      LEAD
+                    </Button>
+                  )}
+                </>
+              )}
             </>
           ) : (
-            <button
-              onClick={onSettingsClick}
-              className={`text-[10px] font-mono flex items-center gap-2 cursor-pointer hover:opacity-70 transition-opacity ${getStatusColor()}`}
-              title={`${inputStatus.status}: ${getStatusText()}`}
-            >
-              <span>{getStatusIcon()}</span>
-              <span>{getStatusText()}</span>
-            </button>
+            <>
+              {renderTrackTransport()}
+              {renderInputStatus()}
+            </>
           )}
         </div>
       </div>
@@ -1,5 +1,13 @@
 import React from "react";
-import { FaBars, FaCog, FaCode, FaMusic, FaTag } from "react-icons/fa";
+import {
+  FaBars,
+  FaCog,
+  FaCode,
+  FaDesktop,
+  FaListOl,
+  FaMusic,
+  FaTag,
+} from "react-icons/fa";
 import { Button } from "./Button.js";
 import { useUpdateCheck } from "../core/hooks/useUpdateCheck.js";
 
@@ -8,8 +16,10 @@ export const DashboardHeader = ({
   onTracks,
   onModules,
   onSettings,
+  onOutputs,
   onDebugOverlay,
   onReleases,
+  onArrangement,
 }) => {
   const update = useUpdateCheck();
   const hasUpdate = update.status === "updateAvailable";
@@ -31,12 +41,18 @@ export const DashboardHeader = ({
           <Button onClick={onTracks} icon={<FaMusic />}>
             TRACKS
           </Button>
+          <Button onClick={onArrangement} icon={<FaListOl />}>
+            SONG
+          </Button>
           <Button onClick={onModules} icon={<FaCode />}>
             MODULES
           </Button>
           <Button onClick={onSettings} icon={<FaCog />}>
             SETTINGS
           </Button>
+          <Button onClick={onOutputs} icon={<FaDesktop />}>
+            OUTPUTS
+          </Button>
           <Button onClick={onDebugOverlay} icon={<FaCode />}>
             DEBUG
           </Button>
@@ -5,7 +5,14 @@ import React, {
   useRef,
   useState,
 } from "react";
-import { FaCode, FaDice, FaLock, FaPlay } from "react-icons/fa";
+import {
+  FaCode,
+  FaDice,
+  FaDrum,
+  FaLock,
+  FaPlay,
+  FaWaveSquare,
+} from "react-icons/fa";
 import {
   TextInput,
   NumberInput,
@@ -15,6 +22,8 @@ import {
 } from "./FormInputs.js";
 import { MatrixGrid } from "../shared/MatrixGrid.jsx";
 import { AssetOptionInput } from "./AssetOptionInput.jsx";
+import { ModulatorInput } from "./ModulatorInput.jsx";
+import { VelocityScalingInput } from "./VelocityScalingInput.jsx";
 
 const CUSTOM_VALUE = "__nw_wrld_custom__";
 
@@ -120,6 +129,10 @@ export const MethodBlock = React.memo(
     onOptionChange = null,
     onToggleRandom = null,
     onRandomRangeChange = null,
+    onToggleModulator = null,
+    onModulatorChange = null,
+    onToggleVelocityScaling = null,
+    onVelocityScalingChange = null,
     onAddMissingOption = null,
   }) => {
     const [isFlashing, setIsFlashing] = useState(false);
@@ -335,6 +348,29 @@ export const MethodBlock = React.memo(
           );
         }
 
+        if (option.type === "number" && currentOption.modulator) {
+          return (
+            <ModulatorInput
+              modulator={currentOption.modulator}
+              onChange={(next) =>
+                onModulatorChange && onModulatorChange(option.name, next)
+              }
+            />
+          );
+        }
+
+        if (option.type === "number" && currentOption.velocity) {
+          return (
+            <VelocityScalingInput
+              scaling={currentOption.velocity}
+              onChange={(next) =>
+                onVelocityScalingChange &&
+                onVelocityScalingChange(option.name, next)
+              }
+            />
+          );
+        }
+
         if (isRandomized) {
           if (option.type === "select") {
             const values = Array.isArray(option.values) ? option.values : [];
@@ -708,9 +744,24 @@ export const MethodBlock = React.memo(
                   Array.isArray(currentOption.randomValues) &&
                   currentOption.randomValues.length > 0 &&
                   currentOption.randomizeFromUserColors);
+              const isModulated =
+                option.type === "number" && Boolean(currentOption.modulator);
+              const isVelocityScaled =
+                option.type === "number" && Boolean(currentOption.velocity);
+              const showModulator =
+                mode === "dashboard" &&
+                onToggleModulator &&
+                option.type === "number";
+              const showVelocity =
+                mode === "dashboard" &&
+                onToggleVelocityScaling &&
+                option.type === "number" &&
+                !isModulated;
               const showDice =
                 mode === "dashboard" &&
                 onToggleRandom &&
+                !isModulated &&
+                !isVelocityScaled &&
                 (allowRandomization ||
                   option.type === "select" ||
                   (option.type === "color" &&
@@ -735,6 +786,30 @@ export const MethodBlock = React.memo(
                         title="Toggle Randomization"
                       />
                     )}
+                    {showModulator && (
+                      <FaWaveSquare
+                        className={`ml-1.5 cursor-pointer text-[10px] ${
+                          isModulated
+                            ? "text-neutral-300"
+                            : "text-neutral-300/30"
+                        }`}
+                        onClick={() => onToggleModulator(option.name, option)}
+                        title="Toggle LFO / Envelope"
+                      />
+                    )}
+                    {showVelocity && (
+                      <FaDrum
+                        className={`ml-1.5 cursor-pointer text-[10px] ${
+                          isVelocityScaled
+                            ? "text-neutral-300"
+                            : "text-neutral-300/30"
+                        }`}
+                        onClick={() =>
+                          onToggleVelocityScaling(option.name, option)
+                        }
+                        title="Toggle Velocity Scaling"
+                      />
+                    )}
                   </div>
                   {renderInput(option, currentOption)}
                 </div>
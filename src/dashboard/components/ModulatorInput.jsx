@@ -0,0 +1,165 @@
+import React from "react";
+import { NumberInput, Select } from "./FormInputs.js";
+import {
+  MODULATOR_TYPES,
+  LFO_SHAPES,
+  LFO_SYNC_DIVISIONS,
+  MIN_LFO_HZ,
+  MAX_LFO_HZ,
+  MAX_ENVELOPE_TIME,
+  createModulator,
+  normalizeModulator,
+} from "../../shared/utils/modulators.js";
+
+const FREE_RATE = "free";
+
+const Field = ({ label, children }) => (
+  <div className="flex flex-col gap-0.5">
+    <div className="text-[9px] text-neutral-300/30">{label}:</div>
+    {children}
+  </div>
+);
+
+const NumberField = ({ label, value, min, max, step, onChange }) => (
+  <Field label={label}>
+    <NumberInput
+      value={value}
+      min={min}
+      max={max}
+      step={step}
+      style={{ width: "52px" }}
+      onChange={(e) => {
+        const n = parseFloat(e.target.value);
+        if (Number.isFinite(n)) onChange(n);
+      }}
+    />
+  </Field>
+);
+
+// Editor for an option's LFO or envelope
+export const ModulatorInput = ({ modulator: rawModulator, onChange }) => {
+  const modulator = normalizeModulator(rawModulator);
+  if (!modulator) return null;
+
+  const update = (updates) => onChange({ ...modulator, ...updates });
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex gap-2 flex-wrap">
+        <Field label="mod">
+          <Select
+            value={modulator.type}
+            onChange={(e) =>
+              onChange(
+                createModulator(e.target.value, {
+                  min: modulator.min,
+                  max: modulator.max,
+                })
+              )
+            }
+          >
+            {MODULATOR_TYPES.map((t) => (
+              <option key={t.id} value={t.id} className="bg-[#101010]">
+                {t.label}
+              </option>
+            ))}
+          </Select>
+        </Field>
+        {modulator.type === "lfo" ? (
+          <>
+            <Field label="shape">
+              <Select
+                value={modulator.shape}
+                onChange={(e) => update({ shape: e.target.value })}
+              >
+                {LFO_SHAPES.map((s) => (
+                  <option key={s.id} value={s.id} className="bg-[#101010]">
+                    {s.label}
+                  </option>
+                ))}
+              </Select>
+            </Field>
+            <Field label="rate">
+              <Select
+                value={modulator.sync ? String(modulator.beats) : FREE_RATE}
+                onChange={(e) =>
+                  e.target.value === FREE_RATE
+                    ? update({ sync: false })
+                    : update({ sync: true, beats: Number(e.target.value) })
+                }
+              >
+                {LFO_SYNC_DIVISIONS.map((d) => (
+                  <option
+                    key={d.beats}
+                    value={String(d.beats)}
+                    className="bg-[#101010]"
+                  >
+                    {d.label}
+                  </option>
+                ))}
+                <option value={FREE_RATE} className="bg-[#101010]">
+                  free (Hz)
+                </option>
+              </Select>
+            </Field>
+            {!modulator.sync && (
+              <NumberField
+                label="hz"
+                value={modulator.hz}
+                min={MIN_LFO_HZ}
+                max={MAX_LFO_HZ}
+                step="any"
+                onChange={(hz) => update({ hz })}
+              />
+            )}
+          </>
+        ) : (
+          <>
+            <NumberField
+              label="a (ms)"
+              value={modulator.attack}
+              min={0}
+              max={MAX_ENVELOPE_TIME}
+              onChange={(attack) => update({ attack })}
+            />
+            <NumberField
+              label="d (ms)"
+              value={modulator.decay}
+              min={0}
+              max={MAX_ENVELOPE_TIME}
+              onChange={(decay) => update({ decay })}
+            />
+            <NumberField
+              label="s (%)"
+              value={Math.round(modulator.sustain * 100)}
+              min={0}
+              max={100}
+              onChange={(sustain) => update({ sustain: sustain / 100 })}
+            />
+            <NumberField
+              label="r (ms)"
+              value={modulator.release}
+              min={0}
+              max={MAX_ENVELOPE_TIME}
+              onChange={(release) => update({ release })}
+            />
+          </>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <NumberField
+          label="min"
+          value={modulator.min}
+          step="any"
+          onChange={(min) => update({ min })}
+        />
+        <NumberField
+          label="max"
+          value={modulator.max}
+          step="any"
+          onChange={(max) => update({ max })}
+        />
+      </div>
+    </div>
+  );
+};
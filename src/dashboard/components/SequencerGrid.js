@@ -2,6 +2,7 @@ import React, { useState } from "react";
 import { NumberInput } from "./FormInputs.js";
 import { HelpIcon } from "./HelpIcon.js";
 import { HELP_TEXT } from "../../shared/helpText.js";
+import { findPatternStep } from "../../shared/sequencer/patternSteps.js";
 
 export const SequencerGrid = ({
   track,
@@ -74,7 +75,6 @@ export const SequencerGrid = ({
             {channels.map((channel) => {
               const channelName =
                 typeof channel === "string" ? channel : channel.name;
-              const channelSteps = pattern[channelName] || [];
 
               return (
                 <div key={channelName} className="flex gap-0.5 items-center">
@@ -86,7 +86,9 @@ export const SequencerGrid = ({
                   </div>
 
                   {Array.from({ length: steps }).map((_, stepIndex) => {
-                    const isActive = channelSteps.includes(stepIndex);
+                    const isActive = Boolean(
+                      findPatternStep(pattern, channelName, stepIndex)
+                    );
                     const isCurrentStep = isPlaying && currentStep === stepIndex;
 
                     return (
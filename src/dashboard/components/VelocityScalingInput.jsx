@@ -0,0 +1,48 @@
+import React from "react";
+import { NumberInput, Select } from "./FormInputs.js";
+import { RESPONSE_CURVES } from "../../shared/utils/responseCurves.js";
+import {
+  normalizeVelocityScaling,
+} from "../../shared/utils/velocityScaling.js";
+
+// Range and curve a trigger's velocity (0-127) is mapped onto
+export const VelocityScalingInput = ({ scaling: rawScaling, onChange }) => {
+  const scaling = normalizeVelocityScaling(rawScaling);
+  if (!scaling) return null;
+
+  const update = (updates) => onChange({ ...scaling, ...updates });
+
+  return (
+    <div className="flex gap-2">
+      {["min", "max"].map((key) => (
+        <div key={key} className="flex flex-col gap-0.5">
+          <div className="text-[9px] text-neutral-300/30">
+            vel {key === "min" ? "0" : "127"}:
+          </div>
+          <NumberInput
+            value={scaling[key]}
+            step="any"
+            style={{ width: "52px" }}
+            onChange={(e) => {
+              const n = parseFloat(e.target.value);
+              if (Number.isFinite(n)) update({ [key]: n });
+            }}
+          />
+        </div>
+      ))}
+      <div className="flex flex-col gap-0.5">
+        <div className="text-[9px] text-neutral-300/30">curve:</div>
+        <Select
+          value={scaling.curve}
+          onChange={(e) => update({ curve: e.target.value })}
+        >
+          {RESPONSE_CURVES.map((c) => (
+            <option key={c.id} value={c.id} className="bg-[#101010]">
+              {c.label}
+            </option>
+          ))}
+        </Select>
+      </div>
+    </div>
+  );
+};
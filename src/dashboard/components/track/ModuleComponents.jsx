@@ -15,6 +15,7 @@ import {
   selectedChannelAtom,
   flashingChannelsAtom,
   flashingConstructorsAtom,
+  sequencerPageAtom,
   useFlashingChannels,
 } from "../../core/state.js";
 import { updateActiveSet } from "../../core/utils.js";
@@ -23,7 +24,21 @@ import { getActiveSetTracks } from "../../../shared/utils/setUtils.js";
 import {
   getRecordingForTrack,
   getSequencerForTrack,
+  getRecordingDuration,
 } from "../../../shared/json/recordingUtils.js";
+import {
+  MIN_PATTERN_STEPS,
+  MAX_PATTERN_STEPS,
+  STEPS_PER_PAGE,
+  getChannelLength,
+  getMaxPatternLength,
+  getPageCount,
+} from "../../../shared/sequencer/patternLength.js";
+import {
+  MAX_RATCHET,
+  PROBABILITY_STEPS,
+  findPatternStep,
+} from "../../../shared/sequencer/patternSteps.js";
 import {
   resolveTrackTrigger,
   resolveChannelTrigger,
@@ -31,9 +46,11 @@ import {
   pitchClassToName,
 } from "../../../shared/midi/midiUtils.js";
 import { Button } from "../Button.js";
+import { Select } from "../FormInputs.js";
 import { FaPlus } from "react-icons/fa";
 import { FaExclamationTriangle } from "react-icons/fa";
 import { Tooltip } from "../Tooltip.js";
+import { ModuleCompositing } from "./ModuleCompositing.jsx";
 
 export const ModuleSelector = React.memo(
   ({
@@ -137,12 +154,15 @@ export const NoteSelector = React.memo(
     isSequencerPlaying,
     sequencerCurrentStep,
     handleSequencerToggle,
+    handleSequencerStepChange,
+    handleSequencerLengthChange,
     workspacePath = null,
     workspaceModuleFiles = [],
     workspaceModuleLoadFailures = [],
   }) => {
     const [userData, setUserData] = useAtom(userDataAtom);
     const [recordingData] = useAtom(recordingDataAtom);
+    const [sequencerPages] = useAtom(sequencerPageAtom);
     const [selectedChannel, setSelectedChannel] = useAtom(selectedChannelAtom);
     const [flashingChannels] = useAtom(flashingChannelsAtom);
     const [flashingConstructors] = useAtom(flashingConstructorsAtom);
@@ -158,6 +178,15 @@ export const NoteSelector = React.memo(
     const globalMappings = userData.config || {};
     const currentInputType = inputConfig?.type || "midi";
 
+    const sequencerData = getSequencerForTrack(recordingData, track.id);
+    const maxPatternLength = getMaxPatternLength(sequencerData);
+    const sequencerPage = Math.min(
+      sequencerPages[track.id] || 0,
+      getPageCount(maxPatternLength) - 1
+    );
+    const pageStart = sequencerPage * STEPS_PER_PAGE;
+    const pageWidth = Math.min(STEPS_PER_PAGE, maxPatternLength - pageStart);
+
     const workspaceFileSet = useMemo(() => {
       return new Set((workspaceModuleFiles || []).filter(Boolean));
     }, [workspaceModuleFiles]);
@@ -225,12 +254,17 @@ export const NoteSelector = React.memo(
       updateActiveSet(setUserData, activeSetId, (activeSet) => {
         const trackDraft = activeSet.tracks[trackIndex];
         if (!trackDraft?.modulesData?.[instanceId]?.methods) return;
-        const methods = trackDraft.modulesData[instanceId].methods;
+        const { methods, releaseMethods } = trackDraft.modulesData[instanceId];
         Object.keys(methods).forEach((channelKey) => {
           if (!channelNumbers.has(channelKey)) {
             delete methods[channelKey];
           }
         });
+        Object.keys(releaseMethods || {}).forEach((channelKey) => {
+          if (!channelNumbers.has(channelKey)) {
+            delete releaseMethods[channelKey];
+          }
+        });
       });
     }, [channelsData, setUserData, trackIndex, instanceId]);
 
@@ -243,18 +277,12 @@ export const NoteSelector = React.memo(
       });
     }, [channelsData]);
 
-    const trackDuration = useMemo(() => {
-      if (!channelsData || channelsData.length === 0) return 60;
-
-      const maxTime = Math.max(
-        ...channelsData.flatMap(
-          (ch) => ch.sequences?.map((seq) => seq.time + seq.duration) || [0]
-        ),
-        60
-      );
-
-      return maxTime;
-    }, [channelsData]);
+    // Shared with the track's audio waveform so events line up with it
+    const trackDuration = useMemo(
+      () =>
+        getRecordingDuration(getRecordingForTrack(recordingData, track.id)),
+      [recordingData, track.id]
+    );
 
     const toggleSelectChannel = useCallback(
       (channelNumber, isConstructor = false) => {
@@ -352,7 +380,9 @@ export const NoteSelector = React.memo(
 
         const groupedSequences = groupSequences(channel.sequences);
         const channelKey = String(channel.number);
-        const hasMethods = moduleData.methods[channelKey]?.length > 0;
+        const hasMethods =
+          moduleData.methods[channelKey]?.length > 0 ||
+          moduleData.releaseMethods?.[channelKey]?.length > 0;
 
         g.selectAll("path")
           .data(groupedSequences)
@@ -417,6 +447,11 @@ export const NoteSelector = React.memo(
             )}
           </div>
         </div>
+        <ModuleCompositing
+          track={track}
+          trackIndex={trackIndex}
+          instanceId={instanceId}
+        />
         <div className="">
           <div className="pl-12 flex flex-col gap-0">
             <div
@@ -462,7 +497,9 @@ export const NoteSelector = React.memo(
                 selectedChannel.channelNumber === channel.number &&
                 !selectedChannel.isConstructor;
 
-              const hasMethods = moduleData.methods[channelKey]?.length > 0;
+              const hasMethods =
+                moduleData.methods[channelKey]?.length > 0 ||
+                moduleData.releaseMethods?.[channelKey]?.length > 0;
               const isFlashing = flashingChannels.has(channelKey);
 
               return (
@@ -540,30 +577,65 @@ export const NoteSelector = React.memo(
                         className="flex gap-0.5 items-center"
                         style={{ height: rowHeight }}
                       >
-                        {Array.from({ length: 16 }).map((_, stepIndex) => {
-                          const channelKey = String(channel.number);
-                          const sequencerData = getSequencerForTrack(
-                            recordingData,
-                            track.id
+                        {Array.from({ length: pageWidth }).map((_, i) => {
+                          const stepIndex = pageStart + i;
+                          const channelLength = getChannelLength(
+                            sequencerData,
+                            channelKey
                           );
-                          const channelPattern =
-                            sequencerData.pattern?.[channelKey] || [];
-                          const isActive =
-                            Array.isArray(channelPattern) &&
-                            channelPattern.includes(stepIndex);
+                          if (stepIndex >= channelLength) {
+                            return (
+                              <div
+                                key={stepIndex}
+                                className="w-[22px] h-[11px] flex-shrink-0"
+                              />
+                            );
+                          }
+                          const step = findPatternStep(
+                            sequencerData.pattern,
+                            channelKey,
+                            stepIndex
+                          );
+                          const isActive = Boolean(step);
                           const isCurrentStep =
                             isSequencerPlaying &&
-                            sequencerCurrentStep === stepIndex;
+                            sequencerCurrentStep % channelLength === stepIndex;
 
                           return (
                             <button
                               key={stepIndex}
                               onClick={(e) => {
                                 e.stopPropagation();
+                                // Alt cycles probability, Shift cycles ratchets
+                                if (step && e.altKey) {
+                                  const next =
+                                    PROBABILITY_STEPS[
+                                      (PROBABILITY_STEPS.indexOf(
+                                        step.probability
+                                      ) +
+                                        1) %
+                                        PROBABILITY_STEPS.length
+                                    ];
+                                  handleSequencerStepChange(
+                                    channelKey,
+                                    stepIndex,
+                                    { probability: next }
+                                  );
+                                  return;
+                                }
+                                if (step && e.shiftKey) {
+                                  handleSequencerStepChange(
+                                    channelKey,
+                                    stepIndex,
+                                    { ratchet: (step.ratchet % MAX_RATCHET) + 1 }
+                                  );
+                                  return;
+                                }
                                 handleSequencerToggle(channelKey, stepIndex);
                               }}
                               className={`
                                 w-[22px] h-[11px] border transition-all flex-shrink-0
+                                flex items-center justify-center text-[8px] leading-none text-white
                                 ${
                                   isActive
                                     ? "bg-[#b85c5c] border-[#b85c5c]"
@@ -574,14 +646,57 @@ export const NoteSelector = React.memo(
                                 }
                               `}
                               style={{
-                                opacity: isActive && !hasMethods ? 0.2 : 1,
+                                opacity: !isActive
+                                  ? 1
+                                  : !hasMethods
+                                  ? 0.2
+                                  : 0.35 + 0.65 * step.probability,
                               }}
                               title={`Channel ${channel.number} - Step ${
                                 stepIndex + 1
+                              }${
+                                step
+                                  ? ` (${Math.round(
+                                      step.probability * 100
+                                    )}%, x${step.ratchet})`
+                                  : ""
                               }`}
-                            />
+                            >
+                              {step && step.ratchet > 1 ? step.ratchet : null}
+                            </button>
                           );
                         })}
+                        <Select
+                          value={
+                            sequencerData.channelLengths?.[channelKey] ?? ""
+                          }
+                          onChange={(e) =>
+                            handleSequencerLengthChange(
+                              channelKey,
+                              e.target.value === ""
+                                ? null
+                                : Number(e.target.value)
+                            )
+                          }
+                          onClick={(e) => e.stopPropagation()}
+                          title="Channel length (empty follows the track)"
+                          className="ml-2"
+                          style={{ fontSize: 9, padding: 0, height: 12 }}
+                        >
+                          <option value="" className="bg-[#101010]">
+                            {"\u2014"}
+                          </option>
+                          {Array.from(
+                            {
+                              length: MAX_PATTERN_STEPS - MIN_PATTERN_STEPS + 1,
+                            },
+                            (_, i) => MIN_PATTERN_STEPS + i
+                          ).map((n) => (
+                            <option key={n} value={n} className="bg-[#101010]">
+                              {n}
+                            </option>
+                          ))}
+                        </Select>
                       </div>
                     ) : (
                       <svg
@@ -621,6 +736,8 @@ export const SortableModuleItem = React.memo(
     isSequencerPlaying,
     sequencerCurrentStep,
     handleSequencerToggle,
+    handleSequencerStepChange,
+    handleSequencerLengthChange,
     workspacePath = null,
     workspaceModuleFiles = [],
     workspaceModuleLoadFailures = [],
@@ -642,6 +759,8 @@ export const SortableModuleItem = React.memo(
                 isSequencerPlaying={isSequencerPlaying}
                 sequencerCurrentStep={sequencerCurrentStep}
                 handleSequencerToggle={handleSequencerToggle}
+                handleSequencerStepChange={handleSequencerStepChange}
+                handleSequencerLengthChange={handleSequencerLengthChange}
                 workspacePath={workspacePath}
                 workspaceModuleFiles={workspaceModuleFiles}
                 workspaceModuleLoadFailures={workspaceModuleLoadFailures}
@@ -0,0 +1,111 @@
+import React from "react";
+import { useAtom } from "jotai";
+import { userDataAtom, activeSetIdAtom } from "../../core/state.js";
+import { updateActiveSet } from "../../core/utils.js";
+import { useIPCSend } from "../../core/hooks/useIPC.js";
+import { Select } from "../FormInputs.js";
+import { TERMINAL_STYLES } from "../../core/constants.js";
+import { HelpIcon } from "../HelpIcon.js";
+import { HELP_TEXT } from "../../../shared/helpText.js";
+import {
+  BLEND_MODES,
+  MASK_MODES,
+  isDefaultLayerCompositing,
+  normalizeLayerCompositing,
+} from "../../../shared/utils/layerCompositing.js";
+
+// Blend mode, opacity fader and mask for one module instance; edits show on
+// the projector as they are made
+export const ModuleCompositing = ({ track, trackIndex, instanceId }) => {
+  const [, setUserData] = useAtom(userDataAtom);
+  const [activeSetId] = useAtom(activeSetIdAtom);
+  const sendToProjector = useIPCSend("dashboard-to-projector");
+
+  const compositing = normalizeLayerCompositing(
+    track.compositing?.[instanceId]
+  );
+  const maskSources = (track.modules || []).filter((m) => m.id !== instanceId);
+
+  const update = (updates) => {
+    const next = normalizeLayerCompositing({ ...compositing, ...updates });
+    sendToProjector("layer-compositing", {
+      trackName: track.name,
+      instanceId,
+      compositing: next,
+    });
+    updateActiveSet(setUserData, activeSetId, (activeSet) => {
+      const trackDraft = activeSet.tracks[trackIndex];
+      if (!trackDraft) return;
+      if (isDefaultLayerCompositing(next)) {
+        if (trackDraft.compositing) delete trackDraft.compositing[instanceId];
+        return;
+      }
+      if (!trackDraft.compositing) trackDraft.compositing = {};
+      trackDraft.compositing[instanceId] = next;
+    });
+  };
+
+  return (
+    <div className="pl-12 mb-2 flex items-center gap-3 flex-wrap text-[11px] text-neutral-300">
+      <div className="w-[140px] pr-4 relative inline-flex items-center text-neutral-500">
+        LAYER
+        <HelpIcon helpText={HELP_TEXT.layerCompositing} />
+      </div>
+      <Select
+        value={compositing.blend}
+        onChange={(e) => update({ blend: e.target.value })}
+        className="py-1"
+        title="Blend mode"
+      >
+        {BLEND_MODES.map((mode) => (
+          <option key={mode.id} value={mode.id} className="bg-[#101010]">
+            {mode.label}
+          </option>
+        ))}
+      </Select>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.01}
+        value={compositing.opacity}
+        onChange={(e) => update({ opacity: Number(e.target.value) })}
+        className="w-[120px] cursor-pointer"
+        style={{ accentColor: TERMINAL_STYLES.text }}
+        title={`Layer opacity: ${Math.round(compositing.opacity * 100)}%`}
+      />
+      <span className="w-10 text-right text-neutral-500">
+        {Math.round(compositing.opacity * 100)}%
+      </span>
+      <Select
+        value={compositing.mask || ""}
+        onChange={(e) => update({ mask: e.target.value || null })}
+        className="py-1"
+        title="Mask"
+      >
+        <option value="" className="bg-[#101010]">
+          no mask
+        </option>
+        {maskSources.map((m) => (
+          <option key={m.id} value={m.id} className="bg-[#101010]">
+            mask: {m.type} ({m.id})
+          </option>
+        ))}
+      </Select>
+      {compositing.mask && (
+        <Select
+          value={compositing.maskMode}
+          onChange={(e) => update({ maskMode: e.target.value })}
+          className="py-1"
+          title="Mask mode"
+        >
+          {MASK_MODES.map((mode) => (
+            <option key={mode} value={mode} className="bg-[#101010]">
+              {mode}
+            </option>
+          ))}
+        </Select>
+      )}
+    </div>
+  );
+};
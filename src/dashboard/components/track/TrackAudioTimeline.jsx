@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useAtom } from "jotai";
+import * as d3 from "d3";
+import {
+  recordingDataAtom,
+  trackPlayheadAtom,
+} from "../../core/state.js";
+import { TERMINAL_STYLES } from "../../core/constants.js";
+import {
+  getRecordingForTrack,
+  getRecordingDuration,
+} from "../../../shared/json/recordingUtils.js";
+import {
+  loadTrackAudioBuffer,
+  getWaveformPeaks,
+} from "../../../shared/audio/trackAudio.js";
+
+const WAVEFORM_HEIGHT = 40;
+
+// The track's audio waveform on the same time scale as the module channel
+// rows below it, with recorded channel events and a click-to-seek playhead
+export const TrackAudioTimeline = ({ trackId, onSeek, onRemove }) => {
+  const [recordingData] = useAtom(recordingDataAtom);
+  const [playheads] = useAtom(trackPlayheadAtom);
+  const [audioBuffer, setAudioBuffer] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [width, setWidth] = useState(0);
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+
+  const recording = getRecordingForTrack(recordingData, trackId);
+  const audio = recording.audio || null;
+  const hasAudio = Boolean(audio);
+  const duration = getRecordingDuration(recording);
+  const positionMs = playheads[trackId] || 0;
+
+  useEffect(() => {
+    let cancelled = false;
+    setAudioBuffer(null);
+    setLoadError(null);
+    if (!audio?.file) return;
+    loadTrackAudioBuffer(audio.file)
+      .then((buffer) => {
+        if (!cancelled) setAudioBuffer(buffer);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [audio?.file]);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => {
+      setWidth(el.getBoundingClientRect().width);
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasAudio]);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (!width) return;
+    svg.attr("width", width).attr("height", WAVEFORM_HEIGHT);
+
+    const x = d3.scaleLinear().domain([0, duration]).range([0, width]);
+    const mid = WAVEFORM_HEIGHT / 2;
+
+    if (audioBuffer) {
+      const audioWidth = Math.max(1, Math.round(x(audioBuffer.duration)));
+      const peaks = getWaveformPeaks(audioBuffer, audioWidth);
+      svg
+        .append("g")
+        .selectAll("line")
+        .data(peaks)
+        .enter()
+        .append("line")
+        .attr("x1", (_, i) => i + 0.5)
+        .attr("x2", (_, i) => i + 0.5)
+        .attr("y1", (d) => mid - d.max * mid)
+        .attr("y2", (d) => mid - d.min * mid + 1)
+        .attr("stroke", TERMINAL_STYLES.text)
+        .attr("stroke-opacity", 0.35);
+    }
+
+    const eventTimes = (recording.channels || []).flatMap((ch) =>
+      (ch.sequences || []).map((seq) => seq.time)
+    );
+    svg
+      .append("g")
+      .selectAll("line")
+      .data(eventTimes)
+      .enter()
+      .append("line")
+      .attr("x1", (t) => x(t))
+      .attr("x2", (t) => x(t))
+      .attr("y1", WAVEFORM_HEIGHT - 4)
+      .attr("y2", WAVEFORM_HEIGHT)
+      .attr("stroke", "#b85c5c");
+  }, [audioBuffer, duration, width, recording.channels]);
+
+  if (!hasAudio) return null;
+
+  const fileName = audio.file.split("/").pop();
+  const playheadLeft = width ? (positionMs / 1000 / duration) * width : 0;
+
+  return (
+    <div className="px-12 font-mono">
+      <div className="pl-12 flex items-center">
+        <div className="w-[140px] pr-4 text-[11px] text-neutral-300 flex items-center gap-2">
+          <span className="truncate" title={`assets/${audio.file}`}>
+            {fileName}
+          </span>
+          <div
+            className="text-red-500/50 cursor-pointer"
+            onClick={onRemove}
+            title="Remove audio"
+          >
+            [{"\u00D7"}]
+          </div>
+        </div>
+        <div
+          ref={containerRef}
+          className="flex-1 relative cursor-pointer"
+          style={{ height: WAVEFORM_HEIGHT }}
+          onClick={(e) => {
+            if (!width) return;
+            const rect = e.currentTarget.getBoundingClientRect();
+            const ratio = (e.clientX - rect.left) / rect.width;
+            onSeek(Math.max(0, ratio) * duration * 1000);
+          }}
+        >
+          {loadError ? (
+            <div className="text-[10px] text-red-500/70 leading-[40px]">
+              {loadError}
+            </div>
+          ) : null}
+          <svg ref={svgRef} className="absolute inset-0" />
+          <div
+            className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none"
+            style={{ left: playheadLeft }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -3,25 +3,52 @@ import { useAtom } from "jotai";
 import { remove } from "lodash";
 import { FaPlus } from "react-icons/fa";
 import { SortableList, arrayMove } from "../../shared/SortableList.jsx";
-import { useIPCSend } from "../../core/hooks/useIPC.js";
+import { useIPCSend, useIPCInvoke } from "../../core/hooks/useIPC.js";
 import {
   userDataAtom,
   recordingDataAtom,
   activeSetIdAtom,
   flashingConstructorsAtom,
   helpTextAtom,
+  sequencerPageAtom,
   useFlashingChannels,
 } from "../../core/state.js";
 import { updateActiveSet } from "../../core/utils.js";
 import { getActiveSetTracks } from "../../../shared/utils/setUtils.js";
 import {
   getRecordingForTrack,
+  getSequencerForTrack,
   setRecordingForTrack,
+  getAudioForTrack,
+  setAudioForTrack,
 } from "../../../shared/json/recordingUtils.js";
+import { loadTrackAudioBuffer } from "../../../shared/audio/trackAudio.js";
+import {
+  MIN_PATTERN_STEPS,
+  MAX_PATTERN_STEPS,
+  getPatternLength,
+  getMaxPatternLength,
+  getPageCount,
+} from "../../../shared/sequencer/patternLength.js";
+import {
+  SEQUENCER_RESOLUTIONS,
+  MAX_SWING,
+  getResolution,
+  getSwing,
+} from "../../../shared/sequencer/patternSteps.js";
 import MidiPlayback from "../../../shared/midi/midiPlayback.js";
 import { Button } from "../Button.js";
+import { Select } from "../FormInputs.js";
 import { TrackDataModal } from "../../modals/TrackDataModal.jsx";
+import { ParameterMappingsModal } from "../../modals/ParameterMappingsModal.jsx";
+import { MacrosModal } from "../../modals/MacrosModal.jsx";
+import { ImportMidiModal } from "../../modals/ImportMidiModal.jsx";
+import { ExportMidiModal } from "../../modals/ExportMidiModal.jsx";
+import { ExportVideoModal } from "../../modals/ExportVideoModal.jsx";
 import { ModuleSelector, SortableModuleItem } from "./ModuleComponents.jsx";
+import { TrackAudioTimeline } from "./TrackAudioTimeline.jsx";
+import { TrackRecordingTimeline } from "./TrackRecordingTimeline.jsx";
+import { TrackMacros } from "./TrackMacros.jsx";
 
 export const TrackItem = React.memo(
   ({
@@ -36,23 +63,37 @@ export const TrackItem = React.memo(
     isSequencerPlaying,
     sequencerCurrentStep,
     handleSequencerToggle,
+    handleSequencerStepChange,
+    handleSequencerLengthChange,
+    handleSequencerGrooveChange,
+    handleSequencerMacroStep,
+    handleSequencerPatternImport,
+    handleTrackSeek,
     workspacePath = null,
     workspaceModuleFiles = [],
     workspaceModuleLoadFailures = [],
   }) => {
     const [userData, setUserData] = useAtom(userDataAtom);
-    const [recordingData] = useAtom(recordingDataAtom);
+    const [recordingData, setRecordingData] = useAtom(recordingDataAtom);
+    const [sequencerPages, setSequencerPages] = useAtom(sequencerPageAtom);
     const [activeSetId] = useAtom(activeSetIdAtom);
     const [flashingChannels, flashChannel] = useFlashingChannels();
     const [flashingConstructors, setFlashingConstructors] = useAtom(
       flashingConstructorsAtom
     );
     const [selectedTrackForData, setSelectedTrackForData] = useState(null);
+    const [isParameterMappingsOpen, setIsParameterMappingsOpen] =
+      useState(false);
+    const [isMacrosOpen, setIsMacrosOpen] = useState(false);
+    const [isImportMidiOpen, setIsImportMidiOpen] = useState(false);
+    const [isExportMidiOpen, setIsExportMidiOpen] = useState(false);
+    const [isExportVideoOpen, setIsExportVideoOpen] = useState(false);
     const [isPlaying, setIsPlaying] = useState(false);
     const playbackEngineRef = useRef(null);
     const [helpText, setHelpText] = useAtom(helpTextAtom);
 
     const sendToProjector = useIPCSend("dashboard-to-projector");
+    const invokeIPC = useIPCInvoke();
 
     const stopPlayback = useCallback(() => {
       if (playbackEngineRef.current) {
@@ -89,6 +130,33 @@ export const TrackItem = React.memo(
     }, [track, trackIndex, setUserData]);
 
 
+    const handleImportAudio = useCallback(async () => {
+      const result = await invokeIPC("workspace:import-audio");
+      if (!result || result.cancelled || !result.relPath) {
+        if (result?.error) alert(`Failed to import audio: ${result.error}`);
+        return;
+      }
+      try {
+        const buffer = await loadTrackAudioBuffer(result.relPath);
+        setRecordingData((prev) =>
+          setAudioForTrack(prev, track.id, {
+            file: result.relPath,
+            duration: buffer.duration,
+          })
+        );
+      } catch (error) {
+        console.error("Error decoding track audio:", error);
+        alert(`Failed to decode audio: ${error.message}`);
+      }
+    }, [invokeIPC, setRecordingData, track.id]);
+
+    const handleRemoveAudio = useCallback(() => {
+      onConfirmDelete(
+        "Remove the audio file from this track? The file stays in assets.",
+        () => setRecordingData((prev) => setAudioForTrack(prev, track.id, null))
+      );
+    }, [onConfirmDelete, setRecordingData, track.id]);
+
     const handleRemoveModule = useCallback(
       (instanceId) => {
         const module = track.modules.find((m) => m.id === instanceId);
@@ -101,6 +169,7 @@ export const TrackItem = React.memo(
               const track = activeSet.tracks[trackIndex];
               remove(track.modules, (m) => m.id === instanceId);
               delete track.modulesData[instanceId];
+              if (track.compositing) delete track.compositing[instanceId];
             });
           }
         );
@@ -124,6 +193,11 @@ export const TrackItem = React.memo(
                     channelName
                   ];
                 }
+                if (currentTrack.modulesData[moduleId].releaseMethods) {
+                  delete currentTrack.modulesData[moduleId].releaseMethods[
+                    channelName
+                  ];
+                }
               });
             });
           }
@@ -165,8 +239,7 @@ export const TrackItem = React.memo(
             sequences: ch.sequences || [],
           }));
 
-          const bpm = track.bpm || 120;
-          playbackEngineRef.current.load(channels, bpm);
+          playbackEngineRef.current.load(channels);
         } catch (error) {
           console.error("Error loading recording for playback:", error);
           alert(`Failed to load recording for playback: ${error.message}`);
@@ -202,7 +275,6 @@ export const TrackItem = React.memo(
       isPlaying,
       recordingData,
       track.id,
-      track.bpm,
       track.name,
       track.modules,
       flashChannel,
@@ -224,6 +296,17 @@ export const TrackItem = React.memo(
       };
     }, []);
 
+    const sequencerData = getSequencerForTrack(recordingData, track.id);
+    const patternLength = getPatternLength(sequencerData);
+    const pageCount = getPageCount(getMaxPatternLength(sequencerData));
+    const sequencerPage = Math.min(
+      sequencerPages[track.id] || 0,
+      pageCount - 1
+    );
+    const trackAudio = getAudioForTrack(recordingData, track.id);
+    const setSequencerPage = (page) =>
+      setSequencerPages((prev) => ({ ...prev, [track.id]: page }));
+
     return (
       <div className="mb-4 pb-4 font-mono">
         <div className="flex flex-col h-full w-full mb-4 relative">
@@ -244,6 +327,38 @@ export const TrackItem = React.memo(
           </div>
 
           <div className="mb-6 relative">
+            {!config?.sequencerMode && trackAudio && (
+              <div className="mb-4">
+                <TrackAudioTimeline
+                  trackId={track.id}
+                  onSeek={(ms) => handleTrackSeek(track.id, ms)}
+                  onRemove={handleRemoveAudio}
+                />
+              </div>
+            )}
+            {!config?.sequencerMode &&
+              track.modules.length > 0 &&
+              track.channelMappings && (
+                <div className="mb-4">
+                  <TrackRecordingTimeline
+                    track={track}
+                    onSeek={(ms) => handleTrackSeek(track.id, ms)}
+                    onConfirmDelete={onConfirmDelete}
+                  />
+                </div>
+              )}
+            {track.modules.length > 0 && (
+              <div className="mb-4">
+                <TrackMacros
+                  track={track}
+                  trackIndex={trackIndex}
+                  sequencerMode={Boolean(config?.sequencerMode)}
+                  isSequencerPlaying={isSequencerPlaying}
+                  sequencerCurrentStep={sequencerCurrentStep}
+                  onToggleMacroStep={handleSequencerMacroStep}
+                />
+              </div>
+            )}
             {track.modules.length === 0 ? (
               <div className="pl-12 text-neutral-300/30 text-[11px]">
                 [NO MODULES ADDED]
@@ -290,6 +405,12 @@ export const TrackItem = React.memo(
                             isSequencerPlaying={isSequencerPlaying}
                             sequencerCurrentStep={sequencerCurrentStep}
                             handleSequencerToggle={handleSequencerToggle}
+                            handleSequencerStepChange={
+                              handleSequencerStepChange
+                            }
+                            handleSequencerLengthChange={
+                              handleSequencerLengthChange
+                            }
                             workspacePath={workspacePath}
                             workspaceModuleFiles={workspaceModuleFiles}
                             workspaceModuleLoadFailures={workspaceModuleLoadFailures}
@@ -324,6 +445,168 @@ export const TrackItem = React.memo(
             >
               CHANNEL
             </Button>
+            <Button
+              onClick={() => setIsParameterMappingsOpen(true)}
+              icon={<FaPlus />}
+              disabled={track.modules.length === 0}
+              className={
+                track.modules.length === 0
+                  ? "opacity-50 cursor-not-allowed"
+                  : ""
+              }
+              title={
+                track.modules.length === 0
+                  ? "Add a module first"
+                  : "Map MIDI CC controllers"
+              }
+            >
+              CC
+            </Button>
+            <Button
+              onClick={() => setIsMacrosOpen(true)}
+              icon={<FaPlus />}
+              disabled={track.modules.length === 0}
+              className={
+                track.modules.length === 0
+                  ? "opacity-50 cursor-not-allowed"
+                  : ""
+              }
+              title={
+                track.modules.length === 0
+                  ? "Add a module first"
+                  : "Group module options under named macros"
+              }
+            >
+              MACROS
+            </Button>
+            <Button
+              onClick={() => setIsImportMidiOpen(true)}
+              disabled={!track.channelMappings}
+              className={
+                !track.channelMappings ? "opacity-50 cursor-not-allowed" : ""
+              }
+              title={
+                !track.channelMappings
+                  ? "Add a channel first"
+                  : "Import a Standard MIDI File"
+              }
+            >
+              IMPORT .MID
+            </Button>
+            <Button
+              onClick={() => setIsExportMidiOpen(true)}
+              disabled={!track.channelMappings}
+              className={
+                !track.channelMappings ? "opacity-50 cursor-not-allowed" : ""
+              }
+              title={
+                !track.channelMappings
+                  ? "Add a channel first"
+                  : "Export the pattern or recording as a MIDI file"
+              }
+            >
+              EXPORT .MID
+            </Button>
+            <Button
+              onClick={() => setIsExportVideoOpen(true)}
+              disabled={!track.channelMappings}
+              className={
+                !track.channelMappings ? "opacity-50 cursor-not-allowed" : ""
+              }
+              title={
+                !track.channelMappings
+                  ? "Add a channel first"
+                  : "Render the pattern or recording to a video"
+              }
+            >
+              EXPORT VIDEO
+            </Button>
+            {!config?.sequencerMode && (
+              <Button
+                onClick={handleImportAudio}
+                icon={<FaPlus />}
+                title="Attach an audio file to rehearse this track against"
+              >
+                AUDIO
+              </Button>
+            )}
+            {config?.sequencerMode && track.modules.length > 0 && (
+              <div className="flex items-center gap-2 text-[11px] text-neutral-300">
+                <span className="opacity-50">STEPS</span>
+                <Select
+                  value={patternLength}
+                  onChange={(e) =>
+                    handleSequencerLengthChange(null, Number(e.target.value))
+                  }
+                  title="Pattern length"
+                >
+                  {Array.from(
+                    { length: MAX_PATTERN_STEPS - MIN_PATTERN_STEPS + 1 },
+                    (_, i) => MIN_PATTERN_STEPS + i
+                  ).map((n) => (
+                    <option key={n} value={n} className="bg-[#101010]">
+                      {n}
+                    </option>
+                  ))}
+                </Select>
+                <span className="opacity-50">RES</span>
+                <Select
+                  value={getResolution(sequencerData)}
+                  onChange={(e) =>
+                    handleSequencerGrooveChange({ resolution: e.target.value })
+                  }
+                  title="Step resolution"
+                >
+                  {SEQUENCER_RESOLUTIONS.map((r) => (
+                    <option key={r.id} value={r.id} className="bg-[#101010]">
+                      {r.label}
+                    </option>
+                  ))}
+                </Select>
+                <span className="opacity-50">SWING</span>
+                <Select
+                  value={getSwing(sequencerData)}
+                  onChange={(e) =>
+                    handleSequencerGrooveChange({
+                      swing: Number(e.target.value),
+                    })
+                  }
+                  title="Swing (delays every second step)"
+                >
+                  {Array.from(
+                    { length: MAX_SWING / 5 + 1 },
+                    (_, i) => i * 5
+                  ).map((n) => (
+                    <option key={n} value={n} className="bg-[#101010]">
+                      {n}%
+                    </option>
+                  ))}
+                </Select>
+                {pageCount > 1 && (
+                  <>
+                    <button
+                      onClick={() => setSequencerPage(sequencerPage - 1)}
+                      disabled={sequencerPage === 0}
+                      className="disabled:opacity-30"
+                      title="Previous steps"
+                    >
+                      {"\u25C0"}
+                    </button>
+                    <span>
+                      {sequencerPage + 1}/{pageCount}
+                    </span>
+                    <button
+                      onClick={() => setSequencerPage(sequencerPage + 1)}
+                      disabled={sequencerPage >= pageCount - 1}
+                      className="disabled:opacity-30"
+                      title="Next steps"
+                    >
+                      {"\u25B6"}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
@@ -332,6 +615,38 @@ export const TrackItem = React.memo(
           onClose={() => setSelectedTrackForData(null)}
           trackData={selectedTrackForData}
         />
+        <ImportMidiModal
+          isOpen={isImportMidiOpen}
+          onClose={() => setIsImportMidiOpen(false)}
+          track={track}
+          sequencerMode={Boolean(config?.sequencerMode)}
+          onImportPattern={handleSequencerPatternImport}
+        />
+        <ExportMidiModal
+          isOpen={isExportMidiOpen}
+          onClose={() => setIsExportMidiOpen(false)}
+          track={track}
+          inputConfig={inputConfig}
+          sequencerMode={Boolean(config?.sequencerMode)}
+        />
+        <ExportVideoModal
+          isOpen={isExportVideoOpen}
+          onClose={() => setIsExportVideoOpen(false)}
+          track={track}
+          sequencerMode={Boolean(config?.sequencerMode)}
+        />
+        <MacrosModal
+          isOpen={isMacrosOpen}
+          onClose={() => setIsMacrosOpen(false)}
+          trackIndex={trackIndex}
+          predefinedModules={predefinedModules}
+        />
+        <ParameterMappingsModal
+          isOpen={isParameterMappingsOpen}
+          onClose={() => setIsParameterMappingsOpen(false)}
+          trackIndex={trackIndex}
+          predefinedModules={predefinedModules}
+        />
       </div>
     );
   }
@@ -0,0 +1,155 @@
+import React from "react";
+import { useAtom } from "jotai";
+import {
+  userDataAtom,
+  recordingDataAtom,
+  activeSetIdAtom,
+  sequencerPageAtom,
+  macroValuesAtom,
+} from "../../core/state.js";
+import { updateActiveSet } from "../../core/utils.js";
+import { useIPCSend } from "../../core/hooks/useIPC.js";
+import { getSequencerForTrack } from "../../../shared/json/recordingUtils.js";
+import {
+  STEPS_PER_PAGE,
+  getPatternLength,
+  getMaxPatternLength,
+  getPageCount,
+} from "../../../shared/sequencer/patternLength.js";
+import { findMacroLaneStep } from "../../../shared/sequencer/patternSteps.js";
+import { getTrackMacros } from "../../../shared/utils/macros.js";
+import { TERMINAL_STYLES } from "../../core/constants.js";
+import { HelpIcon } from "../HelpIcon.js";
+import { HELP_TEXT } from "../../../shared/helpText.js";
+
+const ROW_HEIGHT = 12;
+
+// A slider per track macro; in sequencer mode each macro also gets a step
+// lane that sets it on chosen steps
+export const TrackMacros = ({
+  track,
+  trackIndex,
+  sequencerMode,
+  isSequencerPlaying,
+  sequencerCurrentStep,
+  onToggleMacroStep,
+}) => {
+  const [, setUserData] = useAtom(userDataAtom);
+  const [recordingData] = useAtom(recordingDataAtom);
+  const [activeSetId] = useAtom(activeSetIdAtom);
+  const [sequencerPages] = useAtom(sequencerPageAtom);
+  const [macroValues, setMacroValues] = useAtom(macroValuesAtom);
+  const sendToProjector = useIPCSend("dashboard-to-projector");
+
+  const macros = getTrackMacros(track);
+  if (macros.length === 0) return null;
+
+  const liveValues = macroValues[track.id] || {};
+  const sequencerData = getSequencerForTrack(recordingData, track.id);
+  const patternLength = getPatternLength(sequencerData);
+  const maxPatternLength = getMaxPatternLength(sequencerData);
+  const sequencerPage = Math.min(
+    sequencerPages[track.id] || 0,
+    getPageCount(maxPatternLength) - 1
+  );
+  const pageStart = sequencerPage * STEPS_PER_PAGE;
+  const pageWidth = Math.min(STEPS_PER_PAGE, maxPatternLength - pageStart);
+
+  const handleSlide = (macroId, value) => {
+    setMacroValues((prev) => ({
+      ...prev,
+      [track.id]: { ...prev[track.id], [macroId]: value },
+    }));
+    sendToProjector("macro-change", { values: { [macroId]: value } });
+    updateActiveSet(setUserData, activeSetId, (activeSet) => {
+      const macro = activeSet.tracks[trackIndex]?.macros?.find(
+        (m) => m.id === macroId
+      );
+      if (macro) macro.value = value;
+    });
+  };
+
+  return (
+    <div className="px-12 font-mono">
+      <div className="pl-12 mb-2 relative inline-flex items-center text-[11px] text-neutral-500">
+        MACROS
+        <HelpIcon helpText={HELP_TEXT.trackMacros} />
+      </div>
+      {macros.map((macro) => {
+        const value = liveValues[macro.id] ?? macro.value;
+        return (
+          <div
+            key={macro.id}
+            className="pl-12 flex items-center text-[11px]"
+            style={{ minHeight: ROW_HEIGHT + 4 }}
+          >
+            <div
+              className="w-[140px] pr-4 text-neutral-300 truncate"
+              title={macro.cc !== undefined ? `CC ${macro.cc}` : undefined}
+            >
+              {macro.name}
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={value}
+              onChange={(e) => handleSlide(macro.id, Number(e.target.value))}
+              className="w-[120px] cursor-pointer"
+              style={{ accentColor: TERMINAL_STYLES.text }}
+              title={`${macro.name}: ${Math.round(value * 100)}%`}
+            />
+            <span className="w-10 text-right text-neutral-500">
+              {Math.round(value * 100)}%
+            </span>
+            {sequencerMode && (
+              <div className="ml-4 flex gap-0.5 items-center">
+                {Array.from({ length: pageWidth }).map((_, i) => {
+                  const stepIndex = pageStart + i;
+                  if (stepIndex >= patternLength) {
+                    return (
+                      <div
+                        key={stepIndex}
+                        className="w-[22px] h-[11px] flex-shrink-0"
+                      />
+                    );
+                  }
+                  const step = findMacroLaneStep(
+                    sequencerData,
+                    macro.id,
+                    stepIndex
+                  );
+                  const isCurrentStep =
+                    isSequencerPlaying &&
+                    sequencerCurrentStep % patternLength === stepIndex;
+                  return (
+                    <button
+                      key={stepIndex}
+                      onClick={() => onToggleMacroStep(macro.id, stepIndex)}
+                      className={`w-[22px] h-[11px] border flex-shrink-0 relative overflow-hidden bg-[#1a1a1a] ${
+                        step
+                          ? "border-[#b85c5c]"
+                          : "border-neutral-700 hover:border-neutral-500"
+                      } ${isCurrentStep ? "ring-2 ring-neutral-400" : ""}`}
+                      title={`${macro.name} - Step ${stepIndex + 1}${
+                        step ? ` (${Math.round(step.value * 100)}%)` : ""
+                      }`}
+                    >
+                      {step && (
+                        <span
+                          className="absolute left-0 right-0 bottom-0 bg-[#b85c5c]"
+                          style={{ height: `${step.value * 100}%` }}
+                        />
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
@@ -0,0 +1,295 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useAtom } from "jotai";
+import * as d3 from "d3";
+import {
+  userDataAtom,
+  recordingDataAtom,
+  recordingStateAtom,
+  trackPlayheadAtom,
+} from "../../core/state.js";
+import { TERMINAL_STYLES } from "../../core/constants.js";
+import {
+  getRecordingForTrack,
+  setRecordingForTrack,
+  getRecordingDuration,
+  countRecordingHits,
+  quantizeRecordingChannels,
+  trimRecordingChannels,
+  removeRecordingRange,
+} from "../../../shared/json/recordingUtils.js";
+import {
+  SEQUENCER_RESOLUTIONS,
+  DEFAULT_RESOLUTION,
+} from "../../../shared/sequencer/patternSteps.js";
+import { Button } from "../Button.js";
+import { Select } from "../FormInputs.js";
+import { HelpIcon } from "../HelpIcon.js";
+import { HELP_TEXT } from "../../../shared/helpText.js";
+
+const ROW_HEIGHT = 12;
+
+const formatSeconds = (seconds) => `${seconds.toFixed(2)}s`;
+
+// Captured channel hits for one track: arm/stop recording, review hits per
+// channel, drag to select a range to trim or delete, and quantize to a grid
+export const TrackRecordingTimeline = ({ track, onSeek, onConfirmDelete }) => {
+  const [userData] = useAtom(userDataAtom);
+  const [recordingData, setRecordingData] = useAtom(recordingDataAtom);
+  const [recordingState, setRecordingState] = useAtom(recordingStateAtom);
+  const [playheads] = useAtom(trackPlayheadAtom);
+  const [width, setWidth] = useState(0);
+  const [selection, setSelection] = useState(null); // [start, end] seconds
+  const [grid, setGrid] = useState(DEFAULT_RESOLUTION);
+  const [elapsed, setElapsed] = useState(0);
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const brushRef = useRef(null);
+
+  const recording = getRecordingForTrack(recordingData, track.id);
+  const channels = recording.channels || [];
+  const duration = getRecordingDuration(recording);
+  const hitCount = countRecordingHits(channels);
+  const trackRecording = recordingState[track.id];
+  const isArmed = Boolean(trackRecording?.isRecording);
+  const clockStart = isArmed ? trackRecording.startTime : null;
+  const channelNumbers = Object.keys(track.channelMappings || {}).sort(
+    (a, b) => Number(a) - Number(b)
+  );
+  const height = channelNumbers.length * ROW_HEIGHT;
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => {
+      setWidth(el.getBoundingClientRect().width);
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // Recording clock for the playhead while nothing is playing back
+  useEffect(() => {
+    if (clockStart === null) {
+      setElapsed(0);
+      return;
+    }
+    let frameId = null;
+    const update = () => {
+      setElapsed((Date.now() - clockStart) / 1000);
+      frameId = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frameId);
+  }, [clockStart]);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.select("g.hits").remove();
+    if (!width) return;
+    svg.attr("width", width).attr("height", height);
+
+    const x = d3.scaleLinear().domain([0, duration]).range([0, width]);
+    const hits = svg.insert("g", ":first-child").attr("class", "hits");
+    channelNumbers.forEach((channelNumber, row) => {
+      const channel = channels.find((ch) => ch.name === `ch${channelNumber}`);
+      hits
+        .append("g")
+        .selectAll("rect")
+        .data(channel?.sequences || [])
+        .enter()
+        .append("rect")
+        .attr("x", (d) => x(d.time))
+        .attr("y", row * ROW_HEIGHT + 1)
+        .attr("width", 2)
+        .attr("height", ROW_HEIGHT - 2)
+        .attr("fill", TERMINAL_STYLES.text);
+    });
+  }, [width, height, duration, channels, channelNumbers.join(",")]);
+
+  const handleBrushEnd = useCallback(
+    (event) => {
+      const x = d3.scaleLinear().domain([0, duration]).range([0, width]);
+      if (event.selection) {
+        setSelection(event.selection.map((px) => x.invert(px)));
+        return;
+      }
+      setSelection(null);
+      // A plain click (no drag) moves the playhead
+      if (event.sourceEvent) {
+        const [px] = d3.pointer(event.sourceEvent, svgRef.current);
+        onSeek(Math.max(0, x.invert(px)) * 1000);
+      }
+    },
+    [duration, width, onSeek]
+  );
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.select("g.brush").remove();
+    if (!width || !height) return;
+    const brush = d3
+      .brushX()
+      .extent([
+        [0, 0],
+        [width, height],
+      ])
+      .on("end", handleBrushEnd);
+    svg.append("g").attr("class", "brush").call(brush);
+    brushRef.current = brush;
+    setSelection(null);
+  }, [width, height, handleBrushEnd]);
+
+  const clearSelection = () => {
+    const brushGroup = d3.select(svgRef.current).select("g.brush");
+    if (brushRef.current && !brushGroup.empty()) {
+      brushGroup.call(brushRef.current.move, null);
+    }
+    setSelection(null);
+  };
+
+  const updateChannels = (getChannels) => {
+    setRecordingData((prev) => {
+      const current = getRecordingForTrack(prev, track.id);
+      return setRecordingForTrack(prev, track.id, {
+        ...current,
+        channels: getChannels(current.channels || []),
+      });
+    });
+  };
+
+  const handleToggleRecord = () => {
+    setRecordingState((prev) => {
+      const { [track.id]: _current, ...rest } = prev;
+      // The clock starts on the track's select trigger or its first hit
+      return isArmed
+        ? rest
+        : { ...rest, [track.id]: { isRecording: true, startTime: null } };
+    });
+  };
+
+  const handleQuantize = () => {
+    const bpm = userData.config?.sequencerBpm || 120;
+    const beats = SEQUENCER_RESOLUTIONS.find((r) => r.id === grid).beats;
+    updateChannels((current) =>
+      quantizeRecordingChannels(current, (60 / bpm) * beats)
+    );
+  };
+
+  // With audio attached, hits keep their times so they stay on the waveform
+  const handleTrim = () => {
+    const [start, end] = selection;
+    const offset = recording.audio ? 0 : start;
+    updateChannels((current) =>
+      trimRecordingChannels(current, start, end, offset)
+    );
+    clearSelection();
+  };
+
+  const handleDeleteRange = () => {
+    const [start, end] = selection;
+    updateChannels((current) => removeRecordingRange(current, start, end));
+    clearSelection();
+  };
+
+  const handleClear = () => {
+    onConfirmDelete("Clear every recorded hit on this track?", () =>
+      updateChannels(() => [])
+    );
+  };
+
+  const position =
+    playheads[track.id] > 0 ? playheads[track.id] / 1000 : elapsed;
+  const playheadLeft = width ? (position / duration) * width : 0;
+
+  return (
+    <div className="px-12 font-mono">
+      <div className="pl-12 mb-2 flex flex-wrap items-center gap-4 text-[11px]">
+        <div className="relative inline-flex items-center">
+          <Button
+            onClick={handleToggleRecord}
+            title={isArmed ? "Stop recording" : "Arm recording"}
+          >
+            {isArmed ? <span className="text-red-500">STOP REC</span> : "REC"}
+          </Button>
+          <HelpIcon helpText={HELP_TEXT.liveRecording} />
+        </div>
+        <span className={isArmed ? "text-red-500" : "text-neutral-500"}>
+          {isArmed
+            ? clockStart === null
+              ? "ARMED"
+              : `● ${formatSeconds(elapsed)}`
+            : `${hitCount} hit${hitCount === 1 ? "" : "s"}`}
+        </span>
+        <div className="flex items-center gap-2">
+          <Select
+            value={grid}
+            onChange={(e) => setGrid(e.target.value)}
+            className="py-0.5"
+            title="Quantize grid"
+          >
+            {SEQUENCER_RESOLUTIONS.map((r) => (
+              <option key={r.id} value={r.id} className="bg-[#101010]">
+                {r.label}
+              </option>
+            ))}
+          </Select>
+          <Button
+            onClick={handleQuantize}
+            disabled={hitCount === 0}
+            title="Snap every hit to the grid at the sequencer BPM"
+          >
+            QUANTIZE
+          </Button>
+        </div>
+        {selection && (
+          <div className="flex items-center gap-2">
+            <span className="text-neutral-500">
+              {formatSeconds(selection[0])}-{formatSeconds(selection[1])}
+            </span>
+            <Button onClick={handleTrim} title="Keep only the selected range">
+              TRIM
+            </Button>
+            <Button
+              onClick={handleDeleteRange}
+              title="Delete hits in the selected range"
+            >
+              DELETE
+            </Button>
+          </div>
+        )}
+        <Button
+          onClick={handleClear}
+          type="secondary"
+          disabled={hitCount === 0}
+          title="Delete every recorded hit"
+        >
+          CLEAR
+        </Button>
+      </div>
+      <div className="pl-12 flex">
+        <div className="w-[140px] pr-4 flex flex-col">
+          {channelNumbers.map((channelNumber) => (
+            <div
+              key={channelNumber}
+              className="text-[11px] text-neutral-300 leading-[12px]"
+              style={{ height: ROW_HEIGHT }}
+            >
+              CH {channelNumber}
+            </div>
+          ))}
+        </div>
+        <div
+          ref={containerRef}
+          className="flex-1 relative"
+          style={{ height }}
+        >
+          <svg ref={svgRef} className="absolute inset-0" />
+          <div
+            className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none"
+            style={{ left: playheadLeft }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -14,6 +14,16 @@ export const useIPCSend = (channel = "dashboard-to-projector") => {
       if (channel === "projector-to-dashboard") {
         if (typeof messaging.sendToDashboard !== "function") return;
         messaging.sendToDashboard(type, props);
+        return;
+      }
+      if (channel === "osc-output") {
+        if (typeof messaging.sendOscOutput !== "function") return;
+        messaging.sendOscOutput(type, props);
+        return;
+      }
+      if (channel === "audio-input") {
+        if (typeof messaging.sendAudioInput !== "function") return;
+        messaging.sendAudioInput(type, props);
       }
     },
     [channel]
@@ -29,11 +39,66 @@ export const useIPCInvoke = () => {
         ? await messaging.configureInput(args[0])
         : null;
     }
+    if (channel === "input:configure-clock") {
+      return typeof messaging.configureClock === "function"
+        ? await messaging.configureClock(args[0])
+        : null;
+    }
+    if (channel === "tempo-sync:configure") {
+      return typeof messaging.configureTempoSync === "function"
+        ? await messaging.configureTempoSync(args[0])
+        : null;
+    }
+    if (channel === "tempo-sync:lead") {
+      return typeof messaging.leadTempoSync === "function"
+        ? await messaging.leadTempoSync()
+        : null;
+    }
+    if (channel === "osc-output:configure") {
+      return typeof messaging.configureOscOutput === "function"
+        ? await messaging.configureOscOutput(args[0])
+        : null;
+    }
+    if (channel === "outputs:configure") {
+      return typeof messaging.configureOutputs === "function"
+        ? await messaging.configureOutputs(args[0])
+        : null;
+    }
+    if (channel === "outputs:get-displays") {
+      return typeof messaging.getDisplays === "function"
+        ? await messaging.getDisplays()
+        : null;
+    }
+    if (channel === "input:select-audio-file") {
+      return typeof messaging.selectAudioFile === "function"
+        ? await messaging.selectAudioFile()
+        : null;
+    }
     if (channel === "input:get-midi-devices") {
       return typeof messaging.getMidiDevices === "function"
         ? await messaging.getMidiDevices()
         : null;
     }
+    if (channel === "input:get-serial-ports") {
+      return typeof messaging.getSerialPorts === "function"
+        ? await messaging.getSerialPorts()
+        : null;
+    }
+    if (channel === "workspace:import-audio") {
+      return typeof messaging.importTrackAudio === "function"
+        ? await messaging.importTrackAudio()
+        : null;
+    }
+    if (channel === "midi:open-file") {
+      return typeof messaging.openMidiFile === "function"
+        ? await messaging.openMidiFile()
+        : null;
+    }
+    if (channel === "midi:save-file") {
+      return typeof messaging.saveMidiFile === "function"
+        ? await messaging.saveMidiFile(args[0])
+        : null;
+    }
     if (channel === "workspace:select") {
       return typeof messaging.selectWorkspace === "function"
         ? await messaging.selectWorkspace()
@@ -10,6 +10,15 @@ import {
   resolveChannelTrigger,
 } from "../../../shared/midi/midiUtils.js";
 import { getActiveSetTracks } from "../../../shared/utils/setUtils.js";
+import {
+  findTrackMacro,
+  getMacrosForController,
+} from "../../../shared/utils/macros.js";
+import {
+  INPUT_SOURCE_LABELS,
+  getInputSourceTypes,
+  isDirectInputSource,
+} from "../../../shared/config/inputSources.js";
 import { useIPCListener } from "./useIPC.js";
 
 export const useInputEvents = ({
@@ -19,10 +28,12 @@ export const useInputEvents = ({
   activeTrackIdRef,
   activeSetIdRef,
   recordingStateRef,
+  footerPlaybackEngineRef,
   triggerMapsRef,
   setActiveTrackId,
   setRecordingData,
   setRecordingState,
+  setMacroValues,
   flashChannel,
   setFlashingConstructors,
   setInputStatus,
@@ -34,9 +45,14 @@ export const useInputEvents = ({
   useEffect(() => {
     const tracks = getActiveSetTracks(userData, activeSetId);
     const globalMappings = userData?.config || {};
-    const inputType = globalMappings.input?.type || "midi";
     const { buildMidiConfig } = require("../../../shared/midi/midiUtils.js");
-    triggerMapsRef.current = buildMidiConfig(tracks, globalMappings, inputType);
+    // Trigger maps are keyed by source so MIDI and OSC can drive tracks at once
+    triggerMapsRef.current = Object.fromEntries(
+      getInputSourceTypes(globalMappings.input).map((source) => [
+        source,
+        buildMidiConfig(tracks, globalMappings, source),
+      ])
+    );
   }, [
     userData?.sets,
     userData?.config?.input,
@@ -90,14 +106,27 @@ export const useInputEvents = ({
       props,
     } = eventData;
     const timeStr = timestamp.toFixed(5);
-    const sourceLabel =
-      source === "midi" ? "MIDI" : source === "osc" ? "OSC" : "Input";
+    const sourceLabel = INPUT_SOURCE_LABELS[source] || "Input";
     const eventTypeLabel =
-      type === "track-selection" ? "Track Selection" : "Channel Trigger";
+      type === "track-selection"
+        ? "Track Selection"
+        : type === "parameter-change"
+        ? "Parameter Change"
+        : type === "macro-change"
+        ? "Macro Change"
+        : type === "method-release"
+        ? "Channel Release"
+        : "Channel Trigger";
 
     let log = `[${timeStr}] ${sourceLabel} ${eventTypeLabel}\n`;
 
-    if (source === "midi") {
+    if (type === "parameter-change") {
+      log += `  CC: ${data.controller}\n`;
+      log += `  Value: ${data.rawValue}\n`;
+      if (data.channel !== undefined) {
+        log += `  Channel: ${data.channel}\n`;
+      }
+    } else if (source === "midi") {
       const pc = noteNumberToPitchClass(data.note);
       const pcName = pc !== null ? pitchClassToName(pc) : null;
       if (type === "track-selection") {
@@ -111,7 +140,7 @@ export const useInputEvents = ({
         }\n`;
         log += `  Channel: ${data.channel}\n`;
       }
-    } else if (source === "osc") {
+    } else if (source === "osc" || isDirectInputSource(source)) {
       if (data.address) {
         log += `  Address: ${data.address}\n`;
       }
@@ -141,6 +170,26 @@ export const useInputEvents = ({
     return log;
   }, []);
 
+  // The ref is updated right away so hits arriving before the next render
+  // share the same clock
+  const startRecordingClock = useCallback((trackId, startTime) => {
+    const next = {
+      ...recordingStateRef.current,
+      [trackId]: { isRecording: true, startTime },
+    };
+    recordingStateRef.current = next;
+    setRecordingState(next);
+    return startTime;
+  }, []);
+
+  // Live macro positions from controllers, shown on the track's sliders
+  const updateMacroValues = useCallback((trackId, values) => {
+    setMacroValues((prev) => ({
+      ...prev,
+      [trackId]: { ...prev[trackId], ...values },
+    }));
+  }, []);
+
   const handleInputEvent = useCallback(
     (event, payload) => {
       const { type, data } = payload;
@@ -148,13 +197,16 @@ export const useInputEvents = ({
 
       const activeConfig = userDataRef.current?.config || {};
       const isSequencerMode = activeConfig?.sequencerMode === true;
-      const selectedInputType = activeConfig?.input?.type || "midi";
+      const enabledSources = getInputSourceTypes(activeConfig?.input);
       if (isSequencerMode) {
         return;
       }
-      if (data?.source && data.source !== selectedInputType) {
+      if (data?.source && !enabledSources.includes(data.source)) {
         return;
       }
+      const triggerMaps = triggerMapsRef.current?.[
+        data?.source || enabledSources[0]
+      ] || { trackTriggersMap: {}, channelMappings: {} };
 
       const tracks = getActiveSetTracks(
         userDataRef.current || {},
@@ -172,10 +224,12 @@ export const useInputEvents = ({
           if (data.source === "midi") {
             const pc = noteNumberToPitchClass(data.note);
             resolvedTrackName =
-              pc !== null ? triggerMapsRef.current.trackTriggersMap[pc] : null;
-          } else if (data.source === "osc") {
-            resolvedTrackName =
-              triggerMapsRef.current.trackTriggersMap[data.identifier];
+              pc !== null ? triggerMaps.trackTriggersMap[pc] : null;
+          } else if (
+            data.source === "osc" ||
+            isDirectInputSource(data.source)
+          ) {
+            resolvedTrackName = triggerMaps.trackTriggersMap[data.identifier];
           }
 
           if (resolvedTrackName) {
@@ -186,25 +240,12 @@ export const useInputEvents = ({
               trackName = targetTrack.name;
               setActiveTrackId(targetTrack.id);
 
-              const wasRecording = recordingStateRef.current[targetTrack.id];
-              if (wasRecording) {
-                setRecordingData((prev) => {
-                  const existing = getRecordingForTrack(prev, targetTrack.id);
-                  return setRecordingForTrack(prev, targetTrack.id, {
-                    ...existing,
-                    channels: [],
-                  });
-                });
+              // An armed track starts its recording clock when selected
+              const armed = recordingStateRef.current[targetTrack.id];
+              if (armed?.isRecording && armed.startTime === null) {
+                startRecordingClock(targetTrack.id, Date.now());
               }
 
-              setRecordingState((prev) => ({
-                ...prev,
-                [targetTrack.id]: {
-                  startTime: Date.now(),
-                  isRecording: true,
-                },
-              }));
-
               if (Array.isArray(targetTrack.modules)) {
                 const keys = targetTrack.modules.map(
                   (moduleInstance) => `${targetTrack.id}:${moduleInstance.id}`
@@ -234,7 +275,7 @@ export const useInputEvents = ({
           if (activeTrack && activeTrack.channelMappings) {
             let channelsToFlash = [];
             const globalMappings = userDataRef.current?.config || {};
-            const currentInputType = globalMappings.input?.type || "midi";
+            const currentInputType = data.source || enabledSources[0];
 
             if (data.source === "midi") {
               const triggerPc = noteNumberToPitchClass(data.note);
@@ -255,6 +296,10 @@ export const useInputEvents = ({
                   }
                 }
               );
+            } else if (isDirectInputSource(data.source) && data.channelName) {
+              if (activeTrack.channelMappings[data.channelName] !== undefined) {
+                channelsToFlash.push(data.channelName);
+              }
             } else if (data.source === "osc" && data.channelName) {
               Object.entries(activeTrack.channelMappings).forEach(
                 ([channelNumber, slotNumber]) => {
@@ -279,8 +324,15 @@ export const useInputEvents = ({
                 recordingStateRef.current[currentActiveTrackId];
               if (recordingStateForTrack?.isRecording) {
                 const currentTime = Date.now();
-                const relativeTime =
-                  (currentTime - recordingStateForTrack.startTime) / 1000;
+                const startTime =
+                  recordingStateForTrack.startTime ??
+                  startRecordingClock(currentActiveTrackId, currentTime);
+                // Overdubs over playback are stamped at the playhead
+                const playback =
+                  footerPlaybackEngineRef.current[currentActiveTrackId];
+                const relativeTime = playback?.isPlaying
+                  ? playback.getCurrentTime() / 1000
+                  : (currentTime - startTime) / 1000;
 
                 channelsToFlash.forEach((channelNumber) => {
                   const channelName = `ch${channelNumber}`;
@@ -322,6 +374,36 @@ export const useInputEvents = ({
             }
           }
           break;
+
+        case "parameter-change": {
+          const parameterTrack = tracks.find(
+            (t) => t.id === activeTrackIdRef.current
+          );
+          trackName = parameterTrack?.name || null;
+          const macros = getMacrosForController(
+            parameterTrack,
+            data.controller
+          );
+          if (macros.length > 0) {
+            updateMacroValues(
+              parameterTrack.id,
+              Object.fromEntries(macros.map((m) => [m.id, data.value]))
+            );
+          }
+          break;
+        }
+
+        case "macro-change": {
+          const macroTrack = tracks.find(
+            (t) => t.id === activeTrackIdRef.current
+          );
+          trackName = macroTrack?.name || null;
+          const macro = findTrackMacro(macroTrack, data.identifier);
+          if (macro) {
+            updateMacroValues(macroTrack.id, { [macro.id]: data.value });
+          }
+          break;
+        }
       }
 
       const log = formatDebugLog({
@@ -342,7 +424,8 @@ export const useInputEvents = ({
       addDebugLog,
       setActiveTrackId,
       setRecordingData,
-      setRecordingState,
+      startRecordingClock,
+      updateMacroValues,
       setFlashingConstructors,
     ]
   );
@@ -0,0 +1,54 @@
+import { useEffect, useMemo } from "react";
+import { useIPCSend } from "./useIPC.js";
+
+const findModuleDef = (predefinedModules, moduleType) =>
+  (predefinedModules || []).find(
+    (m) => m.id === moduleType || m.name === moduleType
+  ) || null;
+
+const getNumericMethods = (moduleDef) => {
+  const methods = Array.isArray(moduleDef?.methods) ? moduleDef.methods : [];
+  return methods
+    .map((method) => ({
+      name: method?.name,
+      options: (method?.options || []).filter((o) => o?.type === "number"),
+    }))
+    .filter((method) => method.name && method.options.length > 0);
+};
+
+export const getDefaultRange = (optionDef) => {
+  const min = typeof optionDef?.min === "number" ? optionDef.min : 0;
+  const max =
+    typeof optionDef?.max === "number"
+      ? optionDef.max
+      : typeof optionDef?.defaultVal === "number" && optionDef.defaultVal > 0
+      ? optionDef.defaultVal * 2
+      : 1;
+  return { min, max };
+};
+
+// Methods with numeric options for each module instance on a track, keyed by
+// instance id. Modules not introspected yet are requested while `isOpen`.
+export const useNumericMethods = (isOpen, modules, predefinedModules) => {
+  const sendToProjector = useIPCSend("dashboard-to-projector");
+
+  const methodsByInstance = useMemo(() => {
+    const map = {};
+    modules.forEach((m) => {
+      map[m.id] = getNumericMethods(findModuleDef(predefinedModules, m.type));
+    });
+    return map;
+  }, [modules, predefinedModules]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    modules.forEach((m) => {
+      const def = findModuleDef(predefinedModules, m.type);
+      if (def && (!Array.isArray(def.methods) || def.methods.length === 0)) {
+        sendToProjector("module-introspect", { moduleId: m.type });
+      }
+    });
+  }, [isOpen, modules, predefinedModules, sendToProjector]);
+
+  return methodsByInstance;
+};
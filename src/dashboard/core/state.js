@@ -16,6 +16,9 @@ export const flashingChannelsAtom = atom(new Set());
 export const flashingConstructorsAtom = atom(new Set());
 export const recordingStateAtom = atom({});
 export const helpTextAtom = atom("");
+export const sequencerPageAtom = atom({}); // trackId -> visible grid page
+export const trackPlayheadAtom = atom({}); // trackId -> playback position ms
+export const macroValuesAtom = atom({}); // trackId -> { macroId: 0-1 } live
 
 // =========================
 // Custom Hooks
@@ -0,0 +1,303 @@
+import React from "react";
+import { useAtom } from "jotai";
+import { FaPlus, FaTrash, FaArrowUp, FaArrowDown } from "react-icons/fa";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import {
+  NumberInput,
+  Select,
+  Checkbox,
+  Label,
+} from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import {
+  userDataAtom,
+  activeSetIdAtom,
+  activeTrackIdAtom,
+} from "../core/state.js";
+import { updateActiveSet } from "../core/utils.js";
+import { getActiveSet } from "../../shared/utils/setUtils.js";
+import {
+  SECTION_LENGTH_UNITS,
+  MAX_SECTION_BARS,
+  MAX_SECTION_SECONDS,
+  getArrangement,
+  getSectionUnit,
+  getSectionBars,
+  createSection,
+} from "../../shared/sequencer/arrangement.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+export const ArrangementModal = ({ isOpen, onClose, onConfirmDelete }) => {
+  const [userData, setUserData] = useAtom(userDataAtom);
+  const [activeSetId] = useAtom(activeSetIdAtom);
+  const [activeTrackId] = useAtom(activeTrackIdAtom);
+
+  if (!isOpen) return null;
+
+  const activeSet = getActiveSet(userData, activeSetId);
+  const tracks = activeSet?.tracks || [];
+  const arrangement = getArrangement(activeSet);
+  const { sections } = arrangement;
+  const bpm = userData.config?.sequencerBpm || 120;
+
+  // Writes go straight to the set; sections of deleted tracks are dropped
+  const updateArrangement = (update) => {
+    updateActiveSet(setUserData, activeSetId, (set) => {
+      const current = getArrangement(set);
+      const next = {
+        sections: current.sections,
+        loop: current.loop,
+        loopStart: current.sections[current.loopStart]?.id,
+        loopEnd: current.sections[current.loopEnd]?.id,
+        ...update(current),
+      };
+      set.arrangement = next;
+    });
+  };
+
+  const updateSection = (index, getSection) => {
+    updateArrangement((current) => ({
+      sections: current.sections.map((section, i) =>
+        i === index ? getSection(section) : section
+      ),
+    }));
+  };
+
+  const handleAdd = () => {
+    const trackId = tracks.some((t) => t.id === activeTrackId)
+      ? activeTrackId
+      : tracks[0]?.id;
+    if (trackId === undefined) return;
+    updateArrangement((current) => ({
+      sections: [...current.sections, createSection(trackId)],
+    }));
+  };
+
+  const handleMove = (index, offset) => {
+    updateArrangement((current) => {
+      const next = [...current.sections];
+      const [section] = next.splice(index, 1);
+      next.splice(index + offset, 0, section);
+      return { sections: next };
+    });
+  };
+
+  const handleRemove = (index) => {
+    onConfirmDelete("Remove this section from the song?", () =>
+      updateArrangement((current) => ({
+        sections: current.sections.filter((_, i) => i !== index),
+      }))
+    );
+  };
+
+  const handleLength = (index, value) => {
+    const n = parseInt(value, 10);
+    if (!Number.isFinite(n)) return;
+    updateSection(index, (section) => {
+      const unit = getSectionUnit(section);
+      const max = unit === "seconds" ? MAX_SECTION_SECONDS : MAX_SECTION_BARS;
+      return { ...section, [unit]: Math.max(1, Math.min(max, n)) };
+    });
+  };
+
+  // Switching units keeps the section about the same length
+  const handleUnit = (index, unit) => {
+    updateSection(index, (section) => {
+      const { bars: _bars, seconds: _seconds, ...rest } = section;
+      const bars = getSectionBars(section, bpm);
+      return unit === "seconds"
+        ? { ...rest, seconds: Math.round((bars * 4 * 60) / bpm) || 1 }
+        : { ...rest, bars };
+    });
+  };
+
+  const renderSectionSelect = (value, onChange, disabled) => (
+    <Select
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      className="py-1"
+      disabled={disabled}
+    >
+      {sections.map((section, index) => (
+        <option key={section.id} value={section.id} className="bg-[#101010]">
+          {index + 1}.{" "}
+          {tracks.find((t) => t.id === section.trackId)?.name || ""}
+        </option>
+      ))}
+    </Select>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalHeader title={`SONG: ${activeSet?.name || ""}`} onClose={onClose} />
+
+      <div className="px-6 flex flex-col gap-4">
+        <div className="relative inline-block">
+          <Label>Sections</Label>
+          <HelpIcon helpText={HELP_TEXT.songMode} />
+        </div>
+
+        {tracks.length === 0 ? (
+          <div className="text-neutral-300/30 text-[11px]">
+            [NO TRACKS IN THIS SET]
+          </div>
+        ) : sections.length === 0 ? (
+          <div className="text-neutral-300/30 text-[11px]">
+            [NO SECTIONS ADDED]
+          </div>
+        ) : (
+          <div className="flex flex-col gap-3">
+            {sections.map((section, index) => {
+              const unit = getSectionUnit(section);
+              return (
+                <div
+                  key={section.id}
+                  className="flex items-end gap-3 flex-wrap font-mono"
+                >
+                  <div className="w-6 pb-1 text-[11px] opacity-50">
+                    {index + 1}.
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Track</div>
+                    <Select
+                      value={section.trackId}
+                      onChange={(e) => {
+                        const trackId = tracks.find(
+                          (t) => String(t.id) === e.target.value
+                        )?.id;
+                        if (trackId === undefined) return;
+                        updateSection(index, (current) => ({
+                          ...current,
+                          trackId,
+                        }));
+                      }}
+                      className="py-1"
+                    >
+                      {tracks.map((t) => (
+                        <option
+                          key={t.id}
+                          value={t.id}
+                          className="bg-[#101010]"
+                        >
+                          {t.name}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Length</div>
+                    <NumberInput
+                      value={section[unit]}
+                      min={1}
+                      max={
+                        unit === "seconds"
+                          ? MAX_SECTION_SECONDS
+                          : MAX_SECTION_BARS
+                      }
+                      onChange={(e) => handleLength(index, e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Unit</div>
+                    <Select
+                      value={unit}
+                      onChange={(e) => handleUnit(index, e.target.value)}
+                      className="py-1"
+                    >
+                      {SECTION_LENGTH_UNITS.map((u) => (
+                        <option
+                          key={u.id}
+                          value={u.id}
+                          className="bg-[#101010]"
+                        >
+                          {u.label}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+                  {unit === "seconds" && (
+                    <div className="pb-1 text-[11px] opacity-50">
+                      = {getSectionBars(section, bpm)} bars
+                    </div>
+                  )}
+                  <Button
+                    onClick={() => handleMove(index, -1)}
+                    type="secondary"
+                    icon={<FaArrowUp />}
+                    disabled={index === 0}
+                    title="Move up"
+                  />
+                  <Button
+                    onClick={() => handleMove(index, 1)}
+                    type="secondary"
+                    icon={<FaArrowDown />}
+                    disabled={index === sections.length - 1}
+                    title="Move down"
+                  />
+                  <Button
+                    onClick={() => handleRemove(index)}
+                    type="secondary"
+                    icon={<FaTrash />}
+                    title="Remove section"
+                  />
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div>
+          <Button
+            onClick={handleAdd}
+            icon={<FaPlus />}
+            disabled={tracks.length === 0}
+          >
+            SECTION
+          </Button>
+        </div>
+
+        <div className="flex items-end gap-3 flex-wrap font-mono text-[11px]">
+          <label className="flex items-center gap-2 pb-1 cursor-pointer">
+            <Checkbox
+              checked={arrangement.loop}
+              disabled={sections.length === 0}
+              onChange={(e) =>
+                updateArrangement(() => ({ loop: e.target.checked }))
+              }
+            />
+            Loop
+          </label>
+          <div>
+            <div className="opacity-50 mb-1">From</div>
+            {renderSectionSelect(
+              sections[arrangement.loopStart]?.id,
+              (loopStart) => updateArrangement(() => ({ loopStart })),
+              !arrangement.loop
+            )}
+          </div>
+          <div>
+            <div className="opacity-50 mb-1">To</div>
+            {renderSectionSelect(
+              sections[arrangement.loopEnd]?.id,
+              (loopEnd) => updateArrangement(() => ({ loopEnd })),
+              !arrangement.loop
+            )}
+          </div>
+        </div>
+
+        <div className="text-neutral-500 text-[11px]">
+          Turn on Song in the footer (sequencer mode) to play the arrangement.
+        </div>
+      </div>
+
+      <ModalFooter>
+        <Button onClick={onClose} type="secondary">
+          Close
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
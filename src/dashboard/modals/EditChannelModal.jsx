@@ -99,6 +99,11 @@ export const EditChannelModal = ({
               currentTrack.modulesData[moduleId].methods[oldKey];
             delete currentTrack.modulesData[moduleId].methods[oldKey];
           }
+          if (currentTrack.modulesData[moduleId].releaseMethods?.[oldKey]) {
+            currentTrack.modulesData[moduleId].releaseMethods[newKey] =
+              currentTrack.modulesData[moduleId].releaseMethods[oldKey];
+            delete currentTrack.modulesData[moduleId].releaseMethods[oldKey];
+          }
         });
       }
 
@@ -4,7 +4,13 @@ import { Modal } from "../shared/Modal.jsx";
 import { ModalHeader } from "../components/ModalHeader.js";
 import { ModalFooter } from "../components/ModalFooter.js";
 import { Button } from "../components/Button.js";
-import { TextInput, Select, Label, ValidationError } from "../components/FormInputs.js";
+import {
+  TextInput,
+  NumberInput,
+  Select,
+  Label,
+  ValidationError,
+} from "../components/FormInputs.js";
 import { HelpIcon } from "../components/HelpIcon.js";
 import { userDataAtom, activeSetIdAtom } from "../core/state.js";
 import { updateActiveSet } from "../core/utils.js";
@@ -13,6 +19,12 @@ import { HELP_TEXT } from "../../shared/helpText.js";
 import { useNameValidation } from "../core/hooks/useNameValidation.js";
 import { useTrackSlots } from "../core/hooks/useTrackSlots.js";
 import { parsePitchClass, pitchClassToName } from "../../shared/midi/midiUtils.js";
+import {
+  TRACK_TRANSITION_TYPES,
+  MAX_TRANSITION_DURATION,
+  getTrackTransition,
+  normalizeTrackTransition,
+} from "../../shared/utils/trackTransitions.js";
 
 export const EditTrackModal = ({
   isOpen,
@@ -24,6 +36,7 @@ export const EditTrackModal = ({
   const [activeSetId] = useAtom(activeSetIdAtom);
   const [trackName, setTrackName] = useState("");
   const [trackSlot, setTrackSlot] = useState(1);
+  const [transition, setTransition] = useState(getTrackTransition(null));
 
   const tracks = getActiveSetTracks(userData, activeSetId);
   const track = tracks[trackIndex];
@@ -69,9 +82,11 @@ export const EditTrackModal = ({
     if (!isOpen) {
       setTrackName("");
       setTrackSlot(1);
+      setTransition(getTrackTransition(null));
     } else if (track) {
       setTrackName(track.name || "");
       setTrackSlot(track.trackSlot || 1);
+      setTransition(getTrackTransition(track));
     }
   }, [isOpen, track]);
 
@@ -84,8 +99,15 @@ export const EditTrackModal = ({
     if (!canSubmit) return;
 
     updateActiveSet(setUserData, activeSetId, (activeSet) => {
-      activeSet.tracks[trackIndex].name = trackName.trim();
-      activeSet.tracks[trackIndex].trackSlot = trackSlot;
+      const currentTrack = activeSet.tracks[trackIndex];
+      currentTrack.name = trackName.trim();
+      currentTrack.trackSlot = trackSlot;
+      const nextTransition = normalizeTrackTransition(transition);
+      if (nextTransition.type === "cut") {
+        delete currentTrack.transition;
+      } else {
+        currentTrack.transition = nextTransition;
+      }
     });
 
     onClose();
@@ -165,6 +187,46 @@ export const EditTrackModal = ({
             </div>
           ) : null}
         </div>
+
+        <div>
+          <div className="relative inline-block">
+            <Label>Transition In</Label>
+            <HelpIcon helpText={HELP_TEXT.trackTransition} />
+          </div>
+          <div className="flex items-center gap-3 font-mono">
+            <Select
+              value={transition.type}
+              onChange={(e) =>
+                setTransition((prev) => ({ ...prev, type: e.target.value }))
+              }
+              className="py-1"
+            >
+              {TRACK_TRANSITION_TYPES.map((t) => (
+                <option key={t.id} value={t.id} className="bg-[#101010]">
+                  {t.label}
+                </option>
+              ))}
+            </Select>
+            {transition.type !== "cut" && (
+              <>
+                <NumberInput
+                  value={transition.duration}
+                  min={0}
+                  max={MAX_TRANSITION_DURATION}
+                  step={100}
+                  onChange={(e) => {
+                    const duration = parseInt(e.target.value, 10);
+                    if (!Number.isFinite(duration)) return;
+                    setTransition((prev) => ({ ...prev, duration }));
+                  }}
+                />
+                <span className="text-[11px] opacity-50">
+                  {transition.type === "beat" ? "ms max wait" : "ms"}
+                </span>
+              </>
+            )}
+          </div>
+        </div>
       </div>
 
       <ModalFooter>
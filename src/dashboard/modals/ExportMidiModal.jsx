@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { useAtom } from "jotai";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import { RadioButton, Checkbox, Label } from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import { useIPCInvoke } from "../core/hooks/useIPC.js";
+import { userDataAtom, recordingDataAtom } from "../core/state.js";
+import {
+  getRecordingForTrack,
+  getSequencerForTrack,
+} from "../../shared/json/recordingUtils.js";
+import {
+  patternToMidi,
+  recordingToMidi,
+  midiToBytes,
+} from "../../shared/midi/midiFileExport.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+export const ExportMidiModal = ({
+  isOpen,
+  onClose,
+  track,
+  inputConfig,
+  sequencerMode,
+}) => {
+  const [userData] = useAtom(userDataAtom);
+  const [recordingData] = useAtom(recordingDataAtom);
+  const invokeIPC = useIPCInvoke();
+  const [source, setSource] = useState("pattern");
+  const [includeTrackSelect, setIncludeTrackSelect] = useState(true);
+  const [status, setStatus] = useState(null);
+
+  const sequencer = getSequencerForTrack(recordingData, track?.id);
+  const recording = getRecordingForTrack(recordingData, track?.id);
+  const patternHits = Object.values(sequencer.pattern || {}).reduce(
+    (n, steps) => n + steps.length,
+    0
+  );
+  const recordingHits = (recording.channels || []).reduce(
+    (n, ch) => n + (ch.sequences || []).length,
+    0
+  );
+
+  useEffect(() => {
+    if (!isOpen) {
+      setStatus(null);
+      return;
+    }
+    const preferPattern = sequencerMode ? patternHits > 0 : !recordingHits;
+    setSource(preferPattern ? "pattern" : "recording");
+    setIncludeTrackSelect(true);
+  }, [isOpen]);
+
+  const result = useMemo(() => {
+    if (!isOpen || !track) return null;
+    const options = {
+      track,
+      globalMappings: userData.config || {},
+      inputConfig,
+      bpm: userData.config?.sequencerBpm || 120,
+      includeTrackSelect,
+    };
+    return source === "pattern"
+      ? patternToMidi({ ...options, sequencer })
+      : recordingToMidi({ ...options, recording });
+  }, [
+    isOpen,
+    track,
+    userData.config,
+    inputConfig,
+    includeTrackSelect,
+    source,
+    sequencer,
+    recording,
+  ]);
+
+  if (!isOpen || !track) return null;
+
+  const sources = [
+    {
+      id: "pattern",
+      label: `Sequencer pattern (${patternHits} steps set)`,
+      disabled: patternHits === 0,
+    },
+    {
+      id: "recording",
+      label: `Recording (${recordingHits} events)`,
+      disabled: recordingHits === 0,
+    },
+  ];
+  const noteCount = result
+    ? result.midi.tracks.reduce((n, t) => n + t.notes.length, 0)
+    : 0;
+
+  const handleExport = async () => {
+    if (!result) return;
+    setStatus(null);
+    const response = await invokeIPC("midi:save-file", {
+      defaultName: `${track.name}.mid`,
+      data: midiToBytes(result.midi),
+    });
+    if (!response || response.cancelled) {
+      if (response?.error) setStatus({ error: response.error });
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalHeader title={`EXPORT .MID: ${track.name}`} onClose={onClose} />
+      <div className="px-6 flex flex-col gap-4 font-mono">
+        <div>
+          <div className="relative inline-block">
+            <Label>Export</Label>
+            <HelpIcon helpText={HELP_TEXT.midiExport} />
+          </div>
+          {sources.map((s) => (
+            <div key={s.id} className="flex items-center gap-3 py-1">
+              <RadioButton
+                id={`midi-export-${s.id}`}
+                name="midiExportSource"
+                value={s.id}
+                checked={source === s.id}
+                disabled={s.disabled}
+                onChange={() => setSource(s.id)}
+              />
+              <label
+                htmlFor={`midi-export-${s.id}`}
+                className={`cursor-pointer text-[11px] text-neutral-300 ${
+                  s.disabled ? "opacity-50" : ""
+                }`}
+              >
+                {s.label}
+              </label>
+            </div>
+          ))}
+        </div>
+
+        <label className="flex items-center gap-3 cursor-pointer text-[11px] text-neutral-300">
+          <Checkbox
+            checked={includeTrackSelect}
+            onChange={(e) => setIncludeTrackSelect(e.target.checked)}
+          />
+          <span>
+            Include track select note (MIDI ch{" "}
+            {inputConfig?.trackSelectionChannel || 1})
+          </span>
+        </label>
+
+        {result && (
+          <div className="text-[11px] text-neutral-300/70">
+            {noteCount} notes, method triggers on MIDI ch{" "}
+            {inputConfig?.methodTriggerChannel || 2}
+            {result.steps ? `, ${result.steps} steps` : ""}
+            {result.skipped > 0
+              ? `, ${result.skipped} hits on channels with no MIDI note`
+              : ""}
+            .
+          </div>
+        )}
+        {status?.error ? (
+          <div className="text-[11px] text-red-500/70">{status.error}</div>
+        ) : null}
+      </div>
+      <ModalFooter>
+        <Button onClick={onClose} type="secondary">
+          Cancel
+        </Button>
+        <Button
+          onClick={handleExport}
+          disabled={
+            !result || sources.find((s) => s.id === source)?.disabled
+          }
+        >
+          Export
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from "react";
+import { useAtom } from "jotai";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import {
+  RadioButton,
+  NumberInput,
+  Select,
+  Label,
+} from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import { useIPCSend, useIPCListener } from "../core/hooks/useIPC.js";
+import { userDataAtom, recordingDataAtom } from "../core/state.js";
+import {
+  getRecordingForTrack,
+  getSequencerForTrack,
+} from "../../shared/json/recordingUtils.js";
+import { getTimelineDuration } from "../../shared/sequencer/triggerTimeline.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+const FRAME_RATES = [24, 25, 30, 60];
+const MAX_EXPORT_SECONDS = 600;
+
+const FORMATS = [
+  { id: "webm", label: "WebM video" },
+  { id: "png", label: "PNG sequence" },
+];
+
+const RadioGroup = ({ name, options, value, onChange }) =>
+  options.map((o) => (
+    <div key={o.id} className="flex items-center gap-3 py-1">
+      <RadioButton
+        id={`${name}-${o.id}`}
+        name={name}
+        value={o.id}
+        checked={value === o.id}
+        disabled={o.disabled}
+        onChange={() => onChange(o.id)}
+      />
+      <label
+        htmlFor={`${name}-${o.id}`}
+        className={`cursor-pointer text-[11px] text-neutral-300 ${
+          o.disabled ? "opacity-50" : ""
+        }`}
+      >
+        {o.label}
+      </label>
+    </div>
+  ));
+
+export const ExportVideoModal = ({
+  isOpen,
+  onClose,
+  track,
+  sequencerMode,
+}) => {
+  const [userData] = useAtom(userDataAtom);
+  const [recordingData] = useAtom(recordingDataAtom);
+  const sendToProjector = useIPCSend("dashboard-to-projector");
+  const [source, setSource] = useState("sequencer");
+  const [format, setFormat] = useState("webm");
+  const [fps, setFps] = useState(30);
+  const [seconds, setSeconds] = useState(4);
+  const [status, setStatus] = useState(null);
+
+  const bpm = userData.config?.sequencerBpm || 120;
+  const sequencer = getSequencerForTrack(recordingData, track?.id);
+  const recording = getRecordingForTrack(recordingData, track?.id);
+  const patternHits = Object.values(sequencer.pattern || {}).reduce(
+    (n, steps) => n + steps.length,
+    0
+  );
+  const recordingHits = (recording.channels || []).reduce(
+    (n, ch) => n + (ch.sequences || []).length,
+    0
+  );
+
+  const getDefaultSeconds = (nextSource) =>
+    Math.round(
+      getTimelineDuration(
+        nextSource,
+        nextSource === "recording" ? recording : sequencer,
+        bpm
+      ) * 100
+    ) / 100;
+
+  useEffect(() => {
+    if (!isOpen) {
+      if (status?.type !== "progress") setStatus(null);
+      return;
+    }
+    const preferPattern = sequencerMode ? patternHits > 0 : !recordingHits;
+    const nextSource = preferPattern ? "sequencer" : "recording";
+    setSource(nextSource);
+    setSeconds(getDefaultSeconds(nextSource));
+  }, [isOpen]);
+
+  useIPCListener(
+    "from-projector",
+    (event, data) => {
+      const props = data?.props || {};
+      if (props.trackName !== track?.name) return;
+      if (data.type === "frame-export-progress") {
+        setStatus({
+          type: "progress",
+          frame: props.frame,
+          frameCount: props.frameCount,
+        });
+      } else if (data.type === "frame-export-done") {
+        setStatus(
+          props.ok
+            ? { type: "done", path: props.file || props.dir }
+            : { type: "error", error: props.error }
+        );
+      }
+    },
+    [track?.name]
+  );
+
+  if (!isOpen || !track) return null;
+
+  const sources = [
+    {
+      id: "sequencer",
+      label: `Sequencer pattern (${patternHits} steps set)`,
+    },
+    {
+      id: "recording",
+      label: `Recording (${recordingHits} events)`,
+      disabled: recordingHits === 0,
+    },
+  ];
+  const isExporting = status?.type === "progress";
+
+  const handleExport = () => {
+    setStatus({ type: "progress", frame: 0, frameCount: null });
+    sendToProjector("export-frames", {
+      trackName: track.name,
+      source,
+      fps,
+      duration: seconds,
+      format,
+    });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalHeader title={`EXPORT VIDEO: ${track.name}`} onClose={onClose} />
+      <div className="px-6 flex flex-col gap-4 font-mono">
+        <div>
+          <div className="relative inline-block">
+            <Label>Triggers</Label>
+            <HelpIcon helpText={HELP_TEXT.videoExport} />
+          </div>
+          <RadioGroup
+            name="videoExportSource"
+            options={sources}
+            value={source}
+            onChange={(id) => {
+              setSource(id);
+              setSeconds(getDefaultSeconds(id));
+            }}
+          />
+        </div>
+
+        <div>
+          <Label>Format</Label>
+          <RadioGroup
+            name="videoExportFormat"
+            options={FORMATS}
+            value={format}
+            onChange={setFormat}
+          />
+        </div>
+
+        <div className="flex gap-6">
+          <div>
+            <div className="opacity-50 mb-1 text-[11px]">Frame rate</div>
+            <Select
+              value={String(fps)}
+              onChange={(e) => setFps(Number(e.target.value))}
+              className="py-1"
+            >
+              {FRAME_RATES.map((rate) => (
+                <option key={rate} value={rate} className="bg-[#101010]">
+                  {rate} fps
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <div className="opacity-50 mb-1 text-[11px]">Length (s)</div>
+            <NumberInput
+              value={seconds}
+              min={0.1}
+              max={MAX_EXPORT_SECONDS}
+              step="any"
+              onChange={(e) => {
+                const n = parseFloat(e.target.value);
+                if (Number.isFinite(n)) {
+                  setSeconds(Math.min(MAX_EXPORT_SECONDS, Math.max(0.1, n)));
+                }
+              }}
+            />
+          </div>
+        </div>
+
+        <div className="text-[11px] text-neutral-300/70">
+          {Math.max(1, Math.round(seconds * fps))} frames at the projector
+          window's size, written to the project's exports folder.
+        </div>
+        {status?.type === "progress" ? (
+          <div className="text-[11px] text-neutral-300">
+            Rendering
+            {status.frameCount
+              ? ` frame ${status.frame + 1}/${status.frameCount}`
+              : ""}
+            …
+          </div>
+        ) : null}
+        {status?.type === "done" ? (
+          <div className="text-[11px] text-neutral-300">
+            Saved to {status.path}
+          </div>
+        ) : null}
+        {status?.type === "error" ? (
+          <div className="text-[11px] text-red-500/70">{status.error}</div>
+        ) : null}
+      </div>
+      <ModalFooter>
+        <Button onClick={onClose} type="secondary">
+          {isExporting || status?.type === "done" ? "Close" : "Cancel"}
+        </Button>
+        <Button
+          onClick={handleExport}
+          disabled={
+            isExporting || sources.find((s) => s.id === source)?.disabled
+          }
+        >
+          Export
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
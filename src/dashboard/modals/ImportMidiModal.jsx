@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { useAtom } from "jotai";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import { Select, RadioButton, Label } from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import { useIPCInvoke } from "../core/hooks/useIPC.js";
+import { userDataAtom, recordingDataAtom } from "../core/state.js";
+import {
+  getRecordingForTrack,
+  getSequencerForTrack,
+  setRecordingForTrack,
+} from "../../shared/json/recordingUtils.js";
+import {
+  MIDI_NOTE_MAPPINGS,
+  parseMidiFile,
+  getMidiFileSummary,
+  buildNoteChannelResolver,
+  midiToRecordingChannels,
+  midiToPattern,
+} from "../../shared/midi/midiFileImport.js";
+import {
+  MIN_PATTERN_STEPS,
+  MAX_PATTERN_STEPS,
+  getPatternLength,
+} from "../../shared/sequencer/patternLength.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+const IMPORT_TARGETS = [
+  { id: "recording", label: "Timed recording" },
+  { id: "pattern", label: "Sequencer pattern (quantized to 1/16)" },
+];
+
+export const ImportMidiModal = ({
+  isOpen,
+  onClose,
+  track,
+  sequencerMode,
+  onImportPattern,
+}) => {
+  const [userData] = useAtom(userDataAtom);
+  const [recordingData, setRecordingData] = useAtom(recordingDataAtom);
+  const invokeIPC = useIPCInvoke();
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [fileTrack, setFileTrack] = useState("all");
+  const [mapping, setMapping] = useState("track");
+  const [target, setTarget] = useState("recording");
+  const [length, setLength] = useState(16);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setFile(null);
+      setError(null);
+      return;
+    }
+    setFileTrack("all");
+    setMapping("track");
+    setTarget(sequencerMode ? "pattern" : "recording");
+    setLength(
+      getPatternLength(getSequencerForTrack(recordingData, track?.id))
+    );
+  }, [isOpen]);
+
+  const result = useMemo(() => {
+    if (!file || !track) return null;
+    const resolveChannels = buildNoteChannelResolver(
+      track,
+      userData.config || {},
+      mapping
+    );
+    const trackIndex = fileTrack === "all" ? null : Number(fileTrack);
+    return target === "pattern"
+      ? midiToPattern(file.midi, resolveChannels, { trackIndex, length })
+      : midiToRecordingChannels(file.midi, resolveChannels, trackIndex);
+  }, [file, track, userData.config, mapping, fileTrack, target, length]);
+
+  if (!isOpen || !track) return null;
+
+  const handleChooseFile = async () => {
+    setError(null);
+    const response = await invokeIPC("midi:open-file");
+    if (!response || response.cancelled) {
+      if (response?.error) setError(response.error);
+      return;
+    }
+    try {
+      const midi = parseMidiFile(response.data);
+      setFile({
+        name: response.name,
+        midi,
+        summary: getMidiFileSummary(midi),
+      });
+      setFileTrack("all");
+    } catch (err) {
+      setFile(null);
+      setError(`Not a readable MIDI file: ${err.message}`);
+    }
+  };
+
+  const handleImport = () => {
+    if (!result) return;
+    if (target === "pattern") {
+      onImportPattern(result.pattern, result.length);
+    } else {
+      setRecordingData((prev) =>
+        setRecordingForTrack(prev, track.id, {
+          ...getRecordingForTrack(prev, track.id),
+          channels: result.channels,
+        })
+      );
+    }
+    onClose();
+  };
+
+  const importedCount =
+    result &&
+    (target === "pattern"
+      ? Object.values(result.pattern).reduce((n, s) => n + s.length, 0)
+      : result.channels.reduce((n, ch) => n + ch.sequences.length, 0));
+  const channelCount =
+    result &&
+    (target === "pattern"
+      ? Object.keys(result.pattern).length
+      : result.channels.length);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalHeader title={`IMPORT .MID: ${track.name}`} onClose={onClose} />
+      <div className="px-6 flex flex-col gap-4 font-mono">
+        <div>
+          <div className="relative inline-block">
+            <Label>MIDI File</Label>
+            <HelpIcon helpText={HELP_TEXT.midiImport} />
+          </div>
+          <div className="flex items-center gap-3">
+            <Button onClick={handleChooseFile}>CHOOSE FILE</Button>
+            <span className="text-[11px] text-neutral-300/70 truncate">
+              {file
+                ? `${file.name} (${file.summary.bpm} BPM, ${Math.round(
+                    file.summary.duration
+                  )}s)`
+                : "No file selected"}
+            </span>
+          </div>
+          {error ? (
+            <div className="mt-1 text-[11px] text-red-500/70">{error}</div>
+          ) : null}
+        </div>
+
+        {file && (
+          <>
+            <div>
+              <div className="opacity-50 mb-1 text-[11px]">File Track:</div>
+              <Select
+                value={fileTrack}
+                onChange={(e) => setFileTrack(e.target.value)}
+                className="py-1 w-full"
+              >
+                <option value="all" className="bg-[#101010]">
+                  All tracks
+                </option>
+                {file.summary.tracks.map((t) => (
+                  <option
+                    key={t.index}
+                    value={t.index}
+                    className="bg-[#101010]"
+                  >
+                    {t.name} ({t.noteCount} notes)
+                  </option>
+                ))}
+              </Select>
+            </div>
+
+            <div>
+              <div className="opacity-50 mb-1 text-[11px]">Map Notes By:</div>
+              <Select
+                value={mapping}
+                onChange={(e) => setMapping(e.target.value)}
+                className="py-1 w-full"
+              >
+                {MIDI_NOTE_MAPPINGS.map((m) => (
+                  <option key={m.id} value={m.id} className="bg-[#101010]">
+                    {m.label}
+                  </option>
+                ))}
+              </Select>
+            </div>
+
+            <div>
+              <div className="opacity-50 mb-1 text-[11px]">Import As:</div>
+              {IMPORT_TARGETS.map((t) => (
+                <div key={t.id} className="flex items-center gap-3 py-1">
+                  <RadioButton
+                    id={`midi-import-${t.id}`}
+                    name="midiImportTarget"
+                    value={t.id}
+                    checked={target === t.id}
+                    onChange={() => setTarget(t.id)}
+                  />
+                  <label
+                    htmlFor={`midi-import-${t.id}`}
+                    className="cursor-pointer text-[11px] text-neutral-300"
+                  >
+                    {t.label}
+                  </label>
+                </div>
+              ))}
+            </div>
+
+            {target === "pattern" && (
+              <div>
+                <div className="opacity-50 mb-1 text-[11px]">Steps:</div>
+                <Select
+                  value={length}
+                  onChange={(e) => setLength(Number(e.target.value))}
+                  className="py-1 w-full"
+                >
+                  {Array.from(
+                    { length: MAX_PATTERN_STEPS - MIN_PATTERN_STEPS + 1 },
+                    (_, i) => MIN_PATTERN_STEPS + i
+                  ).map((n) => (
+                    <option key={n} value={n} className="bg-[#101010]">
+                      {n}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+            )}
+
+            {result && (
+              <div className="text-[11px] text-neutral-300/70">
+                {importedCount} hits on {channelCount} channel
+                {channelCount === 1 ? "" : "s"}
+                {result.unmatched > 0
+                  ? `, ${result.unmatched} notes match no channel`
+                  : ""}
+                {result.outside > 0
+                  ? `, ${result.outside} notes past step ${result.length}`
+                  : ""}
+                . Replaces the track's current{" "}
+                {target === "pattern" ? "pattern" : "recording"}.
+              </div>
+            )}
+          </>
+        )}
+      </div>
+      <ModalFooter>
+        <Button onClick={onClose} type="secondary">
+          Cancel
+        </Button>
+        <Button
+          onClick={handleImport}
+          disabled={!result || importedCount === 0}
+        >
+          Import
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
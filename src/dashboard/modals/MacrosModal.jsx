@@ -0,0 +1,400 @@
+import React, { useState, useEffect } from "react";
+import { useAtom } from "jotai";
+import { FaPlus, FaTrash } from "react-icons/fa";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import {
+  TextInput,
+  NumberInput,
+  Select,
+  Label,
+} from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import {
+  useNumericMethods,
+  getDefaultRange,
+} from "../core/hooks/useNumericMethods.js";
+import { userDataAtom, activeSetIdAtom } from "../core/state.js";
+import { updateActiveSet } from "../core/utils.js";
+import { getActiveSetTracks } from "../../shared/utils/setUtils.js";
+import {
+  MIDI_CC_MIN,
+  MIDI_CC_MAX,
+} from "../../shared/utils/parameterMappings.js";
+import {
+  MAX_TRACK_MACROS,
+  createMacroId,
+  getTrackMacros,
+  normalizeMacro,
+} from "../../shared/utils/macros.js";
+import { RESPONSE_CURVES } from "../../shared/utils/responseCurves.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+const FieldLabel = ({ children }) => (
+  <div className="opacity-50 mb-1 text-[11px]">{children}</div>
+);
+
+export const MacrosModal = ({
+  isOpen,
+  onClose,
+  trackIndex,
+  predefinedModules,
+}) => {
+  const [userData, setUserData] = useAtom(userDataAtom);
+  const [activeSetId] = useAtom(activeSetIdAtom);
+  const [macros, setMacros] = useState([]);
+
+  const tracks = getActiveSetTracks(userData, activeSetId);
+  const track = tracks[trackIndex];
+  const modules = Array.isArray(track?.modules) ? track.modules : [];
+
+  const methodsByInstance = useNumericMethods(
+    isOpen,
+    modules,
+    predefinedModules
+  );
+
+  // Keyed on the track id: macro values written by incoming CCs replace the
+  // track object and would otherwise wipe the edits in progress
+  const trackId = track?.id;
+  useEffect(() => {
+    if (!isOpen) {
+      setMacros([]);
+    } else if (track) {
+      setMacros(getTrackMacros(track));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, trackId]);
+
+  if (!isOpen || !track) return null;
+
+  const buildTarget = (instanceId, methodName, optionName, id, curve) => {
+    const methods = methodsByInstance[instanceId] || [];
+    const method =
+      methods.find((m) => m.name === methodName) || methods[0] || null;
+    const optionDef =
+      method?.options.find((o) => o.name === optionName) ||
+      method?.options[0] ||
+      null;
+    const { min, max } = getDefaultRange(optionDef);
+    return {
+      id,
+      instanceId,
+      method: method?.name || "",
+      option: optionDef?.name || "",
+      min,
+      max,
+      curve: curve || "linear",
+    };
+  };
+
+  const updateMacro = (index, getMacro) => {
+    setMacros((prev) => prev.map((m, i) => (i === index ? getMacro(m) : m)));
+  };
+
+  const handleAddMacro = () => {
+    setMacros((prev) => [
+      ...prev,
+      {
+        id: createMacroId(),
+        name: `Macro ${prev.length + 1}`,
+        value: 0,
+        targets: [],
+      },
+    ]);
+  };
+
+  const handleAddTarget = (macroIndex) => {
+    const instanceId =
+      modules.find((m) => (methodsByInstance[m.id] || []).length > 0)?.id ||
+      modules[0]?.id ||
+      "";
+    updateMacro(macroIndex, (macro) => ({
+      ...macro,
+      targets: [
+        ...macro.targets,
+        buildTarget(instanceId, null, null, createMacroId("target")),
+      ],
+    }));
+  };
+
+  const updateTarget = (macroIndex, targetIndex, updates) => {
+    updateMacro(macroIndex, (macro) => ({
+      ...macro,
+      targets: macro.targets.map((t, i) => {
+        if (i !== targetIndex) return t;
+        if (updates.instanceId !== undefined) {
+          return buildTarget(updates.instanceId, null, null, t.id, t.curve);
+        }
+        if (updates.method !== undefined) {
+          return buildTarget(t.instanceId, updates.method, null, t.id, t.curve);
+        }
+        if (updates.option !== undefined) {
+          return buildTarget(
+            t.instanceId,
+            t.method,
+            updates.option,
+            t.id,
+            t.curve
+          );
+        }
+        return { ...t, ...updates };
+      }),
+    }));
+  };
+
+  const removeTarget = (macroIndex, targetIndex) => {
+    updateMacro(macroIndex, (macro) => ({
+      ...macro,
+      targets: macro.targets.filter((_, i) => i !== targetIndex),
+    }));
+  };
+
+  const handleSubmit = () => {
+    const next = macros.map(normalizeMacro).filter(Boolean);
+    updateActiveSet(setUserData, activeSetId, (activeSet) => {
+      const currentTrack = activeSet.tracks[trackIndex];
+      if (!currentTrack) return;
+      if (next.length > 0) {
+        currentTrack.macros = next;
+      } else {
+        delete currentTrack.macros;
+      }
+    });
+    onClose();
+  };
+
+  const renderTarget = (macroIndex, target, targetIndex) => {
+    const methods = methodsByInstance[target.instanceId] || [];
+    const method = methods.find((m) => m.name === target.method);
+    const options = method?.options || [];
+    return (
+      <div key={target.id} className="flex items-end gap-3 flex-wrap">
+        <div>
+          <FieldLabel>Module</FieldLabel>
+          <Select
+            value={target.instanceId}
+            onChange={(e) =>
+              updateTarget(macroIndex, targetIndex, {
+                instanceId: e.target.value,
+              })
+            }
+            className="py-1"
+          >
+            {modules.map((m) => (
+              <option key={m.id} value={m.id} className="bg-[#101010]">
+                {m.type} ({m.id})
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div>
+          <FieldLabel>Method</FieldLabel>
+          <Select
+            value={target.method}
+            onChange={(e) =>
+              updateTarget(macroIndex, targetIndex, { method: e.target.value })
+            }
+            className="py-1"
+            disabled={methods.length === 0}
+          >
+            {methods.length === 0 ? (
+              <option value="" className="bg-[#101010]">
+                no numeric methods
+              </option>
+            ) : null}
+            {methods.map((m) => (
+              <option key={m.name} value={m.name} className="bg-[#101010]">
+                {m.name}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div>
+          <FieldLabel>Option</FieldLabel>
+          <Select
+            value={target.option}
+            onChange={(e) =>
+              updateTarget(macroIndex, targetIndex, { option: e.target.value })
+            }
+            className="py-1"
+            disabled={options.length === 0}
+          >
+            {options.map((o) => (
+              <option key={o.name} value={o.name} className="bg-[#101010]">
+                {o.name}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div>
+          <FieldLabel>Min</FieldLabel>
+          <NumberInput
+            value={target.min}
+            step="any"
+            onChange={(e) => {
+              const min = parseFloat(e.target.value);
+              if (Number.isFinite(min)) {
+                updateTarget(macroIndex, targetIndex, { min });
+              }
+            }}
+          />
+        </div>
+        <div>
+          <FieldLabel>Max</FieldLabel>
+          <NumberInput
+            value={target.max}
+            step="any"
+            onChange={(e) => {
+              const max = parseFloat(e.target.value);
+              if (Number.isFinite(max)) {
+                updateTarget(macroIndex, targetIndex, { max });
+              }
+            }}
+          />
+        </div>
+        <div>
+          <FieldLabel>Curve</FieldLabel>
+          <Select
+            value={target.curve}
+            onChange={(e) =>
+              updateTarget(macroIndex, targetIndex, { curve: e.target.value })
+            }
+            className="py-1"
+          >
+            {RESPONSE_CURVES.map((c) => (
+              <option key={c.id} value={c.id} className="bg-[#101010]">
+                {c.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <Button
+          onClick={() => removeTarget(macroIndex, targetIndex)}
+          type="secondary"
+          icon={<FaTrash />}
+          title="Remove target"
+        />
+      </div>
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalHeader title={`MACROS: ${track.name}`} onClose={onClose} />
+
+      <div className="px-6 flex flex-col gap-4">
+        <div className="relative inline-block">
+          <Label>Macros</Label>
+          <HelpIcon helpText={HELP_TEXT.trackMacros} />
+        </div>
+
+        {modules.length === 0 ? (
+          <div className="text-neutral-300/30 text-[11px]">
+            [NO MODULES ADDED]
+          </div>
+        ) : macros.length === 0 ? (
+          <div className="text-neutral-300/30 text-[11px]">
+            [NO MACROS ADDED]
+          </div>
+        ) : (
+          <div className="flex flex-col gap-6">
+            {macros.map((macro, macroIndex) => (
+              <div key={macro.id} className="flex flex-col gap-3 font-mono">
+                <div className="flex items-end gap-3 flex-wrap">
+                  <div className="w-6 pb-1 text-[11px] opacity-50">
+                    {macroIndex + 1}.
+                  </div>
+                  <div>
+                    <FieldLabel>Name</FieldLabel>
+                    <TextInput
+                      value={macro.name}
+                      onChange={(e) =>
+                        updateMacro(macroIndex, (m) => ({
+                          ...m,
+                          name: e.target.value,
+                        }))
+                      }
+                      placeholder={`Macro ${macroIndex + 1}`}
+                    />
+                  </div>
+                  <div>
+                    <FieldLabel>CC (optional)</FieldLabel>
+                    <NumberInput
+                      value={macro.cc ?? ""}
+                      min={MIDI_CC_MIN}
+                      max={MIDI_CC_MAX}
+                      onChange={(e) => {
+                        const cc = parseInt(e.target.value, 10);
+                        updateMacro(macroIndex, (m) => {
+                          const { cc: _cc, ...rest } = m;
+                          return Number.isFinite(cc)
+                            ? {
+                                ...rest,
+                                cc: Math.max(
+                                  MIDI_CC_MIN,
+                                  Math.min(MIDI_CC_MAX, cc)
+                                ),
+                              }
+                            : rest;
+                        });
+                      }}
+                    />
+                  </div>
+                  <Button
+                    onClick={() => handleAddTarget(macroIndex)}
+                    icon={<FaPlus />}
+                  >
+                    TARGET
+                  </Button>
+                  <Button
+                    onClick={() =>
+                      setMacros((prev) =>
+                        prev.filter((_, i) => i !== macroIndex)
+                      )
+                    }
+                    type="secondary"
+                    icon={<FaTrash />}
+                    title="Remove macro"
+                  />
+                </div>
+                <div className="pl-9 flex flex-col gap-3">
+                  {macro.targets.length === 0 ? (
+                    <div className="text-neutral-300/30 text-[11px]">
+                      [NO TARGETS]
+                    </div>
+                  ) : (
+                    macro.targets.map((target, targetIndex) =>
+                      renderTarget(macroIndex, target, targetIndex)
+                    )
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div>
+          <Button
+            onClick={handleAddMacro}
+            icon={<FaPlus />}
+            disabled={
+              modules.length === 0 || macros.length >= MAX_TRACK_MACROS
+            }
+          >
+            MACRO
+          </Button>
+        </div>
+      </div>
+
+      <ModalFooter>
+        <Button onClick={onClose} type="secondary">
+          Cancel
+        </Button>
+        <Button onClick={handleSubmit}>Save Changes</Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
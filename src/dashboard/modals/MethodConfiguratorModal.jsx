@@ -15,7 +15,7 @@ import { SortableList, arrayMove } from "../shared/SortableList.jsx";
 import { horizontalListSortingStrategy } from "@dnd-kit/sortable";
 import { ModalFooter } from "../components/ModalFooter.js";
 import { Button } from "../components/Button.js";
-import { Select } from "../components/FormInputs.js";
+import { Select, RadioButton } from "../components/FormInputs.js";
 import { HelpIcon } from "../components/HelpIcon.js";
 import { MethodBlock } from "../components/MethodBlock.js";
 import { Tooltip } from "../components/Tooltip.js";
@@ -28,9 +28,24 @@ import {
 import { updateActiveSet, getMethodsByLayer } from "../core/utils.js";
 import { getActiveSetTracks } from "../../shared/utils/setUtils.js";
 import { getBaseMethodNames } from "../utils/moduleUtils.js";
+import { getDefaultRange } from "../core/hooks/useNumericMethods.js";
+import { createModulator } from "../../shared/utils/modulators.js";
 import { HELP_TEXT } from "../../shared/helpText.js";
 import { MethodCodeModal } from "./MethodCodeModal.jsx";
 
+// Press methods live in `methods`, note-off methods in `releaseMethods`.
+const getMethodList = (moduleData, selectedChannel, { create = false } = {}) => {
+  if (!moduleData || !selectedChannel) return null;
+  if (selectedChannel.isConstructor) return moduleData.constructor;
+  const listKey = selectedChannel.isRelease ? "releaseMethods" : "methods";
+  const channelKey = String(selectedChannel.channelNumber);
+  if (create) {
+    if (!moduleData[listKey]) moduleData[listKey] = {};
+    if (!moduleData[listKey][channelKey]) moduleData[listKey][channelKey] = [];
+  }
+  return moduleData[listKey]?.[channelKey] || null;
+};
+
 const SortableItem = React.memo(
   ({
     id,
@@ -179,6 +194,51 @@ const SortableItem = React.memo(
       [method.options, method.name, changeOption, userColors]
     );
 
+    const toggleModulator = useCallback(
+      (optionName, optionDef = null) => {
+        const option = method.options.find((o) => o.name === optionName);
+        if (!option) return;
+        if (option.modulator) {
+          changeOption(method.name, optionName, undefined, "modulator");
+          return;
+        }
+        if (option.randomRange) {
+          changeOption(method.name, optionName, undefined, "randomRange");
+        }
+        if (option.velocity) {
+          changeOption(method.name, optionName, undefined, "velocity");
+        }
+        changeOption(
+          method.name,
+          optionName,
+          createModulator("lfo", getDefaultRange(optionDef)),
+          "modulator"
+        );
+      },
+      [method.name, method.options, changeOption]
+    );
+
+    const toggleVelocityScaling = useCallback(
+      (optionName, optionDef = null) => {
+        const option = method.options.find((o) => o.name === optionName);
+        if (!option) return;
+        if (option.velocity) {
+          changeOption(method.name, optionName, undefined, "velocity");
+          return;
+        }
+        if (option.randomRange) {
+          changeOption(method.name, optionName, undefined, "randomRange");
+        }
+        changeOption(
+          method.name,
+          optionName,
+          { ...getDefaultRange(optionDef), curve: "linear" },
+          "velocity"
+        );
+      },
+      [method.name, method.options, changeOption]
+    );
+
     const handleOptionChange = useCallback(
       (methodName, optionName, value) => {
         changeOption(methodName, optionName, value);
@@ -207,6 +267,14 @@ const SortableItem = React.memo(
                 onRandomRangeChange={(optionName, index, newValue, optionDef) =>
                   handleRandomChange(optionName, index, newValue, optionDef)
                 }
+                onToggleModulator={toggleModulator}
+                onModulatorChange={(optionName, modulator) =>
+                  changeOption(method.name, optionName, modulator, "modulator")
+                }
+                onToggleVelocityScaling={toggleVelocityScaling}
+                onVelocityScalingChange={(optionName, scaling) =>
+                  changeOption(method.name, optionName, scaling, "velocity")
+                }
                 onAddMissingOption={addMissingOption}
               />
             </div>
@@ -236,7 +304,7 @@ export const MethodConfiguratorModal = ({
   workspaceModuleLoadFailures = [],
 }) => {
   const [userData, setUserData] = useAtom(userDataAtom);
-  const [selectedChannel] = useAtom(selectedChannelAtom);
+  const [selectedChannel, setSelectedChannel] = useAtom(selectedChannelAtom);
   const [selectedMethodForCode, setSelectedMethodForCode] = useState(null);
   const sendToProjector = useIPCSend("dashboard-to-projector");
   const { moduleBase, threeBase } = useMemo(() => getBaseMethodNames(), []);
@@ -311,7 +379,9 @@ export const MethodConfiguratorModal = ({
 
     const channelKey = selectedChannel.isConstructor
       ? "constructor"
-      : String(selectedChannel.channelNumber);
+      : `${selectedChannel.channelNumber}${
+          selectedChannel.isRelease ? ":release" : ""
+        }`;
     const key = `${activeSetId || "no_set"}:${selectedChannel.trackIndex}:${
       selectedChannel.instanceId
     }:${channelKey}:${selectedChannel.moduleType || ""}`;
@@ -320,10 +390,11 @@ export const MethodConfiguratorModal = ({
     updateActiveSet(setUserData, activeSetId, (activeSet) => {
       const track = activeSet.tracks[selectedChannel.trackIndex];
       if (!track?.modulesData?.[selectedChannel.instanceId]) return;
-      const methodList = selectedChannel.isConstructor
-        ? track.modulesData[selectedChannel.instanceId].constructor
-        : track.modulesData[selectedChannel.instanceId].methods[channelKey] ||
-          [];
+      const methodList =
+        getMethodList(
+          track.modulesData[selectedChannel.instanceId],
+          selectedChannel
+        ) || [];
       if (!Array.isArray(methodList) || methodList.length === 0) return;
 
       let changed = false;
@@ -506,28 +577,20 @@ export const MethodConfiguratorModal = ({
       constructor: [],
       methods: {},
     };
-    const channelKey = selectedChannel.isConstructor
-      ? "constructor"
-      : String(selectedChannel.channelNumber);
-    const configs = selectedChannel.isConstructor
-      ? moduleData.constructor
-      : moduleData.methods[channelKey] || [];
 
-    return configs;
+    return getMethodList(moduleData, selectedChannel) || [];
   }, [userData, selectedChannel, activeSetId]);
 
   const changeOption = useCallback(
     (methodName, optionName, value, field = "value") => {
       if (!selectedChannel) return;
       updateActiveSet(setUserData, activeSetId, (activeSet) => {
-        const channelKey = selectedChannel.isConstructor
-          ? "constructor"
-          : String(selectedChannel.channelNumber);
         const track = activeSet.tracks[selectedChannel.trackIndex];
-        const methods = selectedChannel.isConstructor
-          ? track.modulesData[selectedChannel.instanceId].constructor
-          : track.modulesData[selectedChannel.instanceId].methods[channelKey];
-        const method = methods.find((m) => m.name === methodName);
+        const methods = getMethodList(
+          track.modulesData[selectedChannel.instanceId],
+          selectedChannel
+        );
+        const method = methods?.find((m) => m.name === methodName);
         if (method) {
           const option = method.options.find((o) => o.name === optionName);
           if (option) {
@@ -556,29 +619,15 @@ export const MethodConfiguratorModal = ({
           : null,
       };
 
-      const channelKey = selectedChannel.isConstructor
-        ? "constructor"
-        : String(selectedChannel.channelNumber);
-
       updateActiveSet(setUserData, activeSetId, (activeSet) => {
         const track = activeSet.tracks[selectedChannel.trackIndex];
         const insertMethod = methodName === "matrix" ? "unshift" : "push";
 
-        if (selectedChannel.isConstructor) {
-          track.modulesData[selectedChannel.instanceId].constructor[
-            insertMethod
-          ](initializedMethod);
-        } else {
-          if (
-            !track.modulesData[selectedChannel.instanceId].methods[channelKey]
-          ) {
-            track.modulesData[selectedChannel.instanceId].methods[channelKey] =
-              [];
-          }
-          track.modulesData[selectedChannel.instanceId].methods[channelKey][
-            insertMethod
-          ](initializedMethod);
-        }
+        getMethodList(
+          track.modulesData[selectedChannel.instanceId],
+          selectedChannel,
+          { create: true }
+        )[insertMethod](initializedMethod);
       });
     },
     [module, selectedChannel, setUserData, activeSetId]
@@ -588,13 +637,12 @@ export const MethodConfiguratorModal = ({
     (methodName) => {
       if (!selectedChannel) return;
       updateActiveSet(setUserData, activeSetId, (activeSet) => {
-        const channelKey = selectedChannel.isConstructor
-          ? "constructor"
-          : String(selectedChannel.channelNumber);
         const track = activeSet.tracks[selectedChannel.trackIndex];
-        const methods = selectedChannel.isConstructor
-          ? track.modulesData[selectedChannel.instanceId].constructor
-          : track.modulesData[selectedChannel.instanceId].methods[channelKey];
+        const methods = getMethodList(
+          track.modulesData[selectedChannel.instanceId],
+          selectedChannel
+        );
+        if (!methods) return;
         remove(methods, (m) => m.name === methodName);
       });
     },
@@ -611,13 +659,11 @@ export const MethodConfiguratorModal = ({
 
       updateActiveSet(setUserData, activeSetId, (activeSet) => {
         const track = activeSet.tracks[selectedChannel.trackIndex];
-        const channelKey = selectedChannel.isConstructor
-          ? "constructor"
-          : String(selectedChannel.channelNumber);
-        const methods = selectedChannel.isConstructor
-          ? track.modulesData[selectedChannel.instanceId].constructor
-          : track.modulesData[selectedChannel.instanceId].methods[channelKey];
-        const method = methods.find((m) => m.name === methodName);
+        const methods = getMethodList(
+          track.modulesData[selectedChannel.instanceId],
+          selectedChannel
+        );
+        const method = methods?.find((m) => m.name === methodName);
         if (method && !method.options.find((o) => o.name === optionName)) {
           if (!method.options) {
             method.options = [];
@@ -678,7 +724,9 @@ export const MethodConfiguratorModal = ({
       {module ? module.name : selectedChannel.moduleType}{" "}
       {selectedChannel.isConstructor
         ? "(Constructor)"
-        : `(Channel ${selectedChannel.channelNumber})`}
+        : `(Channel ${selectedChannel.channelNumber}${
+            selectedChannel.isRelease ? " Release" : ""
+          })`}
       {!module && isWorkspaceMode ? (
         <span className="ml-2 inline-flex items-center">
           <Tooltip content={missingReasonText} position="top">
@@ -715,6 +763,35 @@ export const MethodConfiguratorModal = ({
         <ModalHeader title={modalTitle} onClose={onClose} />
 
         <div className="flex flex-col gap-6">
+          {!selectedChannel.isConstructor && (
+            <div className="px-6 flex items-center gap-4">
+              {[
+                { label: "On Press", isRelease: false },
+                { label: "On Release", isRelease: true },
+              ].map(({ label, isRelease }) => {
+                const id = `channel-phase-${isRelease ? "release" : "press"}`;
+                return (
+                  <div key={id} className="flex items-center gap-2">
+                    <RadioButton
+                      id={id}
+                      name="channelPhase"
+                      checked={Boolean(selectedChannel.isRelease) === isRelease}
+                      onChange={() =>
+                        setSelectedChannel({ ...selectedChannel, isRelease })
+                      }
+                    />
+                    <label
+                      htmlFor={id}
+                      className="cursor-pointer text-[11px] font-mono text-neutral-300"
+                    >
+                      {label}
+                    </label>
+                  </div>
+                );
+              })}
+              <HelpIcon helpText={HELP_TEXT.channelRelease} />
+            </div>
+          )}
           {methodsByLayer.map((layer, layerIndex) => {
             const hasMethodsOrAvailable =
               layer.configuredMethods.length > 0 ||
@@ -775,16 +852,10 @@ export const MethodConfiguratorModal = ({
                       if (!currentLayer) return;
 
                       updateActiveSet(setUserData, activeSetId, (activeSet) => {
-                        const channelKey = selectedChannel.isConstructor
-                          ? "constructor"
-                          : String(selectedChannel.channelNumber);
                         const track =
                           activeSet.tracks[selectedChannel.trackIndex];
-                        const methods = selectedChannel.isConstructor
-                          ? track.modulesData[selectedChannel.instanceId]
-                              .constructor
-                          : track.modulesData[selectedChannel.instanceId]
-                              .methods[channelKey];
+                        const moduleData =
+                          track.modulesData[selectedChannel.instanceId];
 
                         const reorderedLayer = arrayMove(
                           currentLayer.configuredMethods,
@@ -804,12 +875,14 @@ export const MethodConfiguratorModal = ({
                         );
 
                         if (selectedChannel.isConstructor) {
-                          track.modulesData[
-                            selectedChannel.instanceId
-                          ].constructor = allReorderedMethods;
+                          moduleData.constructor = allReorderedMethods;
                         } else {
-                          track.modulesData[selectedChannel.instanceId].methods[
-                            channelKey
+                          const listKey = selectedChannel.isRelease
+                            ? "releaseMethods"
+                            : "methods";
+                          if (!moduleData[listKey]) moduleData[listKey] = {};
+                          moduleData[listKey][
+                            String(selectedChannel.channelNumber)
                           ] = allReorderedMethods;
                         }
                       });
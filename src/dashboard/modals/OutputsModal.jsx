@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from "react";
+import { useAtom } from "jotai";
+import { FaPlus, FaTrash } from "react-icons/fa";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import {
+  TextInput,
+  Select,
+  Checkbox,
+  Label,
+} from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import { useIPCInvoke } from "../core/hooks/useIPC.js";
+import { userDataAtom, activeSetIdAtom } from "../core/state.js";
+import { getActiveSetTracks } from "../../shared/utils/setUtils.js";
+import {
+  MAIN_OUTPUT_ID,
+  MAX_PROJECTOR_OUTPUTS,
+  createProjectorOutput,
+  getProjectorOutputs,
+  normalizeProjectorOutput,
+} from "../../shared/config/projectorOutputs.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+const FOLLOW = "";
+
+const FieldLabel = ({ children }) => (
+  <div className="opacity-50 mb-1 text-[11px]">{children}</div>
+);
+
+export const OutputsModal = ({
+  isOpen,
+  onClose,
+  settings,
+  onSave,
+  onEditWarp,
+}) => {
+  const [userData] = useAtom(userDataAtom);
+  const [activeSetId] = useAtom(activeSetIdAtom);
+  const invokeIPC = useIPCInvoke();
+  const [outputs, setOutputs] = useState([]);
+  const [displays, setDisplays] = useState([]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setOutputs(getProjectorOutputs(settings));
+    invokeIPC("outputs:get-displays").then((list) => {
+      setDisplays(Array.isArray(list) ? list : []);
+    });
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const sets = Array.isArray(userData.sets) ? userData.sets : [];
+  const aspectRatios = settings.aspectRatios || [];
+  const backgroundColors = settings.backgroundColors || [];
+
+  const updateOutput = (index, updates) => {
+    setOutputs((prev) =>
+      prev.map((o, i) => (i === index ? { ...o, ...updates } : o))
+    );
+  };
+
+  const toggleLayer = (index, instanceId, checked) => {
+    setOutputs((prev) =>
+      prev.map((o, i) => {
+        if (i !== index) return o;
+        const layers = o.layers.filter((id) => id !== instanceId);
+        return { ...o, layers: checked ? [...layers, instanceId] : layers };
+      })
+    );
+  };
+
+  // Only saved outputs have a window to calibrate
+  const savedOutputIds = new Set(
+    getProjectorOutputs(settings).map((o) => o.id)
+  );
+
+  const handleSubmit = () => {
+    onSave(
+      outputs
+        .map((o, i) => normalizeProjectorOutput(o, i))
+        .filter(Boolean)
+    );
+    onClose();
+  };
+
+  const renderOutput = (output, index) => {
+    const tracks = getActiveSetTracks(userData, output.setId || activeSetId);
+    const pinnedTrack = tracks.find((t) => t.name === output.trackName);
+    const layerTracks = pinnedTrack ? [pinnedTrack] : tracks;
+    return (
+      <div key={output.id} className="flex flex-col gap-3 font-mono">
+        <div className="flex items-end gap-3 flex-wrap">
+          <div className="w-6 pb-1 text-[11px] opacity-50">{index + 2}.</div>
+          <div>
+            <FieldLabel>Name</FieldLabel>
+            <TextInput
+              value={output.label}
+              onChange={(e) => updateOutput(index, { label: e.target.value })}
+              placeholder={`Output ${index + 2}`}
+            />
+          </div>
+          <div>
+            <FieldLabel>Display</FieldLabel>
+            <Select
+              value={output.display === null ? "" : String(output.display)}
+              onChange={(e) =>
+                updateOutput(index, {
+                  display:
+                    e.target.value === "" ? null : Number(e.target.value),
+                })
+              }
+              className="py-1"
+            >
+              <option value="" className="bg-[#101010]">
+                windowed
+              </option>
+              {displays.map((d) => (
+                <option key={d.index} value={d.index} className="bg-[#101010]">
+                  {d.label} ({d.width}x{d.height})
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <FieldLabel>Aspect ratio</FieldLabel>
+            <Select
+              value={output.aspectRatio}
+              onChange={(e) =>
+                updateOutput(index, { aspectRatio: e.target.value })
+              }
+              className="py-1"
+            >
+              {aspectRatios.map((r) => (
+                <option key={r.id} value={r.id} className="bg-[#101010]">
+                  {r.label}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <FieldLabel>Background</FieldLabel>
+            <Select
+              value={output.bgColor}
+              onChange={(e) => updateOutput(index, { bgColor: e.target.value })}
+              className="py-1"
+            >
+              {backgroundColors.map((c) => (
+                <option key={c.id} value={c.id} className="bg-[#101010]">
+                  {c.label}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <Button
+            onClick={() => onEditWarp(output)}
+            type="secondary"
+            disabled={!savedOutputIds.has(output.id)}
+            title={
+              savedOutputIds.has(output.id)
+                ? "Projection mapping"
+                : "Save the output first"
+            }
+          >
+            WARP
+          </Button>
+          <Button
+            onClick={() =>
+              setOutputs((prev) => prev.filter((_, i) => i !== index))
+            }
+            type="secondary"
+            icon={<FaTrash />}
+            title="Remove output"
+          />
+        </div>
+        <div className="pl-9 flex items-end gap-3 flex-wrap">
+          <div>
+            <FieldLabel>Set</FieldLabel>
+            <Select
+              value={output.setId || FOLLOW}
+              onChange={(e) =>
+                updateOutput(index, {
+                  setId: e.target.value || null,
+                  trackName: null,
+                  layers: [],
+                })
+              }
+              className="py-1"
+            >
+              <option value={FOLLOW} className="bg-[#101010]">
+                follow dashboard
+              </option>
+              {sets.map((set) => (
+                <option key={set.id} value={set.id} className="bg-[#101010]">
+                  {set.name}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <FieldLabel>Track</FieldLabel>
+            <Select
+              value={output.trackName || FOLLOW}
+              onChange={(e) =>
+                updateOutput(index, {
+                  trackName: e.target.value || null,
+                  layers: [],
+                })
+              }
+              className="py-1"
+            >
+              <option value={FOLLOW} className="bg-[#101010]">
+                follow dashboard
+              </option>
+              {tracks.map((t) => (
+                <option key={t.id} value={t.name} className="bg-[#101010]">
+                  {t.name}
+                </option>
+              ))}
+            </Select>
+          </div>
+        </div>
+        <div className="pl-9 flex flex-col gap-1 text-[11px]">
+          <FieldLabel>Layers (none checked shows every module)</FieldLabel>
+          {layerTracks.every((t) => (t.modules || []).length === 0) ? (
+            <div className="text-neutral-300/30">[NO MODULES ADDED]</div>
+          ) : (
+            layerTracks.map((t) =>
+              (t.modules || []).map((m) => (
+                <label
+                  key={`${t.id}-${m.id}`}
+                  className="flex items-center gap-2 cursor-pointer text-neutral-300"
+                >
+                  <Checkbox
+                    checked={output.layers.includes(m.id)}
+                    onChange={(e) =>
+                      toggleLayer(index, m.id, e.target.checked)
+                    }
+                  />
+                  {pinnedTrack ? "" : `${t.name} / `}
+                  {m.type} ({m.id})
+                </label>
+              ))
+            )
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalHeader title="OUTPUTS" onClose={onClose} />
+
+      <div className="px-6 flex flex-col gap-4">
+        <div className="relative inline-block">
+          <Label>Projector outputs</Label>
+          <HelpIcon helpText={HELP_TEXT.projectorOutputs} />
+        </div>
+
+        <div className="flex items-center gap-3 text-[11px] text-neutral-300/70 font-mono">
+          <span>
+            1. Projector 1 (follows the dashboard and the Settings panel)
+          </span>
+          <Button
+            onClick={() =>
+              onEditWarp({ id: MAIN_OUTPUT_ID, label: "Projector 1" })
+            }
+            type="secondary"
+            title="Projection mapping"
+          >
+            WARP
+          </Button>
+        </div>
+
+        {outputs.length === 0 ? (
+          <div className="text-neutral-300/30 text-[11px]">
+            [NO EXTRA OUTPUTS]
+          </div>
+        ) : (
+          <div className="flex flex-col gap-6">
+            {outputs.map(renderOutput)}
+          </div>
+        )}
+
+        <div>
+          <Button
+            onClick={() =>
+              setOutputs((prev) => [
+                ...prev,
+                createProjectorOutput(prev.length),
+              ])
+            }
+            icon={<FaPlus />}
+            disabled={outputs.length >= MAX_PROJECTOR_OUTPUTS}
+          >
+            OUTPUT
+          </Button>
+        </div>
+      </div>
+
+      <ModalFooter>
+        <Button onClick={onClose} type="secondary">
+          Cancel
+        </Button>
+        <Button onClick={handleSubmit}>Save Changes</Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from "react";
+import { useAtom } from "jotai";
+import { FaPlus, FaTrash } from "react-icons/fa";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import { NumberInput, Select, Label } from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import {
+  useNumericMethods,
+  getDefaultRange,
+} from "../core/hooks/useNumericMethods.js";
+import { userDataAtom, activeSetIdAtom } from "../core/state.js";
+import { updateActiveSet } from "../core/utils.js";
+import { getActiveSetTracks } from "../../shared/utils/setUtils.js";
+import {
+  MIDI_CC_MIN,
+  MIDI_CC_MAX,
+  normalizeParameterMapping,
+} from "../../shared/utils/parameterMappings.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+export const ParameterMappingsModal = ({
+  isOpen,
+  onClose,
+  trackIndex,
+  predefinedModules,
+}) => {
+  const [userData, setUserData] = useAtom(userDataAtom);
+  const [activeSetId] = useAtom(activeSetIdAtom);
+  const [mappings, setMappings] = useState([]);
+
+  const tracks = getActiveSetTracks(userData, activeSetId);
+  const track = tracks[trackIndex];
+  const modules = Array.isArray(track?.modules) ? track.modules : [];
+
+  const methodsByInstance = useNumericMethods(
+    isOpen,
+    modules,
+    predefinedModules
+  );
+
+  // Seeded on open or when the track changes, so userData writes made while
+  // the modal is open don't discard unsaved edits
+  const trackId = track?.id;
+  useEffect(() => {
+    if (!isOpen) {
+      setMappings([]);
+    } else if (track) {
+      setMappings(
+        (track.parameterMappings || [])
+          .map(normalizeParameterMapping)
+          .filter(Boolean)
+      );
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, trackId]);
+
+  if (!isOpen || !track) return null;
+
+  const buildMapping = (instanceId, methodName, optionName, cc, id) => {
+    const methods = methodsByInstance[instanceId] || [];
+    const method =
+      methods.find((m) => m.name === methodName) || methods[0] || null;
+    const optionDef =
+      method?.options.find((o) => o.name === optionName) ||
+      method?.options[0] ||
+      null;
+    const { min, max } = getDefaultRange(optionDef);
+    return {
+      id,
+      cc,
+      instanceId,
+      method: method?.name || "",
+      option: optionDef?.name || "",
+      min,
+      max,
+    };
+  };
+
+  const handleAdd = () => {
+    const instanceId =
+      modules.find((m) => (methodsByInstance[m.id] || []).length > 0)?.id ||
+      modules[0]?.id ||
+      "";
+    const usedCCs = new Set(mappings.map((m) => m.cc));
+    let cc = 1;
+    while (usedCCs.has(cc) && cc < MIDI_CC_MAX) cc++;
+    const id = `cc_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    setMappings((prev) => [
+      ...prev,
+      buildMapping(instanceId, null, null, cc, id),
+    ]);
+  };
+
+  const updateMapping = (index, updates) => {
+    setMappings((prev) =>
+      prev.map((m, i) => {
+        if (i !== index) return m;
+        if (updates.instanceId !== undefined) {
+          return buildMapping(updates.instanceId, null, null, m.cc, m.id);
+        }
+        if (updates.method !== undefined) {
+          return buildMapping(m.instanceId, updates.method, null, m.cc, m.id);
+        }
+        if (updates.option !== undefined) {
+          return buildMapping(
+            m.instanceId,
+            m.method,
+            updates.option,
+            m.cc,
+            m.id
+          );
+        }
+        return { ...m, ...updates };
+      })
+    );
+  };
+
+  const removeMapping = (index) => {
+    setMappings((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = () => {
+    const next = mappings.map(normalizeParameterMapping).filter(Boolean);
+    updateActiveSet(setUserData, activeSetId, (activeSet) => {
+      const currentTrack = activeSet.tracks[trackIndex];
+      if (!currentTrack) return;
+      if (next.length > 0) {
+        currentTrack.parameterMappings = next;
+      } else {
+        delete currentTrack.parameterMappings;
+      }
+    });
+    onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalHeader title={`CONTROLLERS: ${track.name}`} onClose={onClose} />
+
+      <div className="px-6 flex flex-col gap-4">
+        <div className="relative inline-block">
+          <Label>MIDI CC Mappings</Label>
+          <HelpIcon helpText={HELP_TEXT.parameterMappings} />
+        </div>
+
+        {modules.length === 0 ? (
+          <div className="text-neutral-300/30 text-[11px]">
+            [NO MODULES ADDED]
+          </div>
+        ) : mappings.length === 0 ? (
+          <div className="text-neutral-300/30 text-[11px]">
+            [NO CONTROLLERS MAPPED]
+          </div>
+        ) : (
+          <div className="flex flex-col gap-3">
+            {mappings.map((mapping, index) => {
+              const methods = methodsByInstance[mapping.instanceId] || [];
+              const method = methods.find((m) => m.name === mapping.method);
+              const options = method?.options || [];
+              return (
+                <div
+                  key={mapping.id}
+                  className="flex items-end gap-3 flex-wrap font-mono"
+                >
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">CC</div>
+                    <NumberInput
+                      value={mapping.cc}
+                      min={MIDI_CC_MIN}
+                      max={MIDI_CC_MAX}
+                      onChange={(e) => {
+                        const cc = parseInt(e.target.value, 10);
+                        if (!Number.isFinite(cc)) return;
+                        updateMapping(index, {
+                          cc: Math.max(MIDI_CC_MIN, Math.min(MIDI_CC_MAX, cc)),
+                        });
+                      }}
+                    />
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Module</div>
+                    <Select
+                      value={mapping.instanceId}
+                      onChange={(e) =>
+                        updateMapping(index, { instanceId: e.target.value })
+                      }
+                      className="py-1"
+                    >
+                      {modules.map((m) => (
+                        <option
+                          key={m.id}
+                          value={m.id}
+                          className="bg-[#101010]"
+                        >
+                          {m.type} ({m.id})
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Method</div>
+                    <Select
+                      value={mapping.method}
+                      onChange={(e) =>
+                        updateMapping(index, { method: e.target.value })
+                      }
+                      className="py-1"
+                      disabled={methods.length === 0}
+                    >
+                      {methods.length === 0 ? (
+                        <option value="" className="bg-[#101010]">
+                          no numeric methods
+                        </option>
+                      ) : null}
+                      {methods.map((m) => (
+                        <option
+                          key={m.name}
+                          value={m.name}
+                          className="bg-[#101010]"
+                        >
+                          {m.name}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Option</div>
+                    <Select
+                      value={mapping.option}
+                      onChange={(e) =>
+                        updateMapping(index, { option: e.target.value })
+                      }
+                      className="py-1"
+                      disabled={options.length === 0}
+                    >
+                      {options.map((o) => (
+                        <option
+                          key={o.name}
+                          value={o.name}
+                          className="bg-[#101010]"
+                        >
+                          {o.name}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Min</div>
+                    <NumberInput
+                      value={mapping.min}
+                      step="any"
+                      onChange={(e) => {
+                        const min = parseFloat(e.target.value);
+                        if (Number.isFinite(min)) updateMapping(index, { min });
+                      }}
+                    />
+                  </div>
+                  <div>
+                    <div className="opacity-50 mb-1 text-[11px]">Max</div>
+                    <NumberInput
+                      value={mapping.max}
+                      step="any"
+                      onChange={(e) => {
+                        const max = parseFloat(e.target.value);
+                        if (Number.isFinite(max)) updateMapping(index, { max });
+                      }}
+                    />
+                  </div>
+                  <Button
+                    onClick={() => removeMapping(index)}
+                    type="secondary"
+                    icon={<FaTrash />}
+                    title="Remove mapping"
+                  />
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div>
+          <Button
+            onClick={handleAdd}
+            icon={<FaPlus />}
+            disabled={modules.length === 0}
+          >
+            CC
+          </Button>
+        </div>
+      </div>
+
+      <ModalFooter>
+        <Button onClick={onClose} type="secondary">
+          Cancel
+        </Button>
+        <Button onClick={handleSubmit}>Save Changes</Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
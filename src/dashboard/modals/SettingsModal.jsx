@@ -6,11 +6,29 @@ import {
   Select,
   NumberInput,
   RadioButton,
+  Checkbox,
   ColorInput,
   TextInput,
 } from "../components/FormInputs.js";
 import { HelpIcon } from "../components/HelpIcon.js";
 import { HELP_TEXT } from "../../shared/helpText.js";
+import {
+  DEFAULT_AUDIO_BANDS,
+  DEFAULT_OSC_OUTPUT_CONFIG,
+  DEFAULT_TEMPO_SYNC_CONFIG,
+} from "../../shared/config/defaultConfig.js";
+import {
+  MAX_AUDIO_BANDS,
+  MAX_BAND_HZ,
+  MIN_BAND_HZ,
+  normalizeAudioBands,
+} from "../../shared/audio/bandAnalysis.js";
+import {
+  INPUT_SOURCE_TYPES,
+  INPUT_SOURCE_LABELS,
+  SERIAL_BAUD_RATES,
+  getInputSourceTypes,
+} from "../../shared/config/inputSources.js";
 
 const isValidHexColor = (value) => /^#([0-9A-F]{3}){1,2}$/i.test(value);
 
@@ -20,6 +38,11 @@ const clampMidiChannel = (value, fallback = 1) => {
   return Math.max(1, Math.min(16, n));
 };
 
+const generateRemoteToken = () =>
+  Array.from(window.crypto.getRandomValues(new Uint8Array(16)), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+
 const normalizeHexColor = (value) => {
   const raw = String(value || "").trim();
   if (!raw) return null;
@@ -120,6 +143,258 @@ const DraftIntInput = React.memo(({ value, fallback, onCommit, ...props }) => {
   );
 });
 
+const OscOutputSettings = ({ config, updateConfig }) => {
+  const oscOutput = config?.oscOutput || DEFAULT_OSC_OUTPUT_CONFIG;
+  const setOscOutput = (updates) =>
+    updateConfig({ oscOutput: { ...oscOutput, ...updates } });
+
+  return (
+    <div className="flex flex-col gap-3 font-mono border-t border-neutral-800 pt-6">
+      <div className="pl-12">
+        <div className="mb-1 text-[11px] relative inline-block">
+          <span className="opacity-50">OSC Output:</span>
+          <HelpIcon helpText={HELP_TEXT.oscOutput} />
+        </div>
+        <label className="flex items-center gap-3 py-1 cursor-pointer text-[11px] text-neutral-300">
+          <Checkbox
+            checked={oscOutput.enabled === true}
+            onChange={(e) => setOscOutput({ enabled: e.target.checked })}
+          />
+          <span>Send state to an OSC receiver</span>
+        </label>
+      </div>
+
+      {oscOutput.enabled && (
+        <>
+          <div className="pl-12">
+            <div className="opacity-50 mb-1 text-[11px]">Host:</div>
+            <TextInput
+              key={oscOutput.host}
+              defaultValue={oscOutput.host}
+              onBlur={(e) => {
+                const next = e.target.value.trim();
+                if (next && next !== oscOutput.host) {
+                  setOscOutput({ host: next });
+                }
+              }}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") e.currentTarget.blur();
+              }}
+              className="py-1 w-full"
+            />
+          </div>
+          <div className="pl-12">
+            <div className="opacity-50 mb-1 text-[11px]">Port:</div>
+            <DraftIntInput
+              value={oscOutput.port}
+              fallback={oscOutput.port}
+              onCommit={(next) =>
+                setOscOutput({
+                  port: Math.max(1, Math.min(65535, next)),
+                })
+              }
+              min={1}
+              max={65535}
+              className="py-1 w-full"
+              style={{ width: "100%" }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const AudioInputSettings = ({
+  inputConfig,
+  setInputConfig,
+  availableAudioInputs,
+  onSelectAudioFile,
+}) => {
+  const bands = normalizeAudioBands(
+    Array.isArray(inputConfig.audioBands)
+      ? inputConfig.audioBands
+      : DEFAULT_AUDIO_BANDS
+  );
+  const hysteresis = Math.round((inputConfig.audioHysteresis ?? 0.1) * 100);
+  const audioFile = inputConfig.audioFile || "";
+  const setBands = (next) =>
+    setInputConfig({ ...inputConfig, audioBands: next });
+  const updateBand = (index, updates) =>
+    setBands(bands.map((b, i) => (i === index ? { ...b, ...updates } : b)));
+  const addBand = () => {
+    const last = bands[bands.length - 1];
+    const low = last ? Math.min(last.high, MAX_BAND_HZ) : MIN_BAND_HZ;
+    setBands([
+      ...bands,
+      {
+        low,
+        high: Math.min(low * 2, MAX_BAND_HZ),
+        threshold: 0.5,
+        channel: bands.length + 1,
+        cc: null,
+      },
+    ]);
+  };
+
+  return (
+    <>
+      <div className="pl-12">
+        <div className="mb-1 text-[11px] relative inline-block">
+          <span className="opacity-50">Audio Device:</span>
+          <HelpIcon helpText={HELP_TEXT.audioInput} />
+        </div>
+        <Select
+          id="audioDeviceId"
+          value={inputConfig.audioDeviceId || ""}
+          onChange={(e) =>
+            setInputConfig({ ...inputConfig, audioDeviceId: e.target.value })
+          }
+          disabled={Boolean(audioFile)}
+          className="py-1 w-full"
+        >
+          <option value="" className="bg-[#101010]">
+            Default input
+          </option>
+          {availableAudioInputs.map((device) => (
+            <option
+              key={device.id}
+              value={device.id}
+              className="bg-[#101010]"
+            >
+              {device.name}
+            </option>
+          ))}
+        </Select>
+      </div>
+
+      <div className="pl-12">
+        <div className="opacity-50 mb-1 text-[11px]">Audio File:</div>
+        <div className="flex items-center gap-2">
+          <div
+            className="flex-1 truncate text-[11px] text-neutral-300/80"
+            title={audioFile}
+          >
+            {audioFile
+              ? audioFile.split(/[\\/]/).pop()
+              : "None (use device)"}
+          </div>
+          <Button onClick={onSelectAudioFile}>CHOOSE</Button>
+          {audioFile ? (
+            <div
+              className="px-1 text-red-500/50 cursor-pointer text-[11px]"
+              onClick={() => setInputConfig({ ...inputConfig, audioFile: "" })}
+              title="Clear"
+            >
+              [{"\u00D7"}]
+            </div>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="pl-12">
+        <div className="opacity-50 mb-1 text-[11px]">
+          Release Hysteresis %:
+        </div>
+        <DraftIntInput
+          value={hysteresis}
+          fallback={hysteresis}
+          onCommit={(next) =>
+            setInputConfig({
+              ...inputConfig,
+              audioHysteresis: Math.max(0, Math.min(50, next)) / 100,
+            })
+          }
+          min={0}
+          max={50}
+          className="py-1 w-full"
+          style={{ width: "100%" }}
+        />
+      </div>
+
+      <div className="pl-12">
+        <div className="mb-1 text-[11px] relative inline-block">
+          <span className="opacity-50">
+            Bands (Low Hz / High Hz / Threshold % / Channel / CC):
+          </span>
+          <HelpIcon helpText={HELP_TEXT.audioBands} />
+        </div>
+        <div className="flex flex-col gap-1">
+          {bands.map((band, index) => (
+            <div key={index} className="flex items-center gap-1">
+              <DraftIntInput
+                value={band.low}
+                fallback={band.low}
+                onCommit={(next) => updateBand(index, { low: next })}
+                min={MIN_BAND_HZ}
+                max={MAX_BAND_HZ}
+                className="py-0.5 w-16"
+              />
+              <DraftIntInput
+                value={band.high}
+                fallback={band.high}
+                onCommit={(next) => updateBand(index, { high: next })}
+                min={MIN_BAND_HZ}
+                max={MAX_BAND_HZ}
+                className="py-0.5 w-16"
+              />
+              <DraftIntInput
+                value={Math.round(band.threshold * 100)}
+                fallback={Math.round(band.threshold * 100)}
+                onCommit={(next) =>
+                  updateBand(index, {
+                    threshold: Math.max(0, Math.min(100, next)) / 100,
+                  })
+                }
+                min={0}
+                max={100}
+                className="py-0.5 w-12"
+              />
+              <DraftIntInput
+                value={band.channel}
+                fallback={band.channel}
+                onCommit={(next) =>
+                  updateBand(index, { channel: Math.max(1, next) })
+                }
+                min={1}
+                className="py-0.5 w-12"
+              />
+              <TextInput
+                key={`${index}:${band.cc ?? ""}`}
+                defaultValue={band.cc ?? ""}
+                placeholder="—"
+                onBlur={(e) => {
+                  const raw = e.target.value.trim();
+                  const next = raw === "" ? null : parseInt(raw, 10);
+                  updateBand(index, {
+                    cc: Number.isInteger(next) ? next : null,
+                  });
+                }}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") e.currentTarget.blur();
+                }}
+                className="py-0.5 w-12"
+              />
+              <div
+                className="px-1 text-red-500/50 cursor-pointer text-[11px]"
+                onClick={() => setBands(bands.filter((_, i) => i !== index))}
+                title="Remove band"
+              >
+                [{"\u00D7"}]
+              </div>
+            </div>
+          ))}
+        </div>
+        {bands.length < MAX_AUDIO_BANDS ? (
+          <Button onClick={addBand} className="w-full mt-2">
+            ADD BAND
+          </Button>
+        ) : null}
+      </div>
+    </>
+  );
+};
+
 const UserColors = ({ config, updateConfig }) => {
   const userColors = Array.isArray(config?.userColors) ? config.userColors : [];
   const [draft, setDraft] = React.useState(
@@ -261,6 +536,9 @@ export const SettingsModal = ({
   inputConfig,
   setInputConfig,
   availableMidiDevices,
+  availableSerialPorts = [],
+  availableAudioInputs = [],
+  onSelectAudioFile,
   onOpenMappings,
   config,
   updateConfig,
@@ -268,6 +546,57 @@ export const SettingsModal = ({
   onSelectWorkspace,
 }) => {
   const normalizedInputType = inputConfig?.type === "osc" ? "osc" : "midi";
+  const enabledSources = getInputSourceTypes(inputConfig);
+  const toggleExtraSource = (type, enabled) => {
+    const extras = enabledSources.filter(
+      (t) => t !== normalizedInputType && t !== type
+    );
+    setInputConfig({
+      ...inputConfig,
+      sources: enabled ? [...extras, type] : extras,
+    });
+  };
+  const renderMidiDeviceSelect = (id) => {
+    const selectedMidiDeviceId =
+      inputConfig.deviceId ||
+      (availableMidiDevices.find((d) => d.name === inputConfig.deviceName)
+        ?.id ??
+        "");
+    return (
+      <Select
+        id={id}
+        value={selectedMidiDeviceId}
+        onChange={(e) => {
+          const nextDeviceId = e.target.value;
+          const selected = availableMidiDevices.find(
+            (d) => d.id === nextDeviceId
+          );
+          setInputConfig({
+            ...inputConfig,
+            deviceId: nextDeviceId,
+            deviceName: selected?.name || "",
+          });
+        }}
+        className="py-1 w-full"
+      >
+        <option value="" className="bg-[#101010]">
+          Not configured
+        </option>
+        {availableMidiDevices.map((device) => (
+          <option key={device.id} value={device.id} className="bg-[#101010]">
+            {device.name}
+          </option>
+        ))}
+      </Select>
+    );
+  };
+  const sequencerClock = ["midi", "network"].includes(config.sequencerClock)
+    ? config.sequencerClock
+    : "internal";
+  const tempoSync = {
+    ...DEFAULT_TEMPO_SYNC_CONFIG,
+    ...(config.tempoSync || {}),
+  };
   const signalSourceValue = config.sequencerMode
     ? "sequencer"
     : normalizedInputType === "osc"
@@ -342,51 +671,38 @@ export const SettingsModal = ({
 
           {!config.sequencerMode && (
             <>
-              {normalizedInputType === "midi" && (
+              <div className="pl-12">
+                <div className="mb-1 text-[11px] relative inline-block">
+                  <span className="opacity-50">Additional Sources:</span>
+                  <HelpIcon helpText={HELP_TEXT.inputSources} />
+                </div>
+                <div className="space-y-2">
+                  {INPUT_SOURCE_TYPES.filter(
+                    (type) => type !== normalizedInputType
+                  ).map((type) => (
+                    <label
+                      key={type}
+                      className="flex items-center gap-3 py-1 cursor-pointer text-[11px] font-mono text-neutral-300"
+                    >
+                      <Checkbox
+                        checked={enabledSources.includes(type)}
+                        onChange={(e) =>
+                          toggleExtraSource(type, e.target.checked)
+                        }
+                      />
+                      <span>Also listen to {INPUT_SOURCE_LABELS[type]}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {enabledSources.includes("midi") && (
                 <>
                   <div className="pl-12">
                     <div className="opacity-50 mb-1 text-[11px]">
                       MIDI Device:
                     </div>
-                    {(() => {
-                      const selectedMidiDeviceId =
-                        inputConfig.deviceId ||
-                        (availableMidiDevices.find(
-                          (d) => d.name === inputConfig.deviceName
-                        )?.id ??
-                          "");
-                      return (
-                        <Select
-                          id="midiDevice"
-                          value={selectedMidiDeviceId}
-                          onChange={(e) => {
-                            const nextDeviceId = e.target.value;
-                            const selected = availableMidiDevices.find(
-                              (d) => d.id === nextDeviceId
-                            );
-                            setInputConfig({
-                              ...inputConfig,
-                              deviceId: nextDeviceId,
-                              deviceName: selected?.name || "",
-                            });
-                          }}
-                          className="py-1 w-full"
-                        >
-                          <option value="" className="bg-[#101010]">
-                            Not configured
-                          </option>
-                          {availableMidiDevices.map((device) => (
-                            <option
-                              key={device.id}
-                              value={device.id}
-                              className="bg-[#101010]"
-                            >
-                              {device.name}
-                            </option>
-                          ))}
-                        </Select>
-                      );
-                    })()}
+                    {renderMidiDeviceSelect("midiDevice")}
                   </div>
 
                   <div className="pl-12">
@@ -450,7 +766,7 @@ export const SettingsModal = ({
                 </>
               )}
 
-              {normalizedInputType === "osc" && (
+              {enabledSources.includes("osc") && (
                 <>
                   <div className="pl-12">
                     <div className="mb-1 text-[11px] relative inline-block">
@@ -480,6 +796,187 @@ export const SettingsModal = ({
                 </>
               )}
 
+              {enabledSources.includes("remote") && (
+                <>
+                  <div className="pl-12">
+                    <div className="mb-1 text-[11px] relative inline-block">
+                      <span className="opacity-50">Remote API Port:</span>
+                      <HelpIcon helpText={HELP_TEXT.remotePort} />
+                    </div>
+                    <NumberInput
+                      id="remotePort"
+                      value={inputConfig.remotePort ?? 8787}
+                      onChange={(e) =>
+                        setInputConfig({
+                          ...inputConfig,
+                          remotePort: parseInt(e.target.value) || 8787,
+                        })
+                      }
+                      className="py-1 w-full"
+                      min={1024}
+                      max={65535}
+                    />
+                  </div>
+
+                  <div className="pl-12">
+                    <div className="mb-1 text-[11px] relative inline-block">
+                      <span className="opacity-50">Remote API Token:</span>
+                      <HelpIcon helpText={HELP_TEXT.remoteToken} />
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {/* Committed on blur so the server restarts once, not per keystroke */}
+                      <TextInput
+                        key={inputConfig.remoteToken || ""}
+                        id="remoteToken"
+                        defaultValue={inputConfig.remoteToken || ""}
+                        placeholder="Optional"
+                        onBlur={(e) => {
+                          const next = e.target.value.trim();
+                          if (next === (inputConfig.remoteToken || "")) return;
+                          setInputConfig({ ...inputConfig, remoteToken: next });
+                        }}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") e.currentTarget.blur();
+                        }}
+                        className="py-1 w-full"
+                      />
+                      <Button
+                        onClick={() =>
+                          setInputConfig({
+                            ...inputConfig,
+                            remoteToken: generateRemoteToken(),
+                          })
+                        }
+                      >
+                        GENERATE
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="pl-12">
+                    <div className="mb-1 text-[11px] relative inline-block">
+                      <span className="opacity-50">Allowed Browser Origins:</span>
+                      <HelpIcon helpText={HELP_TEXT.remoteAllowedOrigins} />
+                    </div>
+                    <TextInput
+                      key={(inputConfig.remoteAllowedOrigins || []).join(",")}
+                      id="remoteAllowedOrigins"
+                      defaultValue={(inputConfig.remoteAllowedOrigins || []).join(
+                        ", "
+                      )}
+                      placeholder="None"
+                      onBlur={(e) => {
+                        const next = e.target.value
+                          .split(",")
+                          .map((origin) => origin.trim())
+                          .filter(Boolean);
+                        const prev = inputConfig.remoteAllowedOrigins || [];
+                        if (next.join(",") === prev.join(",")) return;
+                        setInputConfig({
+                          ...inputConfig,
+                          remoteAllowedOrigins: next,
+                        });
+                      }}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") e.currentTarget.blur();
+                      }}
+                      className="py-1 w-full"
+                    />
+                  </div>
+
+                  <div className="pl-12">
+                    <div className="text-[10px] opacity-50">
+                      POST JSON to: http://localhost:
+                      {inputConfig.remotePort ?? 8787}/input
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {enabledSources.includes("serial") && (
+                <>
+                  <div className="pl-12">
+                    <div className="mb-1 text-[11px] relative inline-block">
+                      <span className="opacity-50">Serial Device:</span>
+                      <HelpIcon helpText={HELP_TEXT.serialDevice} />
+                    </div>
+                    <Select
+                      id="serialPath"
+                      value={inputConfig.serialPath || ""}
+                      onChange={(e) =>
+                        setInputConfig({
+                          ...inputConfig,
+                          serialPath: e.target.value,
+                        })
+                      }
+                      className="py-1 w-full"
+                    >
+                      <option value="" className="bg-[#101010]">
+                        Not configured
+                      </option>
+                      {inputConfig.serialPath &&
+                      !availableSerialPorts.some(
+                        (p) => p.path === inputConfig.serialPath
+                      ) ? (
+                        <option
+                          value={inputConfig.serialPath}
+                          className="bg-[#101010]"
+                        >
+                          {inputConfig.serialPath} (not found)
+                        </option>
+                      ) : null}
+                      {availableSerialPorts.map((port) => (
+                        <option
+                          key={port.path}
+                          value={port.path}
+                          className="bg-[#101010]"
+                        >
+                          {port.manufacturer
+                            ? `${port.path} (${port.manufacturer})`
+                            : port.path}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+
+                  <div className="pl-12">
+                    <div className="opacity-50 mb-1 text-[11px]">
+                      Baud Rate:
+                    </div>
+                    <Select
+                      id="serialBaudRate"
+                      value={inputConfig.serialBaudRate ?? 9600}
+                      onChange={(e) =>
+                        setInputConfig({
+                          ...inputConfig,
+                          serialBaudRate: parseInt(e.target.value, 10),
+                        })
+                      }
+                      className="py-1 w-full"
+                    >
+                      {SERIAL_BAUD_RATES.map((rate) => (
+                        <option
+                          key={rate}
+                          value={rate}
+                          className="bg-[#101010]"
+                        >
+                          {rate}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+                </>
+              )}
+
+              {enabledSources.includes("audio") && (
+                <AudioInputSettings
+                  inputConfig={inputConfig}
+                  setInputConfig={setInputConfig}
+                  availableAudioInputs={availableAudioInputs}
+                  onSelectAudioFile={onSelectAudioFile}
+                />
+              )}
+
               <div className="pl-12">
                 <div className="opacity-50 mb-1 text-[11px]">
                   Global Input Mappings:
@@ -492,20 +989,85 @@ export const SettingsModal = ({
           )}
 
           {config.sequencerMode && (
-            <div className="pl-12">
-              <div className="mb-1 text-[11px] relative inline-block">
-                <span className="opacity-50">Sequencer BPM:</span>
-                <HelpIcon helpText={HELP_TEXT.sequencerBpm} />
+            <>
+              <div className="pl-12">
+                <div className="mb-1 text-[11px] relative inline-block">
+                  <span className="opacity-50">Clock Source:</span>
+                  <HelpIcon helpText={HELP_TEXT.sequencerClock} />
+                </div>
+                <Select
+                  id="sequencerClock"
+                  value={sequencerClock}
+                  onChange={(e) =>
+                    updateConfig({ sequencerClock: e.target.value })
+                  }
+                  className="py-1 w-full"
+                >
+                  <option value="internal" className="bg-[#101010]">
+                    Internal (BPM)
+                  </option>
+                  <option value="midi" className="bg-[#101010]">
+                    External MIDI Clock
+                  </option>
+                  <option value="network" className="bg-[#101010]">
+                    Network Tempo Sync
+                  </option>
+                </Select>
               </div>
-              <DraftIntInput
-                value={config.sequencerBpm ?? 120}
-                fallback={config.sequencerBpm ?? 120}
-                onCommit={(next) => updateConfig({ sequencerBpm: next })}
-                step={1}
-                className="py-1 w-full"
-                style={{ width: "100%" }}
-              />
-            </div>
+
+              {sequencerClock === "network" && (
+                <div className="pl-12">
+                  <div className="mb-1 text-[11px] relative inline-block">
+                    <span className="opacity-50">Sync Session Port:</span>
+                    <HelpIcon helpText={HELP_TEXT.tempoSyncPort} />
+                  </div>
+                  <DraftIntInput
+                    value={tempoSync.port}
+                    fallback={tempoSync.port}
+                    onCommit={(next) =>
+                      updateConfig({
+                        tempoSync: {
+                          ...tempoSync,
+                          port: Math.max(1, Math.min(65535, next)),
+                        },
+                      })
+                    }
+                    min={1}
+                    max={65535}
+                    className="py-1 w-full"
+                    style={{ width: "100%" }}
+                  />
+                </div>
+              )}
+
+              {sequencerClock === "midi" ? (
+                <div className="pl-12">
+                  <div className="opacity-50 mb-1 text-[11px]">
+                    MIDI Clock Device:
+                  </div>
+                  {renderMidiDeviceSelect("midiClockDevice")}
+                </div>
+              ) : (
+                <div className="pl-12">
+                  <div className="mb-1 text-[11px] relative inline-block">
+                    <span className="opacity-50">
+                      {sequencerClock === "network"
+                        ? "Sequencer BPM (when leading):"
+                        : "Sequencer BPM:"}
+                    </span>
+                    <HelpIcon helpText={HELP_TEXT.sequencerBpm} />
+                  </div>
+                  <DraftIntInput
+                    value={config.sequencerBpm ?? 120}
+                    fallback={config.sequencerBpm ?? 120}
+                    onCommit={(next) => updateConfig({ sequencerBpm: next })}
+                    step={1}
+                    className="py-1 w-full"
+                    style={{ width: "100%" }}
+                  />
+                </div>
+              )}
+            </>
           )}
         </div>
 
@@ -517,6 +1079,8 @@ export const SettingsModal = ({
           settings={settings}
         />
 
+        <OscOutputSettings config={config} updateConfig={updateConfig} />
+
         <UserColors config={config} updateConfig={updateConfig} />
 
         <div className="flex flex-col gap-2 font-mono border-t border-neutral-800 pt-6">
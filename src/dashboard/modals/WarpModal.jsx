@@ -0,0 +1,347 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Modal } from "../shared/Modal.jsx";
+import { ModalHeader } from "../components/ModalHeader.js";
+import { ModalFooter } from "../components/ModalFooter.js";
+import { Button } from "../components/Button.js";
+import {
+  NumberInput,
+  Select,
+  Checkbox,
+  Label,
+} from "../components/FormInputs.js";
+import { HelpIcon } from "../components/HelpIcon.js";
+import { useIPCSend } from "../core/hooks/useIPC.js";
+import {
+  MESH_SIZES,
+  MAX_SOFT_EDGE,
+  createDefaultWarp,
+  createMesh,
+  normalizeWarp,
+} from "../../shared/utils/projectionWarp.js";
+import { HELP_TEXT } from "../../shared/helpText.js";
+
+const EDITOR_WIDTH = 480;
+const EDITOR_HEIGHT = 270;
+const EDITOR_PAD = 16;
+const SOFT_EDGE_SIDES = ["left", "right", "top", "bottom"];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const FieldLabel = ({ children }) => (
+  <div className="opacity-50 mb-1 text-[11px]">{children}</div>
+);
+
+const getMeshBase = (mesh, index) => {
+  const last = mesh.size - 1;
+  return [(index % mesh.size) / last, Math.floor(index / mesh.size) / last];
+};
+
+const toEditor = ([x, y]) => [
+  EDITOR_PAD + x * EDITOR_WIDTH,
+  EDITOR_PAD + y * EDITOR_HEIGHT,
+];
+
+const Handle = ({ point, label, onPointerDown }) => {
+  const [left, top] = toEditor(point);
+  return (
+    <div
+      onPointerDown={onPointerDown}
+      className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-neutral-300 cursor-move text-[9px] leading-3 text-center text-[#101010]"
+      style={{ left, top }}
+    >
+      {label}
+    </div>
+  );
+};
+
+export const WarpModal = ({ isOpen, onClose, output, settings, onSave }) => {
+  const sendToProjector = useIPCSend("dashboard-to-projector");
+  const [warp, setWarp] = useState(createDefaultWarp);
+  const [mode, setMode] = useState("corners");
+  const [calibrate, setCalibrate] = useState(true);
+  const editorRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const savedWarp = normalizeWarp(settings.warps?.[output?.id]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setWarp(savedWarp);
+    setMode("corners");
+    setCalibrate(true);
+  }, [isOpen]);
+
+  // The output follows every edit live
+  useEffect(() => {
+    if (!isOpen || !output) return;
+    sendToProjector("output-warp", { outputId: output.id, warp, calibrate });
+  }, [isOpen, warp, calibrate]);
+
+  if (!isOpen || !output) return null;
+
+  const close = (nextWarp) => {
+    sendToProjector("output-warp", {
+      outputId: output.id,
+      warp: nextWarp,
+      calibrate: false,
+    });
+    onClose();
+  };
+
+  const handleSubmit = () => {
+    onSave(output.id, normalizeWarp(warp));
+    close(warp);
+  };
+
+  const getEditorPoint = (e) => {
+    const rect = editorRef.current.getBoundingClientRect();
+    return [
+      (e.clientX - rect.left - EDITOR_PAD) / EDITOR_WIDTH,
+      (e.clientY - rect.top - EDITOR_PAD) / EDITOR_HEIGHT,
+    ];
+  };
+
+  const startDrag = (kind, index) => (e) => {
+    e.preventDefault();
+    dragRef.current = { kind, index };
+    editorRef.current?.setPointerCapture?.(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const [x, y] = getEditorPoint(e);
+    setWarp((prev) => {
+      if (drag.kind === "corner") {
+        return {
+          ...prev,
+          corners: prev.corners.map((c, i) =>
+            i === drag.index ? [clamp(x, 0, 1), clamp(y, 0, 1)] : c
+          ),
+        };
+      }
+      const [baseX, baseY] = getMeshBase(prev.mesh, drag.index);
+      return {
+        ...prev,
+        mesh: {
+          ...prev.mesh,
+          points: prev.mesh.points.map((p, i) =>
+            i === drag.index
+              ? [clamp(x - baseX, -0.5, 0.5), clamp(y - baseY, -0.5, 0.5)]
+              : p
+          ),
+        },
+      };
+    });
+  };
+
+  const updateSoftEdge = (updates) => {
+    setWarp((prev) => ({
+      ...prev,
+      softEdge: { ...prev.softEdge, ...updates },
+    }));
+  };
+
+  const renderCorners = () => (
+    <>
+      <svg
+        className="absolute inset-0 pointer-events-none"
+        width="100%"
+        height="100%"
+      >
+        <polygon
+          points={warp.corners.map((c) => toEditor(c).join(",")).join(" ")}
+          fill="rgba(255,255,255,0.05)"
+          stroke="rgba(255,255,255,0.6)"
+        />
+      </svg>
+      {warp.corners.map((corner, i) => (
+        <Handle
+          key={i}
+          point={corner}
+          label={i + 1}
+          onPointerDown={startDrag("corner", i)}
+        />
+      ))}
+    </>
+  );
+
+  const renderMesh = () => {
+    const { size, points } = warp.mesh;
+    const placed = points.map((p, i) => {
+      const [baseX, baseY] = getMeshBase(warp.mesh, i);
+      return [baseX + p[0], baseY + p[1]];
+    });
+    const lines = [];
+    for (let n = 0; n < size; n++) {
+      const row = placed.slice(n * size, (n + 1) * size);
+      const col = placed.filter((_, i) => i % size === n);
+      lines.push(row, col);
+    }
+    return (
+      <>
+        <svg
+          className="absolute inset-0 pointer-events-none"
+          width="100%"
+          height="100%"
+        >
+          {lines.map((line, i) => (
+            <polyline
+              key={i}
+              points={line.map((p) => toEditor(p).join(",")).join(" ")}
+              fill="none"
+              stroke="rgba(255,255,255,0.6)"
+            />
+          ))}
+        </svg>
+        {placed.map((point, i) => (
+          <Handle key={i} point={point} onPointerDown={startDrag("mesh", i)} />
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={() => close(savedWarp)}>
+      <ModalHeader
+        title={`WARP: ${output.label}`}
+        onClose={() => close(savedWarp)}
+      />
+
+      <div className="px-6 flex flex-col gap-4 font-mono">
+        <div className="flex items-end gap-6 flex-wrap">
+          <div className="relative inline-block">
+            <Label>Projection mapping</Label>
+            <HelpIcon helpText={HELP_TEXT.projectionWarp} />
+          </div>
+          <label className="flex items-center gap-2 pb-1 cursor-pointer text-[11px] text-neutral-300">
+            <Checkbox
+              checked={calibrate}
+              onChange={(e) => setCalibrate(e.target.checked)}
+            />
+            Show test grid on output
+          </label>
+        </div>
+
+        <div className="flex items-end gap-3 flex-wrap">
+          <div>
+            <FieldLabel>Edit</FieldLabel>
+            <Select
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              className="py-1"
+            >
+              <option value="corners" className="bg-[#101010]">
+                corner pins
+              </option>
+              <option
+                value="mesh"
+                className="bg-[#101010]"
+                disabled={!warp.mesh}
+              >
+                mesh
+              </option>
+            </Select>
+          </div>
+          <div>
+            <FieldLabel>Mesh</FieldLabel>
+            <Select
+              value={warp.mesh ? String(warp.mesh.size) : ""}
+              onChange={(e) => {
+                const size = Number(e.target.value);
+                setWarp((prev) => ({
+                  ...prev,
+                  mesh: size ? createMesh(size) : null,
+                }));
+                setMode(size ? "mesh" : "corners");
+              }}
+              className="py-1"
+            >
+              <option value="" className="bg-[#101010]">
+                off
+              </option>
+              {MESH_SIZES.map((size) => (
+                <option key={size} value={size} className="bg-[#101010]">
+                  {size}x{size}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <Button onClick={() => setWarp(createDefaultWarp())} type="secondary">
+            RESET
+          </Button>
+        </div>
+
+        <div
+          ref={editorRef}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => {
+            dragRef.current = null;
+          }}
+          className="relative select-none touch-none"
+          style={{
+            width: EDITOR_WIDTH + EDITOR_PAD * 2,
+            height: EDITOR_HEIGHT + EDITOR_PAD * 2,
+          }}
+        >
+          <div
+            className="absolute border border-neutral-800"
+            style={{
+              left: EDITOR_PAD,
+              top: EDITOR_PAD,
+              width: EDITOR_WIDTH,
+              height: EDITOR_HEIGHT,
+            }}
+          />
+          {mode === "mesh" && warp.mesh ? renderMesh() : renderCorners()}
+        </div>
+
+        <div>
+          <FieldLabel>Soft edges (% of the output)</FieldLabel>
+          <div className="flex items-end gap-3 flex-wrap">
+            {SOFT_EDGE_SIDES.map((side) => (
+              <div key={side}>
+                <div className="opacity-50 mb-1 text-[11px]">{side}</div>
+                <NumberInput
+                  value={Math.round(warp.softEdge[side] * 1000) / 10}
+                  min={0}
+                  max={MAX_SOFT_EDGE * 100}
+                  step="any"
+                  onChange={(e) => {
+                    const n = parseFloat(e.target.value);
+                    if (!Number.isFinite(n)) return;
+                    updateSoftEdge({
+                      [side]: clamp(n / 100, 0, MAX_SOFT_EDGE),
+                    });
+                  }}
+                />
+              </div>
+            ))}
+            <div>
+              <div className="opacity-50 mb-1 text-[11px]">gamma</div>
+              <NumberInput
+                value={warp.softEdge.gamma}
+                min={1}
+                max={3}
+                step={0.1}
+                onChange={(e) => {
+                  const n = parseFloat(e.target.value);
+                  if (Number.isFinite(n)) {
+                    updateSoftEdge({ gamma: clamp(n, 1, 3) });
+                  }
+                }}
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <ModalFooter>
+        <Button onClick={() => close(savedWarp)} type="secondary">
+          Cancel
+        </Button>
+        <Button onClick={handleSubmit}>Save Changes</Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
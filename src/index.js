@@ -14,6 +14,13 @@ const path = require("path");
 const fs = require("fs");
 const { pathToFileURL } = require("url");
 const InputManager = require("./main/InputManager");
+const OscOutput = require("./main/OscOutput");
+const TempoSync = require("./main/TempoSync");
+const FrameExport = require("./main/FrameExport");
+const {
+  getClockInputConfig,
+  getTempoSyncConfig,
+} = require("./shared/config/inputSources");
 const {
   atomicWriteFile,
   atomicWriteFileSync,
@@ -26,6 +33,10 @@ const {
 } = require("./main/workspaceStarterAssets");
 const { DEFAULT_USER_DATA } = require("./shared/config/defaultConfig");
 const { parseNwWrldDocblockMetadata } = require("./shared/nwWrldDocblock");
+const {
+  MAIN_OUTPUT_ID,
+  getProjectorOutputs,
+} = require("./shared/config/projectorOutputs");
 
 app.setName("nw_wrld");
 
@@ -60,6 +71,12 @@ if (process.platform === "darwin") {
 let projector1Window;
 let dashboardWindow;
 let inputManager;
+let oscOutput;
+let tempoSync;
+const frameExport = new FrameExport();
+// Set when launched to render a track headlessly (see FrameExport.parseArgs)
+const cliExportJob = FrameExport.parseArgs(process.argv);
+let didStartCliExport = false;
 let workspaceWatcher = null;
 let workspaceWatcherDebounce = null;
 let currentWorkspacePath = null;
@@ -69,11 +86,9 @@ const webContentsToProjectDir = new Map();
 const sandboxTokenToProjectDir = new Map();
 const sandboxOwnerWebContentsIdToTokens = new Map(); // ownerWebContentsId -> Set<token>
 const sandboxOwnerCleanupHooked = new Set(); // ownerWebContentsId
-let sandboxView = null;
-let sandboxViewWebContentsId = null;
-let activeSandboxToken = null;
-let sandboxEnsureInFlight = null;
-let projectorDefaultBounds = null;
+// Projector outputs by id: Projector 1 is MAIN_OUTPUT_ID, the others are
+// the extra outputs from config.json. Each has its own window and sandbox.
+const projectorOutputs = new Map();
 const pendingSandboxRequests = new Map(); // requestId -> { resolve, timeout }
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -351,6 +366,9 @@ ipcMain.on("bridge:project:isDirAvailable", (event) => {
   const projectDir = getProjectDirForEvent(event);
   event.returnValue = Boolean(projectDir && isExistingDirectory(projectDir));
 });
+ipcMain.on("bridge:project:getOutputId", (event) => {
+  event.returnValue = getOutputForEvent(event)?.id || null;
+});
 
 ipcMain.on("bridge:sandbox:registerToken", (event, token) => {
   const projectDir = getProjectDirForEvent(event);
@@ -407,47 +425,86 @@ const readFileUtf8WithLimit = async (filePath, maxBytes) => {
   }
 };
 
-const updateSandboxViewBounds = () => {
-  if (!sandboxView || !projector1Window || projector1Window.isDestroyed()) {
+const isLiveWindow = (win) =>
+  Boolean(
+    win &&
+      !win.isDestroyed() &&
+      win.webContents &&
+      !win.webContents.isDestroyed()
+  );
+
+const getMainOutput = () => projectorOutputs.get(MAIN_OUTPUT_ID) || null;
+
+const getProjectorWindows = () =>
+  Array.from(projectorOutputs.values())
+    .map((output) => output.window)
+    .filter(isLiveWindow);
+
+const sendToProjectors = (channel, payload) => {
+  getProjectorWindows().forEach((win) => {
+    try {
+      win.webContents.send(channel, payload);
+    } catch {}
+  });
+};
+
+const getOutputForEvent = (event) => {
+  const senderId = event?.sender?.id;
+  if (typeof senderId !== "number") return null;
+  for (const output of projectorOutputs.values()) {
+    const win = output.window;
+    if (isLiveWindow(win) && win.webContents.id === senderId) return output;
+  }
+  return null;
+};
+
+const getOutputForSandboxSender = (senderId) => {
+  if (typeof senderId !== "number") return null;
+  for (const output of projectorOutputs.values()) {
+    if (output.sandboxViewWebContentsId === senderId) return output;
+  }
+  return null;
+};
+
+const updateSandboxViewBounds = (output) => {
+  if (!output?.sandboxView || !output.window || output.window.isDestroyed()) {
     return;
   }
   try {
-    const [width, height] = projector1Window.getContentSize();
-    sandboxView.setBounds({ x: 0, y: 0, width, height });
+    const [width, height] = output.window.getContentSize();
+    output.sandboxView.setBounds({ x: 0, y: 0, width, height });
   } catch {}
 };
 
-const destroySandboxView = () => {
-  if (!sandboxView) return;
+const destroySandboxView = (output) => {
+  if (!output?.sandboxView) return;
   try {
-    projector1Window?.setBrowserView?.(null);
+    output.window?.setBrowserView?.(null);
   } catch {}
   try {
-    sandboxView?.webContents?.destroy?.();
+    output.sandboxView?.webContents?.destroy?.();
   } catch {}
-  sandboxView = null;
-  sandboxViewWebContentsId = null;
+  output.sandboxView = null;
+  output.sandboxViewWebContentsId = null;
 };
 
-const ensureSandboxView = (projectDir) => {
-  if (!projector1Window || projector1Window.isDestroyed()) return null;
-  if (
-    sandboxView &&
-    sandboxView.webContents &&
-    !sandboxView.webContents.isDestroyed()
-  ) {
+const ensureSandboxView = (output, projectDir) => {
+  const win = output?.window;
+  if (!win || win.isDestroyed()) return null;
+  const existing = output.sandboxView;
+  if (existing && existing.webContents && !existing.webContents.isDestroyed()) {
     try {
-      projector1Window.setBrowserView(sandboxView);
-      updateSandboxViewBounds();
+      win.setBrowserView(existing);
+      updateSandboxViewBounds(output);
     } catch {}
-    return sandboxView;
+    return existing;
   }
 
   try {
-    destroySandboxView();
+    destroySandboxView(output);
   } catch {}
 
-  sandboxView = new BrowserView({
+  const sandboxView = new BrowserView({
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
@@ -465,69 +522,52 @@ const ensureSandboxView = (projectDir) => {
       ].filter(Boolean),
     },
   });
+  output.sandboxView = sandboxView;
+
+  const handleSandboxGone = () => {
+    try {
+      if (output.activeSandboxToken) {
+        try {
+          unregisterSandboxToken(output.activeSandboxToken);
+        } catch {}
+      }
+      output.sandboxViewWebContentsId = null;
+      output.activeSandboxToken = null;
+      destroySandboxView(output);
+    } catch {}
+  };
 
   try {
     const wc = sandboxView.webContents;
-    sandboxViewWebContentsId = typeof wc?.id === "number" ? wc.id : null;
-    wc.on("render-process-gone", () => {
-      try {
-        if (activeSandboxToken) {
-          try {
-            unregisterSandboxToken(activeSandboxToken);
-          } catch {}
-        }
-        sandboxViewWebContentsId = null;
-        activeSandboxToken = null;
-        destroySandboxView();
-      } catch {}
-    });
-    wc.on("unresponsive", () => {
-      try {
-        if (activeSandboxToken) {
-          try {
-            unregisterSandboxToken(activeSandboxToken);
-          } catch {}
-        }
-        sandboxViewWebContentsId = null;
-        activeSandboxToken = null;
-        destroySandboxView();
-      } catch {}
-    });
+    output.sandboxViewWebContentsId = typeof wc?.id === "number" ? wc.id : null;
+    wc.on("render-process-gone", handleSandboxGone);
+    wc.on("unresponsive", handleSandboxGone);
   } catch {}
 
   try {
-    projector1Window.setBrowserView(sandboxView);
-    updateSandboxViewBounds();
+    win.setBrowserView(sandboxView);
+    updateSandboxViewBounds(output);
   } catch {}
 
   return sandboxView;
 };
 
-const isProjectorEvent = (event) => {
-  try {
-    const senderId = event?.sender?.id;
-    return (
-      typeof senderId === "number" &&
-      projector1Window &&
-      !projector1Window.isDestroyed() &&
-      projector1Window.webContents &&
-      !projector1Window.webContents.isDestroyed() &&
-      senderId === projector1Window.webContents.id
-    );
-  } catch {
-    return false;
-  }
-};
+const isProjectorEvent = (event) => Boolean(getOutputForEvent(event));
 
 const sandboxRequestAllowedTypes = new Set([
   "initTrack",
   "invokeOnInstance",
   "introspectModule",
   "destroyTrack",
+  "finishTransition",
   "setMatrixForInstance",
+  "advanceFrame",
+  "setWarp",
+  "setLayer",
 ]);
 
-const sendToSandbox = (payload) => {
+const sendToSandbox = (output, payload) => {
+  const sandboxView = output?.sandboxView;
   if (
     !sandboxView ||
     !sandboxView.webContents ||
@@ -543,12 +583,12 @@ const sendToSandbox = (payload) => {
   }
 };
 
-const destroySandboxForProjector = (ownerWebContentsId) => {
-  if (activeSandboxToken) {
+const destroySandboxForProjector = (output, ownerWebContentsId) => {
+  if (output.activeSandboxToken) {
     try {
-      unregisterSandboxToken(activeSandboxToken);
+      unregisterSandboxToken(output.activeSandboxToken);
     } catch {}
-    activeSandboxToken = null;
+    output.activeSandboxToken = null;
   }
 
   if (typeof ownerWebContentsId === "number") {
@@ -563,6 +603,7 @@ const destroySandboxForProjector = (ownerWebContentsId) => {
   }
 
   for (const [requestId, entry] of pendingSandboxRequests.entries()) {
+    if (entry.outputId !== output.id) continue;
     try {
       clearTimeout(entry.timeout);
     } catch {}
@@ -573,37 +614,39 @@ const destroySandboxForProjector = (ownerWebContentsId) => {
   }
 
   try {
-    destroySandboxView();
+    destroySandboxView(output);
   } catch {}
 };
 
 ipcMain.handle("sandbox:ensure", async (event) => {
-  if (!isProjectorEvent(event)) return { ok: false, reason: "FORBIDDEN" };
+  const output = getOutputForEvent(event);
+  if (!output) return { ok: false, reason: "FORBIDDEN" };
   const projectDir = getProjectDirForEvent(event);
   if (!projectDir || !isExistingDirectory(projectDir)) {
     return { ok: false, reason: "PROJECT_DIR_MISSING" };
   }
 
-  if (sandboxEnsureInFlight) {
+  if (output.sandboxEnsureInFlight) {
     try {
-      await sandboxEnsureInFlight;
+      await output.sandboxEnsureInFlight;
     } catch {}
   }
 
-  const view = ensureSandboxView(projectDir);
+  const view = ensureSandboxView(output, projectDir);
   if (!view || !view.webContents || view.webContents.isDestroyed()) {
     return { ok: false, reason: "SANDBOX_VIEW_UNAVAILABLE" };
   }
 
-  if (activeSandboxToken) {
-    const entry = sandboxTokenToProjectDir.get(activeSandboxToken) || null;
+  if (output.activeSandboxToken) {
+    const entry =
+      sandboxTokenToProjectDir.get(output.activeSandboxToken) || null;
     if (entry?.projectDir === projectDir) {
-      return { ok: true, token: activeSandboxToken };
+      return { ok: true, token: output.activeSandboxToken };
     }
     try {
-      unregisterSandboxToken(activeSandboxToken);
+      unregisterSandboxToken(output.activeSandboxToken);
     } catch {}
-    activeSandboxToken = null;
+    output.activeSandboxToken = null;
   }
 
   const p = (async () => {
@@ -623,28 +666,30 @@ ipcMain.handle("sandbox:ensure", async (event) => {
       return { ok: false, reason: "SANDBOX_LOAD_FAILED" };
     }
 
-    activeSandboxToken = token;
+    output.activeSandboxToken = token;
     return { ok: true, token };
   })();
 
-  sandboxEnsureInFlight = p;
+  output.sandboxEnsureInFlight = p;
   try {
     return await p;
   } finally {
-    if (sandboxEnsureInFlight === p) sandboxEnsureInFlight = null;
+    if (output.sandboxEnsureInFlight === p) output.sandboxEnsureInFlight = null;
   }
 });
 
 ipcMain.handle("sandbox:destroy", async (event) => {
-  if (!isProjectorEvent(event)) return { ok: false, reason: "FORBIDDEN" };
+  const output = getOutputForEvent(event);
+  if (!output) return { ok: false, reason: "FORBIDDEN" };
   const ownerId =
     typeof event?.sender?.id === "number" ? event.sender.id : null;
-  destroySandboxForProjector(ownerId);
+  destroySandboxForProjector(output, ownerId);
   return { ok: true };
 });
 
 ipcMain.handle("sandbox:request", async (event, payload) => {
-  if (!isProjectorEvent(event)) return { ok: false, error: "FORBIDDEN" };
+  const output = getOutputForEvent(event);
+  if (!output) return { ok: false, error: "FORBIDDEN" };
   const ownerId =
     typeof event?.sender?.id === "number" ? event.sender.id : null;
   const token = String(payload?.token || "").trim();
@@ -660,7 +705,7 @@ ipcMain.handle("sandbox:request", async (event, payload) => {
   }
 
   const requestId = `${Date.now()}:${Math.random().toString(16).slice(2)}`;
-  const sent = sendToSandbox({
+  const sent = sendToSandbox(output, {
     __nwWrldSandbox: true,
     token,
     type,
@@ -675,14 +720,20 @@ ipcMain.handle("sandbox:request", async (event, payload) => {
       pendingSandboxRequests.delete(requestId);
       resolve({ ok: false, error: "TIMEOUT" });
     }, 8000);
-    pendingSandboxRequests.set(requestId, { resolve, timeout, token });
+    pendingSandboxRequests.set(requestId, {
+      resolve,
+      timeout,
+      token,
+      outputId: output.id,
+    });
   });
 });
 
 ipcMain.on("sandbox:toMain", async (event, payload) => {
   const senderId =
     typeof event?.sender?.id === "number" ? event.sender.id : null;
-  if (!senderId || senderId !== sandboxViewWebContentsId) return;
+  const output = getOutputForSandboxSender(senderId);
+  if (!output) return;
   const data = payload;
   if (!data || typeof data !== "object") return;
 
@@ -705,7 +756,7 @@ ipcMain.on("sandbox:toMain", async (event, payload) => {
   }
 
   if (data.__nwWrldSandbox && data.type === "sdk:readAssetText") {
-    if (!activeSandboxToken || token !== activeSandboxToken) {
+    if (!output.activeSandboxToken || token !== output.activeSandboxToken) {
       return;
     }
     const entry = sandboxTokenToProjectDir.get(token) || null;
@@ -725,7 +776,7 @@ ipcMain.on("sandbox:toMain", async (event, payload) => {
         }
       }
     }
-    sendToSandbox({
+    sendToSandbox(output, {
       __nwWrldSandboxResult: true,
       token,
       requestId,
@@ -734,7 +785,7 @@ ipcMain.on("sandbox:toMain", async (event, payload) => {
   }
 
   if (data.__nwWrldSandbox && data.type === "sdk:listAssets") {
-    if (!activeSandboxToken || token !== activeSandboxToken) {
+    if (!output.activeSandboxToken || token !== output.activeSandboxToken) {
       return;
     }
     const entry = sandboxTokenToProjectDir.get(token) || null;
@@ -760,7 +811,7 @@ ipcMain.on("sandbox:toMain", async (event, payload) => {
         } catch {}
       }
     }
-    sendToSandbox({
+    sendToSandbox(output, {
       __nwWrldSandboxResult: true,
       token,
       requestId,
@@ -991,6 +1042,23 @@ ipcMain.handle("bridge:workspace:readAssetText", async (event, relPath) => {
   }
 });
 
+ipcMain.handle(
+  "bridge:workspace:readAssetArrayBuffer",
+  async (event, relPath) => {
+    const projectDir = getProjectDirForEvent(event);
+    if (!projectDir || !isExistingDirectory(projectDir)) return null;
+    const assetsDir = path.join(projectDir, "assets");
+    const fullPath = resolveWithinDir(assetsDir, String(relPath || ""));
+    if (!fullPath) return null;
+    try {
+      const buf = await fs.promises.readFile(fullPath);
+      return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+    } catch {
+      return null;
+    }
+  }
+);
+
 ipcMain.handle("bridge:json:read", async (event, filename, defaultValue) => {
   const projectDir = getProjectDirForEvent(event);
   const safeName = safeJsonFilename(filename);
@@ -1408,14 +1476,7 @@ const broadcastWorkspaceModulesChanged = () => {
   ) {
     dashboardWindow.webContents.send("workspace:modulesChanged", {});
   }
-  if (
-    projector1Window &&
-    !projector1Window.isDestroyed() &&
-    projector1Window.webContents &&
-    !projector1Window.webContents.isDestroyed()
-  ) {
-    projector1Window.webContents.send("workspace:modulesChanged", {});
-  }
+  sendToProjectors("workspace:modulesChanged", {});
 };
 
 const broadcastWorkspaceLostSync = (workspacePath) => {
@@ -1428,14 +1489,7 @@ const broadcastWorkspaceLostSync = (workspacePath) => {
   ) {
     dashboardWindow.webContents.send("workspace:lostSync", payload);
   }
-  if (
-    projector1Window &&
-    !projector1Window.isDestroyed() &&
-    projector1Window.webContents &&
-    !projector1Window.webContents.isDestroyed()
-  ) {
-    projector1Window.webContents.send("workspace:lostSync", payload);
-  }
+  sendToProjectors("workspace:lostSync", payload);
 };
 
 const startWorkspaceWatcher = (workspacePath) => {
@@ -1510,8 +1564,14 @@ const startWorkspaceWatcher = (workspacePath) => {
 app.commandLine.appendSwitch("max-webgl-contexts", "64");
 app.commandLine.appendSwitch("disable-renderer-backgrounding");
 app.commandLine.appendSwitch("disable-background-timer-throttling");
-app.commandLine.appendSwitch("enable-gpu-rasterization");
-app.commandLine.appendSwitch("enable-zero-copy");
+if (cliExportJob) {
+  // Headless exports render WebGL on the CPU, so they run without a GPU
+  app.commandLine.appendSwitch("use-angle", "swiftshader");
+  app.commandLine.appendSwitch("enable-unsafe-swiftshader");
+} else {
+  app.commandLine.appendSwitch("enable-gpu-rasterization");
+  app.commandLine.appendSwitch("enable-zero-copy");
+}
 
 // Register IPC handlers ONCE at module level (outside createWindow)
 const getProjectorAspectRatioValue = (aspectRatioId) => {
@@ -1523,30 +1583,34 @@ const getProjectorAspectRatioValue = (aspectRatioId) => {
   return 0;
 };
 
-const applyProjectorWindowAspectRatio = (aspectRatioId) => {
-  if (!projector1Window || projector1Window.isDestroyed()) return;
+const applyProjectorWindowAspectRatio = (
+  aspectRatioId,
+  output = getMainOutput()
+) => {
+  const win = output?.window;
+  if (!win || win.isDestroyed()) return;
 
   const id = String(aspectRatioId || "").trim();
   const ratio = getProjectorAspectRatioValue(aspectRatioId);
 
   try {
-    projector1Window.setAspectRatio(ratio || 0);
+    win.setAspectRatio(ratio || 0);
   } catch {}
 
   if (!ratio) {
     if (
       (id === "default" || id === "landscape" || !id) &&
-      projectorDefaultBounds
+      output.defaultBounds
     ) {
       try {
-        projector1Window.setBounds(projectorDefaultBounds, false);
+        win.setBounds(output.defaultBounds, false);
       } catch {}
     }
     return;
   }
 
   try {
-    const bounds = projector1Window.getBounds();
+    const bounds = win.getBounds();
     const display = screen.getDisplayMatching(bounds);
     const workArea = display?.workArea || bounds;
 
@@ -1561,7 +1625,7 @@ const applyProjectorWindowAspectRatio = (aspectRatioId) => {
       );
     }
 
-    projector1Window.setBounds(
+    win.setBounds(
       {
         x: nextX,
         y: bounds.y,
@@ -1580,16 +1644,25 @@ const messageChannels = {
         applyProjectorWindowAspectRatio(data?.props?.name);
       }
     } catch {}
-    if (
-      projector1Window &&
-      !projector1Window.isDestroyed() &&
-      projector1Window.webContents &&
-      !projector1Window.webContents.isDestroyed()
-    ) {
-      projector1Window.webContents.send("from-dashboard", data);
+    sendToProjectors("from-dashboard", data);
+  },
+  "osc-output": (data) => {
+    if (oscOutput && data?.type) {
+      oscOutput.send(data.type, data.props || {});
     }
   },
-  "projector-to-dashboard": (data) => {
+  "audio-input": (data) => {
+    if (inputManager && data?.type) {
+      inputManager.handleAudioInput({
+        type: data.type,
+        ...(data.props || {}),
+      });
+    }
+  },
+  "projector-to-dashboard": (data, event) => {
+    // Extra outputs mirror Projector 1, so only it reports back
+    if (getOutputForEvent(event)?.id !== MAIN_OUTPUT_ID) return;
+    if (cliExportJob) handleCliExportMessage(data);
     if (
       dashboardWindow &&
       !dashboardWindow.isDestroyed() &&
@@ -1601,9 +1674,41 @@ const messageChannels = {
   },
 };
 
+// The headless export starts once the projector has loaded, and the app
+// exits with its result
+const handleCliExportMessage = (data) => {
+  const props = data?.props || {};
+  if (data?.type === "projector-ready" && !didStartCliExport) {
+    didStartCliExport = true;
+    const { trackName, source, fps, duration, format, seed } = cliExportJob;
+    projector1Window?.webContents?.send("from-dashboard", {
+      type: "export-frames",
+      props: { trackName, source, fps, duration, format, seed },
+    });
+    return;
+  }
+  if (data?.type === "frame-export-progress") {
+    console.log(`[Export] Frame ${props.frame + 1}/${props.frameCount}`);
+    return;
+  }
+  if (data?.type === "frame-export-done") {
+    if (props.ok) {
+      console.log(
+        `[Export] Wrote ${props.frames} frames to ${props.file || props.dir}`
+      );
+    } else {
+      console.error(
+        `[Export] Failed to export "${cliExportJob.trackName}":`,
+        props.error
+      );
+    }
+    app.exit(props.ok ? 0 : 1);
+  }
+};
+
 Object.entries(messageChannels).forEach(([channel, handler]) => {
   ipcMain.on(channel, (event, data) => {
-    handler(data);
+    handler(data, event);
   });
 });
 
@@ -1614,10 +1719,209 @@ ipcMain.handle("input:configure", async (event, payload) => {
   return { success: true };
 });
 
+ipcMain.handle("input:configure-clock", async (event, payload) => {
+  if (inputManager) {
+    await inputManager.configureClock(payload);
+  }
+  return { success: true };
+});
+
+ipcMain.handle("osc-output:configure", async (event, payload) => {
+  if (!oscOutput) {
+    oscOutput = new OscOutput();
+  }
+  oscOutput.configure(payload);
+  return { success: true };
+});
+
+ipcMain.handle("tempo-sync:configure", async (event, payload) => {
+  if (tempoSync) {
+    tempoSync.configure(payload);
+  }
+  return { success: true };
+});
+
+ipcMain.handle("tempo-sync:lead", async () => {
+  if (tempoSync) {
+    tempoSync.takeLead();
+  }
+  return { success: true };
+});
+
+const AUDIO_FILE_EXTENSIONS = ["wav", "mp3", "ogg", "flac", "m4a", "aac"];
+
+ipcMain.handle("input:select-audio-file", async () => {
+  const result = await dialog.showOpenDialog({
+    properties: ["openFile"],
+    filters: [{ name: "Audio", extensions: AUDIO_FILE_EXTENSIONS }],
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { cancelled: true };
+  }
+  return { cancelled: false, path: result.filePaths[0] };
+});
+
+// Only the file configured for the audio input source may be read
+ipcMain.handle("input:read-audio-file", async (event, filePath) => {
+  const configured = inputManager?.config?.audioFile;
+  if (
+    typeof filePath !== "string" ||
+    !filePath ||
+    filePath !== configured ||
+    !AUDIO_FILE_EXTENSIONS.includes(
+      path.extname(filePath).slice(1).toLowerCase()
+    )
+  ) {
+    return null;
+  }
+  try {
+    const buf = await fs.promises.readFile(filePath);
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+  } catch (err) {
+    console.error("[Main] Failed to read audio file:", err.message);
+    return null;
+  }
+});
+
+ipcMain.handle("midi:open-file", async () => {
+  const result = await dialog.showOpenDialog({
+    properties: ["openFile"],
+    filters: [{ name: "MIDI", extensions: ["mid", "midi"] }],
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { cancelled: true };
+  }
+  const filePath = result.filePaths[0];
+  try {
+    const buf = await fs.promises.readFile(filePath);
+    return {
+      cancelled: false,
+      name: path.basename(filePath),
+      data: buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength),
+    };
+  } catch (err) {
+    console.error("[Main] Failed to read MIDI file:", err.message);
+    return { cancelled: true, error: err.message };
+  }
+});
+
+ipcMain.handle("midi:save-file", async (event, payload) => {
+  const { defaultName, data } = payload || {};
+  if (!data) return { cancelled: true, error: "Nothing to export" };
+  const result = await dialog.showSaveDialog({
+    defaultPath: defaultName || "track.mid",
+    filters: [{ name: "MIDI", extensions: ["mid", "midi"] }],
+  });
+  if (result.canceled || !result.filePath) {
+    return { cancelled: true };
+  }
+  try {
+    await fs.promises.writeFile(result.filePath, Buffer.from(data));
+    return { cancelled: false, path: result.filePath };
+  } catch (err) {
+    console.error("[Main] Failed to write MIDI file:", err.message);
+    return { cancelled: true, error: err.message };
+  }
+});
+
+ipcMain.handle("frame-export:begin", async (event, payload) => {
+  if (!isProjectorEvent(event)) return { ok: false, error: "FORBIDDEN" };
+  const projectDir = getProjectDirForEvent(event);
+  if (!projectDir || !isExistingDirectory(projectDir)) {
+    return { ok: false, error: "PROJECT_DIR_MISSING" };
+  }
+  try {
+    return await frameExport.begin(projectDir, payload || {});
+  } catch (err) {
+    console.error("[Main] Failed to start frame export:", err.message);
+    return { ok: false, error: err.message };
+  }
+});
+
+ipcMain.handle("frame-export:capture", async (event, payload) => {
+  const output = getOutputForEvent(event);
+  if (!output) return { ok: false, error: "FORBIDDEN" };
+  const sandboxView = output.sandboxView;
+  if (
+    !sandboxView ||
+    !sandboxView.webContents ||
+    sandboxView.webContents.isDestroyed()
+  ) {
+    return { ok: false, error: "SANDBOX_UNAVAILABLE" };
+  }
+  try {
+    return await frameExport.captureFrame(
+      payload?.id,
+      payload?.index,
+      sandboxView.webContents
+    );
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+ipcMain.handle("frame-export:write-frame", async (event, payload) => {
+  if (!isProjectorEvent(event)) return { ok: false, error: "FORBIDDEN" };
+  if (!payload?.data) return { ok: false, error: "MISSING_FRAME" };
+  return await frameExport.writeFrame(payload.id, payload.data);
+});
+
+ipcMain.handle("frame-export:finish", async (event, payload) => {
+  if (!isProjectorEvent(event)) return { ok: false, error: "FORBIDDEN" };
+  return await frameExport.finish(payload?.id, {
+    aborted: payload?.aborted === true,
+  });
+});
+
+// Track audio is copied into the project's assets/audio folder so projects
+// stay portable; a file of the same name and size already there is reused
+ipcMain.handle("workspace:import-audio", async (event) => {
+  const projectDir = getProjectDirForEvent(event);
+  if (!projectDir || !isExistingDirectory(projectDir)) {
+    return { cancelled: true };
+  }
+  const result = await dialog.showOpenDialog({
+    properties: ["openFile"],
+    filters: [{ name: "Audio", extensions: AUDIO_FILE_EXTENSIONS }],
+  });
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return { cancelled: true };
+  }
+  const sourcePath = result.filePaths[0];
+  const audioDir = path.join(projectDir, "assets", "audio");
+  try {
+    await fs.promises.mkdir(audioDir, { recursive: true });
+    const { size } = await fs.promises.stat(sourcePath);
+    const ext = path.extname(sourcePath);
+    const base = path.basename(sourcePath, ext);
+    for (let i = 0; ; i++) {
+      const name = i === 0 ? `${base}${ext}` : `${base}-${i}${ext}`;
+      const targetPath = path.join(audioDir, name);
+      if (path.resolve(targetPath) === path.resolve(sourcePath)) {
+        return { cancelled: false, relPath: `audio/${name}` };
+      }
+      let existing = null;
+      try {
+        existing = await fs.promises.stat(targetPath);
+      } catch {}
+      if (existing && existing.size !== size) continue;
+      if (!existing) await fs.promises.copyFile(sourcePath, targetPath);
+      return { cancelled: false, relPath: `audio/${name}` };
+    }
+  } catch (err) {
+    console.error("[Main] Failed to import audio:", err.message);
+    return { cancelled: true, error: err.message };
+  }
+});
+
 ipcMain.handle("input:get-midi-devices", async () => {
   return await InputManager.getAvailableMIDIDevices();
 });
 
+ipcMain.handle("input:get-serial-ports", async () => {
+  return await InputManager.getAvailableSerialPorts();
+});
+
 ipcMain.on("log-to-main", (event, message) => {
   console.log(message);
 });
@@ -1690,6 +1994,7 @@ ipcMain.handle("workspace:select", async () => {
 
   if (inputManager) {
     try {
+      inputManager.detachClock();
       await inputManager.disconnect();
     } catch {}
     inputManager = null;
@@ -1708,7 +2013,7 @@ ipcMain.handle("workspace:select", async () => {
 
   await Promise.all([
     closeWindow(dashboardWindow),
-    closeWindow(projector1Window),
+    ...getProjectorWindows().map(closeWindow),
   ]);
   dashboardWindow = null;
   projector1Window = null;
@@ -1746,20 +2051,19 @@ function loadConfig(projectDir) {
   }
 }
 
-function createWindow(projectDir) {
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width: screenWidth, height: screenHeight } =
-    primaryDisplay.workAreaSize;
-  const { x: screenX, y: screenY } = primaryDisplay.workArea;
-
-  const halfWidth = Math.floor(screenWidth / 2);
-  const additionalArgs = ["--nwWrldRequireProject=1"];
+const getRendererArgs = (projectDir) => {
+  const args = ["--nwWrldRequireProject=1"];
   if (projectDir && typeof projectDir === "string") {
-    additionalArgs.push(`--nwWrldProjectDir=${projectDir}`);
+    args.push(`--nwWrldProjectDir=${projectDir}`);
   }
+  return args;
+};
 
-  // Create Projector 1 Window with optimized preferences
-  projector1Window = new BrowserWindow({
+// Projector 1 is the main output; extra outputs pass their config.json entry
+function createProjectorWindow(projectDir, bounds, outputConfig = null) {
+  const outputId = outputConfig?.id || MAIN_OUTPUT_ID;
+  const isMain = outputId === MAIN_OUTPUT_ID;
+  const win = new BrowserWindow({
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
@@ -1768,48 +2072,180 @@ function createWindow(projectDir) {
       backgroundThrottling: false,
       webgl: true,
       enableHardwareAcceleration: true,
-      additionalArguments: additionalArgs,
+      additionalArguments: getRendererArgs(projectDir),
       // Additional performance optimizations
       pageVisibility: true, // Prevents throttling when page isn't visible
       autoplayPolicy: "no-user-gesture-required", // Helps with audio processing
     },
-    x: screenX + halfWidth,
-    y: screenY,
-    width: halfWidth,
-    height: screenHeight,
-    title: "Projector 1",
+    ...bounds,
+    title: isMain ? "Projector 1" : outputConfig.label,
     // Additional window optimizations
     show: false, // Don't show until ready
     paintWhenInitiallyHidden: true, // Start rendering before window is shown
     frame: false,
   });
 
+  const output = {
+    id: outputId,
+    window: win,
+    config: outputConfig,
+    defaultBounds: null,
+    sandboxView: null,
+    sandboxViewWebContentsId: null,
+    activeSandboxToken: null,
+    sandboxEnsureInFlight: null,
+  };
+  projectorOutputs.set(outputId, output);
+  if (isMain) projector1Window = win;
+
   try {
-    projectorDefaultBounds = projector1Window.getBounds();
+    output.defaultBounds = win.getBounds();
   } catch {}
 
   try {
-    const initialConfig = loadConfig(projectDir);
-    applyProjectorWindowAspectRatio(initialConfig?.config?.aspectRatio);
+    const aspectRatio = isMain
+      ? loadConfig(projectDir)?.config?.aspectRatio
+      : outputConfig.aspectRatio;
+    applyProjectorWindowAspectRatio(aspectRatio, output);
   } catch {}
 
   // Show window when ready to prevent white flash
-  projector1Window.once("ready-to-show", () => {
-    projector1Window.show();
+  win.once("ready-to-show", () => {
+    win.show();
   });
 
-  projector1Window.loadFile(
-    path.join(__dirname, "projector", "views", "projector.html")
-  );
-  projector1Window.on("resize", () => {
-    updateSandboxViewBounds();
+  win.loadFile(path.join(__dirname, "projector", "views", "projector.html"));
+  win.on("resize", () => {
+    updateSandboxViewBounds(output);
   });
-  projector1Window.on("closed", () => {
+  win.on("closed", () => {
     try {
-      destroySandboxView();
+      destroySandboxView(output);
     } catch {}
+    if (projectorOutputs.get(outputId) === output) {
+      projectorOutputs.delete(outputId);
+    }
   });
 
+  try {
+    const webContentsId = win.webContents?.id;
+    if (webContentsId != null) {
+      webContentsToProjectDir.set(webContentsId, projectDir || null);
+      win.on("closed", () => {
+        webContentsToProjectDir.delete(webContentsId);
+      });
+    }
+  } catch {}
+
+  return output;
+}
+
+// Extra outputs open full-screen-sized on their display, or cascade over
+// the primary display when none is set
+const getProjectorOutputBounds = (outputConfig, index) => {
+  const displays = screen.getAllDisplays();
+  const display =
+    outputConfig.display !== null ? displays[outputConfig.display] : null;
+  if (display) return { ...display.bounds };
+  const { x, y, width, height } = screen.getPrimaryDisplay().workArea;
+  const offset = 40 * (index + 1);
+  return {
+    x: x + offset,
+    y: y + offset,
+    width: Math.floor(width / 3),
+    height: Math.floor(height / 3),
+  };
+};
+
+const loadProjectorOutputConfigs = (projectDir) => {
+  const baseDir = getProjectJsonDirForMain(projectDir);
+  if (!baseDir) return [];
+  try {
+    const raw = fs.readFileSync(path.join(baseDir, "config.json"), "utf-8");
+    return getProjectorOutputs(JSON.parse(raw));
+  } catch {
+    return [];
+  }
+};
+
+const applyProjectorOutputConfigs = (projectDir, outputConfigs) => {
+  const nextIds = new Set(outputConfigs.map((config) => config.id));
+  projectorOutputs.forEach((output, id) => {
+    if (id === MAIN_OUTPUT_ID || nextIds.has(id)) return;
+    try {
+      output.window?.close();
+    } catch {}
+  });
+
+  outputConfigs.forEach((config, index) => {
+    const existing = projectorOutputs.get(config.id);
+    if (!existing || !isLiveWindow(existing.window)) {
+      createProjectorWindow(
+        projectDir,
+        getProjectorOutputBounds(config, index),
+        config
+      );
+      return;
+    }
+    const previous = existing.config;
+    existing.config = config;
+    try {
+      existing.window.setTitle(config.label);
+      if (previous?.display !== config.display) {
+        existing.window.setAspectRatio(0);
+        existing.window.setBounds(getProjectorOutputBounds(config, index));
+        existing.defaultBounds = existing.window.getBounds();
+      }
+    } catch {}
+    applyProjectorWindowAspectRatio(config.aspectRatio, existing);
+    existing.window.webContents.send("from-dashboard", {
+      type: "output-config",
+      props: { output: config },
+    });
+  });
+};
+
+ipcMain.handle("outputs:configure", async (event, outputs) => {
+  const projectDir = getProjectDirForEvent(event);
+  if (!projectDir || !isExistingDirectory(projectDir)) {
+    return { success: false, error: "PROJECT_DIR_MISSING" };
+  }
+  applyProjectorOutputConfigs(
+    projectDir,
+    getProjectorOutputs({ outputs: Array.isArray(outputs) ? outputs : [] })
+  );
+  return { success: true };
+});
+
+ipcMain.handle("outputs:get-displays", async () =>
+  screen.getAllDisplays().map((display, index) => ({
+    index,
+    label: display.label || `Display ${index + 1}`,
+    width: display.size.width,
+    height: display.size.height,
+  }))
+);
+
+function createWindow(projectDir) {
+  const primaryDisplay = screen.getPrimaryDisplay();
+  const { width: screenWidth, height: screenHeight } =
+    primaryDisplay.workAreaSize;
+  const { x: screenX, y: screenY } = primaryDisplay.workArea;
+
+  const halfWidth = Math.floor(screenWidth / 2);
+  const additionalArgs = getRendererArgs(projectDir);
+
+  createProjectorWindow(projectDir, {
+    x: screenX + halfWidth,
+    y: screenY,
+    width: halfWidth,
+    height: screenHeight,
+  });
+  applyProjectorOutputConfigs(
+    projectDir,
+    loadProjectorOutputConfigs(projectDir)
+  );
+
   // Create Dashboard Window with appropriate optimizations
   dashboardWindow = new BrowserWindow({
     webPreferences: {
@@ -1847,27 +2283,13 @@ function createWindow(projectDir) {
     }
   } catch {}
 
-  try {
-    if (projector1Window?.webContents?.id != null) {
-      webContentsToProjectDir.set(
-        projector1Window.webContents.id,
-        projectDir || null
-      );
-      projector1Window.on("closed", () => {
-        try {
-          webContentsToProjectDir.delete(projector1Window.webContents.id);
-        } catch {}
-      });
-    }
-  } catch {}
-
   dashboardWindow.loadFile(
     path.join(__dirname, "dashboard", "views", "dashboard.html")
   );
 
   dashboardWindow.webContents.once("did-finish-load", () => {
     const fullConfig = loadConfig(projectDir);
-    inputManager = new InputManager(dashboardWindow, projector1Window);
+    inputManager = new InputManager(dashboardWindow, getProjectorWindows);
     const { DEFAULT_INPUT_CONFIG } = require("./shared/config/defaultConfig");
     const inputConfig = fullConfig.config?.input || DEFAULT_INPUT_CONFIG;
     if (fullConfig.config?.sequencerMode !== true) {
@@ -1875,6 +2297,20 @@ function createWindow(projectDir) {
         console.error("[Main] Failed to initialize InputManager:", err);
       });
     }
+    inputManager
+      .configureClock(getClockInputConfig(fullConfig.config))
+      .catch((err) => {
+        console.error("[Main] Failed to configure MIDI clock:", err);
+      });
+    if (!oscOutput) {
+      oscOutput = new OscOutput();
+    }
+    oscOutput.configure(fullConfig.config?.oscOutput);
+    if (tempoSync) {
+      tempoSync.close();
+    }
+    tempoSync = new TempoSync(dashboardWindow);
+    tempoSync.configure(getTempoSyncConfig(fullConfig.config));
   });
 
   if (projectDir && typeof projectDir === "string") {
@@ -1889,6 +2325,26 @@ function createWindow(projectDir) {
   }
 }
 
+// Only the projector window is opened for a headless export
+function startCliExport(job) {
+  if (!isExistingDirectory(job.projectDir)) {
+    console.error(`[Export] Project folder not found: ${job.projectDir}`);
+    app.exit(1);
+    return;
+  }
+  currentProjectDir = job.projectDir;
+  createProjectorWindow(job.projectDir, {
+    x: 0,
+    y: 0,
+    width: job.width,
+    height: job.height,
+  });
+  projector1Window.setContentSize(job.width, job.height);
+  projector1Window.on("closed", () => {
+    app.exit(1);
+  });
+}
+
 // Handle app ready state
 app.whenReady().then(() => {
   try {
@@ -1991,6 +2447,11 @@ app.whenReady().then(() => {
     }
   }
 
+  if (cliExportJob) {
+    startCliExport(cliExportJob);
+    return;
+  }
+
   currentProjectDir = null;
   createWindow(null);
 
@@ -2012,11 +2473,19 @@ app.on("before-quit", (event) => {
   (async () => {
     if (inputManager) {
       try {
+        inputManager.detachClock();
         await inputManager.disconnect();
       } catch (e) {
         console.error("[Main] Failed to disconnect InputManager on quit:", e);
       }
     }
+    if (oscOutput) {
+      oscOutput.close();
+    }
+    if (tempoSync) {
+      tempoSync.close();
+    }
+    await frameExport.abortAll();
   })()
     .catch(() => {})
     .finally(() => {
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const WebmWriter = require("./WebmWriter");
+
+const EXPORT_FORMATS = ["png", "webm"];
+const EXPORTS_DIR = "exports";
+
+const toSafeName = (name) =>
+  String(name || "track")
+    .replace(/[^A-Za-z0-9_-]+/g, "_")
+    .replace(/^_+|_+$/g, "") || "track";
+
+const getTimestamp = () =>
+  new Date()
+    .toISOString()
+    .replace(/\.\d+Z$/, "")
+    .replace(/[-:]/g, "")
+    .replace("T", "-");
+
+const getFrameFileName = (index) =>
+  `frame_${String(index + 1).padStart(6, "0")}.png`;
+
+// Writes frame exports into <project>/exports/<track>-<timestamp>/: a PNG
+// sequence, or a WebM muxed from the WebP frames the projector encodes.
+// Frames are grabbed from the sandbox view, so only the module container
+// ends up in the file.
+class FrameExport {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async begin(projectDir, { trackName, format, fps } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      return { ok: false, error: "INVALID_FORMAT" };
+    }
+    const baseName = `${toSafeName(trackName)}-${getTimestamp()}`;
+    const dir = path.join(projectDir, EXPORTS_DIR, baseName);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    let writer = null;
+    if (format === "webm") {
+      writer = new WebmWriter(path.join(dir, `${baseName}.webm`), { fps });
+      await writer.open();
+    }
+    const id = crypto.randomUUID();
+    this.sessions.set(id, { dir, format, writer, frames: 0 });
+    return { ok: true, id, dir };
+  }
+
+  // PNG exports write the frame straight to disk; WebM exports hand the PNG
+  // back for the projector to re-encode
+  async captureFrame(id, index, webContents) {
+    const session = this.sessions.get(id);
+    if (!session) return { ok: false, error: "UNKNOWN_EXPORT" };
+    const png = (await webContents.capturePage()).toPNG();
+    if (session.format === "webm") return { ok: true, png };
+    await fs.promises.writeFile(
+      path.join(session.dir, getFrameFileName(index)),
+      png
+    );
+    session.frames += 1;
+    return { ok: true };
+  }
+
+  async writeFrame(id, data) {
+    const session = this.sessions.get(id);
+    if (!session?.writer) return { ok: false, error: "UNKNOWN_EXPORT" };
+    try {
+      await session.writer.addFrame(data);
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+    session.frames += 1;
+    return { ok: true };
+  }
+
+  async finish(id, { aborted = false } = {}) {
+    const session = this.sessions.get(id);
+    if (!session) return { ok: false, error: "UNKNOWN_EXPORT" };
+    this.sessions.delete(id);
+    try {
+      await session.writer?.close();
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+    if (aborted) return { ok: false, error: "EXPORT_ABORTED" };
+    return {
+      ok: true,
+      dir: session.dir,
+      file: session.writer?.filePath || null,
+      frames: session.frames,
+    };
+  }
+
+  async abortAll() {
+    await Promise.all(
+      Array.from(this.sessions.keys()).map((id) =>
+        this.finish(id, { aborted: true })
+      )
+    );
+  }
+
+  // Headless exports:
+  //   nw_wrld --export-project=DIR --export-track=NAME [--export-fps=30]
+  //     [--export-seconds=N] [--export-format=png|webm]
+  //     [--export-source=sequencer|recording] [--export-size=1920x1080]
+  static parseArgs(argv) {
+    const args = {};
+    (argv || []).forEach((arg) => {
+      const match = String(arg).match(/^--export-([a-z]+)=(.*)$/);
+      if (match) args[match[1]] = match[2];
+    });
+    if (!args.track || !args.project) return null;
+    const [width, height] = String(args.size || "1280x720")
+      .split("x")
+      .map((n) => parseInt(n, 10));
+    return {
+      projectDir: path.resolve(args.project),
+      trackName: args.track,
+      fps: Number(args.fps) || 30,
+      duration: Number(args.seconds) || null,
+      format: EXPORT_FORMATS.includes(args.format) ? args.format : "png",
+      source: args.source === "recording" ? "recording" : "sequencer",
+      seed: parseInt(args.seed, 10) || 1,
+      width: width > 0 ? width : 1280,
+      height: height > 0 ? height : 720,
+    };
+  }
+}
+
+module.exports = FrameExport;
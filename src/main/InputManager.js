@@ -1,19 +1,66 @@
+const http = require("http");
+const crypto = require("crypto");
 const { WebMidi } = require("webmidi");
 const osc = require("osc");
+const { WebSocketServer } = require("ws");
 const { DEFAULT_INPUT_CONFIG } = require("../shared/config/defaultConfig");
 const INPUT_STATUS = require("../shared/constants/inputStatus");
+const {
+  INPUT_SOURCE_LABELS,
+  getInputSourceTypes,
+} = require("../shared/config/inputSources");
 const {
   isValidOSCTrackAddress,
   isValidOSCChannelAddress,
+  getOSCMacroIdentifier,
 } = require("../shared/validation/oscValidation");
+const {
+  normalizeRemoteMessage,
+  toMidiVelocity,
+} = require("../shared/validation/remoteValidation");
+const { parseSerialLine } = require("../shared/validation/serialValidation");
+
+const MIDI_CLOCK_PPQN = 24;
+const MIDI_CLOCK_TICKS_PER_STEP = MIDI_CLOCK_PPQN / 4; // 16th notes
+const MIDI_CLOCK_EVENTS = ["clock", "start", "continue", "stop", "songposition"];
+
+// serialport loads a native binding, so it is only required once a serial
+// source or the device list needs it; a missing binding must not take the
+// other sources down with it
+let serialportModule = null;
+const loadSerialport = () => {
+  if (!serialportModule) serialportModule = require("serialport");
+  return serialportModule;
+};
+
+const REMOTE_MAX_BODY_BYTES = 64 * 1024;
+const REMOTE_LOCAL_HOSTS = ["127.0.0.1", "localhost", "[::1]"];
+
+// CORS headers only for an allowlisted browser origin, never a wildcard
+const getRemoteCorsHeaders = (origin) =>
+  origin
+    ? {
+        "Access-Control-Allow-Origin": origin,
+        "Access-Control-Allow-Headers": "Authorization, Content-Type",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        Vary: "Origin",
+      }
+    : {};
 
 class InputManager {
-  constructor(dashboardWindow, projectorWindow) {
+  // getProjectorWindows returns every open projector output, since outputs
+  // can be opened and closed while inputs stay connected
+  constructor(dashboardWindow, getProjectorWindows) {
     this.dashboard = dashboardWindow;
-    this.projector = projectorWindow;
-    this.currentSource = null;
+    this.getProjectorWindows = getProjectorWindows;
+    this.sources = new Map(); // type -> live port/input instance
+    this.sourceStatuses = new Map(); // type -> { status, message }
+    this.audioAnalyserStatus = null; // last report from the dashboard analyser
     this.config = null;
     this.connectionStatus = INPUT_STATUS.DISCONNECTED;
+    this.clockConfig = null;
+    this.clockInput = null;
+    this.clockState = { running: false, ticks: 0, tickTimes: [], bpm: null };
   }
 
   broadcast(eventType, data) {
@@ -33,24 +80,94 @@ class InputManager {
     ) {
       this.dashboard.webContents.send("input-event", payload);
     }
+    this.getProjectorWindows().forEach((projector) => {
+      projector.webContents.send("input-event", payload);
+    });
+  }
+
+  // Clock events only drive the dashboard sequencer
+  broadcastClock(action, data = {}) {
     if (
-      this.projector &&
-      !this.projector.isDestroyed() &&
-      this.projector.webContents &&
-      !this.projector.webContents.isDestroyed()
+      !this.dashboard ||
+      this.dashboard.isDestroyed() ||
+      !this.dashboard.webContents ||
+      this.dashboard.webContents.isDestroyed()
     ) {
-      this.projector.webContents.send("input-event", payload);
+      return;
+    }
+    this.dashboard.webContents.send("input-event", {
+      type: "clock",
+      data: {
+        action,
+        bpm: this.clockState.bpm,
+        ...data,
+        source: "midi",
+        timestamp: Date.now() / 1000,
+      },
+    });
+  }
+
+  enableWebMidi() {
+    if (WebMidi.enabled) return Promise.resolve();
+    if (!this.webMidiEnabling) {
+      this.webMidiEnabling = WebMidi.enable().finally(() => {
+        this.webMidiEnabling = null;
+      });
+    }
+    return this.webMidiEnabling;
+  }
+
+  findMIDIInput(midiConfig) {
+    const deviceId =
+      typeof midiConfig?.deviceId === "string" && midiConfig.deviceId.trim()
+        ? midiConfig.deviceId.trim()
+        : null;
+    const deviceName =
+      typeof midiConfig?.deviceName === "string" && midiConfig.deviceName.trim()
+        ? midiConfig.deviceName.trim()
+        : "";
+    return (
+      (deviceId && typeof WebMidi.getInputById === "function"
+        ? WebMidi.getInputById(deviceId)
+        : null) || WebMidi.getInputByName(deviceName)
+    );
+  }
+
+  setSourceStatus(type, status, message = "") {
+    this.sourceStatuses.set(type, { status, message });
+    this.broadcastStatus();
+  }
+
+  getAggregateStatus() {
+    const statuses = Array.from(this.sourceStatuses.values()).map(
+      (s) => s.status
+    );
+    if (statuses.includes(INPUT_STATUS.CONNECTING)) {
+      return INPUT_STATUS.CONNECTING;
+    }
+    if (statuses.includes(INPUT_STATUS.ERROR)) return INPUT_STATUS.ERROR;
+    if (statuses.includes(INPUT_STATUS.CONNECTED)) {
+      return INPUT_STATUS.CONNECTED;
     }
+    return INPUT_STATUS.DISCONNECTED;
   }
 
-  broadcastStatus(status, message = "") {
+  broadcastStatus() {
+    const status = this.getAggregateStatus();
     this.connectionStatus = status;
+    const sources = Array.from(this.sourceStatuses.entries()).map(
+      ([type, entry]) => ({ type, ...entry })
+    );
     const statusPayload = {
       type: "input-status",
       data: {
         status,
-        message,
+        message: sources
+          .map((s) => s.message)
+          .filter(Boolean)
+          .join(" · "),
         config: this.config,
+        sources,
       },
     };
 
@@ -65,37 +182,68 @@ class InputManager {
   }
 
   async initialize(inputConfig) {
-    if (this.currentSource) {
+    const config = inputConfig || DEFAULT_INPUT_CONFIG;
+    // Set before disconnecting so requests that race a reconfigure (e.g. the
+    // audio file read) already see the new config
+    this.config = config;
+
+    if (this.sources.size > 0) {
       await this.disconnect();
     }
 
-    const config = inputConfig || DEFAULT_INPUT_CONFIG;
+    this.sourceStatuses.clear();
+    if (!getInputSourceTypes(config).includes("audio")) {
+      this.audioAnalyserStatus = null;
+    }
 
-    this.config = config;
+    // Sources start independently so one failing device does not block the rest
+    const results = await Promise.allSettled(
+      getInputSourceTypes(config).map((type) => this.initSource(type, config))
+    );
+    const failure = results.find((r) => r.status === "rejected");
+    if (failure) {
+      throw failure.reason;
+    }
+  }
 
+  async initSource(type, config) {
     try {
-      this.broadcastStatus(
+      this.setSourceStatus(
+        type,
         INPUT_STATUS.CONNECTING,
-        `Connecting to ${config.type}...`
+        `Connecting to ${type}...`
       );
 
-      switch (config.type) {
+      switch (type) {
         case "midi":
           await this.initMIDI(config);
           break;
         case "osc":
           await this.initOSC(config);
           break;
+        case "remote":
+          await this.initRemote(config);
+          break;
+        case "serial":
+          await this.initSerial(config);
+          break;
+        case "audio":
+          this.initAudio(config);
+          break;
         default:
-          console.warn("[InputManager] Unknown input type:", config.type);
-          this.broadcastStatus(
+          console.warn("[InputManager] Unknown input type:", type);
+          this.setSourceStatus(
+            type,
             INPUT_STATUS.ERROR,
-            `Unknown input type: ${config.type}`
+            `Unknown input type: ${type}`
           );
       }
     } catch (error) {
-      console.error("[InputManager] Initialization failed:", error);
-      this.broadcastStatus(INPUT_STATUS.ERROR, error.message);
+      console.error(
+        `[InputManager] ${INPUT_SOURCE_LABELS[type] || type} initialization failed:`,
+        error
+      );
+      this.setSourceStatus(type, INPUT_STATUS.ERROR, error.message);
       throw error;
     }
   }
@@ -104,35 +252,24 @@ class InputManager {
     return new Promise((resolve, reject) => {
       const setupMIDI = () => {
         try {
-          const deviceId =
-            typeof midiConfig.deviceId === "string" &&
-            midiConfig.deviceId.trim()
-              ? midiConfig.deviceId.trim()
-              : null;
-          const deviceName =
-            typeof midiConfig.deviceName === "string" &&
-            midiConfig.deviceName.trim()
-              ? midiConfig.deviceName.trim()
-              : "";
-
-          const input =
-            (deviceId && typeof WebMidi.getInputById === "function"
-              ? WebMidi.getInputById(deviceId)
-              : null) || WebMidi.getInputByName(deviceName);
+          const input = this.findMIDIInput(midiConfig);
           if (!input) {
             const error = new Error(
               `MIDI device "${midiConfig.deviceName}" not found`
             );
             console.error("[InputManager]", error.message);
-            this.currentSource = null;
-            this.broadcastStatus(INPUT_STATUS.DISCONNECTED, "");
+            this.sources.delete("midi");
+            this.setSourceStatus("midi", INPUT_STATUS.DISCONNECTED, "");
             return reject(error);
           }
 
           input.addListener("noteon", (e) => {
             const note = e.note.number;
             const channel = e.message.channel;
-            const velocity = midiConfig.velocitySensitive ? e.velocity : 127;
+            // rawVelocity is 0-127; `velocity` is WebMidi's 0-1 float
+            const velocity = midiConfig.velocitySensitive
+              ? e.rawVelocity
+              : 127;
 
             if (channel === midiConfig.trackSelectionChannel) {
               this.broadcast("track-selection", {
@@ -152,16 +289,45 @@ class InputManager {
             }
           });
 
-          this.currentSource = { type: "midi", instance: input };
-          this.broadcastStatus(
+          // WebMidi also reports note-on messages with velocity 0 as noteoff.
+          input.addListener("noteoff", (e) => {
+            const channel = e.message.channel;
+            if (channel !== midiConfig.methodTriggerChannel) return;
+            this.broadcast("method-release", {
+              note: e.note.number,
+              channel,
+              velocity: 0,
+              source: "midi",
+            });
+          });
+
+          input.addListener("controlchange", (e) => {
+            const controller = e.controller?.number;
+            if (typeof controller !== "number") return;
+            const rawValue =
+              typeof e.rawValue === "number" ? e.rawValue : e.data?.[2] ?? 0;
+
+            this.broadcast("parameter-change", {
+              controller,
+              value: rawValue / 127,
+              rawValue,
+              channel: e.message.channel,
+              source: "midi",
+            });
+          });
+
+          this.sources.set("midi", input);
+          this.setSourceStatus(
+            "midi",
             INPUT_STATUS.CONNECTED,
             `MIDI: ${midiConfig.deviceName}`
           );
           resolve();
         } catch (error) {
           console.error("[InputManager] Error in MIDI setup:", error);
-          this.currentSource = null;
-          this.broadcastStatus(
+          this.sources.delete("midi");
+          this.setSourceStatus(
+            "midi",
             INPUT_STATUS.ERROR,
             `MIDI error: ${error.message}`
           );
@@ -169,23 +335,102 @@ class InputManager {
         }
       };
 
-      if (WebMidi.enabled) {
-        setupMIDI();
-      } else {
-        WebMidi.enable((err) => {
-          if (err) {
-            console.error("[InputManager] MIDI enable failed:", err);
-            this.currentSource = null;
-            this.broadcastStatus(
-              INPUT_STATUS.ERROR,
-              `Failed to enable MIDI: ${err.message}`
-            );
-            return reject(err);
-          }
-          setupMIDI();
-        });
-      }
+      this.enableWebMidi().then(setupMIDI, (err) => {
+        console.error("[InputManager] MIDI enable failed:", err);
+        this.sources.delete("midi");
+        this.setSourceStatus(
+          "midi",
+          INPUT_STATUS.ERROR,
+          `Failed to enable MIDI: ${err.message}`
+        );
+        reject(err);
+      });
+    });
+  }
+
+  // Slaves the dashboard sequencer to MIDI clock (24 PPQN) from one input.
+  // Independent of the input sources so it also runs in sequencer mode.
+  async configureClock(clockConfig) {
+    this.detachClock();
+    this.clockConfig = clockConfig?.enabled ? clockConfig : null;
+    if (!this.clockConfig) return;
+
+    try {
+      await this.enableWebMidi();
+    } catch (err) {
+      console.error("[InputManager] MIDI clock enable failed:", err);
+      this.broadcastClock("error", { message: err.message });
+      return;
+    }
+
+    const input = this.findMIDIInput(this.clockConfig);
+    if (!input) {
+      const message = `MIDI clock device "${
+        this.clockConfig.deviceName || ""
+      }" not found`;
+      console.warn("[InputManager]", message);
+      this.broadcastClock("error", { message });
+      return;
+    }
+
+    this.clockState = { running: false, ticks: 0, tickTimes: [], bpm: null };
+    input.addListener("clock", (e) => this.handleClockTick(e.timestamp));
+    input.addListener("start", () => {
+      this.clockState.running = true;
+      this.clockState.ticks = 0;
+      this.broadcastClock("start");
+    });
+    input.addListener("continue", () => {
+      this.clockState.running = true;
+      this.broadcastClock("continue");
+    });
+    input.addListener("stop", () => {
+      this.clockState.running = false;
+      this.broadcastClock("stop");
     });
+    // Song position is counted in 16th notes, i.e. sequencer steps
+    input.addListener("songposition", (e) => {
+      const [, lsb = 0, msb = 0] = e.message?.data || [];
+      this.clockState.ticks = ((msb << 7) | lsb) * MIDI_CLOCK_TICKS_PER_STEP;
+    });
+    this.clockInput = input;
+    console.log(`[InputManager] 🕐 Following MIDI clock from ${input.name}`);
+  }
+
+  handleClockTick(timestamp) {
+    const state = this.clockState;
+    if (typeof timestamp === "number") {
+      state.tickTimes.push(timestamp);
+      if (state.tickTimes.length > MIDI_CLOCK_PPQN + 1) state.tickTimes.shift();
+      if (state.tickTimes.length > 1) {
+        const span = timestamp - state.tickTimes[0];
+        const avgInterval = span / (state.tickTimes.length - 1);
+        if (avgInterval > 0) {
+          state.bpm =
+            Math.round((60000 / (avgInterval * MIDI_CLOCK_PPQN)) * 10) / 10;
+        }
+      }
+    }
+
+    if (!state.running) return;
+    if (state.ticks % MIDI_CLOCK_TICKS_PER_STEP === 0) {
+      this.broadcastClock("step", {
+        position: state.ticks / MIDI_CLOCK_TICKS_PER_STEP,
+      });
+    }
+    state.ticks += 1;
+  }
+
+  detachClock() {
+    if (this.clockInput) {
+      MIDI_CLOCK_EVENTS.forEach((type) => {
+        try {
+          this.clockInput.removeListener(type);
+        } catch {}
+      });
+    }
+    this.clockInput = null;
+    this.clockState.running = false;
   }
 
   async initOSC(oscConfig) {
@@ -199,7 +444,11 @@ class InputManager {
       });
 
       udpPort.on("ready", () => {
-        this.broadcastStatus(INPUT_STATUS.CONNECTED, `OSC: Port ${port}`);
+        this.setSourceStatus(
+          "osc",
+          INPUT_STATUS.CONNECTED,
+          `OSC: Port ${port}`
+        );
       });
 
       udpPort.on("message", (oscMsg) => {
@@ -208,8 +457,32 @@ class InputManager {
         const args = oscMsg.args || [];
         const value = args[0]?.value;
 
-        // Filter out note-off messages (value = 0)
-        if (value !== undefined && typeof value === "number" && value === 0) {
+        // Macros take any value from 0 to 1, including 0
+        const macroIdentifier = getOSCMacroIdentifier(address);
+        if (macroIdentifier !== null) {
+          if (typeof value !== "number") return;
+          this.broadcast("macro-change", {
+            identifier: macroIdentifier,
+            value: Math.max(0, Math.min(1, value)),
+            source: "osc",
+            address,
+          });
+          return;
+        }
+
+        // Value 0 is a note-off: it releases channels and never selects tracks
+        const isRelease =
+          value !== undefined && typeof value === "number" && value === 0;
+
+        if (isRelease) {
+          if (isValidOSCChannelAddress(address)) {
+            this.broadcast("method-release", {
+              channelName: address,
+              velocity: 0,
+              source: "osc",
+              address,
+            });
+          }
           return;
         }
 
@@ -224,10 +497,9 @@ class InputManager {
         }
 
         if (isValidOSCChannelAddress(address)) {
-          const velocity = typeof value === "number" ? value : 127;
           this.broadcast("method-trigger", {
             channelName: address,
-            velocity,
+            velocity: toMidiVelocity(value, args[0]?.type === "f"),
             source: "osc",
             address,
           });
@@ -239,6 +511,7 @@ class InputManager {
             `  Expected format:\n` +
             `    /track/name → Select track\n` +
             `    /ch/name or /channel/name → Trigger channel\n` +
+            `    /macro/name (0-1) → Set a track macro\n` +
             `  Example: Set GrabberSender name to "track/intro" or "ch/bass"`
         );
       });
@@ -250,59 +523,409 @@ class InputManager {
           message: err.message,
           port: port,
         });
-        this.broadcastStatus(INPUT_STATUS.ERROR, `OSC error: ${err.message}`);
+        this.setSourceStatus(
+          "osc",
+          INPUT_STATUS.ERROR,
+          `OSC error: ${err.message}`
+        );
       });
 
       console.log(`[InputManager] 🔌 Opening UDP port ${port}...`);
       udpPort.open();
-      this.currentSource = { type: "osc", instance: udpPort };
+      this.sources.set("osc", udpPort);
       console.log(`[InputManager] ✅ UDP port opened successfully`);
     } catch (err) {
       console.error(`[InputManager] ❌ Failed to initialize OSC:`, err);
-      this.currentSource = null;
-      this.broadcastStatus(
+      this.sources.delete("osc");
+      this.setSourceStatus(
+        "osc",
         INPUT_STATUS.ERROR,
         `Failed to start OSC: ${err.message}`
       );
     }
   }
 
-  async disconnect() {
+  isRemoteAuthorized(token, provided) {
+    if (!token) return true;
+    if (typeof provided !== "string") return false;
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(provided);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  // Accepts a single message or an array; returns per-message results
+  handleRemotePayload(payload) {
+    const messages = Array.isArray(payload) ? payload : [payload];
+    return messages.map((message) => {
+      const result = normalizeRemoteMessage(message);
+      if (!result.valid) {
+        return { ok: false, error: result.error };
+      }
+      this.broadcast(result.type, result.data);
+      return { ok: true, type: result.type };
+    });
+  }
+
+  async initRemote(remoteConfig) {
+    const port = remoteConfig.remotePort || 8787;
+    const token =
+      typeof remoteConfig.remoteToken === "string"
+        ? remoteConfig.remoteToken.trim()
+        : "";
+    const allowedOrigins = (
+      Array.isArray(remoteConfig.remoteAllowedOrigins)
+        ? remoteConfig.remoteAllowedOrigins
+        : []
+    )
+      .map((origin) => String(origin).trim().replace(/\/+$/, ""))
+      .filter(Boolean);
+
+    const getRequestToken = (req, url) => {
+      const header = req.headers.authorization || "";
+      if (header.startsWith("Bearer ")) return header.slice(7).trim();
+      return url.searchParams.get("token");
+    };
+
+    // Rejects pages on other origins and DNS-rebound host names; native
+    // clients send no Origin and pass
+    const checkRequest = (req, url) => {
+      const host = String(req.headers.host || "").toLowerCase();
+      const isLocalHost = REMOTE_LOCAL_HOSTS.some(
+        (name) => host === name || host === `${name}:${port}`
+      );
+      if (!isLocalHost) return { status: 403, error: "Forbidden host" };
+      const origin = req.headers.origin;
+      if (origin && !allowedOrigins.includes(origin)) {
+        return { status: 403, error: "Forbidden origin" };
+      }
+      if (req.method === "OPTIONS") return null;
+      if (!this.isRemoteAuthorized(token, getRequestToken(req, url))) {
+        return { status: 401, error: "Unauthorized" };
+      }
+      return null;
+    };
+
+    const sendJSON = (res, statusCode, body, corsHeaders = {}) => {
+      res.writeHead(statusCode, {
+        ...corsHeaders,
+        "Content-Type": "application/json",
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, "http://localhost");
+      const rejection = checkRequest(req, url);
+      if (rejection) {
+        return sendJSON(res, rejection.status, {
+          ok: false,
+          error: rejection.error,
+        });
+      }
+      const cors = getRemoteCorsHeaders(req.headers.origin);
+
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, cors);
+        return res.end();
+      }
+      if (url.pathname === "/status" && req.method === "GET") {
+        return sendJSON(
+          res,
+          200,
+          { ok: true, status: this.connectionStatus },
+          cors
+        );
+      }
+      if (url.pathname !== "/input") {
+        return sendJSON(res, 404, { ok: false, error: "Not found" }, cors);
+      }
+      if (req.method !== "POST") {
+        return sendJSON(res, 405, { ok: false, error: "Use POST" }, cors);
+      }
+
+      let body = "";
+      let tooLarge = false;
+      req.on("data", (chunk) => {
+        if (tooLarge) return;
+        body += chunk;
+        if (body.length > REMOTE_MAX_BODY_BYTES) {
+          tooLarge = true;
+          sendJSON(res, 413, { ok: false, error: "Payload too large" }, cors);
+          req.destroy();
+        }
+      });
+      req.on("end", () => {
+        if (tooLarge) return;
+        let payload;
+        try {
+          payload = JSON.parse(body);
+        } catch {
+          return sendJSON(res, 400, { ok: false, error: "Invalid JSON" }, cors);
+        }
+        const results = this.handleRemotePayload(payload);
+        const ok = results.every((r) => r.ok);
+        sendJSON(res, ok ? 200 : 400, { ok, results }, cors);
+      });
+    });
+
+    // Upgrades are checked before the handshake completes
+    const wss = new WebSocketServer({
+      server,
+      maxPayload: REMOTE_MAX_BODY_BYTES,
+      verifyClient: ({ req }, done) => {
+        const url = new URL(req.url, "http://localhost");
+        const rejection = checkRequest(req, url);
+        if (rejection) done(false, rejection.status, rejection.error);
+        else done(true);
+      },
+    });
+    wss.on("connection", (socket) => {
+      socket.on("message", (raw) => {
+        let payload;
+        try {
+          payload = JSON.parse(String(raw));
+        } catch {
+          socket.send(JSON.stringify({ ok: false, error: "Invalid JSON" }));
+          return;
+        }
+        const results = this.handleRemotePayload(payload);
+        // Only report back on failures to keep high-rate streams quiet
+        const failures = results.filter((r) => !r.ok);
+        if (failures.length > 0) {
+          socket.send(JSON.stringify({ ok: false, results }));
+        }
+      });
+    });
+
+    server.on("error", (err) => {
+      console.error("[InputManager] ❌ Remote server error:", err);
+      this.setSourceStatus(
+        "remote",
+        INPUT_STATUS.ERROR,
+        `Remote error: ${err.message}`
+      );
+    });
+
+    // Local only: remote tools on this machine, never the whole network
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        server.off("error", reject);
+        resolve();
+      });
+    });
+
+    this.sources.set("remote", { server, wss });
+    this.setSourceStatus(
+      "remote",
+      INPUT_STATUS.CONNECTED,
+      `Remote: Port ${port}${token ? " (token)" : ""}`
+    );
+  }
+
+  async initSerial(serialConfig) {
+    const path =
+      typeof serialConfig.serialPath === "string"
+        ? serialConfig.serialPath.trim()
+        : "";
+    const baudRate = serialConfig.serialBaudRate || 9600;
+    if (!path) {
+      this.setSourceStatus(
+        "serial",
+        INPUT_STATUS.DISCONNECTED,
+        "Serial: No device selected"
+      );
+      return;
+    }
+
+    let serialport;
     try {
-      if (this.currentSource) {
-        switch (this.currentSource.type) {
-          case "midi":
-            if (this.currentSource.instance) {
-              try {
-                this.currentSource.instance.removeListener();
-              } catch {
-                this.currentSource.instance.removeListener("noteon");
-              }
-            }
-            if (WebMidi.enabled && typeof WebMidi.disable === "function") {
-              try {
-                await WebMidi.disable();
-              } catch {
-                try {
-                  WebMidi.disable();
-                } catch {}
-              }
-            }
-            break;
-          case "osc":
-            if (this.currentSource.instance) {
-              this.currentSource.instance.close();
-            }
-            break;
+      serialport = loadSerialport();
+    } catch (err) {
+      console.error("[InputManager] ❌ Serial support unavailable:", err);
+      this.setSourceStatus(
+        "serial",
+        INPUT_STATUS.ERROR,
+        `Serial unavailable: ${err.message}`
+      );
+      return;
+    }
+    const { SerialPort, ReadlineParser } = serialport;
+
+    const port = new SerialPort({ path, baudRate, autoOpen: false });
+    await new Promise((resolve, reject) => {
+      port.open((err) => (err ? reject(err) : resolve()));
+    });
+
+    const parser = port.pipe(new ReadlineParser({ delimiter: "\n" }));
+    parser.on("data", (line) => {
+      if (!String(line).trim()) return;
+      const result = parseSerialLine(line);
+      if (!result.valid) {
+        console.warn(
+          `[InputManager] ⚠️ Serial line ignored: ${result.error}` +
+            (result.suggestion ? `\n  ${result.suggestion}` : "")
+        );
+        return;
+      }
+      this.broadcast(result.type, result.data);
+    });
+
+    port.on("error", (err) => {
+      console.error("[InputManager] ❌ Serial error:", err);
+      this.setSourceStatus(
+        "serial",
+        INPUT_STATUS.ERROR,
+        `Serial error: ${err.message}`
+      );
+    });
+
+    // Unplugging the device closes the port without a disconnect() call
+    port.on("close", () => {
+      if (this.sources.get("serial") !== port) return;
+      this.sources.delete("serial");
+      this.setSourceStatus(
+        "serial",
+        INPUT_STATUS.DISCONNECTED,
+        `Serial: ${path} closed`
+      );
+    });
+
+    this.sources.set("serial", port);
+    this.setSourceStatus(
+      "serial",
+      INPUT_STATUS.CONNECTED,
+      `Serial: ${path} @ ${baudRate}`
+    );
+  }
+
+  // Audio is captured and analysed in the dashboard (Web Audio); this only
+  // marks the source live so its messages are accepted. The analyser may
+  // have reported before this runs, so its last status is re-applied.
+  initAudio(audioConfig) {
+    const file =
+      typeof audioConfig.audioFile === "string"
+        ? audioConfig.audioFile.trim()
+        : "";
+    this.sources.set("audio", { file });
+    if (this.audioAnalyserStatus) {
+      const { status, message } = this.audioAnalyserStatus;
+      this.setSourceStatus("audio", status, message);
+      return;
+    }
+    this.setSourceStatus(
+      "audio",
+      INPUT_STATUS.CONNECTING,
+      "Audio: starting analysis..."
+    );
+  }
+
+  // Payloads from the dashboard analyser: { type: "messages", messages } with
+  // Remote API style messages, or { type: "status", status, message }
+  handleAudioInput(payload) {
+    if (!payload) return;
+    if (payload.type === "status") {
+      const status = Object.values(INPUT_STATUS).includes(payload.status)
+        ? payload.status
+        : INPUT_STATUS.ERROR;
+      const message = String(payload.message || "");
+      this.audioAnalyserStatus = { status, message };
+      if (this.sources.has("audio")) {
+        this.setSourceStatus("audio", status, message);
+      }
+      return;
+    }
+    if (!this.sources.has("audio")) return;
+    if (payload.type !== "messages" || !Array.isArray(payload.messages)) {
+      return;
+    }
+    payload.messages.forEach((message) => {
+      const result = normalizeRemoteMessage(message, "audio");
+      if (result.valid) this.broadcast(result.type, result.data);
+    });
+  }
+
+  async disconnectSource(type, instance) {
+    switch (type) {
+      case "midi":
+        if (instance) {
+          // Only our own listeners: the clock may share this input
+          ["noteon", "noteoff", "controlchange"].forEach((type) => {
+            try {
+              instance.removeListener(type);
+            } catch {}
+          });
+        }
+        if (
+          !this.clockInput &&
+          WebMidi.enabled &&
+          typeof WebMidi.disable === "function"
+        ) {
+          try {
+            await WebMidi.disable();
+          } catch {
+            try {
+              WebMidi.disable();
+            } catch {}
+          }
+        }
+        break;
+      case "osc":
+        if (instance) {
+          instance.close();
+        }
+        break;
+      case "serial":
+        if (instance && instance.isOpen) {
+          instance.removeAllListeners("close");
+          await new Promise((resolve) => instance.close(() => resolve()));
         }
+        break;
+      case "remote":
+        if (instance) {
+          instance.wss.clients.forEach((client) => client.terminate());
+          instance.wss.close();
+          await new Promise((resolve) => instance.server.close(() => resolve()));
+        }
+        break;
+    }
+  }
+
+  async disconnect() {
+    for (const [type, instance] of this.sources.entries()) {
+      try {
+        await this.disconnectSource(type, instance);
+      } catch (error) {
+        console.error(
+          `[InputManager] Error during ${type} disconnect:`,
+          error
+        );
       }
+    }
 
-      this.broadcastStatus(INPUT_STATUS.DISCONNECTED, "");
+    this.sources.clear();
+    this.sourceStatuses.clear();
+    try {
+      this.broadcastStatus();
     } catch (error) {
       console.error("[InputManager] Error during disconnect:", error);
     }
+  }
 
-    this.currentSource = null;
+  static async getAvailableSerialPorts() {
+    try {
+      const ports = await loadSerialport().SerialPort.list();
+      return ports.map((port) => ({
+        path: port.path,
+        manufacturer: port.manufacturer,
+      }));
+    } catch (err) {
+      console.error("[InputManager] Failed to list serial ports:", err);
+      return [];
+    }
   }
 
   static getAvailableMIDIDevices() {
@@ -0,0 +1,110 @@
+const osc = require("osc");
+const { DEFAULT_OSC_OUTPUT_CONFIG } = require("../shared/config/defaultConfig");
+
+const OSC_OUTPUT_PREFIX = "/nw";
+
+// Mirrors nw_wrld state to an external OSC receiver (TouchOSC, lighting desks)
+class OscOutput {
+  constructor() {
+    this.udpPort = null;
+    this.config = null;
+    this.isReady = false;
+  }
+
+  configure(outputConfig) {
+    const config = { ...DEFAULT_OSC_OUTPUT_CONFIG, ...(outputConfig || {}) };
+    const isSameTarget =
+      this.udpPort &&
+      this.config &&
+      this.config.host === config.host &&
+      this.config.port === config.port;
+
+    this.config = config;
+    if (!config.enabled) {
+      this.close();
+      return;
+    }
+    if (isSameTarget) return;
+
+    this.close();
+    const udpPort = new osc.UDPPort({
+      localAddress: "0.0.0.0",
+      localPort: 0,
+      remoteAddress: config.host,
+      remotePort: config.port,
+      metadata: true,
+    });
+
+    udpPort.on("ready", () => {
+      if (this.udpPort !== udpPort) return;
+      this.isReady = true;
+      console.log(
+        `[OscOutput] ✅ Sending OSC to ${config.host}:${config.port}`
+      );
+    });
+
+    udpPort.on("error", (err) => {
+      console.error("[OscOutput] ❌ OSC output error:", err.message);
+    });
+
+    this.udpPort = udpPort;
+    udpPort.open();
+  }
+
+  send(type, props = {}) {
+    if (!this.udpPort || !this.isReady || !this.config?.enabled) return;
+
+    let packet = null;
+    switch (type) {
+      case "track-active":
+        packet = {
+          address: `${OSC_OUTPUT_PREFIX}/track/active`,
+          args: [{ type: "s", value: String(props.trackName || "") }],
+        };
+        break;
+      case "channel": {
+        const channel = parseInt(props.channel, 10);
+        if (!Number.isFinite(channel)) return;
+        const velocity = props.release
+          ? 0
+          : Math.round(
+              typeof props.velocity === "number" ? props.velocity : 127
+            );
+        packet = {
+          address: `${OSC_OUTPUT_PREFIX}/ch/${channel}`,
+          args: [{ type: "i", value: velocity }],
+        };
+        break;
+      }
+      case "step": {
+        const step = parseInt(props.step, 10);
+        if (!Number.isFinite(step)) return;
+        packet = {
+          address: `${OSC_OUTPUT_PREFIX}/step`,
+          args: [{ type: "i", value: step }],
+        };
+        break;
+      }
+      default:
+        return;
+    }
+
+    try {
+      this.udpPort.send(packet);
+    } catch (err) {
+      console.error("[OscOutput] Failed to send OSC message:", err.message);
+    }
+  }
+
+  close() {
+    if (this.udpPort) {
+      try {
+        this.udpPort.close();
+      } catch {}
+    }
+    this.udpPort = null;
+    this.isReady = false;
+  }
+}
+
+module.exports = OscOutput;
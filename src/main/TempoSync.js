@@ -0,0 +1,289 @@
+const dgram = require("dgram");
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const {
+  DEFAULT_TEMPO_SYNC_CONFIG,
+} = require("../shared/config/defaultConfig");
+
+const TEMPO_SYNC_PROTOCOL = "nw_wrld-tempo";
+const TEMPO_SYNC_VERSION = 1;
+const STEPS_PER_BEAT = 4; // 16th notes
+const BEACON_INTERVAL_MS = 100;
+const LEADER_TIMEOUT_MS = 1500;
+const MAX_SLEW_MS = 20;
+// Moving back by more than this is a relocation (e.g. a new leader), not
+// drift, and restarts the steps from there
+const MAX_HELD_STEPS = STEPS_PER_BEAT;
+const DEFAULT_BPM = 120;
+
+const parseBeacon = (buffer) => {
+  let packet;
+  try {
+    packet = JSON.parse(buffer.toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (
+    !packet ||
+    packet.proto !== TEMPO_SYNC_PROTOCOL ||
+    packet.v !== TEMPO_SYNC_VERSION ||
+    typeof packet.id !== "string" ||
+    !Number.isFinite(packet.bpm) ||
+    packet.bpm <= 0 ||
+    !Number.isFinite(packet.beat) ||
+    !Number.isFinite(packet.claimedAt)
+  ) {
+    return null;
+  }
+  return packet;
+};
+
+// Shares tempo and beat phase between nw_wrld instances over UDP multicast.
+// The leader beacons its timeline; followers align theirs to it. Every
+// instance emits sequencer steps from the shared timeline, so patterns stay
+// in phase across machines.
+class TempoSync {
+  constructor(dashboardWindow) {
+    this.dashboard = dashboardWindow;
+    this.id = crypto.randomUUID();
+    this.config = null;
+    this.socket = null;
+    this.role = null; // "leader" | "follower"
+    this.claimedAt = 0;
+    this.bpm = DEFAULT_BPM;
+    this.originMs = performance.now(); // local time of beat 0
+    this.lastStep = null;
+    this.lastLeaderSeenAt = 0;
+    this.stepTimer = null;
+    this.beaconTimer = null;
+    this.watchdogTimer = null;
+  }
+
+  configure(syncConfig) {
+    const config = {
+      enabled: false,
+      bpm: DEFAULT_BPM,
+      ...DEFAULT_TEMPO_SYNC_CONFIG,
+      ...(syncConfig || {}),
+    };
+    const isSameSession =
+      this.socket &&
+      this.config &&
+      this.config.group === config.group &&
+      this.config.port === config.port;
+
+    const previousBpm = this.config?.bpm;
+    this.config = config;
+    if (!config.enabled) {
+      this.close();
+      return;
+    }
+    if (this.role === "leader" && config.bpm !== previousBpm) {
+      this.setTempo(config.bpm);
+    }
+    if (isSameSession) return;
+
+    this.close();
+    this.join(config);
+  }
+
+  join(config) {
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    socket.on("error", (err) => {
+      console.error("[TempoSync] ❌ Socket error:", err.message);
+      this.broadcastStatus({ message: err.message });
+    });
+    socket.on("message", (buffer) => {
+      if (this.socket !== socket) return;
+      const packet = parseBeacon(buffer);
+      if (packet && packet.id !== this.id) this.handleBeacon(packet);
+    });
+    socket.bind(config.port, () => {
+      if (this.socket !== socket) return;
+      try {
+        socket.addMembership(config.group);
+        socket.setMulticastLoopback(true);
+        socket.setMulticastTTL(1);
+      } catch (err) {
+        console.error("[TempoSync] ❌ Failed to join group:", err.message);
+        this.broadcastStatus({ message: err.message });
+        return;
+      }
+      console.log(
+        `[TempoSync] ✅ Joined tempo session ${config.group}:${config.port}`
+      );
+    });
+
+    this.socket = socket;
+    this.role = "follower";
+    this.bpm = config.bpm;
+    this.lastLeaderSeenAt = performance.now();
+    this.watchdogTimer = setInterval(() => {
+      // Nobody is leading (first peer, or the leader left): take over
+      if (
+        this.role === "follower" &&
+        performance.now() - this.lastLeaderSeenAt > LEADER_TIMEOUT_MS
+      ) {
+        this.takeLead(this.bpm);
+      }
+    }, BEACON_INTERVAL_MS);
+    this.scheduleStep();
+    this.broadcastStatus();
+  }
+
+  // Claiming leadership keeps the current phase; the newest claim wins
+  takeLead(bpm = this.config?.bpm) {
+    if (!this.socket) return;
+    this.claimedAt = Date.now();
+    this.role = "leader";
+    this.setTempo(bpm);
+    if (!this.beaconTimer) {
+      this.beaconTimer = setInterval(
+        () => this.sendBeacon(),
+        BEACON_INTERVAL_MS
+      );
+    }
+    this.sendBeacon();
+    console.log(`[TempoSync] 👑 Leading tempo session at ${this.bpm} BPM`);
+    this.broadcastStatus();
+  }
+
+  follow() {
+    if (this.beaconTimer) {
+      clearInterval(this.beaconTimer);
+      this.beaconTimer = null;
+    }
+    this.role = "follower";
+    this.broadcastStatus();
+  }
+
+  handleBeacon(packet) {
+    if (this.role === "leader") {
+      const theirClaimIsNewer =
+        packet.claimedAt > this.claimedAt ||
+        (packet.claimedAt === this.claimedAt && packet.id > this.id);
+      if (!theirClaimIsNewer) return;
+      this.follow();
+    }
+
+    const now = performance.now();
+    this.lastLeaderSeenAt = now;
+    if (packet.bpm !== this.bpm) {
+      // New tempo: re-anchor on the leader's beat rather than measuring drift
+      // against a timeline running at the old tempo
+      this.bpm = packet.bpm;
+      this.originMs = now - (packet.beat * 60000) / packet.bpm;
+      this.broadcastStatus();
+    } else {
+      const driftMs = (this.getBeat(now) - packet.beat) * (60000 / this.bpm);
+      // Jump on large drift, otherwise slew to avoid jittery steps
+      const correctionMs =
+        Math.abs(driftMs) > MAX_SLEW_MS ? driftMs : driftMs / 2;
+      this.originMs = this.originMs + correctionMs;
+    }
+    this.scheduleStep();
+  }
+
+  getBeat(now = performance.now()) {
+    return ((now - this.originMs) * this.bpm) / 60000;
+  }
+
+  // Tempo changes keep the beat position continuous
+  setTempo(bpm) {
+    if (!Number.isFinite(bpm) || bpm <= 0) return;
+    const now = performance.now();
+    const beat = this.getBeat(now);
+    this.bpm = bpm;
+    this.originMs = now - (beat * 60000) / bpm;
+    this.scheduleStep();
+  }
+
+  sendBeacon() {
+    if (!this.socket || this.role !== "leader") return;
+    const packet = Buffer.from(
+      JSON.stringify({
+        proto: TEMPO_SYNC_PROTOCOL,
+        v: TEMPO_SYNC_VERSION,
+        id: this.id,
+        claimedAt: this.claimedAt,
+        bpm: this.bpm,
+        beat: this.getBeat(),
+      })
+    );
+    this.socket.send(packet, this.config.port, this.config.group, (err) => {
+      if (err) console.error("[TempoSync] Failed to send beacon:", err.message);
+    });
+  }
+
+  scheduleStep() {
+    if (this.stepTimer) clearTimeout(this.stepTimer);
+    this.stepTimer = null;
+    if (!this.socket) return;
+
+    const now = performance.now();
+    const stepPosition = this.getBeat(now) * STEPS_PER_BEAT;
+    const step = Math.floor(stepPosition + 1e-6);
+    // A small correction back holds until the timeline passes the last step
+    // again, so no step fires twice
+    const isHeld =
+      this.lastStep !== null &&
+      step <= this.lastStep &&
+      this.lastStep - step <= MAX_HELD_STEPS;
+    if (!isHeld && step >= 0) {
+      this.lastStep = step;
+      this.broadcastClock("step", { position: step });
+    }
+    const msPerStep = 60000 / this.bpm / STEPS_PER_BEAT;
+    const delay = Math.max(1, (step + 1 - stepPosition) * msPerStep);
+    this.stepTimer = setTimeout(() => this.scheduleStep(), delay);
+  }
+
+  broadcastStatus(data = {}) {
+    this.broadcastClock("status", data);
+  }
+
+  // Reuses the MIDI clock event shape so the sequencer treats both alike
+  broadcastClock(action, data = {}) {
+    if (
+      !this.dashboard ||
+      this.dashboard.isDestroyed() ||
+      !this.dashboard.webContents ||
+      this.dashboard.webContents.isDestroyed()
+    ) {
+      return;
+    }
+    this.dashboard.webContents.send("input-event", {
+      type: "clock",
+      data: {
+        action,
+        bpm: Math.round(this.bpm * 10) / 10,
+        role: this.role,
+        ...data,
+        source: "network",
+        timestamp: Date.now() / 1000,
+      },
+    });
+  }
+
+  close() {
+    [this.stepTimer, this.beaconTimer, this.watchdogTimer].forEach((timer) => {
+      if (timer) {
+        clearTimeout(timer);
+        clearInterval(timer);
+      }
+    });
+    this.stepTimer = null;
+    this.beaconTimer = null;
+    this.watchdogTimer = null;
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch {}
+    }
+    this.socket = null;
+    this.role = null;
+    this.lastStep = null;
+  }
+}
+
+module.exports = TempoSync;
@@ -0,0 +1,192 @@
+const fs = require("fs");
+
+// Minimal WebM muxer for frame exports: one VP8 video track built from
+// lossy WebP stills (a WebP "VP8 " chunk is a VP8 keyframe), so every frame
+// is a keyframe and no video encoder is needed. Clusters are written as
+// frames arrive; only the header is buffered until the first frame gives
+// the frame size.
+
+const CLUSTER_MS = 2000;
+const UNKNOWN_SIZE = Buffer.from([0x01, ...Array(7).fill(0xff)]);
+
+const encodeSize = (size) => {
+  for (let length = 1; length <= 8; length++) {
+    // All-ones is reserved for "unknown size"
+    if (size < 2 ** (7 * length) - 1) {
+      const out = Buffer.alloc(length);
+      let rest = size;
+      for (let i = length - 1; i >= 0; i--) {
+        out[i] = rest % 256;
+        rest = Math.floor(rest / 256);
+      }
+      out[0] |= 0x80 >> (length - 1);
+      return out;
+    }
+  }
+  throw new Error("EBML_SIZE_TOO_LARGE");
+};
+
+const encodeId = (id) => Buffer.from(id.toString(16).padStart(2, "0"), "hex");
+
+const element = (id, payload) => {
+  const data = Array.isArray(payload) ? Buffer.concat(payload) : payload;
+  return Buffer.concat([encodeId(id), encodeSize(data.length), data]);
+};
+
+const uint = (id, value) => {
+  const bytes = [];
+  let rest = Math.max(0, Math.round(value));
+  do {
+    bytes.unshift(rest % 256);
+    rest = Math.floor(rest / 256);
+  } while (rest > 0);
+  return element(id, Buffer.from(bytes));
+};
+
+const float = (id, value) => {
+  const data = Buffer.alloc(8);
+  data.writeDoubleBE(value);
+  return element(id, data);
+};
+
+const string = (id, value) => element(id, Buffer.from(value, "ascii"));
+
+// The VP8 bitstream inside a simple-format (lossy, no alpha) WebP file
+const getVp8Frame = (webp) => {
+  if (
+    webp.length < 20 ||
+    webp.toString("ascii", 0, 4) !== "RIFF" ||
+    webp.toString("ascii", 8, 12) !== "WEBP"
+  ) {
+    throw new Error("INVALID_WEBP");
+  }
+  let offset = 12;
+  while (offset + 8 <= webp.length) {
+    const fourCC = webp.toString("ascii", offset, offset + 4);
+    const size = webp.readUInt32LE(offset + 4);
+    if (fourCC === "VP8 ") {
+      return webp.subarray(offset + 8, offset + 8 + size);
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error("UNSUPPORTED_WEBP");
+};
+
+// Width and height from a VP8 keyframe header
+const getVp8Size = (frame) => {
+  if (frame.length < 10 || frame[3] !== 0x9d || frame[4] !== 0x01) {
+    throw new Error("INVALID_VP8_KEYFRAME");
+  }
+  return {
+    width: frame.readUInt16LE(6) & 0x3fff,
+    height: frame.readUInt16LE(8) & 0x3fff,
+  };
+};
+
+class WebmWriter {
+  constructor(filePath, { fps = 30, appName = "nw_wrld" } = {}) {
+    this.filePath = filePath;
+    this.fps = fps;
+    this.appName = appName;
+    this.handle = null;
+    this.size = null;
+    this.frameCount = 0;
+    this.cluster = null;
+    this.durationOffset = null;
+  }
+
+  async open() {
+    this.handle = await fs.promises.open(this.filePath, "w");
+  }
+
+  async writeHeader({ width, height }) {
+    const header = element(0x1a45dfa3, [
+      uint(0x4286, 1),
+      uint(0x42f7, 1),
+      uint(0x42f2, 4),
+      uint(0x42f3, 8),
+      string(0x4282, "webm"),
+      uint(0x4287, 2),
+      uint(0x4285, 2),
+    ]);
+    // Duration is a placeholder, patched in place on close
+    const duration = float(0x4489, 0);
+    const info = element(0x1549a966, [
+      uint(0x2ad7b1, 1000000),
+      string(0x4d80, this.appName),
+      string(0x5741, this.appName),
+      duration,
+    ]);
+    const tracks = element(0x1654ae6b, [
+      element(0xae, [
+        uint(0xd7, 1),
+        uint(0x73c5, 1),
+        uint(0x9c, 0),
+        string(0x86, "V_VP8"),
+        uint(0x83, 1),
+        uint(0x23e383, Math.round(1000000000 / this.fps)),
+        element(0xe0, [uint(0xb0, width), uint(0xba, height)]),
+      ]),
+    ]);
+    // The segment is left "unknown size" so it can be streamed to disk
+    const segmentStart = Buffer.concat([
+      header,
+      encodeId(0x18538067),
+      UNKNOWN_SIZE,
+    ]);
+    this.durationOffset = segmentStart.length + info.length - 8;
+    await this.handle.write(Buffer.concat([segmentStart, info, tracks]));
+  }
+
+  async addFrame(webp) {
+    const frame = getVp8Frame(Buffer.from(webp));
+    const size = getVp8Size(frame);
+    if (!this.size) {
+      this.size = size;
+      await this.writeHeader(size);
+    } else if (
+      size.width !== this.size.width ||
+      size.height !== this.size.height
+    ) {
+      throw new Error("FRAME_SIZE_CHANGED");
+    }
+
+    const timecode = Math.round((this.frameCount * 1000) / this.fps);
+    if (!this.cluster || timecode - this.cluster.timecode >= CLUSTER_MS) {
+      await this.flushCluster();
+      this.cluster = { timecode, blocks: [] };
+    }
+    const blockHeader = Buffer.alloc(4);
+    blockHeader[0] = 0x81; // track 1
+    blockHeader.writeInt16BE(timecode - this.cluster.timecode, 1);
+    blockHeader[3] = 0x80; // keyframe
+    this.cluster.blocks.push(element(0xa3, [blockHeader, frame]));
+    this.frameCount += 1;
+  }
+
+  async flushCluster() {
+    if (!this.cluster || this.cluster.blocks.length === 0) return;
+    const { timecode, blocks } = this.cluster;
+    this.cluster = null;
+    await this.handle.write(
+      element(0x1f43b675, [uint(0xe7, timecode), ...blocks])
+    );
+  }
+
+  async close() {
+    if (!this.handle) return;
+    try {
+      await this.flushCluster();
+      if (this.durationOffset !== null) {
+        const duration = Buffer.alloc(8);
+        duration.writeDoubleBE((this.frameCount * 1000) / this.fps);
+        await this.handle.write(duration, 0, 8, this.durationOffset);
+      }
+    } finally {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = WebmWriter;
@@ -0,0 +1,141 @@
+/*
+@nwWrld name: PostFX
+@nwWrld category: Effects
+@nwWrld imports: ModuleBase
+*/
+
+// Draws nothing itself: each method sets an effect over the whole output,
+// on top of every module of the track. Add the methods to the constructor to
+// set up the chain when the track loads, or to channels to trigger them.
+class PostFX extends ModuleBase {
+  static methods = [
+    {
+      name: "feedback",
+      executeOnLoad: false,
+      options: [
+        { name: "amount", defaultVal: 0.8, type: "number", min: 0, max: 0.98 },
+        { name: "zoom", defaultVal: 1.02, type: "number", min: 0.8, max: 1.2 },
+        { name: "rotate", defaultVal: 0, type: "number", min: -10, max: 10 },
+      ],
+    },
+    {
+      name: "kaleidoscope",
+      executeOnLoad: false,
+      options: [
+        {
+          name: "mirror",
+          defaultVal: "quad",
+          type: "select",
+          values: ["off", "horizontal", "vertical", "quad"],
+        },
+      ],
+    },
+    {
+      name: "pixelate",
+      executeOnLoad: false,
+      options: [
+        { name: "size", defaultVal: 8, type: "number", min: 1, max: 200 },
+      ],
+    },
+    {
+      name: "rgbShift",
+      executeOnLoad: false,
+      options: [
+        { name: "amount", defaultVal: 8, type: "number", min: 0, max: 100 },
+        { name: "angle", defaultVal: 0, type: "number", min: -360, max: 360 },
+      ],
+    },
+    {
+      name: "bloom",
+      executeOnLoad: false,
+      options: [
+        {
+          name: "threshold",
+          defaultVal: 0.6,
+          type: "number",
+          min: 0,
+          max: 0.99,
+        },
+        { name: "radius", defaultVal: 8, type: "number", min: 0, max: 50 },
+        { name: "intensity", defaultVal: 1, type: "number", min: 0, max: 3 },
+      ],
+    },
+    {
+      name: "colorGrade",
+      executeOnLoad: false,
+      options: [
+        {
+          name: "preset",
+          defaultVal: "warm",
+          type: "select",
+          values: [
+            "none",
+            "warm",
+            "cool",
+            "tealOrange",
+            "crossProcess",
+            "bleach",
+            "noir",
+          ],
+        },
+        { name: "lut", defaultVal: "", type: "text" },
+        { name: "amount", defaultVal: 1, type: "number", min: 0, max: 1 },
+      ],
+    },
+    {
+      name: "strobe",
+      executeOnLoad: false,
+      options: [
+        { name: "rate", defaultVal: 10, type: "number", min: 0.5, max: 30 },
+        { name: "duration", defaultVal: 500, type: "number", min: 0 },
+        { name: "color", defaultVal: "#ffffff", type: "color" },
+      ],
+    },
+    {
+      name: "clearFx",
+      executeOnLoad: false,
+      options: [],
+    },
+  ];
+
+  constructor(container) {
+    super(container);
+    this.name = PostFX.name;
+  }
+
+  feedback({ amount = 0.8, zoom = 1.02, rotate = 0 } = {}) {
+    this.setPostFx("feedback", { amount, zoom, rotate });
+  }
+
+  kaleidoscope({ mirror = "quad" } = {}) {
+    this.setPostFx("kaleidoscope", { mirror });
+  }
+
+  pixelate({ size = 8 } = {}) {
+    this.setPostFx("pixelate", { size });
+  }
+
+  rgbShift({ amount = 8, angle = 0 } = {}) {
+    this.setPostFx("rgbShift", { amount, angle });
+  }
+
+  bloom({ threshold = 0.6, radius = 8, intensity = 1 } = {}) {
+    this.setPostFx("bloom", { threshold, radius, intensity });
+  }
+
+  // `lut` is a .cube file under assets/ (e.g. "luts/film.cube"), used
+  // instead of the preset
+  colorGrade({ preset = "warm", lut = "", amount = 1 } = {}) {
+    this.setPostFx("colorGrade", { preset, lut, amount });
+  }
+
+  strobe({ rate = 10, duration = 500, color = "#ffffff" } = {}) {
+    this.setPostFx("strobe", { rate, duration, color });
+  }
+
+  clearFx() {
+    this.setPostFx(null);
+  }
+}
+
+export default PostFX;
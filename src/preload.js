@@ -27,6 +27,7 @@ const nwWrldBridge = {
     getDir: () => ipcRenderer.sendSync("bridge:project:getDir"),
     isRequired: () => ipcRenderer.sendSync("bridge:project:isRequired"),
     isDirAvailable: () => ipcRenderer.sendSync("bridge:project:isDirAvailable"),
+    getOutputId: () => ipcRenderer.sendSync("bridge:project:getOutputId"),
   },
   os: {
     openExternal: (url) => ipcRenderer.sendSync("bridge:os:openExternal", url),
@@ -41,6 +42,14 @@ const nwWrldBridge = {
       ipcRenderer.invoke("sandbox:request", { token, type, props }),
     destroy: () => ipcRenderer.invoke("sandbox:destroy"),
   },
+  frameExport: {
+    begin: (payload) => ipcRenderer.invoke("frame-export:begin", payload),
+    captureFrame: (payload) =>
+      ipcRenderer.invoke("frame-export:capture", payload),
+    writeFrame: (payload) =>
+      ipcRenderer.invoke("frame-export:write-frame", payload),
+    finish: (payload) => ipcRenderer.invoke("frame-export:finish", payload),
+  },
   workspace: {
     listModuleFiles: () =>
       ipcRenderer.invoke("bridge:workspace:listModuleFiles"),
@@ -68,6 +77,8 @@ const nwWrldBridge = {
       ipcRenderer.invoke("bridge:workspace:listAssets", relDir),
     readAssetText: (relPath) =>
       ipcRenderer.invoke("bridge:workspace:readAssetText", relPath),
+    readAssetArrayBuffer: (relPath) =>
+      ipcRenderer.invoke("bridge:workspace:readAssetArrayBuffer", relPath),
   },
   app: {
     getBaseMethodNames: () =>
@@ -85,6 +96,10 @@ const nwWrldBridge = {
       ipcRenderer.send("dashboard-to-projector", { type, props }),
     sendToDashboard: (type, props = {}) =>
       ipcRenderer.send("projector-to-dashboard", { type, props }),
+    sendOscOutput: (type, props = {}) =>
+      ipcRenderer.send("osc-output", { type, props }),
+    sendAudioInput: (type, props = {}) =>
+      ipcRenderer.send("audio-input", { type, props }),
     onFromProjector: (handler) => {
       if (typeof handler !== "function") return;
       const wrapped = (event, data) => handler(event, data);
@@ -123,7 +138,24 @@ const nwWrldBridge = {
       return () => ipcRenderer.removeListener("workspace:lostSync", wrapped);
     },
     configureInput: (payload) => ipcRenderer.invoke("input:configure", payload),
+    configureClock: (payload) =>
+      ipcRenderer.invoke("input:configure-clock", payload),
+    configureTempoSync: (payload) =>
+      ipcRenderer.invoke("tempo-sync:configure", payload),
+    leadTempoSync: () => ipcRenderer.invoke("tempo-sync:lead"),
+    configureOscOutput: (payload) =>
+      ipcRenderer.invoke("osc-output:configure", payload),
+    configureOutputs: (outputs) =>
+      ipcRenderer.invoke("outputs:configure", outputs),
+    getDisplays: () => ipcRenderer.invoke("outputs:get-displays"),
     getMidiDevices: () => ipcRenderer.invoke("input:get-midi-devices"),
+    getSerialPorts: () => ipcRenderer.invoke("input:get-serial-ports"),
+    selectAudioFile: () => ipcRenderer.invoke("input:select-audio-file"),
+    readAudioFile: (filePath) =>
+      ipcRenderer.invoke("input:read-audio-file", filePath),
+    importTrackAudio: () => ipcRenderer.invoke("workspace:import-audio"),
+    openMidiFile: () => ipcRenderer.invoke("midi:open-file"),
+    saveMidiFile: (payload) => ipcRenderer.invoke("midi:save-file", payload),
     selectWorkspace: () => ipcRenderer.invoke("workspace:select"),
   },
 };
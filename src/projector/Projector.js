@@ -18,11 +18,67 @@ import {
 } from "../shared/midi/midiUtils.js";
 import { loadSettingsSync } from "../shared/json/configUtils.js";
 import { getActiveSetTracks, migrateToSets } from "../shared/utils/setUtils.js";
+import {
+  INPUT_SOURCE_LABELS,
+  getInputSourceTypes,
+  isDirectInputSource,
+} from "../shared/config/inputSources.js";
+import {
+  MAIN_OUTPUT_ID,
+  getProjectorOutputs,
+  filterTrackLayers,
+} from "../shared/config/projectorOutputs.js";
 import { buildMethodOptions } from "../shared/utils/methodOptions.js";
+import {
+  getBaseMethodOptionValues,
+  getParameterMappingsForController,
+  scaleParameterValue,
+} from "../shared/utils/parameterMappings.js";
+import {
+  getTrackMacros,
+  findTrackMacro,
+  getMacrosForController,
+  scaleMacroTargetValue,
+} from "../shared/utils/macros.js";
+import {
+  getTrackModulators,
+  getLfoValue,
+  getEnvelopeValue,
+  isEnvelopeDone,
+  scaleModulatorValue,
+} from "../shared/utils/modulators.js";
+import { MAX_VELOCITY } from "../shared/utils/velocityScaling.js";
+import { createSeededRandom } from "../shared/utils/seededRandom.js";
 import { getProjectDir } from "../shared/utils/projectDir.js";
+import { getTrackTransition } from "../shared/utils/trackTransitions.js";
+import { normalizeWarp } from "../shared/utils/projectionWarp.js";
+import {
+  loadRecordingData,
+  getRecordingForTrack,
+  getSequencerForTrack,
+} from "../shared/json/recordingUtils.js";
+import {
+  patternToTimeline,
+  recordingToTimeline,
+  getTimelineDuration,
+} from "../shared/sequencer/triggerTimeline.js";
 import logger from "./helpers/logger.js";
+import { animationManager } from "./helpers/animationManager.js";
 const getBridge = () => globalThis.nwWrldBridge;
 
+// Extra outputs mirror the show; previews, exports and the window settings
+// belong to Projector 1
+const MAIN_OUTPUT_ONLY_TYPES = new Set([
+  "module-introspect",
+  "toggleAspectRatioStyle",
+  "setBg",
+  "preview-module",
+  "clear-preview",
+  "trigger-preview-method",
+  "export-frames",
+  "debug-overlay-visibility",
+]);
+
 const getMessaging = () => getBridge()?.messaging;
 
 class TrackSandboxHost {
@@ -60,14 +116,45 @@ class TrackSandboxHost {
     return await req(this.token, type, props || {});
   }
 
-  initTrack({ track, moduleSources, assetsBaseUrl }) {
+  initTrack({
+    track,
+    moduleSources,
+    assetsBaseUrl,
+    transition,
+    virtualClock,
+    seed,
+    warp,
+    calibrate,
+  }) {
     return this.request("initTrack", {
       track,
       moduleSources,
       assetsBaseUrl,
+      transition,
+      virtualClock,
+      seed,
+      warp,
+      calibrate,
     });
   }
 
+  setWarp({ warp, calibrate }) {
+    return this.request("setWarp", { warp, calibrate });
+  }
+
+  // Only for tracks initialised with `virtualClock`
+  advanceFrame(ms) {
+    return this.request("advanceFrame", { ms });
+  }
+
+  finishTransition() {
+    return this.request("finishTransition", {});
+  }
+
+  setLayer(instanceId, compositing) {
+    return this.request("setLayer", { instanceId, compositing });
+  }
+
   setMatrixForInstance({
     instanceId,
     track,
@@ -186,6 +273,7 @@ const Projector = {
   userData: [],
   isDeactivating: false,
   isLoadingTrack: false,
+  awaitingBeatCut: false,
   pendingTrackName: null,
   pendingReloadData: null,
   previewModuleName: null,
@@ -194,6 +282,17 @@ const Projector = {
   debugLogQueue: [],
   debugLogTimeout: null,
   moduleIntrospectionCache: new Map(),
+  inputMappingsCache: null,
+  pendingParameterChanges: new Map(),
+  liveMethodOptions: new Map(),
+  parameterFlushRafId: null,
+  modulators: [],
+  modulatorTick: null,
+  frameExport: null,
+  outputId: MAIN_OUTPUT_ID,
+  output: null,
+  warp: null,
+  isCalibrating: false,
 
   logToMain(message) {
     const appBridge = globalThis.nwWrldAppBridge;
@@ -221,8 +320,11 @@ const Projector = {
   },
 
   init() {
-    this.loadUserData();
     this.settings = loadSettingsSync();
+    this.outputId = getBridge()?.project?.getOutputId?.() || MAIN_OUTPUT_ID;
+    this.output = this.loadOutputConfig();
+    this.warp = normalizeWarp(this.settings?.warps?.[this.outputId]);
+    this.loadUserData();
     this.applyConfigSettings();
 
     {
@@ -267,6 +369,36 @@ const Projector = {
               return;
             }
 
+            if (this.output && MAIN_OUTPUT_ONLY_TYPES.has(type)) {
+              return;
+            }
+
+            if (type === "output-warp") {
+              if (props.outputId !== this.outputId) return;
+              this.warp = normalizeWarp(props.warp);
+              this.isCalibrating = props.calibrate === true;
+              return this.applyWarp();
+            }
+
+            if (type === "output-config") {
+              if (props.output?.id !== this.output?.id) return;
+              return this.applyOutputConfig(props.output);
+            }
+
+            if (type === "export-frames") {
+              return this.exportFrames(props).then((result) => {
+                getMessaging()?.sendToDashboard?.("frame-export-done", {
+                  ...result,
+                  trackName: props.trackName,
+                });
+              });
+            }
+
+            // Anything else would throw the export's timeline off
+            if (this.frameExport && type !== "debug-overlay-visibility") {
+              return;
+            }
+
             if (type === "module-introspect") {
               const moduleId = props?.moduleId || null;
               if (!moduleId) return;
@@ -344,7 +476,9 @@ const Projector = {
               }
 
               const currentTrackName =
-                props.trackName || this.activeTrack?.name;
+                this.output?.trackName ||
+                props.trackName ||
+                this.activeTrack?.name;
               this.loadUserData(props.setId);
               this.applyConfigSettings();
 
@@ -381,7 +515,8 @@ const Projector = {
 
             if (type === "set-activate") {
               this.loadUserData(props.setId);
-              this.deactivateActiveTrack();
+              // A pinned track keeps playing through set changes
+              if (!this.output?.trackName) this.deactivateActiveTrack();
               return;
             }
 
@@ -395,6 +530,24 @@ const Projector = {
               return this.handleTrackSelection(props.trackName);
             }
 
+            if (type === "macro-change") {
+              if (!props.values || typeof props.values !== "object") {
+                console.error("❌ [PROJECTOR-IPC] macro-change missing values");
+                return;
+              }
+              return this.handleMacroValues(props.values);
+            }
+
+            if (type === "layer-compositing") {
+              if (!props.instanceId) {
+                console.error(
+                  "❌ [PROJECTOR-IPC] layer-compositing missing instanceId"
+                );
+                return;
+              }
+              return this.applyLayerCompositing(props);
+            }
+
             if (type === "channel-trigger") {
               let channelNumber = props.channelNumber;
 
@@ -447,6 +600,73 @@ const Projector = {
     }
 
     this.initInputListener();
+
+    if (this.output) {
+      const trackName = this.getOutputStartTrackName();
+      if (trackName) this.handleTrackSelection(trackName);
+    }
+  },
+
+  // Projector 1 has no entry in config.json, so it gets null
+  loadOutputConfig() {
+    if (this.outputId === MAIN_OUTPUT_ID) return null;
+    const outputs = getProjectorOutputs(this.settings);
+    return outputs.find((output) => output.id === this.outputId) || null;
+  },
+
+  // The pinned track, or the dashboard's active one for an output that opens
+  // mid-show
+  getOutputStartTrackName() {
+    if (this.output?.trackName) return this.output.trackName;
+    const appState = loadJsonFileSync(
+      "appState.json",
+      { activeTrackId: null },
+      "Could not load appState.json, initializing with defaults."
+    );
+    const track = find(this.userData, { id: appState?.activeTrackId });
+    return track?.name || null;
+  },
+
+  // Exports render the track unwarped
+  getSandboxWarp() {
+    if (this.frameExport) return { warp: null, calibrate: false };
+    return { warp: this.warp, calibrate: this.isCalibrating };
+  },
+
+  // Calibrating with no track loaded brings up an empty sandbox to show the
+  // test grid in
+  async applyWarp() {
+    if (this.frameExport) return;
+    if (!this.trackSandboxHost) {
+      if (!this.isCalibrating) return;
+      this.trackSandboxHost = new TrackSandboxHost(null);
+    }
+    try {
+      await this.trackSandboxHost.setWarp(this.getSandboxWarp());
+    } catch (error) {
+      logger.error("❌ [WARP] Failed to apply projection warp:", error);
+    }
+  },
+
+  applyOutputConfig(output) {
+    this.output = output;
+    this.loadUserData();
+    this.applyConfigSettings();
+    this.deactivateActiveTrack();
+    const trackName = this.getOutputStartTrackName();
+    if (trackName) return this.handleTrackSelection(trackName);
+  },
+
+  // Live edits from the track's module list; the saved track catches up on
+  // the next load
+  async applyLayerCompositing({ trackName, instanceId, compositing }) {
+    if (!this.activeTrack || this.activeTrack.name !== trackName) return;
+    if (!this.activeModules?.[instanceId] || !this.trackSandboxHost) return;
+    try {
+      await this.trackSandboxHost.setLayer(instanceId, compositing);
+    } catch (error) {
+      logger.error("❌ [LAYER] Failed to apply layer compositing:", error);
+    }
   },
 
   async introspectModule(moduleId) {
@@ -515,13 +735,27 @@ const Projector = {
     return result;
   },
 
-  initInputListener() {
-    const midiConfig = buildMidiConfig(
-      this.userData,
-      this.config,
-      this.inputType
-    );
+  getInputMappings(source) {
+    const cache = this.inputMappingsCache;
+    if (
+      !cache ||
+      cache.userData !== this.userData ||
+      cache.config !== this.config
+    ) {
+      this.inputMappingsCache = {
+        userData: this.userData,
+        config: this.config,
+        bySource: {},
+      };
+    }
+    const { bySource } = this.inputMappingsCache;
+    if (!bySource[source]) {
+      bySource[source] = buildMidiConfig(this.userData, this.config, source);
+    }
+    return bySource[source];
+  },
 
+  initInputListener() {
     const messaging = getMessaging();
     if (!messaging || typeof messaging.onInputEvent !== "function") return;
     messaging.onInputEvent((event, payload) => {
@@ -529,13 +763,16 @@ const Projector = {
       const debugEnabled = logger.debugEnabled;
 
       const isSequencerMode = this.config?.sequencerMode === true;
-      const selectedInputType = this.config?.input?.type || "midi";
-      if (isSequencerMode) {
+      const enabledSources = getInputSourceTypes(this.config?.input);
+      if (isSequencerMode || this.frameExport) {
         return;
       }
-      if (data?.source && data.source !== selectedInputType) {
+      if (data?.source && !enabledSources.includes(data.source)) {
         return;
       }
+      const midiConfig = this.getInputMappings(
+        data?.source || enabledSources[0]
+      );
 
       if (debugEnabled) {
         logger.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
@@ -575,12 +812,19 @@ const Projector = {
                 );
               }
             }
-          } else if (data.source === "osc") {
+          } else if (
+            data.source === "osc" ||
+            isDirectInputSource(data.source)
+          ) {
+            const identifierLabel =
+              data.source === "osc"
+                ? "OSC address"
+                : `${INPUT_SOURCE_LABELS[data.source]} track`;
             const trackNameFromIdentifier =
               midiConfig.trackTriggersMap[data.identifier];
             if (debugEnabled) {
               logger.log(
-                `🎯 [INPUT] OSC address ${data.identifier} maps to track:`,
+                `🎯 [INPUT] ${identifierLabel} ${data.identifier} maps to track:`,
                 trackNameFromIdentifier
               );
             }
@@ -596,10 +840,10 @@ const Projector = {
             } else {
               if (debugEnabled) {
                 logger.warn(
-                  `⚠️ [INPUT] OSC address ${data.identifier} not mapped to any track`
+                  `⚠️ [INPUT] ${identifierLabel} ${data.identifier} not mapped to any track`
                 );
                 logger.log(
-                  "📋 [INPUT] Available OSC mappings:",
+                  `📋 [INPUT] Available ${data.source.toUpperCase()} mappings:`,
                   Object.keys(midiConfig.trackTriggersMap)
                 );
               }
@@ -608,8 +852,14 @@ const Projector = {
           break;
 
         case "method-trigger":
+        case "method-release":
+          const isRelease = type === "method-release";
           if (debugEnabled) {
-            logger.log("🎯 [INPUT] Method trigger event...");
+            logger.log(
+              isRelease
+                ? "🎯 [INPUT] Method release event..."
+                : "🎯 [INPUT] Method trigger event..."
+            );
             logger.log(
               "🎯 [INPUT] Current active track:",
               this.activeTrack?.name
@@ -636,7 +886,10 @@ const Projector = {
                   );
                 }
               }
-            } else if (data.source === "osc") {
+            } else if (
+              data.source === "osc" ||
+              isDirectInputSource(data.source)
+            ) {
               const mappedChannels = trackMappings[data.channelName];
               if (mappedChannels) {
                 channelNames = Array.isArray(mappedChannels)
@@ -644,7 +897,9 @@ const Projector = {
                   : [mappedChannels];
                 if (debugEnabled) {
                   logger.log(
-                    `🎯 [INPUT] OSC address maps to channels:`,
+                    `🎯 [INPUT] ${data.source.toUpperCase()} ${
+                      data.channelName
+                    } maps to channels:`,
                     channelNames
                   );
                 }
@@ -663,17 +918,23 @@ const Projector = {
             channelNames.forEach((channelName) => {
               if (debugEnabled) {
                 logger.log(
-                  `✅ [INPUT] Triggering ${channelName} on track "${activeTrackName}"`
+                  `✅ [INPUT] ${
+                    isRelease ? "Releasing" : "Triggering"
+                  } ${channelName} on track "${activeTrackName}"`
                 );
               }
-              this.handleChannelMessage(`/Ableton/${channelName}`, {
-                note: data.note,
-                channel: data.channel,
-                velocity: data.velocity || 127,
-                timestamp,
-                trackName,
-                source: data.source,
-              });
+              this.handleChannelMessage(
+                `/Ableton/${channelName}`,
+                {
+                  note: data.note,
+                  channel: data.channel,
+                  velocity: isRelease ? 0 : data.velocity || 127,
+                  timestamp,
+                  trackName,
+                  source: data.source,
+                },
+                { release: isRelease }
+              );
             });
           } else if (channelNames.length === 0) {
             if (debugEnabled) {
@@ -685,21 +946,43 @@ const Projector = {
             }
           }
           break;
+
+        case "parameter-change":
+          trackName = this.activeTrack?.name || null;
+          this.handleParameterChange(data);
+          break;
+
+        case "macro-change":
+          trackName = this.activeTrack?.name || null;
+          this.handleMacroInput(data);
+          break;
       }
 
       if (this.debugOverlayActive && debugEnabled) {
         const timeStr = timestamp.toFixed(5);
-        const source = data.source === "midi" ? "MIDI" : "OSC";
+        const source = INPUT_SOURCE_LABELS[data.source] || "OSC";
         let log = `[${timeStr}] ${source} Event\n`;
         if (data.source === "midi") {
-          const pc = noteNumberToPitchClass(data.note);
-          const pcName = pc !== null ? pitchClassToName(pc) : null;
-          log += `  Note: ${data.note}${
-            pc !== null ? ` (pitchClass: ${pc} ${pcName || ""})` : ""
-          }\n`;
+          if (type === "parameter-change") {
+            log += `  CC: ${data.controller} = ${data.rawValue}\n`;
+          } else {
+            const pc = noteNumberToPitchClass(data.note);
+            const pcName = pc !== null ? pitchClassToName(pc) : null;
+            log += `  Note: ${data.note}${
+              pc !== null ? ` (pitchClass: ${pc} ${pcName || ""})` : ""
+            }\n`;
+          }
           log += `  Channel: ${data.channel}\n`;
         } else if (data.source === "osc") {
           log += `  Address: ${data.address}\n`;
+        } else if (isDirectInputSource(data.source)) {
+          if (type === "parameter-change") {
+            log += `  CC: ${data.controller} = ${data.rawValue}\n`;
+          } else {
+            log += `  ${
+              type === "track-selection" ? "Track" : "Channel"
+            }: ${data.identifier || data.channelName}\n`;
+          }
         }
         if (trackName) {
           log += `  Track: ${trackName}\n`;
@@ -712,7 +995,7 @@ const Projector = {
   },
 
   applyConfigSettings() {
-    const config = this.config;
+    const config = this.output || this.config;
     if (config.aspectRatio) {
       this.toggleAspectRatioStyle(config.aspectRatio);
     }
@@ -743,9 +1026,12 @@ const Projector = {
       this.workspacePath = projectDir || appState?.workspacePath || null;
     }
 
-    this.userData = getActiveSetTracks(migratedData, activeSetId);
+    if (this.output?.setId) activeSetId = this.output.setId;
+
+    this.userData = getActiveSetTracks(migratedData, activeSetId).map(
+      (track) => filterTrackLayers(track, this.output?.layers)
+    );
     this.config = migratedData.config || {};
-    this.inputType = migratedData.config?.input?.type || "midi";
     if (logger.debugEnabled) {
       console.log(
         `✅ [Projector] Loaded ${this.userData.length} tracks from set: ${
@@ -760,7 +1046,9 @@ const Projector = {
     window.location.reload();
   },
 
-  deactivateActiveTrack() {
+  // With keepSandbox the sandbox (and the track drawn in it) stays up so
+  // the next track can transition in over it
+  deactivateActiveTrack({ keepSandbox = false } = {}) {
     if (!this.activeTrack || this.isDeactivating) return;
     this.isDeactivating = true;
 
@@ -770,10 +1058,13 @@ const Projector = {
       return;
     }
 
-    try {
-      this.trackSandboxHost?.destroy?.();
-    } catch {}
-    this.trackSandboxHost = null;
+    if (!keepSandbox) {
+      try {
+        this.trackSandboxHost?.destroy?.();
+      } catch {}
+      this.trackSandboxHost = null;
+    }
+    this.awaitingBeatCut = false;
 
     forEach(this.activeModules, (instances, instanceId) => {
       forEach(instances, (instance) => {
@@ -797,6 +1088,9 @@ const Projector = {
     this.activeModules = {};
     this.activeTrack = null;
     this.activeChannelHandlers = {};
+    this.stopModulators();
+    this.pendingParameterChanges.clear();
+    this.liveMethodOptions.clear();
     try {
       this.runtimeMatrixOverrides = new Map();
     } catch {}
@@ -812,6 +1106,10 @@ const Projector = {
       logger.log("📦 [TRACK] Looking for track with name:", trackName);
     }
 
+    if (this.output?.trackName && trackName !== this.output.trackName) {
+      return;
+    }
+
     // If already loading, store this as pending and return
     if (this.isLoadingTrack) {
       // If requesting the same track that's loading, ignore
@@ -855,6 +1153,8 @@ const Projector = {
     if (debugEnabled)
       logger.log("📦 [TRACK] Current activeTrack:", this.activeTrack);
 
+    // Exports start on a cut: transitions animate in real time
+    const transition = getTrackTransition(this.frameExport ? null : track);
     if (this.activeTrack && this.activeTrack.name !== trackName) {
       if (debugEnabled) {
         logger.log(
@@ -862,7 +1162,7 @@ const Projector = {
           this.activeTrack.name
         );
       }
-      this.deactivateActiveTrack();
+      this.deactivateActiveTrack({ keepSandbox: transition.type !== "cut" });
     }
 
     if (this.activeTrack?.name === trackName) {
@@ -927,10 +1227,15 @@ const Projector = {
         track,
         moduleSources,
         assetsBaseUrl,
+        transition,
+        virtualClock: Boolean(this.frameExport),
+        seed: this.frameExport?.seed,
+        ...this.getSandboxWarp(),
       });
       if (!res || res.ok !== true) {
         throw new Error(res?.error || "SANDBOX_TRACK_INIT_FAILED");
       }
+      this.awaitingBeatCut = transition.type === "beat";
 
       this.activeModules = {};
       for (const m of track.modules) {
@@ -939,6 +1244,9 @@ const Projector = {
         this.activeModules[instanceId] = [{}];
       }
       if (debugEnabled) logger.log("✅ [TRACK] Sandbox track initialized");
+      this.startModulators(track);
+
+      getMessaging()?.sendOscOutput?.("track-active", { trackName });
 
       if (debugEnabled) {
         logger.log(
@@ -1013,7 +1321,11 @@ const Projector = {
     logger.log("✅ [PROJECTOR-IPC] Sent projector-ready signal to dashboard");
   },
 
-  async handleChannelMessage(channelPath, debugContext = {}) {
+  async handleChannelMessage(
+    channelPath,
+    debugContext = {},
+    { release = false } = {}
+  ) {
     if (!this.activeTrack) return;
 
     if (this.isLoadingTrack) {
@@ -1023,6 +1335,12 @@ const Projector = {
       return;
     }
 
+    // A "cut on beat" transition swaps on the incoming track's first trigger
+    if (this.awaitingBeatCut && !release) {
+      this.awaitingBeatCut = false;
+      this.trackSandboxHost?.finishTransition().catch(() => {});
+    }
+
     const track = this.activeTrack;
     const channelMatch = channelPath.match(/^\/Ableton\/(\d+)$/);
 
@@ -1031,11 +1349,30 @@ const Projector = {
       if (logger.debugEnabled) {
         logger.log(`Received message for channel: ${channelNumber}`);
       }
+      getMessaging()?.sendOscOutput?.("channel", {
+        channel: channelNumber,
+        velocity: debugContext.velocity,
+        release,
+      });
+      // Live input sends note-offs; dashboard playback does not
+      this.triggerModulators(channelNumber, {
+        release,
+        gated: Boolean(debugContext.source),
+      });
       const { modulesData } = track;
-      if (!this.activeChannelHandlers[channelNumber]) {
-        this.activeChannelHandlers = this.buildChannelHandlerMap(track);
+      const methodsKey = release ? "releaseMethods" : "methods";
+      let channelTargets;
+      if (release) {
+        // Release methods are sparse, so they are resolved per event instead
+        // of being cached alongside the press handlers.
+        channelTargets =
+          this.buildChannelHandlerMap(track, methodsKey)[channelNumber] || [];
+      } else {
+        if (!this.activeChannelHandlers[channelNumber]) {
+          this.activeChannelHandlers = this.buildChannelHandlerMap(track);
+        }
+        channelTargets = this.activeChannelHandlers[channelNumber] || [];
       }
-      const channelTargets = this.activeChannelHandlers[channelNumber] || [];
       if (channelTargets.length === 0) {
         if (logger.debugEnabled) {
           logger.warn(`No modules mapped to channel ${channelNumber}`);
@@ -1056,7 +1393,7 @@ const Projector = {
         const moduleData = get(modulesData, instanceId);
         if (!moduleData) continue;
 
-        const methods = get(moduleData.methods, channelNumber);
+        const methods = get(moduleData[methodsKey], channelNumber);
         if (!Array.isArray(methods) || methods.length === 0) continue;
 
         const matrixMethod = methods.find((m) => m?.name === "matrix") || null;
@@ -1128,13 +1465,13 @@ const Projector = {
     }
   },
 
-  buildChannelHandlerMap(track) {
+  buildChannelHandlerMap(track, methodsKey = "methods") {
     if (!track || !Array.isArray(track.modules)) {
       return {};
     }
     const map = {};
     track.modules.forEach(({ id: instanceId, type }) => {
-      const methodEntries = get(track, ["modulesData", instanceId, "methods"]);
+      const methodEntries = get(track, ["modulesData", instanceId, methodsKey]);
       if (!methodEntries) return;
       Object.entries(methodEntries).forEach(([channelNumber, methods]) => {
         if (!Array.isArray(methods) || methods.length === 0) return;
@@ -1150,6 +1487,390 @@ const Projector = {
     return map;
   },
 
+  // Resolve against the latest userData so mapping and macro edits apply
+  // without reloading the active track.
+  getLiveActiveTrack() {
+    if (!this.activeTrack || this.isLoadingTrack) return null;
+    return (
+      find(this.userData, { name: this.activeTrack.name }) || this.activeTrack
+    );
+  },
+
+  handleParameterChange(data) {
+    const track = this.getLiveActiveTrack();
+    if (!track) return;
+
+    const mappings = getParameterMappingsForController(track, data?.controller);
+    const macros = getMacrosForController(track, data?.controller);
+    if (mappings.length === 0 && macros.length === 0) {
+      if (logger.debugEnabled) {
+        logger.warn(
+          `⚠️ [INPUT] CC ${data?.controller} not mapped on track "${track.name}"`
+        );
+      }
+      return;
+    }
+
+    mappings.forEach((mapping) => {
+      this.queueMethodOption(
+        track,
+        mapping,
+        scaleParameterValue(mapping, data.value),
+        `CC ${mapping.cc}`
+      );
+    });
+    macros.forEach((macro) => this.applyMacro(track, macro, data.value));
+  },
+
+  // `values` maps macro ids to positions (0-1), e.g. from the dashboard
+  // sliders or sequencer macro lanes
+  handleMacroValues(values) {
+    const track = this.getLiveActiveTrack();
+    if (!track || !values || typeof values !== "object") return;
+    getTrackMacros(track).forEach((macro) => {
+      if (values[macro.id] === undefined) return;
+      this.applyMacro(track, macro, values[macro.id]);
+    });
+  },
+
+  // OSC and remote macros name the macro by id, name or number
+  handleMacroInput(data) {
+    const track = this.getLiveActiveTrack();
+    if (!track) return;
+    const macro = findTrackMacro(track, data?.identifier);
+    if (!macro) {
+      if (logger.debugEnabled) {
+        logger.warn(
+          `⚠️ [INPUT] Macro "${data?.identifier}" not found on track "${track.name}"`
+        );
+      }
+      return;
+    }
+    this.applyMacro(track, macro, data.value);
+  },
+
+  applyMacro(track, macro, value) {
+    macro.targets.forEach((target) => {
+      this.queueMethodOption(
+        track,
+        target,
+        scaleMacroTargetValue(target, value),
+        `Macro ${macro.name}`
+      );
+    });
+  },
+
+  queueMethodOption(track, { instanceId, method, option }, value, label) {
+    const key = `${instanceId}:${method}`;
+    const pending = this.pendingParameterChanges.get(key) || {
+      instanceId,
+      method,
+      options: {},
+      moduleData: get(track, ["modulesData", instanceId]),
+      label,
+    };
+    pending.options[option] = value;
+    this.pendingParameterChanges.set(key, pending);
+
+    // Controllers can emit far more messages than frames; only the latest
+    // value per option is sent to the sandbox once per frame.
+    // Frame exports flush explicitly before each frame
+    if (this.parameterFlushRafId === null && !this.frameExport) {
+      this.parameterFlushRafId = requestAnimationFrame(() => {
+        this.parameterFlushRafId = null;
+        this.flushParameterChanges();
+      });
+    }
+  },
+
+  flushParameterChanges() {
+    const pending = Array.from(this.pendingParameterChanges.values());
+    this.pendingParameterChanges.clear();
+    const host = this.trackSandboxHost;
+    if (!host || !this.activeTrack || this.isLoadingTrack) {
+      return Promise.resolve();
+    }
+
+    const requests = pending.map((change) => {
+      const { instanceId, method, options, moduleData, label } = change;
+      // Options set live earlier stay put, so several controllers and macros
+      // can share one method
+      const key = `${instanceId}:${method}`;
+      const live = {
+        ...getBaseMethodOptionValues(moduleData, method),
+        ...this.liveMethodOptions.get(key),
+        ...options,
+      };
+      this.liveMethodOptions.set(key, live);
+      const target = `${method}.${Object.keys(options).join(",")}`;
+      return host
+        .invokeOnInstance(instanceId, method, live)
+        .then((res) => {
+          if ((!res || res.ok !== true) && logger.debugEnabled) {
+            logger.warn(
+              `⚠️ [INPUT] ${label} → ${target} failed:`,
+              res?.error
+            );
+          }
+        })
+        .catch((error) => {
+          logger.error(`❌ [INPUT] ${label} → ${target} failed:`, error);
+        });
+    });
+    return Promise.all(requests);
+  },
+
+  // Frame exports run modulators on the export's virtual time
+  getModulatorNow() {
+    return this.frameExport ? this.frameExport.now : performance.now();
+  },
+
+  // Random picks (randomValues, randomRange, S&H LFOs) repeat between
+  // exports of the same track and seed
+  getRandom() {
+    return this.frameExport ? this.frameExport.random : Math.random;
+  },
+
+  // LFOs on constructor methods run from load. Those on channel methods
+  // start, and restart, on their channel's triggers, as do envelopes.
+  // Constructor envelopes fire on any channel.
+  startModulators(track) {
+    this.stopModulators();
+    const now = this.getModulatorNow();
+    this.modulators = getTrackModulators(track).map((entry) => ({
+      ...entry,
+      startedAt:
+        entry.channel === null && entry.modulator.type === "lfo" ? now : null,
+      releasedAt: null,
+      hold: {},
+      value: undefined,
+    }));
+    // Frame exports update them once per rendered frame instead
+    if (this.modulators.length === 0 || this.frameExport) return;
+    if (!this.modulatorTick) {
+      this.modulatorTick = () => this.updateModulators();
+    }
+    animationManager.subscribe(this.modulatorTick);
+  },
+
+  stopModulators() {
+    if (this.modulatorTick) {
+      animationManager.unsubscribe(this.modulatorTick);
+    }
+    this.modulators = [];
+  },
+
+  triggerModulators(channelNumber, { release = false, gated = false } = {}) {
+    const now = this.getModulatorNow();
+    this.modulators.forEach((entry) => {
+      if (entry.channel !== null && entry.channel !== channelNumber) return;
+      const { modulator } = entry;
+      if (modulator.type === "lfo") {
+        if (!release && entry.channel !== null) {
+          entry.startedAt = now;
+          entry.hold = {};
+        }
+        return;
+      }
+      if (release) {
+        if (entry.startedAt !== null && entry.releasedAt === null) {
+          entry.releasedAt = now;
+        }
+        return;
+      }
+      entry.startedAt = now;
+      // Without a note-off to wait for, release once the decay is done
+      entry.releasedAt = gated
+        ? null
+        : now + modulator.attack + modulator.decay;
+    });
+  },
+
+  updateModulators() {
+    const track = this.activeTrack;
+    if (!track || this.isLoadingTrack) return;
+    const now = this.getModulatorNow();
+    const bpm = this.config?.sequencerBpm || 120;
+    this.modulators.forEach((entry) => {
+      if (entry.startedAt === null) return;
+      const { modulator } = entry;
+      if (modulator.type === "lfo") {
+        entry.value = getLfoValue(
+          modulator,
+          now - entry.startedAt,
+          bpm,
+          entry.hold,
+          this.getRandom()
+        );
+      } else {
+        entry.value = getEnvelopeValue(modulator, entry, now);
+        // The final (released) level is still sent below
+        if (isEnvelopeDone(modulator, entry, now)) {
+          entry.startedAt = null;
+        }
+      }
+      this.queueMethodOption(
+        track,
+        entry,
+        scaleModulatorValue(modulator, entry.value),
+        modulator.type === "lfo" ? "LFO" : "Envelope"
+      );
+    });
+  },
+
+  // Current modulated values for one method, so triggers pick up where the
+  // modulator is instead of jumping back to the static value
+  getModulatedValues(instanceId, methodName) {
+    const out = {};
+    this.modulators.forEach((entry) => {
+      if (entry.instanceId !== instanceId || entry.method !== methodName) {
+        return;
+      }
+      if (entry.value === undefined) return;
+      out[entry.option] = scaleModulatorValue(entry.modulator, entry.value);
+    });
+    return out;
+  },
+
+  // Renders a track offline at a fixed frame rate: triggers come from its
+  // pattern or recording, the sandbox runs on a virtual clock, and the main
+  // process captures each frame into the project's exports folder.
+  async exportFrames({
+    trackName,
+    source = "sequencer",
+    fps = 30,
+    duration,
+    format = "png",
+    seed = 1,
+  } = {}) {
+    const exporter = getBridge()?.frameExport;
+    if (!exporter) return { ok: false, error: "EXPORT_UNAVAILABLE" };
+    if (this.frameExport) return { ok: false, error: "EXPORT_IN_PROGRESS" };
+    const track = find(this.userData, { name: trackName });
+    if (!track) return { ok: false, error: "TRACK_NOT_FOUND" };
+
+    const recordings = await loadRecordingData();
+    const bpm = this.config?.sequencerBpm || 120;
+    const data =
+      source === "recording"
+        ? getRecordingForTrack(recordings, track.id)
+        : getSequencerForTrack(recordings, track.id);
+    const seconds =
+      Number(duration) > 0
+        ? Number(duration)
+        : getTimelineDuration(source, data, bpm);
+    const timeline =
+      source === "recording"
+        ? recordingToTimeline(data, seconds)
+        : patternToTimeline(data, bpm, seconds, seed);
+    const frameRate = Math.max(1, Math.min(120, Math.round(Number(fps) || 30)));
+    const frameCount = Math.max(1, Math.round(seconds * frameRate));
+    const frameMs = 1000 / frameRate;
+
+    const session = await exporter.begin({
+      trackName: track.name,
+      format,
+      fps: frameRate,
+    });
+    if (!session || session.ok !== true) {
+      return session || { ok: false, error: "EXPORT_BEGIN_FAILED" };
+    }
+
+    const previousTrackName = this.activeTrack?.name || null;
+    this.frameExport = {
+      id: session.id,
+      now: 0,
+      seed,
+      random: createSeededRandom(seed),
+    };
+    // No-repeat picks would otherwise depend on what played before
+    this.methodOptionNoRepeatCache.clear();
+    let result;
+    try {
+      this.deactivateActiveTrack();
+      await this.handleTrackSelection(track.name);
+      if (this.activeTrack?.name !== track.name || !this.trackSandboxHost) {
+        throw new Error("TRACK_LOAD_FAILED");
+      }
+
+      let next = 0;
+      for (let frame = 0; frame < frameCount; frame++) {
+        this.frameExport.now = frame * frameMs;
+        // Each trigger lands on its nearest frame
+        const frameEnd = (frame + 0.5) / frameRate;
+        while (next < timeline.length && timeline[next].time < frameEnd) {
+          const event = timeline[next++];
+          if (event.macros) {
+            this.handleMacroValues(event.macros);
+            continue;
+          }
+          const match = String(event.channel).match(/^ch(\d+)$/i);
+          await this.handleChannelMessage(
+            `/Ableton/${match ? match[1] : event.channel}`
+          );
+        }
+        this.updateModulators();
+        await this.flushParameterChanges();
+
+        const advanced = await this.trackSandboxHost.advanceFrame(frameMs);
+        if (!advanced || advanced.ok !== true) {
+          throw new Error(advanced?.error || "ADVANCE_FRAME_FAILED");
+        }
+        const captured = await exporter.captureFrame({
+          id: session.id,
+          index: frame,
+        });
+        if (!captured || captured.ok !== true) {
+          throw new Error(captured?.error || "CAPTURE_FAILED");
+        }
+        if (format === "webm") {
+          const written = await exporter.writeFrame({
+            id: session.id,
+            data: await this.encodeWebpFrame(captured.png),
+          });
+          if (!written || written.ok !== true) {
+            throw new Error(written?.error || "WRITE_FRAME_FAILED");
+          }
+        }
+        if (frame % frameRate === 0) {
+          getMessaging()?.sendToDashboard?.("frame-export-progress", {
+            trackName: track.name,
+            frame,
+            frameCount,
+          });
+        }
+      }
+      result = await exporter.finish({ id: session.id });
+    } catch (error) {
+      logger.error(`❌ [EXPORT] Failed to export "${track.name}":`, error);
+      try {
+        await exporter.finish({ id: session.id, aborted: true });
+      } catch {}
+      result = { ok: false, error: error?.message || "EXPORT_FAILED" };
+    } finally {
+      this.frameExport = null;
+      this.deactivateActiveTrack();
+      if (previousTrackName) this.handleTrackSelection(previousTrackName);
+    }
+    return result;
+  },
+
+  // WebM frames are muxed from lossy WebP (VP8) stills, drawn opaque so
+  // the encoder emits plain VP8 without an alpha chunk
+  async encodeWebpFrame(png) {
+    const bitmap = await createImageBitmap(
+      new Blob([png], { type: "image/png" })
+    );
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext("2d", { alpha: false }).drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const blob = await canvas.convertToBlob({
+      type: "image/webp",
+      quality: 0.9,
+    });
+    return new Uint8Array(await blob.arrayBuffer());
+  },
+
   async executeMethods(
     methods,
     instanceId,
@@ -1219,6 +1940,13 @@ const Projector = {
           },
           noRepeatCache: this.methodOptionNoRepeatCache,
           noRepeatKeyPrefix: `${instanceId}:${methodName}`,
+          modulatedValues: this.getModulatedValues(instanceId, methodName),
+          random: this.getRandom(),
+          // Dashboard playback carries no velocity and plays at full
+          velocity:
+            typeof debugContext.velocity === "number"
+              ? debugContext.velocity
+              : MAX_VELOCITY,
         });
 
         if (overlayDebug) {
@@ -1462,6 +2190,7 @@ const Projector = {
         track,
         moduleSources,
         assetsBaseUrl,
+        ...this.getSandboxWarp(),
       });
       if (!res || res.ok !== true) {
         throw new Error(res?.error || "SANDBOX_PREVIEW_INIT_FAILED");
@@ -0,0 +1,44 @@
+// A WebGL canvas without preserveDrawingBuffer can only be read until its
+// frame is shown, while masks and feedback read canvases from their own
+// frame callbacks. Renderers announce each frame with RENDER_EVENT right
+// after drawing it, and while `isNeeded()` a 2D copy of it is kept to read
+// instead.
+
+export const RENDER_EVENT = "nwwrld-render";
+
+export const createCanvasFrames = (win = window, isNeeded = () => false) => {
+  const doc = win.document;
+  const copies = new Map(); // announced canvas -> copy of its last frame
+
+  doc.addEventListener(RENDER_EVENT, (e) => {
+    const canvas = e.target;
+    if (!(canvas instanceof win.HTMLCanvasElement)) return;
+    if (!isNeeded()) {
+      copies.clear();
+      return;
+    }
+    copies.forEach((_, c) => {
+      if (!c.isConnected) copies.delete(c);
+    });
+    let copy = copies.get(canvas);
+    if (!copy) {
+      copy = doc.createElement("canvas");
+      copies.set(canvas, copy);
+    }
+    if (copy.width !== canvas.width || copy.height !== canvas.height) {
+      copy.width = canvas.width;
+      copy.height = canvas.height;
+    }
+    const ctx = copy.getContext("2d");
+    if (!ctx) return;
+    ctx.globalCompositeOperation = "copy";
+    try {
+      ctx.drawImage(canvas, 0, 0);
+    } catch {}
+  });
+
+  // What to draw for a canvas: its last announced frame, or itself
+  const read = (canvas) => copies.get(canvas) || canvas;
+
+  return { read };
+};
@@ -0,0 +1,250 @@
+// Layer compositing inside the sandbox. Each instance's cells sit in a layer
+// element stacked by the instance's place in the track, which takes its
+// blend mode and opacity. A mask instance's layer is hidden; its canvases are
+// drawn into a small mask canvas that becomes the masked layer's mask-image
+// (mask-mode luminance for a luma mask), so the mask only scales the masked
+// layer's own alpha. Live, masks are redrawn up to MASK_FPS times a second
+// and encoded off the main thread; exports redraw them every frame.
+
+import {
+  DEFAULT_LAYER_COMPOSITING,
+  getBlendModeCss,
+  normalizeLayerCompositing,
+  resolveLayerCompositing,
+} from "../../shared/utils/layerCompositing.js";
+
+// Longest side of a mask canvas; it is stretched over the layer
+const MASK_MAX_SIZE = 512;
+const MASK_FPS = 30;
+
+// Sent by ModuleBase's blend, layerOpacity and mask methods
+export const LAYER_EVENT = "nwwrld-layer";
+
+// `isOffline` is true while frames are exported; `readCanvas` gives what to
+// draw for a canvas (see canvasFrames.js)
+export const createLayerCompositor = (
+  win = window,
+  getRoot = () => null,
+  isOffline = () => false,
+  readCanvas = (canvas) => canvas
+) => {
+  const doc = win.document;
+  let compositing = {};
+  let masks = []; // { layer, source, mode, canvas, url, encoding }
+  let frameId = null;
+  let drawnAt = -Infinity;
+
+  const getLayers = (root) =>
+    Array.from(root.querySelectorAll("[data-layer-id]"));
+
+  // Reuses the instance's layer so a matrix change keeps its place and mask
+  const getLayer = (root, instanceId, zIndex) => {
+    let layer =
+      getLayers(root).find((l) => l.dataset.layerId === instanceId) || null;
+    if (!layer) {
+      layer = doc.createElement("div");
+      layer.className = "layer";
+      layer.dataset.layerId = instanceId;
+      layer.style.cssText = "position:absolute;inset:0;";
+      root.appendChild(layer);
+    }
+    layer.style.zIndex = String(zIndex);
+    return layer;
+  };
+
+  // The module's own opacity and visibility count; the hidden layer doesn't
+  const getCanvasAlpha = (canvas, layer) => {
+    if (
+      canvas.checkVisibility &&
+      !canvas.checkVisibility({ visibilityProperty: true })
+    ) {
+      return 0;
+    }
+    let alpha = 1;
+    for (let el = canvas; el && el !== layer; el = el.parentElement) {
+      alpha *= Number(win.getComputedStyle(el).opacity);
+    }
+    return alpha;
+  };
+
+  const setMaskStyle = (layer, maskImage, mode = "alpha") => {
+    const size = maskImage ? "100% 100%" : "";
+    const repeat = maskImage ? "no-repeat" : "";
+    layer.style.maskImage = maskImage;
+    layer.style.maskMode = maskImage && mode === "luma" ? "luminance" : "";
+    layer.style.maskSize = size;
+    layer.style.maskRepeat = repeat;
+    layer.style.webkitMaskImage = maskImage;
+    layer.style.webkitMaskSize = size;
+    layer.style.webkitMaskRepeat = repeat;
+  };
+
+  // Object URLs are kept until the mask image is replaced or dropped
+  const setMaskUrl = (mask, url) => {
+    setMaskStyle(mask.layer, `url("${url}")`, mask.mode);
+    if (mask.url) win.URL.revokeObjectURL(mask.url);
+    mask.url = url.startsWith("blob:") ? url : null;
+  };
+
+  const releaseMask = (mask) => {
+    if (mask.url) win.URL.revokeObjectURL(mask.url);
+    mask.url = null;
+  };
+
+  // DOM-only mask modules draw nothing here, and a rotated or warped canvas
+  // lands on its bounding box
+  const drawMask = (mask, sync) => {
+    const { layer, source, canvas } = mask;
+    if (mask.encoding && !sync) return;
+    const box = layer.getBoundingClientRect();
+    if (!box.width || !box.height) return;
+    const scale = Math.min(1, MASK_MAX_SIZE / Math.max(box.width, box.height));
+    const width = Math.max(1, Math.round(box.width * scale));
+    const height = Math.max(1, Math.round(box.height * scale));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, width, height);
+    source.querySelectorAll("canvas").forEach((el) => {
+      const alpha = getCanvasAlpha(el, source);
+      const r = el.getBoundingClientRect();
+      if (!alpha || !r.width || !r.height) return;
+      ctx.globalAlpha = alpha;
+      try {
+        ctx.drawImage(
+          readCanvas(el),
+          (r.left - box.left) * scale,
+          (r.top - box.top) * scale,
+          r.width * scale,
+          r.height * scale
+        );
+      } catch {}
+    });
+    ctx.globalAlpha = 1;
+
+    // A canvas with cross-origin pixels can't be read back
+    try {
+      if (sync) {
+        setMaskUrl(mask, canvas.toDataURL("image/png"));
+        return;
+      }
+      mask.encoding = true;
+      canvas.toBlob((blob) => {
+        mask.encoding = false;
+        if (!blob || !masks.includes(mask)) return;
+        setMaskUrl(mask, win.URL.createObjectURL(blob));
+      }, "image/png");
+    } catch {
+      mask.encoding = false;
+    }
+  };
+
+  // requestAnimationFrame and performance.now() are looked up each frame so
+  // exports draw masks on the virtual clock
+  const tick = () => {
+    frameId = null;
+    masks = masks.filter((m) => {
+      if (m.layer.isConnected && m.source.isConnected) return true;
+      releaseMask(m);
+      return false;
+    });
+    if (masks.length === 0) return;
+    const offline = isOffline();
+    const now = win.performance.now();
+    if (offline || now - drawnAt >= 1000 / MASK_FPS) {
+      drawnAt = now;
+      masks.forEach((mask) => drawMask(mask, offline));
+    }
+    frameId = win.requestAnimationFrame(tick);
+  };
+
+  const apply = () => {
+    const root = getRoot();
+    if (!root) return;
+    // Bottom layer first, so the lowest layer wins a shared mask source
+    const layers = getLayers(root).sort(
+      (a, b) => Number(a.style.zIndex) - Number(b.style.zIndex)
+    );
+    const byId = new Map(layers.map((l) => [l.dataset.layerId, l]));
+    const resolved = resolveLayerCompositing(
+      compositing,
+      Array.from(byId.keys())
+    );
+    const sources = new Set(
+      Object.values(resolved)
+        .map((c) => c.mask)
+        .filter(Boolean)
+    );
+
+    layers.forEach((layer) => {
+      const id = layer.dataset.layerId;
+      const c = resolved[id];
+      layer.style.opacity = sources.has(id) ? "0" : String(c.opacity);
+      layer.style.mixBlendMode = getBlendModeCss(c.blend);
+      if (!c.mask) setMaskStyle(layer, "");
+    });
+
+    const previous = masks;
+    masks = Object.entries(resolved)
+      .filter(([, c]) => c.mask)
+      .map(([id, c]) => {
+        const layer = byId.get(id);
+        const mask = previous.find((m) => m.layer === layer) || {
+          layer,
+          canvas: doc.createElement("canvas"),
+          url: null,
+          encoding: false,
+        };
+        mask.source = byId.get(c.mask);
+        mask.mode = c.maskMode;
+        // Hidden until a mask frame is drawn, instead of showing unmasked
+        if (!layer.style.maskImage) {
+          setMaskStyle(layer, "linear-gradient(transparent, transparent)");
+        }
+        drawMask(mask, true);
+        return mask;
+      });
+    previous.filter((m) => !masks.includes(m)).forEach(releaseMask);
+
+    if (masks.length > 0 && frameId === null) {
+      frameId = win.requestAnimationFrame(tick);
+    }
+  };
+
+  const reset = (next) => {
+    compositing = next && typeof next === "object" ? { ...next } : {};
+  };
+
+  const update = (instanceId, updates, { duration = 0 } = {}) => {
+    const id = String(instanceId || "").trim();
+    if (!id) return;
+    compositing = {
+      ...compositing,
+      [id]: normalizeLayerCompositing({
+        ...DEFAULT_LAYER_COMPOSITING,
+        ...compositing[id],
+        ...updates,
+      }),
+    };
+    const root = getRoot();
+    const layer = root
+      ? getLayers(root).find((l) => l.dataset.layerId === id)
+      : null;
+    if (layer) {
+      const ms = Math.max(0, Number(duration) || 0);
+      layer.style.transition = ms > 0 ? `opacity ${ms}ms linear` : "";
+    }
+    apply();
+  };
+
+  doc.addEventListener(LAYER_EVENT, (e) => {
+    const instanceId = e.target?.dataset?.instanceId;
+    if (!instanceId || !e.detail) return;
+    update(instanceId, e.detail.updates, e.detail);
+  });
+
+  return { getLayer, apply, reset, update, hasMasks: () => masks.length > 0 };
+};
@@ -1,5 +1,9 @@
 // src/ModuleBase.js
 
+import { LAYER_EVENT } from "./layerCompositor.js";
+import { POST_FX_EVENT } from "./postFx.js";
+import { BLEND_MODES } from "../../shared/utils/layerCompositing.js";
+
 export class ModuleBase {
   static methods = [
     {
@@ -137,6 +141,39 @@ export class ModuleBase {
       executeOnLoad: false,
       options: [{ name: "duration", defaultVal: 0, type: "number", min: 0 }],
     },
+    {
+      name: "blend",
+      executeOnLoad: false,
+      options: [
+        {
+          name: "mode",
+          defaultVal: "normal",
+          type: "select",
+          values: BLEND_MODES.map((m) => m.id),
+        },
+      ],
+    },
+    {
+      name: "layerOpacity",
+      executeOnLoad: false,
+      options: [
+        { name: "opacity", defaultVal: 1, type: "number", min: 0, max: 1 },
+        { name: "duration", defaultVal: 0, type: "number", min: 0 },
+      ],
+    },
+    {
+      name: "mask",
+      executeOnLoad: false,
+      options: [
+        { name: "source", defaultVal: "", type: "text" },
+        {
+          name: "mode",
+          defaultVal: "alpha",
+          type: "select",
+          values: ["alpha", "luma", "off"],
+        },
+      ],
+    },
   ];
 
   constructor(container) {
@@ -643,6 +680,74 @@ export class ModuleBase {
     }
   }
 
+  /**
+   * Sets how the module's layer mixes with the layers below it.
+   * @param {Object} options
+   * @param {string} options.mode - "normal", "add", "multiply", "screen" or "difference" (default: "normal").
+   */
+  blend(options = {}) {
+    const { mode = "normal" } = options;
+    this.updateLayer({ blend: mode });
+  }
+
+  /**
+   * Fades the module's whole layer, on top of its own opacity.
+   * @param {Object} options
+   * @param {number} options.opacity - The layer opacity between 0 and 1 (default: 1).
+   * @param {number} options.duration - Fade time in milliseconds (default: 0 for instant).
+   */
+  layerOpacity(options = {}) {
+    const { opacity = 1, duration = 0 } = options;
+    this.updateLayer({ opacity }, duration);
+  }
+
+  /**
+   * Masks the module's layer with another module instance of the track.
+   * @param {Object} options
+   * @param {string} options.source - The mask's instance id.
+   * @param {string} options.mode - "alpha", "luma", or "off" to remove the mask (default: "alpha").
+   */
+  mask(options = {}) {
+    const { source = "", mode = "alpha" } = options;
+    this.updateLayer(
+      mode === "off" ? { mask: null } : { mask: source, maskMode: mode }
+    );
+  }
+
+  /**
+   * Hands layer compositing changes to the sandbox's layer compositor.
+   */
+  updateLayer(updates, duration = 0) {
+    if (!this.elem) {
+      console.warn(`Module instance does not have an 'elem' property.`);
+      return;
+    }
+    this.elem.dispatchEvent(
+      new CustomEvent(LAYER_EVENT, {
+        bubbles: true,
+        detail: { updates, duration },
+      })
+    );
+  }
+
+  /**
+   * Sets an effect of the output's post-processing chain, over every module.
+   * @param {string|null} effect - "feedback", "kaleidoscope", "pixelate", "rgbShift", "bloom", "colorGrade" or "strobe"; null clears them all.
+   * @param {Object} options - The effect's options; the ones left out keep their current value.
+   */
+  setPostFx(effect, options = {}) {
+    if (!this.elem) {
+      console.warn(`Module instance does not have an 'elem' property.`);
+      return;
+    }
+    this.elem.dispatchEvent(
+      new CustomEvent(POST_FX_EVENT, {
+        bubbles: true,
+        detail: { effect, options },
+      })
+    );
+  }
+
   destroy() {
     // Stop rotation animation if running
     this.stopRotate();
@@ -0,0 +1,536 @@
+// Post-processing over the whole output inside the sandbox, in a fixed
+// order. Track roots are mounted in a content element; a canvas behind them
+// keeps fading copies of their canvases (feedback), two mirror elements
+// reflect it (kaleidoscope), and the effects root around them takes an SVG
+// filter chain (pixelate, RGB shift, bloom, color grade). The strobe flashes
+// an overlay on top. All of it sits inside the projection stage, so the warp
+// applies after the effects. Modules set effects through setPostFx().
+
+import {
+  approximateCubeLut,
+  parseCubeLut,
+} from "../../shared/utils/cubeLut.js";
+import { clamp } from "../../shared/utils/numbers.js";
+
+export const POST_FX_EVENT = "nwwrld-postfx";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const FILTER_ID = "nwWrldPostFx";
+const GRADE_TABLE_SIZE = 16;
+
+const smoothstep = (x) => x * x * (3 - 2 * x);
+
+// 1D curves per channel, plus a saturation change, in sRGB
+const GRADE_PRESETS = {
+  warm: { r: (x) => x ** 0.85, g: (x) => x ** 0.95, b: (x) => x ** 1.2 },
+  cool: { r: (x) => x ** 1.2, g: (x) => x ** 0.98, b: (x) => x ** 0.85 },
+  tealOrange: {
+    r: (x) => smoothstep(x) * 0.6 + x * 0.4,
+    g: (x) => x,
+    b: (x) => 0.12 + x * 0.76,
+    saturate: 1.2,
+  },
+  crossProcess: {
+    r: smoothstep,
+    g: (x) => x ** 0.85,
+    b: (x) => 0.15 + x * 0.7,
+  },
+  bleach: { r: smoothstep, g: smoothstep, b: smoothstep, saturate: 0.4 },
+  noir: { r: smoothstep, g: smoothstep, b: smoothstep, saturate: 0 },
+};
+
+const KALEIDOSCOPE_MIRRORS = ["off", "horizontal", "vertical", "quad"];
+
+const normalizers = {
+  feedback: (o) => ({
+    amount: clamp(o.amount, 0, 0.98, 0),
+    zoom: clamp(o.zoom, 0.8, 1.2, 1),
+    rotate: clamp(o.rotate, -10, 10, 0),
+  }),
+  kaleidoscope: (o) => ({
+    mirror: KALEIDOSCOPE_MIRRORS.includes(o.mirror) ? o.mirror : "off",
+  }),
+  pixelate: (o) => ({ size: Math.round(clamp(o.size, 1, 200, 1)) }),
+  rgbShift: (o) => ({
+    amount: clamp(o.amount, 0, 100, 0),
+    angle: clamp(o.angle, -360, 360, 0),
+  }),
+  bloom: (o) => ({
+    threshold: clamp(o.threshold, 0, 0.99, 0.6),
+    radius: clamp(o.radius, 0, 50, 8),
+    intensity: clamp(o.intensity, 0, 3, 0),
+  }),
+  // A .cube file from the project's assets takes the place of the preset
+  colorGrade: (o) => ({
+    preset: GRADE_PRESETS[o.preset] ? o.preset : "none",
+    lut: typeof o.lut === "string" ? o.lut.trim() : "",
+    amount: clamp(o.amount, 0, 1, 1),
+  }),
+  strobe: (o) => ({
+    rate: clamp(o.rate, 0.5, 30, 10),
+    duration: clamp(o.duration, 0, 60000, 0),
+    color: typeof o.color === "string" && o.color ? o.color : "#ffffff",
+  }),
+};
+
+const POST_FX_EFFECTS = Object.keys(normalizers);
+
+const createDefaultEffects = () =>
+  Object.fromEntries(
+    POST_FX_EFFECTS.map((effect) => [effect, normalizers[effect]({})])
+  );
+
+const createSvgElement = (doc, tag, attrs = {}) => {
+  const el = doc.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => {
+    el.setAttribute(name, String(value));
+  });
+  return el;
+};
+
+const getGradeTable = (curve, amount, size = GRADE_TABLE_SIZE) =>
+  Array.from({ length: size }, (_, i) => {
+    const x = i / (size - 1);
+    const y = Math.max(0, Math.min(1, curve(x, i)));
+    return (x + (y - x) * amount).toFixed(4);
+  }).join(" ");
+
+// Filter primitives for the enabled effects, each reading the previous
+// one's result; null when none is on
+const buildFilterChain = (doc, effects, lut = null) => {
+  const primitives = [];
+  let input = "SourceGraphic";
+  let n = 0;
+  const add = (tag, attrs = {}, children = []) => {
+    const el = createSvgElement(doc, tag, attrs);
+    children.forEach((child) => el.appendChild(child));
+    primitives.push(el);
+    return attrs.result;
+  };
+  const next = () => `fx${++n}`;
+
+  const { pixelate, rgbShift, bloom, colorGrade } = effects;
+
+  // Samples one pixel per cell, then grows it over the cell
+  if (pixelate.size > 1) {
+    const s = pixelate.size;
+    const half = Math.floor(s / 2);
+    const dot = add("feFlood", {
+      x: half,
+      y: half,
+      width: 1,
+      height: 1,
+      result: next(),
+    });
+    const cell = add("feComposite", {
+      in: dot,
+      in2: dot,
+      width: s,
+      height: s,
+      result: next(),
+    });
+    const grid = add("feTile", { in: cell, result: next() });
+    const samples = add("feComposite", {
+      in: input,
+      in2: grid,
+      operator: "in",
+      result: next(),
+    });
+    input = add("feMorphology", {
+      in: samples,
+      operator: "dilate",
+      radius: half,
+      result: next(),
+    });
+  }
+
+  if (rgbShift.amount > 0) {
+    const rad = (rgbShift.angle * Math.PI) / 180;
+    const dx = Math.cos(rad) * rgbShift.amount;
+    const dy = Math.sin(rad) * rgbShift.amount;
+    const channel = (row) => {
+      const rows = ["0 0 0 0 0", "0 0 0 0 0", "0 0 0 0 0", "0 0 0 1 0"];
+      rows[row] = ["1 0 0 0 0", "0 1 0 0 0", "0 0 1 0 0"][row];
+      return add("feColorMatrix", {
+        in: input,
+        type: "matrix",
+        values: rows.join(" "),
+        result: next(),
+      });
+    };
+    const red = add("feOffset", { in: channel(0), dx, dy, result: next() });
+    const green = channel(1);
+    const blue = add("feOffset", {
+      in: channel(2),
+      dx: -dx,
+      dy: -dy,
+      result: next(),
+    });
+    const redGreen = add("feBlend", {
+      in: red,
+      in2: green,
+      mode: "screen",
+      result: next(),
+    });
+    input = add("feBlend", {
+      in: redGreen,
+      in2: blue,
+      mode: "screen",
+      result: next(),
+    });
+  }
+
+  if (bloom.intensity > 0) {
+    const slope = 1 / (1 - bloom.threshold);
+    const intercept = -bloom.threshold * slope;
+    const brights = add(
+      "feComponentTransfer",
+      { in: input, result: next() },
+      ["feFuncR", "feFuncG", "feFuncB"].map((tag) =>
+        createSvgElement(doc, tag, { type: "linear", slope, intercept })
+      )
+    );
+    const glow = add("feGaussianBlur", {
+      in: brights,
+      stdDeviation: bloom.radius,
+      result: next(),
+    });
+    input = add("feComposite", {
+      in: input,
+      in2: glow,
+      operator: "arithmetic",
+      k1: 0,
+      k2: 1,
+      k3: bloom.intensity,
+      k4: 0,
+      result: next(),
+    });
+  }
+
+  // A LUT's curves, then its color matrix (see approximateCubeLut), each
+  // mixed with the untouched image by amount
+  if (lut && colorGrade.amount > 0) {
+    const { amount } = colorGrade;
+    input = add(
+      "feComponentTransfer",
+      { in: input, result: next() },
+      ["feFuncR", "feFuncG", "feFuncB"].map((tag, c) =>
+        createSvgElement(doc, tag, {
+          type: "table",
+          tableValues: getGradeTable(
+            (x, i) => lut.curves[c][i],
+            amount,
+            lut.curves[c].length
+          ),
+        })
+      )
+    );
+    const mix = (value, identity) =>
+      (identity + (value - identity) * amount).toFixed(5);
+    input = add("feColorMatrix", {
+      in: input,
+      type: "matrix",
+      values: lut.matrix
+        .map(([r, g, b, offset], row) =>
+          [
+            mix(r, row === 0 ? 1 : 0),
+            mix(g, row === 1 ? 1 : 0),
+            mix(b, row === 2 ? 1 : 0),
+            0,
+            mix(offset, 0),
+          ].join(" ")
+        )
+        .concat("0 0 0 1 0")
+        .join(" "),
+      result: next(),
+    });
+  }
+
+  const grade = colorGrade.lut ? null : GRADE_PRESETS[colorGrade.preset];
+  if (grade && colorGrade.amount > 0) {
+    if (grade.saturate !== undefined) {
+      input = add("feColorMatrix", {
+        in: input,
+        type: "saturate",
+        values: 1 + (grade.saturate - 1) * colorGrade.amount,
+        result: next(),
+      });
+    }
+    input = add(
+      "feComponentTransfer",
+      { in: input, result: next() },
+      [
+        ["feFuncR", grade.r],
+        ["feFuncG", grade.g],
+        ["feFuncB", grade.b],
+      ].map(([tag, curve]) =>
+        createSvgElement(doc, tag, {
+          type: "table",
+          tableValues: getGradeTable(curve, colorGrade.amount),
+        })
+      )
+    );
+  }
+
+  return primitives.length > 0 ? primitives : null;
+};
+
+// `readText` reads a file from the project's assets, for LUTs; `readCanvas`
+// gives what to draw for a canvas (see canvasFrames.js)
+export const createPostFx = (
+  win = window,
+  getParent = () => win.document.body,
+  readText = async () => null,
+  readCanvas = (canvas) => canvas
+) => {
+  const doc = win.document;
+  let root = null;
+  let mirrorY = null;
+  let mirrorX = null;
+  let content = null;
+  let trails = null;
+  let strobeOverlay = null;
+  let filterSvg = null;
+  let effects = createDefaultEffects();
+  let strobe = null; // { start, length } while flashing
+  let frameId = null;
+  const luts = new Map(); // asset path -> approximated LUT, or null if unusable
+
+  const removeElement = (el) => {
+    try {
+      if (el && el.parentNode) el.parentNode.removeChild(el);
+    } catch {}
+    return null;
+  };
+
+  // `contain: paint` keeps the fixed-position track roots inside
+  const getContent = () => {
+    if (content && content.isConnected) return content;
+    const parent = getParent();
+    root = doc.createElement("div");
+    root.id = "nwWrldPostFx";
+    root.style.cssText = "position:absolute;inset:0;contain:paint;";
+    mirrorY = doc.createElement("div");
+    mirrorX = doc.createElement("div");
+    [mirrorY, mirrorX].forEach((el) => {
+      el.style.cssText =
+        "position:absolute;left:0;top:0;width:100%;height:100%;" +
+        "overflow:hidden;contain:paint;";
+    });
+    content = doc.createElement("div");
+    content.style.cssText =
+      "position:absolute;left:0;top:0;width:100vw;height:100vh;" +
+      "contain:paint;";
+    mirrorX.appendChild(content);
+    mirrorY.appendChild(mirrorX);
+    root.appendChild(mirrorY);
+    parent.appendChild(root);
+    trails = null;
+    strobeOverlay = null;
+    apply();
+    return content;
+  };
+
+  const applyFilter = () => {
+    filterSvg = removeElement(filterSvg);
+    const primitives = buildFilterChain(
+      doc,
+      effects,
+      luts.get(effects.colorGrade.lut) || null
+    );
+    if (!primitives) {
+      root.style.filter = "";
+      return;
+    }
+    filterSvg = createSvgElement(doc, "svg", { width: 0, height: 0 });
+    filterSvg.style.cssText = "position:absolute;";
+    const filter = createSvgElement(doc, "filter", {
+      id: FILTER_ID,
+      filterUnits: "userSpaceOnUse",
+      primitiveUnits: "userSpaceOnUse",
+      "color-interpolation-filters": "sRGB",
+      x: 0,
+      y: 0,
+      width: win.innerWidth,
+      height: win.innerHeight,
+    });
+    primitives.forEach((el) => filter.appendChild(el));
+    filterSvg.appendChild(filter);
+    doc.body.appendChild(filterSvg);
+    root.style.filter = `url(#${FILTER_ID})`;
+  };
+
+  const applyKaleidoscope = () => {
+    const { mirror } = effects.kaleidoscope;
+    const x = mirror === "horizontal" || mirror === "quad";
+    const y = mirror === "vertical" || mirror === "quad";
+    mirrorX.style.width = x ? "50%" : "100%";
+    mirrorX.style.webkitBoxReflect = x ? "right" : "";
+    mirrorY.style.height = y ? "50%" : "100%";
+    mirrorY.style.webkitBoxReflect = y ? "below" : "";
+  };
+
+  const drawFeedback = () => {
+    if (!trails) {
+      trails = doc.createElement("canvas");
+      trails.style.cssText =
+        "position:absolute;inset:0;width:100%;height:100%;z-index:-1;";
+      content.insertBefore(trails, content.firstChild);
+    }
+    const width = content.clientWidth;
+    const height = content.clientHeight;
+    if (trails.width !== width || trails.height !== height) {
+      trails.width = width;
+      trails.height = height;
+    }
+    const ctx = trails.getContext("2d");
+    if (!ctx || !width || !height) return;
+    const { amount, zoom, rotate } = effects.feedback;
+
+    // Last frame, faded, zoomed and turned about the center
+    ctx.save();
+    ctx.globalCompositeOperation = "copy";
+    ctx.globalAlpha = amount;
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate((rotate * Math.PI) / 180);
+    ctx.scale(zoom, zoom);
+    ctx.translate(-width / 2, -height / 2);
+    ctx.drawImage(trails, 0, 0);
+    ctx.restore();
+
+    // Then this frame's canvases where they show. DOM-only modules leave no
+    // trails, and a rotated or warped canvas lands on its bounding box
+    const box = content.getBoundingClientRect();
+    if (!box.width || !box.height) return;
+    const sx = width / box.width;
+    const sy = height / box.height;
+    content.querySelectorAll("canvas").forEach((canvas) => {
+      if (canvas === trails) return;
+      if (
+        canvas.checkVisibility &&
+        !canvas.checkVisibility({
+          opacityProperty: true,
+          visibilityProperty: true,
+        })
+      ) {
+        return;
+      }
+      const r = canvas.getBoundingClientRect();
+      if (!r.width || !r.height) return;
+      try {
+        ctx.drawImage(
+          readCanvas(canvas),
+          (r.left - box.left) * sx,
+          (r.top - box.top) * sy,
+          r.width * sx,
+          r.height * sy
+        );
+      } catch {}
+    });
+  };
+
+  const updateStrobe = (now) => {
+    if (!strobe) return;
+    const elapsed = now - strobe.start;
+    if (elapsed >= strobe.length) {
+      strobe = null;
+      strobeOverlay = removeElement(strobeOverlay);
+      return;
+    }
+    if (!strobeOverlay) {
+      strobeOverlay = doc.createElement("div");
+      strobeOverlay.style.cssText =
+        "position:absolute;inset:0;pointer-events:none;";
+      getParent().appendChild(strobeOverlay);
+    }
+    const on = Math.floor((elapsed * effects.strobe.rate * 2) / 1000) % 2;
+    strobeOverlay.style.background = effects.strobe.color;
+    strobeOverlay.style.opacity = on === 0 ? "1" : "0";
+  };
+
+  // requestAnimationFrame and performance.now() are looked up each frame so
+  // exports run the effects on the virtual clock
+  const tick = () => {
+    frameId = null;
+    if (!content || !content.isConnected) return;
+    if (effects.feedback.amount > 0) drawFeedback();
+    updateStrobe(win.performance.now());
+    if (effects.feedback.amount > 0 || strobe) {
+      frameId = win.requestAnimationFrame(tick);
+    }
+  };
+
+  const ensureLoop = () => {
+    if (frameId !== null) return;
+    if (effects.feedback.amount > 0 || strobe) {
+      frameId = win.requestAnimationFrame(tick);
+    }
+  };
+
+  // Loaded once per path; the grade shows once its LUT is in
+  const loadLut = async (path) => {
+    luts.set(path, null);
+    const lut = parseCubeLut(await readText(path));
+    if (!lut) {
+      console.warn(`[PostFX] Could not load LUT "${path}" (.cube, 0-1)`);
+      return;
+    }
+    luts.set(path, approximateCubeLut(lut));
+    if (root && effects.colorGrade.lut === path) applyFilter();
+  };
+
+  const apply = () => {
+    if (!root) return;
+    const { lut } = effects.colorGrade;
+    if (lut && !luts.has(lut)) loadLut(lut);
+    applyFilter();
+    applyKaleidoscope();
+    if (effects.feedback.amount === 0) trails = removeElement(trails);
+    ensureLoop();
+  };
+
+  const set = (effect, options = {}) => {
+    if (!normalizers[effect]) return;
+    effects = {
+      ...effects,
+      [effect]: normalizers[effect]({ ...effects[effect], ...options }),
+    };
+    if (effect === "strobe") {
+      const period = 1000 / effects.strobe.rate;
+      strobe = {
+        start: win.performance.now(),
+        length: Math.max(effects.strobe.duration, period / 2),
+      };
+    }
+    apply();
+  };
+
+  const reset = () => {
+    effects = createDefaultEffects();
+    // A LUT that failed may have been fixed since
+    luts.forEach((lut, path) => {
+      if (!lut) luts.delete(path);
+    });
+    strobe = null;
+    strobeOverlay = removeElement(strobeOverlay);
+    apply();
+  };
+
+  // The filter region is in pixels
+  win.addEventListener("resize", () => {
+    if (root) applyFilter();
+  });
+
+  doc.addEventListener(POST_FX_EVENT, (e) => {
+    const { effect, options } = e.detail || {};
+    if (effect) {
+      set(effect, options);
+    } else {
+      reset();
+    }
+  });
+
+  const hasFeedback = () => effects.feedback.amount > 0;
+
+  return { getContent, set, reset, hasFeedback };
+};
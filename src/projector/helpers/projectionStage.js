@@ -0,0 +1,270 @@
+// Projection mapping inside the sandbox. Track roots are mounted in a stage
+// element that takes the output's warp: the mesh as an SVG displacement
+// filter, then the corner pin as a perspective transform, so modules draw
+// as usual and never see it. Soft edges and the calibration grid sit on
+// top; the soft edges outside the stage, in projector space.
+
+import {
+  normalizeWarp,
+  hasCornerPin,
+  hasMeshWarp,
+  getCornerPinMatrix,
+  getMeshOffset,
+  getSoftEdgeLevel,
+} from "../../shared/utils/projectionWarp.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const MESH_FILTER_ID = "nwWrldMeshWarp";
+const MESH_MAP_SIZE = 64;
+const SOFT_EDGE_STEPS = 10;
+const SOFT_EDGE_SIDES = {
+  left: "to right",
+  right: "to left",
+  top: "to bottom",
+  bottom: "to top",
+};
+
+const createSvgElement = (doc, tag, attrs = {}) => {
+  const el = doc.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => {
+    el.setAttribute(name, String(value));
+  });
+  return el;
+};
+
+// The filter samples the picture at p + offset, so a control point moved by
+// `offset` is drawn where the map holds its negation
+const buildMeshMap = (doc, mesh, width, height) => {
+  const offsets = [];
+  let maxOffset = 1;
+  for (let y = 0; y < MESH_MAP_SIZE; y++) {
+    for (let x = 0; x < MESH_MAP_SIZE; x++) {
+      const [dx, dy] = getMeshOffset(
+        mesh,
+        (x + 0.5) / MESH_MAP_SIZE,
+        (y + 0.5) / MESH_MAP_SIZE
+      );
+      const offset = [dx * width, dy * height];
+      maxOffset = Math.max(maxOffset, Math.abs(offset[0]), Math.abs(offset[1]));
+      offsets.push(offset);
+    }
+  }
+  const scale = maxOffset * 2;
+  const canvas = doc.createElement("canvas");
+  canvas.width = MESH_MAP_SIZE;
+  canvas.height = MESH_MAP_SIZE;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(MESH_MAP_SIZE, MESH_MAP_SIZE);
+  offsets.forEach(([dx, dy], i) => {
+    image.data[i * 4] = Math.round(255 * (0.5 - dx / scale));
+    image.data[i * 4 + 1] = Math.round(255 * (0.5 - dy / scale));
+    image.data[i * 4 + 3] = 255;
+  });
+  ctx.putImageData(image, 0, 0);
+  return { href: canvas.toDataURL("image/png"), scale };
+};
+
+const getSoftEdgeGradient = (direction, gamma) => {
+  const stops = [];
+  for (let i = 0; i <= SOFT_EDGE_STEPS; i++) {
+    const t = i / SOFT_EDGE_STEPS;
+    const alpha = 1 - getSoftEdgeLevel(t, gamma);
+    stops.push(`rgba(0,0,0,${alpha.toFixed(4)}) ${t * 100}%`);
+  }
+  return `linear-gradient(${direction}, ${stops.join(", ")})`;
+};
+
+const buildCalibrationGrid = (doc, warp) => {
+  const grid = doc.createElement("div");
+  grid.style.cssText =
+    "position:absolute;inset:0;z-index:2147483647;pointer-events:none;" +
+    "font:bold 24px monospace;color:#0ff;";
+  const svg = createSvgElement(doc, "svg", {
+    width: "100%",
+    height: "100%",
+    viewBox: "0 0 100 100",
+    preserveAspectRatio: "none",
+  });
+  svg.style.cssText = "position:absolute;inset:0;";
+  const line = (x1, y1, x2, y2, stroke) =>
+    svg.appendChild(
+      createSvgElement(doc, "line", {
+        x1,
+        y1,
+        x2,
+        y2,
+        stroke,
+        "stroke-width": 1,
+        "vector-effect": "non-scaling-stroke",
+      })
+    );
+  for (let i = 1; i < 10; i++) {
+    const stroke = i === 5 ? "#fff" : "rgba(255,255,255,0.5)";
+    line(i * 10, 0, i * 10, 100, stroke);
+    line(0, i * 10, 100, i * 10, stroke);
+  }
+  line(0, 0, 100, 100, "rgba(255,255,255,0.5)");
+  line(100, 0, 0, 100, "rgba(255,255,255,0.5)");
+  svg.appendChild(
+    createSvgElement(doc, "rect", {
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 100,
+      fill: "none",
+      stroke: "#0ff",
+      "stroke-width": 4,
+      "vector-effect": "non-scaling-stroke",
+    })
+  );
+  grid.appendChild(svg);
+
+  const mark = (left, top, text, size = 12) => {
+    const el = doc.createElement("div");
+    el.textContent = text;
+    el.style.cssText =
+      `position:absolute;left:${left}%;top:${top}%;` +
+      `min-width:${size}px;height:${size}px;line-height:${size}px;` +
+      "transform:translate(-50%,-50%);text-align:center;";
+    if (!text) el.style.background = "#0ff";
+    grid.appendChild(el);
+  };
+  [
+    [4, 6],
+    [96, 6],
+    [96, 94],
+    [4, 94],
+  ].forEach(([left, top], i) => mark(left, top, String(i + 1), 32));
+  if (warp.mesh) {
+    const last = warp.mesh.size - 1;
+    for (let row = 0; row <= last; row++) {
+      for (let col = 0; col <= last; col++) {
+        mark((col / last) * 100, (row / last) * 100, "");
+      }
+    }
+  }
+  return grid;
+};
+
+export const createProjectionStage = (win = window) => {
+  const doc = win.document;
+  let stage = null;
+  let filterSvg = null;
+  let softEdge = null;
+  let calibrationGrid = null;
+  let warp = normalizeWarp(null);
+  let calibrate = false;
+
+  const getStage = () => {
+    if (stage && stage.isConnected) return stage;
+    stage = doc.createElement("div");
+    stage.id = "nwWrldStage";
+    stage.style.cssText =
+      "position:fixed;inset:0;overflow:hidden;transform-origin:0 0;";
+    doc.body.appendChild(stage);
+    return stage;
+  };
+
+  const removeElement = (el) => {
+    try {
+      if (el && el.parentNode) el.parentNode.removeChild(el);
+    } catch {}
+    return null;
+  };
+
+  const applyMesh = (root, width, height) => {
+    filterSvg = removeElement(filterSvg);
+    if (!hasMeshWarp(warp)) {
+      root.style.filter = "";
+      return;
+    }
+    const { href, scale } = buildMeshMap(doc, warp.mesh, width, height);
+    const region = { x: 0, y: 0, width, height };
+    filterSvg = createSvgElement(doc, "svg", { width: 0, height: 0 });
+    filterSvg.style.cssText = "position:absolute;";
+    const filter = createSvgElement(doc, "filter", {
+      id: MESH_FILTER_ID,
+      filterUnits: "userSpaceOnUse",
+      primitiveUnits: "userSpaceOnUse",
+      "color-interpolation-filters": "sRGB",
+      ...region,
+    });
+    filter.appendChild(
+      createSvgElement(doc, "feImage", {
+        href,
+        preserveAspectRatio: "none",
+        result: "map",
+        ...region,
+      })
+    );
+    filter.appendChild(
+      createSvgElement(doc, "feDisplacementMap", {
+        in: "SourceGraphic",
+        in2: "map",
+        scale,
+        xChannelSelector: "R",
+        yChannelSelector: "G",
+      })
+    );
+    filterSvg.appendChild(filter);
+    doc.body.appendChild(filterSvg);
+    root.style.filter = `url(#${MESH_FILTER_ID})`;
+  };
+
+  const applySoftEdge = () => {
+    softEdge = removeElement(softEdge);
+    const sides = Object.keys(SOFT_EDGE_SIDES).filter(
+      (side) => warp.softEdge[side] > 0
+    );
+    if (sides.length === 0) return;
+    softEdge = doc.createElement("div");
+    softEdge.style.cssText =
+      "position:fixed;inset:0;z-index:9998;pointer-events:none;";
+    sides.forEach((side) => {
+      const strip = doc.createElement("div");
+      const size = `${warp.softEdge[side] * 100}%`;
+      const horizontal = side === "left" || side === "right";
+      strip.style.cssText =
+        `position:absolute;${side}:0;` +
+        (horizontal
+          ? `top:0;bottom:0;width:${size};`
+          : `left:0;right:0;height:${size};`);
+      strip.style.background = getSoftEdgeGradient(
+        SOFT_EDGE_SIDES[side],
+        warp.softEdge.gamma
+      );
+      softEdge.appendChild(strip);
+    });
+    doc.body.appendChild(softEdge);
+  };
+
+  const apply = () => {
+    const root = getStage();
+    const width = win.innerWidth;
+    const height = win.innerHeight;
+    const matrix = hasCornerPin(warp)
+      ? getCornerPinMatrix(warp.corners, width, height)
+      : null;
+    root.style.transform = matrix || "";
+    applyMesh(root, width, height);
+    applySoftEdge();
+    calibrationGrid = removeElement(calibrationGrid);
+    if (calibrate) {
+      calibrationGrid = buildCalibrationGrid(doc, warp);
+      root.appendChild(calibrationGrid);
+    }
+  };
+
+  // The corner pin and mesh map are in pixels
+  win.addEventListener("resize", () => {
+    if (stage) apply();
+  });
+
+  const setWarp = (nextWarp, nextCalibrate = false) => {
+    warp = normalizeWarp(nextWarp);
+    calibrate = nextCalibrate === true;
+    apply();
+  };
+
+  return { getStage, setWarp };
+};
@@ -22,6 +22,7 @@ import * as THREE from "three"; // "three": "^0.159.0"
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import TWEEN from "@tweenjs/tween.js"; // Ensure you have Tween.js installed: npm install @tweenjs/tween.js
 import { animationManager } from "./animationManager.js";
+import { RENDER_EVENT } from "./canvasFrames.js";
 
 export class BaseThreeJsModule extends ModuleBase {
   static methods = [
@@ -220,6 +221,10 @@ export class BaseThreeJsModule extends ModuleBase {
   render() {
     if (!this.renderer || !this.scene || !this.camera || this.destroyed) return;
     this.renderer.render(this.scene, this.camera);
+    // Masks and feedback copy the frame while it can still be read
+    this.renderer.domElement.dispatchEvent(
+      new CustomEvent(RENDER_EVENT, { bubbles: true })
+    );
   }
 
   /**
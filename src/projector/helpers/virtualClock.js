@@ -0,0 +1,57 @@
+import { createSeededRandom } from "../../shared/utils/seededRandom.js";
+
+// Frame export runs the sandbox on a virtual clock: requestAnimationFrame
+// callbacks are queued and only run when the projector advances a frame, and
+// performance.now() / Date.now() report virtual time, so modules render the
+// same frames however long each one takes to draw and capture. Math.random
+// is seeded too. Timers (setTimeout/setInterval) still run in real time.
+
+export const createVirtualClock = (win = window) => {
+  const nativeRequestFrame = win.requestAnimationFrame.bind(win);
+  const nativeNow = win.performance.now.bind(win.performance);
+  let enabled = false;
+  let now = 0;
+  let epoch = 0;
+  let nextId = 1;
+  let callbacks = new Map();
+
+  const enable = (seed = 1) => {
+    if (enabled) return;
+    enabled = true;
+    now = nativeNow();
+    epoch = Date.now() - now;
+    win.requestAnimationFrame = (callback) => {
+      const id = nextId++;
+      callbacks.set(id, callback);
+      return id;
+    };
+    win.cancelAnimationFrame = (id) => {
+      callbacks.delete(id);
+    };
+    win.performance.now = () => now;
+    win.Date.now = () => Math.round(epoch + now);
+    win.Math.random = createSeededRandom(seed);
+  };
+
+  // Moves time forward by `ms` and runs one animation frame
+  const advance = (ms) => {
+    now += Math.max(0, Number(ms) || 0);
+    const due = callbacks;
+    callbacks = new Map();
+    due.forEach((callback) => {
+      try {
+        callback(now);
+      } catch (error) {
+        console.error("[Sandbox] Animation frame callback failed:", error);
+      }
+    });
+  };
+
+  // Resolves once the frame has been composited and can be captured
+  const waitForPaint = () =>
+    new Promise((resolve) => {
+      nativeRequestFrame(() => nativeRequestFrame(resolve));
+    });
+
+  return { enable, advance, waitForPaint, isEnabled: () => enabled };
+};
@@ -15,6 +15,12 @@ import {
   parseMatrixOptions,
 } from "../shared/utils/methodOptions.js";
 import { createSdkHelpers } from "../shared/utils/sdkHelpers.js";
+import { normalizeTrackTransition } from "../shared/utils/trackTransitions.js";
+import { createVirtualClock } from "./helpers/virtualClock.js";
+import { createProjectionStage } from "./helpers/projectionStage.js";
+import { createCanvasFrames } from "./helpers/canvasFrames.js";
+import { createLayerCompositor } from "./helpers/layerCompositor.js";
+import { createPostFx } from "./helpers/postFx.js";
 
 const { parseNwWrldDocblockMetadata } = docblock || {};
 
@@ -43,6 +49,25 @@ const getTokenFromLocation = () => {
 const TOKEN =
   getTokenFromLocation() || globalThis.__NW_WRLD_SANDBOX_TOKEN__ || null;
 
+const virtualClock = createVirtualClock();
+const projectionStage = createProjectionStage();
+const canvasFrames = createCanvasFrames(
+  window,
+  () => layerCompositor.hasMasks() || postFx.hasFeedback()
+);
+const postFx = createPostFx(
+  window,
+  projectionStage.getStage,
+  (relPath) => globalThis.nwWrldSdk.readText(relPath),
+  canvasFrames.read
+);
+const layerCompositor = createLayerCompositor(
+  window,
+  () => (trackRoot && trackRoot.isConnected ? trackRoot : null),
+  virtualClock.isEnabled,
+  canvasFrames.read
+);
+
 const WORKSPACE_MODULE_ALLOWED_IMPORTS = new Set([
   "ModuleBase",
   "BaseThreeJsModule",
@@ -174,6 +199,7 @@ const getCallableMethodNamesFromClass = (Cls) => {
 
 let assetsBaseUrl = null;
 let trackRoot = null;
+let outgoingTrack = null; // { root, instances, timer } during a transition
 const moduleClassCache = new Map(); // moduleType -> Promise<ModuleClass>
 const instancesById = new Map(); // instanceId -> { moduleType, instances: [] }
 
@@ -285,7 +311,7 @@ const ensureRoot = () => {
   el.id = "nwWrldTrackRoot";
   el.style.cssText =
     "position:fixed;inset:0;width:100vw;height:100vh;overflow:hidden;";
-  document.body.appendChild(el);
+  postFx.getContent().appendChild(el);
   trackRoot = el;
   return trackRoot;
 };
@@ -328,8 +354,8 @@ const getModuleClass = (moduleType, moduleSources) => {
   return p;
 };
 
-const destroyTrack = () => {
-  for (const [, entry] of instancesById.entries()) {
+const destroyInstances = (entries) => {
+  for (const entry of entries) {
     const arr = Array.isArray(entry?.instances) ? entry.instances : [];
     for (const inst of arr) {
       try {
@@ -337,15 +363,90 @@ const destroyTrack = () => {
       } catch {}
     }
   }
-  instancesById.clear();
-  moduleClassCache.clear();
+};
+
+const removeRoot = (root) => {
   try {
-    if (trackRoot && trackRoot.parentNode)
-      trackRoot.parentNode.removeChild(trackRoot);
+    if (root && root.parentNode) root.parentNode.removeChild(root);
   } catch {}
+};
+
+// Drops the outgoing track and leaves the incoming one fully shown
+const finishTransition = () => {
+  if (!outgoingTrack) return;
+  const { root, instances, timer } = outgoingTrack;
+  outgoingTrack = null;
+  clearTimeout(timer);
+  destroyInstances(instances);
+  removeRoot(root);
+  if (trackRoot) {
+    try {
+      trackRoot.getAnimations().forEach((a) => a.cancel());
+    } catch {}
+    trackRoot.style.visibility = "";
+  }
+};
+
+const destroyTrack = () => {
+  finishTransition();
+  destroyInstances(instancesById.values());
+  instancesById.clear();
+  moduleClassCache.clear();
+  removeRoot(trackRoot);
+  trackRoot = null;
+};
+
+// Keeps the current track running on screen while the next one is built
+// in a new root stacked above it
+const holdOutgoingTrack = () => {
+  finishTransition();
+  trackRoot.id = "nwWrldOutgoingTrackRoot";
+  outgoingTrack = {
+    root: trackRoot,
+    instances: Array.from(instancesById.values()),
+    timer: null,
+  };
+  instancesById.clear();
+  moduleClassCache.clear();
   trackRoot = null;
 };
 
+const TRANSITION_KEYFRAMES = {
+  crossfade: [{ opacity: 0 }, { opacity: 1 }],
+  wipe: [{ clipPath: "inset(0 100% 0 0)" }, { clipPath: "inset(0 0 0 0)" }],
+};
+
+// The incoming root stays hidden until its modules are constructed
+const prepareTransition = (root, transition) => {
+  const keyframes = TRANSITION_KEYFRAMES[transition.type];
+  if (keyframes) {
+    root.animate([keyframes[0], keyframes[0]], { fill: "forwards" });
+  } else {
+    root.style.visibility = "hidden";
+  }
+};
+
+const startTransition = (transition) => {
+  if (!outgoingTrack || !trackRoot) return;
+  const keyframes = TRANSITION_KEYFRAMES[transition.type];
+  if (!keyframes || transition.duration === 0) {
+    // "beat" waits for finishTransition from the projector's next trigger;
+    // the duration is the longest it will hold the outgoing track
+    outgoingTrack.timer = setTimeout(finishTransition, transition.duration);
+    return;
+  }
+  trackRoot.getAnimations().forEach((a) => a.cancel());
+  const animation = trackRoot.animate(keyframes, {
+    duration: transition.duration,
+    easing: "linear",
+    fill: "forwards",
+  });
+  const current = outgoingTrack;
+  animation.onfinish = () => {
+    if (outgoingTrack === current) finishTransition();
+  };
+};
+
 const destroyInstance = (instanceId) => {
   const safeId = String(instanceId || "").trim();
   if (!safeId) return;
@@ -359,7 +460,9 @@ const destroyInstance = (instanceId) => {
     }
   } catch {}
   try {
-    const nodes = document.querySelectorAll(`[data-instance-id="${safeId}"]`);
+    const nodes = (trackRoot || document).querySelectorAll(
+      `[data-instance-id="${safeId}"]`
+    );
     nodes.forEach((n) => {
       try {
         n.parentNode && n.parentNode.removeChild(n);
@@ -406,16 +509,58 @@ globalThis.nwSandboxIpc?.on?.(async (data) => {
       return;
     }
 
+    if (type === "finishTransition") {
+      finishTransition();
+      respond({ ok: true });
+      return;
+    }
+
+    if (type === "setWarp") {
+      projectionStage.setWarp(props.warp, props.calibrate);
+      respond({ ok: true });
+      return;
+    }
+
+    if (type === "setLayer") {
+      layerCompositor.update(props.instanceId, props.compositing);
+      respond({ ok: true });
+      return;
+    }
+
+    if (type === "advanceFrame") {
+      if (!virtualClock.isEnabled()) {
+        respond({ ok: false, error: "VIRTUAL_CLOCK_DISABLED" });
+        return;
+      }
+      virtualClock.advance(props.ms);
+      await virtualClock.waitForPaint();
+      respond({ ok: true });
+      return;
+    }
+
     if (type === "initTrack") {
-      destroyTrack();
+      // Set before any module code runs; stays on for the sandbox's lifetime
+      if (props.virtualClock) virtualClock.enable(props.seed);
+      if (props.warp !== undefined) {
+        projectionStage.setWarp(props.warp, props.calibrate);
+      }
+      const transition = normalizeTrackTransition(props.transition);
+      if (transition.type !== "cut" && trackRoot && instancesById.size > 0) {
+        holdOutgoingTrack();
+      } else {
+        destroyTrack();
+      }
       assetsBaseUrl = props.assetsBaseUrl || null;
       globalThis.nwWrldSdk = createSdk();
 
       const root = ensureRoot();
+      if (outgoingTrack) prepareTransition(root, transition);
       const track = props.track || {};
       const trackModules = Array.isArray(track.modules) ? track.modules : [];
       const modulesData = track.modulesData || {};
       const moduleSources = props.moduleSources || {};
+      layerCompositor.reset(track.compositing);
+      postFx.reset();
 
       for (const m of trackModules) {
         const instanceId = String(m?.id || "").trim();
@@ -437,6 +582,7 @@ globalThis.nwSandboxIpc?.on?.(async (data) => {
         const border = matrix.border ? "1px solid white" : "none";
 
         const ModuleClass = await getModuleClass(moduleType, moduleSources);
+        const layer = layerCompositor.getLayer(root, instanceId, zIndex);
         const instances = [];
 
         for (let row = 1; row <= matrix.rows; row++) {
@@ -459,7 +605,7 @@ globalThis.nwSandboxIpc?.on?.(async (data) => {
               "overflow:hidden",
               "transform-origin:center",
             ].join(";");
-            root.appendChild(el);
+            layer.appendChild(el);
             const inst = new ModuleClass(el);
             instances.push(inst);
           }
@@ -483,6 +629,8 @@ globalThis.nwSandboxIpc?.on?.(async (data) => {
         }
       }
 
+      layerCompositor.apply();
+      startTransition(transition);
       respond({ ok: true });
       return;
     }
@@ -543,6 +691,7 @@ globalThis.nwSandboxIpc?.on?.(async (data) => {
       const nonMatrix = ctor.filter((mm) => mm?.name && mm.name !== "matrix");
 
       const ModuleClass = await getModuleClass(moduleType, moduleSources);
+      const layer = layerCompositor.getLayer(root, instanceId, zIndex);
       const instances = [];
       for (let row = 1; row <= matrix.rows; row++) {
         for (let col = 1; col <= matrix.cols; col++) {
@@ -564,13 +713,14 @@ globalThis.nwSandboxIpc?.on?.(async (data) => {
             "overflow:hidden",
             "transform-origin:center",
           ].join(";");
-          root.appendChild(el);
+          layer.appendChild(el);
           const inst = new ModuleClass(el);
           instances.push(inst);
         }
       }
 
       instancesById.set(instanceId, { moduleType, instances });
+      layerCompositor.apply();
 
       for (const mm of nonMatrix) {
         const methodName = String(mm.name || "").trim();
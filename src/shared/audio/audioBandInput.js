@@ -0,0 +1,146 @@
+import {
+  createBandDetector,
+  getBandEnergy,
+  normalizeAudioBands,
+} from "./bandAnalysis.js";
+
+const FFT_SIZE = 2048;
+const ANALYSIS_INTERVAL_MS = 1000 / 60;
+
+// Captures a system audio input (or loops an audio file for offline testing),
+// splits it into bands and reports threshold crossings and band energy as
+// Remote API style messages. The main process validates and broadcasts them.
+class AudioBandInput {
+  constructor(onMessages, onStatus) {
+    this.onMessages = onMessages;
+    this.onStatus = onStatus;
+    this.audioContext = null;
+    this.stream = null;
+    this.sourceNode = null;
+    this.timer = null;
+    this.startId = 0;
+  }
+
+  async start(inputConfig = {}) {
+    this.stop();
+    const startId = ++this.startId;
+    const bands = normalizeAudioBands(inputConfig.audioBands);
+    const hysteresis =
+      typeof inputConfig.audioHysteresis === "number"
+        ? inputConfig.audioHysteresis
+        : 0.1;
+    const filePath =
+      typeof inputConfig.audioFile === "string"
+        ? inputConfig.audioFile.trim()
+        : "";
+
+    try {
+      const audioContext = new AudioContext();
+      this.audioContext = audioContext;
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = FFT_SIZE;
+      analyser.smoothingTimeConstant = 0.5;
+
+      let label;
+      if (filePath) {
+        const bridge = globalThis.nwWrldBridge;
+        const arrayBuffer =
+          bridge?.messaging &&
+          typeof bridge.messaging.readAudioFile === "function"
+            ? await bridge.messaging.readAudioFile(filePath)
+            : null;
+        if (!arrayBuffer) throw new Error(`Could not read ${filePath}`);
+        const buffer = await audioContext.decodeAudioData(arrayBuffer);
+        if (startId !== this.startId) return;
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(analyser);
+        // Audible so the file can be checked against the visuals
+        source.connect(audioContext.destination);
+        source.start();
+        this.sourceNode = source;
+        label = filePath.split(/[\\/]/).pop();
+      } else {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: {
+            deviceId: inputConfig.audioDeviceId
+              ? { exact: inputConfig.audioDeviceId }
+              : undefined,
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+          },
+        });
+        if (startId !== this.startId) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        this.stream = stream;
+        this.sourceNode = audioContext.createMediaStreamSource(stream);
+        this.sourceNode.connect(analyser);
+        label = stream.getAudioTracks()[0]?.label || "default input";
+      }
+
+      const detect = createBandDetector(bands, hysteresis);
+      const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+      this.timer = setInterval(() => {
+        analyser.getByteFrequencyData(frequencyData);
+        const energies = bands.map((band) =>
+          getBandEnergy(
+            frequencyData,
+            audioContext.sampleRate,
+            band.low,
+            band.high
+          )
+        );
+        const messages = detect(energies);
+        if (messages.length > 0) this.onMessages(messages);
+      }, ANALYSIS_INTERVAL_MS);
+
+      this.onStatus("connected", `Audio: ${label} (${bands.length} bands)`);
+    } catch (err) {
+      if (startId !== this.startId) return;
+      console.error("[AudioBandInput] Failed to start audio input:", err);
+      this.stop();
+      this.onStatus("error", `Audio error: ${err.message}`);
+    }
+  }
+
+  stop() {
+    this.startId += 1;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.sourceNode) {
+      try {
+        if (typeof this.sourceNode.stop === "function") this.sourceNode.stop();
+        this.sourceNode.disconnect();
+      } catch {}
+      this.sourceNode = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+  }
+
+  static async getAvailableDevices() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices
+        .filter((d) => d.kind === "audioinput")
+        .map((d) => ({ id: d.deviceId, name: d.label || "Audio input" }));
+    } catch (err) {
+      console.error("[AudioBandInput] Failed to list audio inputs:", err);
+      return [];
+    }
+  }
+}
+
+export default AudioBandInput;
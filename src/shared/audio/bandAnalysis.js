@@ -0,0 +1,76 @@
+import { clamp } from "../utils/numbers.js";
+
+export const MAX_AUDIO_BANDS = 8;
+export const MIN_BAND_HZ = 20;
+export const MAX_BAND_HZ = 20000;
+
+// Bands come from user config; anything unusable falls back to safe values
+export const normalizeAudioBand = (band, index = 0) => {
+  const low = Math.round(
+    clamp(band?.low, MIN_BAND_HZ, MAX_BAND_HZ, MIN_BAND_HZ)
+  );
+  const high = Math.round(clamp(band?.high, low, MAX_BAND_HZ, low));
+  const cc = parseInt(band?.cc, 10);
+  return {
+    low,
+    high,
+    threshold: clamp(band?.threshold, 0, 1, 0.5),
+    channel: Math.max(1, parseInt(band?.channel, 10) || index + 1),
+    cc: Number.isInteger(cc) && cc >= 0 && cc <= 127 ? cc : null,
+  };
+};
+
+export const normalizeAudioBands = (bands) =>
+  (Array.isArray(bands) ? bands : [])
+    .slice(0, MAX_AUDIO_BANDS)
+    .map(normalizeAudioBand);
+
+// Mean magnitude (0-1) of the FFT bins covering low..high Hz
+export const getBandEnergy = (frequencyData, sampleRate, low, high) => {
+  const binCount = frequencyData.length;
+  if (!binCount || !sampleRate) return 0;
+  const binHz = sampleRate / 2 / binCount;
+  const start = Math.max(0, Math.floor(low / binHz));
+  const end = Math.min(binCount - 1, Math.ceil(high / binHz));
+  if (end < start) return 0;
+  let sum = 0;
+  for (let i = start; i <= end; i++) sum += frequencyData[i];
+  return sum / (end - start + 1) / 255;
+};
+
+// Returns a function mapping per-band energies to Remote API style messages:
+// a trigger when a band rises through its threshold, a release once it falls
+// `hysteresis` below it, and a cc whenever the band's 7-bit energy changes
+export const createBandDetector = (bands, hysteresis = 0.1) => {
+  const state = bands.map(() => ({ active: false, rawValue: null }));
+  return (energies) => {
+    const messages = [];
+    bands.forEach((band, i) => {
+      const energy = energies[i] || 0;
+      const bandState = state[i];
+      if (!bandState.active && energy >= band.threshold) {
+        bandState.active = true;
+        messages.push({
+          type: "trigger",
+          channel: band.channel,
+          velocity: Math.max(1, Math.round(energy * 127)),
+        });
+      } else if (bandState.active && energy < band.threshold - hysteresis) {
+        bandState.active = false;
+        messages.push({ type: "release", channel: band.channel });
+      }
+
+      if (band.cc === null) return;
+      const rawValue = Math.round(energy * 127);
+      if (rawValue !== bandState.rawValue) {
+        bandState.rawValue = rawValue;
+        messages.push({
+          type: "cc",
+          controller: band.cc,
+          value: rawValue / 127,
+        });
+      }
+    });
+    return messages;
+  };
+};
@@ -0,0 +1,53 @@
+import * as Tone from "tone";
+
+// Decoded buffers are shared by the waveform and the playback engines
+const bufferCache = new Map();
+
+// `relPath` is relative to the project's assets folder (e.g. "audio/set.wav")
+export const loadTrackAudioBuffer = (relPath) => {
+  if (!relPath) return Promise.resolve(null);
+  if (bufferCache.has(relPath)) return bufferCache.get(relPath);
+
+  const promise = (async () => {
+    const bridge = globalThis.nwWrldBridge;
+    const arrayBuffer =
+      bridge?.workspace &&
+      typeof bridge.workspace.readAssetArrayBuffer === "function"
+        ? await bridge.workspace.readAssetArrayBuffer(relPath)
+        : null;
+    if (!arrayBuffer) throw new Error(`Could not read assets/${relPath}`);
+    return Tone.getContext().rawContext.decodeAudioData(arrayBuffer);
+  })();
+  // A failed read can be retried once the file is back
+  promise.catch(() => bufferCache.delete(relPath));
+  bufferCache.set(relPath, promise);
+  return promise;
+};
+
+// Min/max sample per bucket across all channels, for drawing a waveform
+export const getWaveformPeaks = (audioBuffer, bucketCount) => {
+  const peaks = [];
+  if (!audioBuffer || bucketCount <= 0) return peaks;
+  const channelData = Array.from(
+    { length: audioBuffer.numberOfChannels },
+    (_, i) => audioBuffer.getChannelData(i)
+  );
+  const samplesPerBucket = Math.max(
+    1,
+    Math.floor(audioBuffer.length / bucketCount)
+  );
+  for (let b = 0; b < bucketCount; b++) {
+    const start = b * samplesPerBucket;
+    const end = Math.min(start + samplesPerBucket, audioBuffer.length);
+    let min = 0;
+    let max = 0;
+    channelData.forEach((data) => {
+      for (let i = start; i < end; i++) {
+        if (data[i] < min) min = data[i];
+        if (data[i] > max) max = data[i];
+      }
+    });
+    peaks.push({ min, max });
+  }
+  return peaks;
+};
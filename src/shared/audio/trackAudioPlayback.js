@@ -0,0 +1,149 @@
+// Track Audio Playback Engine
+// Plays a track's audio file on the Tone.js Transport and fires recorded
+// channel events on the same clock, so visuals land where they did live
+
+import * as Tone from "tone";
+
+class TrackAudioPlayback {
+  constructor() {
+    this.isPlaying = false;
+    this.pausedTime = 0; // ms
+    this.channels = [];
+    this.buffer = null;
+    this.player = null;
+    this.eventIds = [];
+    this.runId = 0;
+    this.onNoteCallback = null;
+    this.onStopCallback = null;
+  }
+
+  // `channels` use the recording shape: [{ name, midi, sequences: [{ time }] }]
+  // with times in seconds from the start of the audio
+  load(channels, audioBuffer) {
+    this.channels = channels || [];
+    if (audioBuffer === this.buffer) return;
+    this.stop();
+    if (this.player) this.player.dispose();
+    this.buffer = audioBuffer;
+    this.player = audioBuffer
+      ? new Tone.Player(new Tone.ToneAudioBuffer(audioBuffer)).toDestination()
+      : null;
+  }
+
+  setOnNoteCallback(callback) {
+    this.onNoteCallback = callback;
+  }
+
+  setOnStopCallback(callback) {
+    this.onStopCallback = callback;
+  }
+
+  play() {
+    if (this.isPlaying || !this.player) return;
+    if (this.pausedTime >= this.getDuration()) this.pausedTime = 0;
+
+    this.isPlaying = true;
+    this.runId += 1;
+
+    // The Transport is shared with the sequencer, so events are only
+    // registered while this engine is playing
+    Tone.Transport.stop();
+    this.scheduleAll();
+    Tone.Transport.seconds = this.pausedTime / 1000;
+    Tone.Transport.start();
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.pausedTime = this.getCurrentTime();
+    this.isPlaying = false;
+    this.runId += 1;
+    Tone.Transport.stop();
+    this.clearScheduled();
+  }
+
+  stop() {
+    const wasPlaying = this.isPlaying;
+    this.pause();
+    this.pausedTime = 0;
+
+    if (wasPlaying && this.onStopCallback) {
+      this.onStopCallback();
+    }
+  }
+
+  seek(ms) {
+    const clamped = Math.max(0, Math.min(ms, this.getDuration()));
+    if (!this.isPlaying) {
+      this.pausedTime = clamped;
+      return;
+    }
+    this.pause();
+    this.pausedTime = clamped;
+    this.play();
+  }
+
+  scheduleAll() {
+    this.clearScheduled();
+    const runId = this.runId;
+
+    this.player.sync().start(0);
+
+    this.channels.forEach((channel) => {
+      (channel.sequences || []).forEach((sequence) => {
+        if (!Number.isFinite(sequence.time) || sequence.time < 0) return;
+        const id = Tone.Transport.schedule((time) => {
+          Tone.Draw.schedule(() => {
+            if (!this.isPlaying || runId !== this.runId) return;
+            if (this.onNoteCallback) {
+              this.onNoteCallback(channel.name, channel.midi, time);
+            }
+          }, time);
+        }, sequence.time);
+        this.eventIds.push(id);
+      });
+    });
+
+    const endId = Tone.Transport.schedule((time) => {
+      Tone.Draw.schedule(() => {
+        if (runId === this.runId) this.stop();
+      }, time);
+    }, this.buffer.duration);
+    this.eventIds.push(endId);
+  }
+
+  clearScheduled() {
+    this.eventIds.forEach((id) => Tone.Transport.clear(id));
+    this.eventIds = [];
+    if (this.player) {
+      this.player.unsync();
+      this.player.stop();
+    }
+  }
+
+  getDuration() {
+    return this.buffer ? this.buffer.duration * 1000 : 0;
+  }
+
+  getCurrentTime() {
+    if (this.isPlaying) {
+      return Math.min(Tone.Transport.seconds * 1000, this.getDuration());
+    }
+    return this.pausedTime;
+  }
+
+  getProgress() {
+    const duration = this.getDuration();
+    if (!duration) return 0;
+    return Math.min((this.getCurrentTime() / duration) * 100, 100);
+  }
+
+  dispose() {
+    this.stop();
+    if (this.player) this.player.dispose();
+    this.player = null;
+    this.buffer = null;
+  }
+}
+
+export default TrackAudioPlayback;
@@ -1,3 +1,10 @@
+// Low/mid/high bands fire channels 1-3 and stream their energy on CC 20-22
+const DEFAULT_AUDIO_BANDS = [
+  { low: 20, high: 150, threshold: 0.6, channel: 1, cc: 20 },
+  { low: 150, high: 2000, threshold: 0.5, channel: 2, cc: 21 },
+  { low: 2000, high: 12000, threshold: 0.4, channel: 3, cc: 22 },
+];
+
 const DEFAULT_INPUT_CONFIG = {
   type: "midi",
   deviceName: "IAC Driver Bus 1",
@@ -5,6 +12,27 @@ const DEFAULT_INPUT_CONFIG = {
   methodTriggerChannel: 2,
   velocitySensitive: false,
   port: 8000,
+  remotePort: 8787,
+  remoteToken: "",
+  remoteAllowedOrigins: [],
+  serialPath: "",
+  serialBaudRate: 9600,
+  audioDeviceId: "",
+  audioFile: "",
+  audioBands: DEFAULT_AUDIO_BANDS,
+  audioHysteresis: 0.1,
+};
+
+const DEFAULT_OSC_OUTPUT_CONFIG = {
+  enabled: false,
+  host: "127.0.0.1",
+  port: 9000,
+};
+
+// Multicast group shared by every instance in the same tempo session
+const DEFAULT_TEMPO_SYNC_CONFIG = {
+  group: "239.255.42.99",
+  port: 20808,
 };
 
 const DEFAULT_GLOBAL_MAPPINGS = {
@@ -77,6 +105,9 @@ const DEFAULT_USER_DATA = {
     channelMappings: DEFAULT_GLOBAL_MAPPINGS.channelMappings,
     sequencerMode: true,
     sequencerBpm: 120,
+    sequencerClock: "internal",
+    tempoSync: DEFAULT_TEMPO_SYNC_CONFIG,
+    oscOutput: DEFAULT_OSC_OUTPUT_CONFIG,
   },
   sets: [
     {
@@ -88,7 +119,10 @@ const DEFAULT_USER_DATA = {
 };
 
 module.exports = {
+  DEFAULT_AUDIO_BANDS,
   DEFAULT_INPUT_CONFIG,
+  DEFAULT_OSC_OUTPUT_CONFIG,
+  DEFAULT_TEMPO_SYNC_CONFIG,
   DEFAULT_GLOBAL_MAPPINGS,
   DEFAULT_USER_DATA,
 };
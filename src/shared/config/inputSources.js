@@ -0,0 +1,64 @@
+const INPUT_SOURCE_TYPES = ["midi", "osc", "remote", "serial", "audio"];
+
+// Only these have global trigger mappings, so only these can be primary
+const PRIMARY_INPUT_TYPES = ["midi", "osc"];
+
+// These address tracks by name and channels by number, without mappings
+const DIRECT_INPUT_TYPES = ["remote", "serial", "audio"];
+
+const SERIAL_BAUD_RATES = [9600, 19200, 38400, 57600, 115200];
+
+const INPUT_SOURCE_LABELS = {
+  midi: "MIDI",
+  osc: "OSC",
+  remote: "Remote API",
+  serial: "Serial",
+  audio: "Audio Input",
+};
+
+// `type` is the primary source (used for mapping previews in the UI) and is
+// always listening; `sources` lists every source that listens alongside it.
+const getInputSourceTypes = (inputConfig) => {
+  const primary = PRIMARY_INPUT_TYPES.includes(inputConfig?.type)
+    ? inputConfig.type
+    : "midi";
+  const extra = Array.isArray(inputConfig?.sources)
+    ? inputConfig.sources.filter((t) => INPUT_SOURCE_TYPES.includes(t))
+    : [];
+  return Array.from(new Set([primary, ...extra]));
+};
+
+const isInputSourceEnabled = (inputConfig, source) =>
+  getInputSourceTypes(inputConfig).includes(source);
+
+const isDirectInputSource = (source) => DIRECT_INPUT_TYPES.includes(source);
+
+// The sequencer follows MIDI clock from the configured MIDI input device
+const getClockInputConfig = (userConfig) => ({
+  enabled:
+    userConfig?.sequencerMode === true && userConfig?.sequencerClock === "midi",
+  deviceId: userConfig?.input?.deviceId || "",
+  deviceName: userConfig?.input?.deviceName || "",
+});
+
+// Network tempo sync: the BPM setting is the session tempo while leading
+const getTempoSyncConfig = (userConfig) => ({
+  enabled:
+    userConfig?.sequencerMode === true &&
+    userConfig?.sequencerClock === "network",
+  bpm: userConfig?.sequencerBpm || 120,
+  ...(userConfig?.tempoSync || {}),
+});
+
+module.exports = {
+  INPUT_SOURCE_TYPES,
+  PRIMARY_INPUT_TYPES,
+  DIRECT_INPUT_TYPES,
+  SERIAL_BAUD_RATES,
+  INPUT_SOURCE_LABELS,
+  getInputSourceTypes,
+  isInputSourceEnabled,
+  isDirectInputSource,
+  getClockInputConfig,
+  getTempoSyncConfig,
+};
@@ -0,0 +1,85 @@
+// Extra projector outputs live in config.json next to the aspect ratio and
+// background lists:
+//
+// outputs: [{ id, label, aspectRatio, bgColor, display, setId, trackName,
+//   layers }]
+//
+// Projector 1 is always the main output and follows the dashboard. An extra
+// output follows it too, unless it pins a track (from `setId`, or the active
+// set). `layers` limits an output to those module instance ids; empty shows
+// every module. Tracks holding none of those instances are drawn in full,
+// so a following output can keep a subset per track. `display` is an index
+// into the connected screens; null cascades the window over the main one.
+
+const MAIN_OUTPUT_ID = "main";
+const MAX_PROJECTOR_OUTPUTS = 4; // besides Projector 1
+
+const toNullableString = (value) => {
+  const s = typeof value === "string" ? value.trim() : "";
+  return s || null;
+};
+
+const createProjectorOutput = (index = 0) => ({
+  id: `output_${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 6)}`,
+  label: `Output ${index + 2}`,
+  aspectRatio: "default",
+  bgColor: "grey",
+  display: null,
+  setId: null,
+  trackName: null,
+  layers: [],
+});
+
+const normalizeProjectorOutput = (output, index = 0) => {
+  if (!output || typeof output !== "object") return null;
+  const id = toNullableString(output.id);
+  if (!id || id === MAIN_OUTPUT_ID) return null;
+  const display = Number.isInteger(output.display) ? output.display : null;
+  return {
+    id,
+    label: toNullableString(output.label) || `Output ${index + 2}`,
+    aspectRatio: toNullableString(output.aspectRatio) || "default",
+    bgColor: toNullableString(output.bgColor) || "grey",
+    display: display !== null && display >= 0 ? display : null,
+    setId: toNullableString(output.setId),
+    trackName: toNullableString(output.trackName),
+    layers: Array.isArray(output.layers)
+      ? Array.from(new Set(output.layers.map(toNullableString))).filter(
+          Boolean
+        )
+      : [],
+  };
+};
+
+const getProjectorOutputs = (settings) => {
+  const raw = Array.isArray(settings?.outputs) ? settings.outputs : [];
+  const seen = new Set();
+  const outputs = [];
+  raw.forEach((entry) => {
+    const output = normalizeProjectorOutput(entry, outputs.length);
+    if (!output || seen.has(output.id)) return;
+    if (outputs.length >= MAX_PROJECTOR_OUTPUTS) return;
+    seen.add(output.id);
+    outputs.push(output);
+  });
+  return outputs;
+};
+
+// The track as an output with a layer subset draws it
+const filterTrackLayers = (track, layers) => {
+  if (!track || !Array.isArray(layers) || layers.length === 0) return track;
+  const modules = Array.isArray(track.modules) ? track.modules : [];
+  const kept = modules.filter((m) => layers.includes(m?.id));
+  return kept.length > 0 ? { ...track, modules: kept } : track;
+};
+
+module.exports = {
+  MAIN_OUTPUT_ID,
+  MAX_PROJECTOR_OUTPUTS,
+  createProjectorOutput,
+  normalizeProjectorOutput,
+  getProjectorOutputs,
+  filterTrackLayers,
+};
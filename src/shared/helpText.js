@@ -16,7 +16,7 @@ export const HELP_TEXT = {
   autoRefresh:
     "When enabled, the projector automatically refreshes when you make changes in the dashboard (add modules, modify settings, etc.).",
   channelTrigger:
-    "Channels trigger methods on active modules. In Sequencer mode, use the 16-step grid. In External mode, use MIDI notes or OSC addresses.",
+    "Channels trigger methods on active modules. In Sequencer mode, use the step grid. In External mode, use MIDI notes or OSC addresses.",
   midiChannel:
     "This channel slot is what triggers these methods (1-16). The actual trigger mapping is configured in Settings → Configure Mappings.",
   emulateMidiPlayback:
@@ -29,20 +29,64 @@ export const HELP_TEXT = {
     "MIDI message channels used for external triggers. Track Select chooses which MIDI channel activates tracks; Triggers chooses which MIDI channel fires channel slots on the active track.",
   trackTrigger:
     "The identifier that activates this track. For MIDI: use pitch classes (C, F#, etc.) or numbers (0-11). For OSC: use /track/name pattern (e.g., /track/intro).",
+  trackTransition:
+    "How this track replaces the previous one in the projector. Cut swaps as soon as it is ready. Crossfade and Wipe keep the outgoing track running while this one loads, then blend or sweep over it for the set time. Cut on beat holds the outgoing track until this track's first channel trigger, or until the time runs out.",
   trackSlot:
     "Choose a track number. The actual trigger is defined in Settings → Configure Mappings. This allows you to quickly change all your MIDI/OSC mappings globally.",
   addChannel:
     "Add a channel to trigger methods on this track's modules. For MIDI: use pitch classes (C..B). For OSC: use /ch/name or /channel/name pattern (e.g., /ch/bass).",
+  channelRelease:
+    "On Press methods run when the channel is triggered. On Release methods run on MIDI note-off or an OSC value of 0 (e.g. show on press, hide on release) for gate-style control.",
   channelSlot:
     "Choose a channel number (1-12). The actual trigger is defined in Settings → Configure Mappings. This allows consistent channel mapping across all tracks.",
   velocitySensitive:
-    "When enabled, MIDI note velocity affects trigger intensity. When disabled, all triggers use maximum velocity (127).",
+    "When enabled, MIDI note velocity (0-127) drives options with velocity scaling (the drum icon in the method configurator). When disabled, all triggers use maximum velocity (127).",
   oscPort:
     "UDP port for receiving OSC messages. Default: 8000. Configure your OSC sender to match this port. OSC naming: use /track/name for tracks, /ch/name for channels.",
+  remotePort:
+    "Local HTTP + WebSocket port for the Remote API. POST JSON to /input or send it over ws://localhost:<port>. Messages: {type:'track',track:'intro'}, {type:'trigger',channel:3}, {type:'release',channel:3}, {type:'cc',controller:7,value:0.5}.",
+  remoteToken:
+    "Optional shared secret. When set, clients must send it as 'Authorization: Bearer <token>' or as ?token=<token> in the URL. Generate creates a random one.",
+  remoteAllowedOrigins:
+    "Web pages allowed to call the Remote API from a browser, as origins separated by commas (e.g. http://localhost:3000). Requests from any other page are rejected. Scripts and native tools send no origin and aren't affected.",
+  serialDevice:
+    "Serial device (e.g. Arduino) sending one command per line: track:intro selects a track, ch:3:127 triggers channel 3 (velocity 0 releases), cc:7:0.5 sends a 0-1 controller value. Tracks are matched by name, channels by number.",
+  oscOutput:
+    "Mirror nw_wrld state to another app (TouchOSC, lighting desks). Sends /nw/track/active <name> when a track loads, /nw/ch/<n> <velocity> when a channel fires (0 on release) and /nw/step <1-n> as the sequencer advances.",
+  inputSources:
+    "Listen to more than one external source at once, e.g. a MIDI controller for tracks and OSC from another app for channels. Each source uses its own global mappings.",
   sequencerMode:
-    "Choose your signal source. Sequencer (default): program patterns with a 16-step grid. External: connect MIDI/OSC hardware for live performance.",
+    "Choose your signal source. Sequencer (default): program patterns with a step grid (1-64 steps). External: connect MIDI/OSC hardware for live performance.",
   sequencerGrid:
-    "Program 16-step patterns here. Each row is a channel; lit steps trigger the channel on that beat.",
+    "Program patterns here (1-64 steps, set with STEPS under the track; 16 per page). Each row is a channel; lit steps trigger the channel on that beat. The selector at the end of a row gives that channel its own length for polymeters. Alt-click a lit step to cycle its probability (100/75/50/25%), Shift-click to cycle ratchets (1-4 retriggers within the step).",
+  midiImport:
+    "Notes are matched to this track's channels by pitch class through its channel mappings, as live MIDI input is, or by exact note with the legacy table (E7-G8 → ch16-ch1). A recording keeps the file's timing in seconds; a pattern snaps note starts to 16th-note steps.",
+  liveRecording:
+    "REC arms the track. Its take starts on the track's select trigger or its first channel hit, and every channel hit on the track is captured until you stop. Hits add to what is already there; while the track plays back they are stamped at the playhead, so you can overdub. Drag across the rows to select a range to trim or delete, click to move the playhead, and quantize snaps hits to the grid at the sequencer BPM.",
+  midiExport:
+    "Writes the pattern or recording as note clips a DAW can play back into nw_wrld. Each channel uses its mapped note at C3 on the method trigger MIDI channel; the optional track select note sits at C2 on the track selection channel. Polymeter patterns are written until every channel lines up again, with swing and ratchets applied.",
+  videoExport:
+    "Renders the track offline at a fixed frame rate: the pattern or recording drives its channels and macro lanes on a virtual clock, so every frame is drawn in full however slow the machine is. Frames are taken from the module area at the projector window's size and written to exports/ in the project folder, as a PNG sequence or a WebM video (VP8, no audio). Live input is ignored while it runs.",
+  projectorOutputs:
+    "Extra projector windows, each with its own display, aspect ratio and background. An output follows the dashboard's set and track unless you pin them, and ticked layers limit it to those module instances (tracks without any of them are drawn in full). Triggers reach every output; previews and exports stay on Projector 1.",
+  projectionWarp:
+    "Corrects the output for the surface it lands on. Drag the numbered corner pins to where the picture's corners should be (keystone), or turn on a mesh and drag its points to bend the picture before the corners are applied. Soft edges fade each side to black for overlapping projectors, corrected for the projector's gamma. The test grid shows on the output while this is open. Modules are unaware of the warp.",
+  parameterMappings:
+    "Bind MIDI CC knobs and faders to a numeric method option on this track's modules. The controller position (0-127) is scaled into the Min/Max range and the method runs continuously as you move it.",
+  trackMacros:
+    "Macros are named 0-1 controls (up to 8 per track). Each one drives any number of module method options, with its own Min/Max range and response curve. Move a macro with its slider, an assigned MIDI CC, or OSC /macro/<name or number> with a 0-1 value. In sequencer mode each macro gets a step lane; click a step to cycle it through 100, 75, 50, 25 and 0%, then off.",
+  layerCompositing:
+    "How this module mixes with the modules above it in the list, which draw underneath. Pick a blend mode, fade the whole module, or mask it with another module of the track: alpha shows it where the mask draws, luma as bright as the mask is. A mask module is hidden and must draw to a canvas. Channels can change the same settings with the blend, layerOpacity and mask methods.",
+  songMode:
+    "Chain the set's tracks into a song. Each section plays a track's sequencer pattern for a number of bars (seconds are rounded to whole bars at the sequencer BPM), then moves on at the bar line. Loop repeats the sections from one point to another. Tick Song in the footer to play the arrangement; picking a section there jumps to it at the next bar.",
   sequencerBpm:
     "Set the sequencer tempo in BPM. Controls playback speed when using the sequencer.",
+  sequencerClock:
+    "Internal runs the sequencer at the BPM set here. External MIDI Clock follows clock messages from the selected MIDI device (24 PPQN): Start/Continue/Stop drive playback and the tempo is derived from the incoming clock. Network Tempo Sync shares tempo and bar phase with other nw_wrld instances on the local network; one instance leads and the rest follow.",
+  audioInput:
+    "Audio input to analyse. Choosing a file loops it through the speakers and analyses it instead of the device, which is handy for tuning thresholds.",
+  audioBands:
+    "Each band fires its channel when the level in its frequency range rises through the threshold, and releases once it drops below the threshold minus the release hysteresis. A CC number also sends the band level as a 0-1 controller.",
+  tempoSyncPort:
+    "UDP port of the network tempo session. Instances using the same port join the same session.",
 };
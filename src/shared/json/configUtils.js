@@ -1,4 +1,8 @@
-import { loadJsonFile, loadJsonFileSync } from "./jsonFileBase.js";
+import {
+  loadJsonFile,
+  loadJsonFileSync,
+  saveJsonFile,
+} from "./jsonFileBase.js";
 
 const DEFAULT_SETTINGS = {
   aspectRatios: [
@@ -29,6 +33,7 @@ const DEFAULT_SETTINGS = {
   ],
   backgroundColors: [{ id: "grey", label: "Grey", value: "#151715" }],
   autoRefresh: false,
+  outputs: [],
 };
 
 export const loadSettings = () =>
@@ -44,3 +49,5 @@ export const loadSettingsSync = () =>
     DEFAULT_SETTINGS,
     "Error loading config.json:"
   );
+
+export const saveSettings = (settings) => saveJsonFile("config.json", settings);
@@ -44,6 +44,71 @@ export const setSequencerForTrack = (recordings, trackId, sequencer) => {
   };
 };
 
+// { file, duration }: file is relative to the project's assets folder,
+// duration is in seconds
+export const getAudioForTrack = (recordings, trackId) => {
+  return recordings[trackId]?.audio || null;
+};
+
+export const setAudioForTrack = (recordings, trackId, audio) => {
+  const { audio: _previous, ...rest } = recordings[trackId] || {};
+  return {
+    ...recordings,
+    [trackId]: audio ? { ...rest, audio } : rest,
+  };
+};
+
+// Length of the track timeline in seconds: the audio file when one is
+// attached, otherwise at least a minute
+export const getRecordingDuration = (recording) => {
+  const eventEnds = (recording?.channels || []).flatMap((ch) =>
+    (ch.sequences || []).map((seq) => seq.time + (seq.duration || 0))
+  );
+  const audioDuration = recording?.audio?.duration;
+  const minimum =
+    typeof audioDuration === "number" && audioDuration > 0
+      ? audioDuration
+      : 60;
+  return Math.max(minimum, ...eventEnds);
+};
+
+// Editing helpers for recorded channels ([{ name, sequences: [{ time,
+// duration }] }]). Channels left without hits are dropped.
+const mapRecordingSequences = (channels, mapSequences) =>
+  (channels || [])
+    .map((ch) => ({ ...ch, sequences: mapSequences(ch.sequences || []) }))
+    .filter((ch) => ch.sequences.length > 0);
+
+export const countRecordingHits = (channels) =>
+  (channels || []).reduce((n, ch) => n + (ch.sequences || []).length, 0);
+
+// Snaps hits to the nearest multiple of `gridSeconds`; hits that land on the
+// same grid point in a channel merge into one
+export const quantizeRecordingChannels = (channels, gridSeconds) =>
+  mapRecordingSequences(channels, (sequences) => {
+    const byTime = new Map();
+    sequences.forEach((seq) => {
+      const time =
+        Math.round(Math.round(seq.time / gridSeconds) * gridSeconds * 1000) /
+        1000;
+      if (!byTime.has(time)) byTime.set(time, { ...seq, time });
+    });
+    return [...byTime.values()].sort((a, b) => a.time - b.time);
+  });
+
+// Keeps hits between `start` and `end` seconds, moved back by `offset`
+export const trimRecordingChannels = (channels, start, end, offset = 0) =>
+  mapRecordingSequences(channels, (sequences) =>
+    sequences
+      .filter((seq) => seq.time >= start && seq.time <= end)
+      .map((seq) => ({ ...seq, time: seq.time - offset }))
+  );
+
+export const removeRecordingRange = (channels, start, end) =>
+  mapRecordingSequences(channels, (sequences) =>
+    sequences.filter((seq) => seq.time < start || seq.time > end)
+  );
+
 export const deleteRecordingsForTracks = (recordings, trackIds) => {
   const updated = { ...recordings };
   trackIds.forEach((trackId) => {
@@ -0,0 +1,184 @@
+// Standard MIDI File export: sequencer patterns and recordings become note
+// clips that drive the same visuals when played back from a DAW
+import { Midi } from "@tonejs/midi";
+import {
+  NOTE_TO_CHANNEL,
+  noteNameToNumber,
+  parsePitchClass,
+  resolveChannelTrigger,
+  resolveTrackTrigger,
+} from "./midiUtils.js";
+import {
+  getChannelLength,
+  getPatternLength,
+} from "../sequencer/patternLength.js";
+import {
+  SEQUENCER_RESOLUTIONS,
+  getChannelSteps,
+  getResolution,
+  getSwing,
+} from "../sequencer/patternSteps.js";
+
+const EXPORT_PPQ = 480;
+// Live input matches pitch classes in any octave; exports use C3 (MIDI 60)
+// for channels and C2 for the track select note
+const CHANNEL_OCTAVE_BASE = 60;
+const TRACK_OCTAVE_BASE = 48;
+const EXPORT_VELOCITY = 100 / 127;
+// Longest clip written for polymeters that take a long time to realign
+const MAX_EXPORT_STEPS = 1024;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Note number that fires `channelNumber` on the track: its MIDI channel
+// trigger, falling back to the legacy CHANNEL_NOTES table
+export const getChannelExportNote = (track, channelNumber, globalMappings) => {
+  const slotOrTrigger = track?.channelMappings?.[channelNumber];
+  const trigger =
+    typeof slotOrTrigger === "number"
+      ? resolveChannelTrigger(slotOrTrigger, "midi", globalMappings)
+      : slotOrTrigger;
+  const pc = parsePitchClass(trigger);
+  if (pc !== null) return CHANNEL_OCTAVE_BASE + pc;
+  return noteNameToNumber(NOTE_TO_CHANNEL[`ch${channelNumber}`] || "");
+};
+
+export const getTrackExportNote = (track, globalMappings) => {
+  const trigger = resolveTrackTrigger(track, "midi", globalMappings);
+  const pc = parsePitchClass(trigger);
+  return pc === null ? null : TRACK_OCTAVE_BASE + pc;
+};
+
+// One cycle of every channel length, so the exported clip loops cleanly
+export const getPatternExportSteps = (sequencer) => {
+  const lengths = Object.keys(sequencer?.pattern || {}).map((key) =>
+    getChannelLength(sequencer, key)
+  );
+  const cycle = lengths.reduce(
+    (acc, n) => (acc * n) / gcd(acc, n),
+    getPatternLength(sequencer)
+  );
+  return Math.min(cycle, MAX_EXPORT_STEPS);
+};
+
+const createExportMidi = ({
+  track,
+  globalMappings,
+  inputConfig,
+  bpm,
+  includeTrackSelect,
+}) => {
+  const midi = new Midi();
+  midi.header.setTempo(bpm);
+  midi.header.name = track?.name || "nw_wrld";
+
+  const trackNote = getTrackExportNote(track, globalMappings);
+  if (trackNote !== null && includeTrackSelect) {
+    const selectTrack = midi.addTrack();
+    selectTrack.name = `${track.name} (track select)`;
+    selectTrack.channel = (inputConfig?.trackSelectionChannel || 1) - 1;
+    selectTrack.addNote({
+      midi: trackNote,
+      ticks: 0,
+      durationTicks: EXPORT_PPQ / 4,
+      velocity: EXPORT_VELOCITY,
+    });
+  }
+
+  const channelTrack = midi.addTrack();
+  channelTrack.name = track?.name || "channels";
+  channelTrack.channel = (inputConfig?.methodTriggerChannel || 2) - 1;
+  return { midi, channelTrack };
+};
+
+// Ratchets become evenly spaced notes and swing shifts every second step;
+// probabilities cannot be expressed in a clip, so every step is written
+export const patternToMidi = ({
+  track,
+  sequencer,
+  globalMappings,
+  inputConfig,
+  bpm = 120,
+  includeTrackSelect = true,
+}) => {
+  const { midi, channelTrack } = createExportMidi({
+    track,
+    globalMappings,
+    inputConfig,
+    bpm,
+    includeTrackSelect,
+  });
+  const resolution = getResolution(sequencer);
+  const stepTicks =
+    EXPORT_PPQ * SEQUENCER_RESOLUTIONS.find((r) => r.id === resolution).beats;
+  const swingTicks = (getSwing(sequencer) / 100) * (stepTicks / 2);
+  const totalSteps = getPatternExportSteps(sequencer);
+  let skipped = 0;
+
+  Object.keys(sequencer?.pattern || {}).forEach((channelKey) => {
+    const note = getChannelExportNote(track, channelKey, globalMappings);
+    const steps = getChannelSteps(sequencer.pattern, channelKey);
+    if (note === null) {
+      skipped += steps.length;
+      return;
+    }
+    const channelLength = getChannelLength(sequencer, channelKey);
+    for (let stepCount = 0; stepCount < totalSteps; stepCount++) {
+      const step = steps.find((s) => s.step === stepCount % channelLength);
+      if (!step) continue;
+      const start = stepCount * stepTicks + (stepCount % 2 ? swingTicks : 0);
+      const hitTicks = stepTicks / step.ratchet;
+      for (let i = 0; i < step.ratchet; i++) {
+        channelTrack.addNote({
+          midi: note,
+          ticks: Math.round(start + i * hitTicks),
+          durationTicks: Math.max(1, Math.round(hitTicks / 2)),
+          velocity: EXPORT_VELOCITY,
+        });
+      }
+    }
+  });
+
+  return { midi, steps: totalSteps, skipped };
+};
+
+// Recording times are seconds from the start of the track
+export const recordingToMidi = ({
+  track,
+  recording,
+  globalMappings,
+  inputConfig,
+  bpm = 120,
+  includeTrackSelect = true,
+}) => {
+  const { midi, channelTrack } = createExportMidi({
+    track,
+    globalMappings,
+    inputConfig,
+    bpm,
+    includeTrackSelect,
+  });
+  let skipped = 0;
+
+  (recording?.channels || []).forEach((channel) => {
+    const channelNumber = String(channel.name).replace(/^ch/, "");
+    const note = getChannelExportNote(track, channelNumber, globalMappings);
+    const sequences = channel.sequences || [];
+    if (note === null) {
+      skipped += sequences.length;
+      return;
+    }
+    sequences.forEach((sequence) => {
+      channelTrack.addNote({
+        midi: note,
+        time: sequence.time,
+        duration: Math.max(0.01, sequence.duration || 0.1),
+        velocity: EXPORT_VELOCITY,
+      });
+    });
+  });
+
+  return { midi, skipped };
+};
+
+export const midiToBytes = (midi) => midi.toArray();
@@ -0,0 +1,128 @@
+// Standard MIDI File import: turns notes into track recordings (timed, in
+// seconds) or sequencer patterns (quantized to 16th-note steps)
+import { Midi } from "@tonejs/midi";
+import {
+  buildChannelNotesMap,
+  buildMidiConfig,
+  noteNumberToPitchClass,
+} from "./midiUtils.js";
+import { clampPatternLength } from "../sequencer/patternLength.js";
+
+export const MIDI_NOTE_MAPPINGS = [
+  { id: "track", label: "Track channel mappings (pitch class)" },
+  { id: "legacy", label: "Legacy note table (E7-G8 → ch16-ch1)" },
+];
+
+// Throws on files that are not Standard MIDI Files
+export const parseMidiFile = (arrayBuffer) => new Midi(arrayBuffer);
+
+export const getMidiFileSummary = (midi) => ({
+  bpm: Math.round(midi.header.tempos[0]?.bpm || 120),
+  duration: midi.duration,
+  tracks: midi.tracks
+    .map((t, index) => ({
+      index,
+      name: t.name || `Track ${index + 1}`,
+      noteCount: t.notes.length,
+    }))
+    .filter((t) => t.noteCount > 0),
+});
+
+// Returns noteNumber -> channel numbers ("1", "2", ...) on the track.
+// "track" matches pitch classes the way live MIDI input does; "legacy" uses
+// the fixed CHANNEL_NOTES octave table.
+export const buildNoteChannelResolver = (track, globalMappings, mapping) => {
+  const trackChannels = new Set(Object.keys(track?.channelMappings || {}));
+
+  if (mapping === "legacy") {
+    const notesMap = buildChannelNotesMap();
+    return (noteNumber) => {
+      const channel = notesMap[noteNumber]?.replace(/^ch/, "");
+      return channel && trackChannels.has(channel) ? [channel] : [];
+    };
+  }
+
+  const { channelMappings } = buildMidiConfig(
+    [track],
+    globalMappings,
+    "midi"
+  );
+  const byPitchClass = channelMappings[track?.name] || {};
+  return (noteNumber) =>
+    (byPitchClass[noteNumberToPitchClass(noteNumber)] || []).filter((ch) =>
+      trackChannels.has(String(ch))
+    );
+};
+
+// trackIndex null merges every track in the file
+const collectNotes = (midi, trackIndex) =>
+  (trackIndex === null ? midi.tracks : [midi.tracks[trackIndex]])
+    .filter(Boolean)
+    .flatMap((t) => t.notes);
+
+export const midiToRecordingChannels = (
+  midi,
+  resolveChannels,
+  trackIndex = null
+) => {
+  const sequencesByChannel = {};
+  let unmatched = 0;
+
+  collectNotes(midi, trackIndex).forEach((note) => {
+    const channels = resolveChannels(note.midi);
+    if (channels.length === 0) {
+      unmatched += 1;
+      return;
+    }
+    channels.forEach((channel) => {
+      if (!sequencesByChannel[channel]) sequencesByChannel[channel] = [];
+      sequencesByChannel[channel].push({
+        time: note.time,
+        duration: Math.max(0.01, note.duration),
+      });
+    });
+  });
+
+  const channels = Object.keys(sequencesByChannel)
+    .sort((a, b) => Number(a) - Number(b))
+    .map((channel) => ({
+      name: `ch${channel}`,
+      sequences: sequencesByChannel[channel].sort((a, b) => a.time - b.time),
+    }));
+  return { channels, unmatched };
+};
+
+export const midiToPattern = (
+  midi,
+  resolveChannels,
+  { trackIndex = null, length } = {}
+) => {
+  const patternLength = clampPatternLength(length);
+  const ticksPerStep = midi.header.ppq / 4;
+  const pattern = {};
+  let unmatched = 0;
+  let outside = 0;
+
+  collectNotes(midi, trackIndex).forEach((note) => {
+    const channels = resolveChannels(note.midi);
+    if (channels.length === 0) {
+      unmatched += 1;
+      return;
+    }
+    const step = Math.round(note.ticks / ticksPerStep);
+    if (step >= patternLength) {
+      outside += 1;
+      return;
+    }
+    channels.forEach((channel) => {
+      if (!pattern[channel]) pattern[channel] = [];
+      if (pattern[channel].some((s) => s.step === step)) return;
+      pattern[channel].push({ step, probability: 1, ratchet: 1 });
+    });
+  });
+
+  Object.values(pattern).forEach((steps) =>
+    steps.sort((a, b) => a.step - b.step)
+  );
+  return { pattern, length: patternLength, unmatched, outside };
+};
@@ -8,15 +8,16 @@ class MidiPlayback {
     this.pausedTime = 0;
     this.scheduledEvents = [];
     this.channels = [];
-    this.bpm = 120;
     this.onNoteCallback = null;
     this.onStopCallback = null;
   }
 
-  load(channels, bpm = 120) {
-    this.channels = channels;
-    this.bpm = bpm;
-    this.reset();
+  // `channels` use the recording shape: [{ name, midi, sequences: [{ time }] }]
+  // with times in seconds from the start of the recording. Reloading keeps
+  // the playback position.
+  load(channels) {
+    this.channels = channels || [];
+    if (this.isPlaying) this.scheduleAllNotes();
   }
 
   setOnNoteCallback(callback) {
@@ -34,6 +35,7 @@ class MidiPlayback {
 
   play() {
     if (this.isPlaying) return;
+    if (this.pausedTime >= this.getDuration()) this.pausedTime = 0;
 
     this.isPlaying = true;
     this.startTime = Date.now() - this.pausedTime;
@@ -60,6 +62,16 @@ class MidiPlayback {
     }
   }
 
+  seek(ms) {
+    const clamped = Math.max(0, Math.min(ms, this.getDuration()));
+    if (!this.isPlaying) {
+      this.pausedTime = clamped;
+      return;
+    }
+    this.startTime = Date.now() - clamped;
+    this.scheduleAllNotes();
+  }
+
   clearScheduledEvents() {
     this.scheduledEvents.forEach((timeoutId) => clearTimeout(timeoutId));
     this.scheduledEvents = [];
@@ -68,15 +80,13 @@ class MidiPlayback {
   scheduleAllNotes() {
     this.clearScheduledEvents();
 
-    const beatsPerSecond = this.bpm / 60;
+    const offset = this.getCurrentTime();
 
     this.channels.forEach((channel) => {
       channel.sequences.forEach((sequence) => {
-        const timeInSeconds = sequence.time / beatsPerSecond;
-        const timeInMs = timeInSeconds * 1000;
-        const delayFromNow = timeInMs - this.pausedTime;
+        const delayFromNow = sequence.time * 1000 - offset;
 
-        if (delayFromNow > 0) {
+        if (delayFromNow >= 0) {
           const timeoutId = setTimeout(() => {
             if (this.isPlaying && this.onNoteCallback) {
               this.onNoteCallback(channel.name, channel.midi);
@@ -88,21 +98,22 @@ class MidiPlayback {
       });
     });
 
-    const maxTime = Math.max(
+    const remainingTime = this.getDuration() - offset;
+    const stopTimeoutId = setTimeout(() => {
+      this.stop();
+    }, Math.max(0, remainingTime) + 100);
+
+    this.scheduledEvents.push(stopTimeoutId);
+  }
+
+  // ms, up to the last event
+  getDuration() {
+    return Math.max(
       ...this.channels.flatMap((ch) =>
-        ch.sequences.map((seq) => (seq.time / beatsPerSecond) * 1000)
+        ch.sequences.map((seq) => seq.time * 1000)
       ),
       0
     );
-
-    if (maxTime > this.pausedTime) {
-      const remainingTime = maxTime - this.pausedTime;
-      const stopTimeoutId = setTimeout(() => {
-        this.stop();
-      }, remainingTime + 100);
-
-      this.scheduledEvents.push(stopTimeoutId);
-    }
   }
 
   getCurrentTime() {
@@ -115,13 +126,7 @@ class MidiPlayback {
   getProgress() {
     if (this.channels.length === 0) return 0;
 
-    const beatsPerSecond = this.bpm / 60;
-    const maxTime = Math.max(
-      ...this.channels.flatMap((ch) =>
-        ch.sequences.map((seq) => (seq.time / beatsPerSecond) * 1000)
-      ),
-      1
-    );
+    const maxTime = Math.max(this.getDuration(), 1);
 
     return Math.min((this.getCurrentTime() / maxTime) * 100, 100);
   }
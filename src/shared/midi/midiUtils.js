@@ -1,4 +1,5 @@
 // Shared MIDI utilities
+import { isDirectInputSource } from "../config/inputSources.js";
 
 export const MIDI_INPUT_NAME = "IAC Driver Bus 1";
 
@@ -190,6 +191,20 @@ export function buildMidiConfig(
     return config;
   }
 
+  // Direct sources (remote, serial, audio) address tracks by name and
+  // channels by number
+  if (isDirectInputSource(currentInputType)) {
+    userData.forEach((track) => {
+      if (!track?.name) return;
+      config.trackTriggersMap[track.name] = track.name;
+      config.channelMappings[track.name] = {};
+      Object.keys(track.channelMappings || {}).forEach((channelNumber) => {
+        config.channelMappings[track.name][channelNumber] = [channelNumber];
+      });
+    });
+    return config;
+  }
+
   userData.forEach((track) => {
     const trackTrigger = resolveTrackTrigger(
       track,
@@ -1,33 +1,101 @@
 import * as Tone from "tone";
+import { getChannelLength, getPatternLength } from "./patternLength.js";
+import {
+  SEQUENCER_RESOLUTIONS,
+  getChannelSteps,
+  getMacroLaneSteps,
+  getResolution,
+  getSwing,
+} from "./patternSteps.js";
 
 class SequencerPlayback {
   constructor() {
     this.isPlaying = false;
-    this.currentStep = 0;
+    this.stepCount = 0; // steps since play; channels wrap at their own length
+    this.patternStartStep = 0; // step the current pattern restarted on
     this.pattern = {};
+    this.channelLengths = {};
+    this.macroSteps = {};
     this.bpm = 120;
     this.onStepCallback = null;
+    this.onBeforeStepCallback = null;
+    this.onMacroCallback = null;
     this.totalSteps = 16;
+    this.resolution = "16n";
+    this.swing = 0;
     this.transportEventId = null;
     this.runId = 0;
+    this.clockSource = "internal";
+    this.lastExternalStepAt = null;
+    this.externalStepMs = null;
   }
 
-  load(pattern, bpm = 120) {
+  // `sequencer` is the track's stored sequencer data: `length` and optional
+  // `channelLengths` (polymeters), `swing` and step `resolution`
+  load(pattern, bpm = 120, sequencer = {}) {
+    const previousResolution = this.resolution;
     this.pattern = pattern || {};
     this.bpm = bpm;
+    this.totalSteps = getPatternLength(sequencer);
+    this.channelLengths = sequencer?.channelLengths || {};
+    this.macroSteps = Object.fromEntries(
+      Object.keys(sequencer?.macroSteps || {}).map((macroId) => [
+        macroId,
+        getMacroLaneSteps(sequencer, macroId),
+      ])
+    );
+    this.resolution = getResolution(sequencer);
+    this.swing = getSwing(sequencer);
+
+    if (
+      this.isPlaying &&
+      this.clockSource === "internal" &&
+      this.resolution !== previousResolution
+    ) {
+      this.scheduleTransport();
+    }
   }
 
   setOnStepCallback(callback) {
     this.onStepCallback = callback;
   }
 
+  // Runs before each step is played with (stepCount, time), so a caller such
+  // as SongPlayback can load the next pattern in time. Returning false
+  // silences the step.
+  setOnBeforeStepCallback(callback) {
+    this.onBeforeStepCallback = callback;
+  }
+
+  // (values, time, runId) with { macroId: 0-1 } for macro lanes set on a step
+  setOnMacroCallback(callback) {
+    this.onMacroCallback = callback;
+  }
+
+  // The loaded pattern plays from its first step on `stepCount`
+  restartPattern(stepCount) {
+    this.patternStartStep = stepCount;
+  }
+
   getRunId() {
     return this.runId;
   }
 
+  // "external" hands step advancement to advanceTo() (e.g. MIDI clock)
+  setClockSource(source) {
+    const next = source === "external" ? "external" : "internal";
+    if (next === this.clockSource) return;
+    const wasPlaying = this.isPlaying;
+    if (wasPlaying) this.stop();
+    this.clockSource = next;
+    if (wasPlaying) this.play();
+  }
+
   setBpm(bpm) {
     this.bpm = bpm;
-    if (this.isPlaying) Tone.Transport.bpm.value = this.bpm;
+    if (this.isPlaying && this.clockSource === "internal") {
+      Tone.Transport.bpm.value = this.bpm;
+    }
   }
 
   play() {
@@ -35,25 +103,34 @@ class SequencerPlayback {
 
     this.isPlaying = true;
     this.runId += 1;
+    this.stepCount = 0;
+    this.patternStartStep = 0;
+
+    if (this.clockSource === "external") {
+      this.lastExternalStepAt = null;
+      this.externalStepMs = null;
+      return;
+    }
+
     Tone.Transport.bpm.value = this.bpm;
+    Tone.Transport.stop();
+    Tone.Transport.position = 0;
+    this.scheduleTransport();
+    Tone.Transport.start();
+  }
 
+  scheduleTransport() {
     if (this.transportEventId !== null) {
       Tone.Transport.clear(this.transportEventId);
       this.transportEventId = null;
     }
 
-    this.currentStep = 0;
-    Tone.Transport.stop();
-    Tone.Transport.position = 0;
-
     const scheduledRunId = this.runId;
     this.transportEventId = Tone.Transport.scheduleRepeat((time) => {
       if (!this.isPlaying) return;
       if (scheduledRunId !== this.runId) return;
       this.tick(time, scheduledRunId);
-    }, "16n");
-
-    Tone.Transport.start();
+    }, this.resolution);
   }
 
   tick(time, runId) {
@@ -61,16 +138,132 @@ class SequencerPlayback {
     if (!this.isPlaying) return;
     if (runId !== this.runId) return;
 
-    const stepIndex = this.currentStep;
-    const channelsToTrigger = [];
-    Object.entries(this.pattern).forEach(([channelName, steps]) => {
-      if (Array.isArray(steps) && steps.includes(stepIndex)) {
-        channelsToTrigger.push(channelName);
+    const absoluteStep = this.stepCount;
+    if (
+      this.onBeforeStepCallback &&
+      this.onBeforeStepCallback(absoluteStep, time) === false
+    ) {
+      this.stepCount = absoluteStep + 1;
+      return;
+    }
+
+    const stepCount = Math.max(0, absoluteStep - this.patternStartStep);
+    const stepIndex = stepCount % this.totalSteps;
+    const lengths = {
+      length: this.totalSteps,
+      channelLengths: this.channelLengths,
+    };
+    const hits = [];
+    Object.keys(this.pattern).forEach((channelName) => {
+      const channelStep = stepCount % getChannelLength(lengths, channelName);
+      const step = getChannelSteps(this.pattern, channelName).find(
+        (s) => s.step === channelStep
+      );
+      if (!step) return;
+      if (step.probability < 1 && Math.random() >= step.probability) return;
+      hits.push({ channelName, ratchet: step.ratchet });
+    });
+    this.stepCount = absoluteStep + 1;
+
+    // Swing delays every second step by up to half a step
+    const stepSeconds = this.getStepSeconds();
+    const swingSeconds =
+      stepCount % 2 === 1 ? (this.swing / 100) * (stepSeconds / 2) : 0;
+
+    // Macros land before the step's triggers so those see the new values
+    const macroValues = {};
+    Object.entries(this.macroSteps).forEach(([macroId, steps]) => {
+      const step = steps.find((s) => s.step === stepIndex);
+      if (step) macroValues[macroId] = step.value;
+    });
+    if (this.onMacroCallback && Object.keys(macroValues).length > 0) {
+      this.onMacroCallback(macroValues, time, runId);
+    }
+
+    this.emit(
+      stepIndex,
+      hits.map((hit) => hit.channelName),
+      time,
+      swingSeconds,
+      runId,
+      stepCount,
+      false
+    );
+
+    // Ratchets retrigger a channel evenly within its step
+    hits.forEach(({ channelName, ratchet }) => {
+      for (let i = 1; i < ratchet; i++) {
+        this.emit(
+          stepIndex,
+          [channelName],
+          time,
+          swingSeconds + (i * stepSeconds) / ratchet,
+          runId,
+          stepCount,
+          true
+        );
       }
     });
+  }
+
+  // Internal clock passes Transport time, so offsets are scheduled ahead on
+  // the audio clock; external clocks have no lookahead and use timers
+  emit(stepIndex, channels, time, offsetSeconds, runId, stepCount, isRatchet) {
+    const hasScheduledTime = typeof time === "number" && Number.isFinite(time);
+    if (hasScheduledTime || offsetSeconds <= 0) {
+      this.onStepCallback(
+        stepIndex,
+        channels,
+        hasScheduledTime ? time + offsetSeconds : time,
+        runId,
+        stepCount,
+        isRatchet
+      );
+      return;
+    }
+    setTimeout(() => {
+      if (!this.isPlaying || runId !== this.runId) return;
+      this.onStepCallback(
+        stepIndex,
+        channels,
+        undefined,
+        runId,
+        stepCount,
+        isRatchet
+      );
+    }, offsetSeconds * 1000);
+  }
+
+  getStepsPerBar() {
+    if (this.clockSource === "external") return 16;
+    const { beats } = SEQUENCER_RESOLUTIONS.find(
+      (r) => r.id === this.resolution
+    );
+    return Math.round(4 / beats);
+  }
 
-    this.onStepCallback(stepIndex, channelsToTrigger, time, runId);
-    this.currentStep = (stepIndex + 1) % this.totalSteps;
+  getStepSeconds() {
+    if (this.clockSource === "external") {
+      // Until two clock steps have arrived, a 16th at the track tempo
+      if (this.externalStepMs) return this.externalStepMs / 1000;
+      return 60 / Math.max(1, this.bpm || 120) / 4;
+    }
+    return Tone.Time(this.resolution).toSeconds();
+  }
+
+  // External clock positions are absolute, so polymeters stay in phase.
+  // They always count 16ths; resolution applies to the internal clock only.
+  advanceTo(position) {
+    if (!this.isPlaying || this.clockSource !== "external") return;
+    if (!Number.isFinite(position)) return;
+    const now = performance.now();
+    if (this.lastExternalStepAt !== null) {
+      const elapsed = now - this.lastExternalStepAt;
+      if (elapsed > 0 && elapsed < 2000) this.externalStepMs = elapsed;
+    }
+    this.lastExternalStepAt = now;
+    this.stepCount = Math.max(0, Math.trunc(position));
+    this.tick(undefined, this.runId);
   }
 
   pause() {
@@ -87,11 +280,12 @@ class SequencerPlayback {
 
   stop() {
     this.pause();
-    this.currentStep = 0;
+    this.stepCount = 0;
   }
 
   getCurrentStep() {
-    return this.currentStep;
+    const stepCount = Math.max(0, this.stepCount - this.patternStartStep);
+    return stepCount % this.totalSteps;
   }
 }
 
@@ -0,0 +1,141 @@
+import { getNextSectionIndex, getSectionBars } from "./arrangement.js";
+
+// Song mode on top of SequencerPlayback: counts bars on the sequencer's
+// steps and, at bar boundaries, moves through the set's arrangement.
+// The host loads each section's pattern in onSectionCallback.
+class SongPlayback {
+  constructor(sequencer) {
+    this.sequencer = sequencer;
+    this.arrangement = { sections: [], loop: false, loopStart: 0, loopEnd: 0 };
+    this.bpm = 120;
+    this.index = null;
+    this.startIndex = 0;
+    this.pendingIndex = null;
+    this.sectionStartStep = 0;
+    this.sectionBars = 0;
+    this.bar = 0;
+    this.isFinished = false;
+    this.onSectionCallback = null;
+    this.onBarCallback = null;
+    this.onEndCallback = null;
+  }
+
+  // `arrangement` is resolved by getArrangement()
+  load(arrangement, bpm = 120) {
+    this.arrangement = arrangement;
+    this.bpm = bpm;
+    // The playing section was removed: carry on from the top
+    if (this.index !== null && this.index >= arrangement.sections.length) {
+      this.pendingIndex = arrangement.sections.length > 0 ? 0 : null;
+    }
+  }
+
+  setBpm(bpm) {
+    this.bpm = bpm;
+  }
+
+  // (index, section, time): must load the section's pattern synchronously
+  setOnSectionCallback(callback) {
+    this.onSectionCallback = callback;
+  }
+
+  // ({ index, bar, bars, pendingIndex }, time) at the start of every bar
+  setOnBarCallback(callback) {
+    this.onBarCallback = callback;
+  }
+
+  setOnEndCallback(callback) {
+    this.onEndCallback = callback;
+  }
+
+  // Takes over the sequencer's step hook until detach()
+  attach(startIndex = this.startIndex) {
+    this.index = null;
+    this.startIndex = startIndex;
+    this.pendingIndex = null;
+    this.isFinished = false;
+    this.sequencer.setOnBeforeStepCallback((stepCount, time) =>
+      this.handleStep(stepCount, time)
+    );
+  }
+
+  detach() {
+    this.sequencer.setOnBeforeStepCallback(null);
+    this.index = null;
+    this.pendingIndex = null;
+  }
+
+  // Queued until the next bar boundary while playing
+  jumpTo(index) {
+    if (index < 0 || index >= this.arrangement.sections.length) return;
+    if (this.index === null) {
+      this.startIndex = index;
+      return;
+    }
+    this.pendingIndex = index;
+    this.emitBar();
+  }
+
+  handleStep(stepCount, time) {
+    if (this.isFinished) return false;
+    if (this.arrangement.sections.length === 0) return true;
+
+    if (this.index === null) {
+      return this.enterSection(
+        Math.min(this.startIndex, this.arrangement.sections.length - 1),
+        stepCount,
+        time
+      );
+    }
+
+    const stepsPerBar = this.sequencer.getStepsPerBar();
+    const sectionStep = stepCount - this.sectionStartStep;
+    if (sectionStep % stepsPerBar !== 0) return true;
+
+    const bar = Math.floor(sectionStep / stepsPerBar);
+    if (this.pendingIndex !== null) {
+      const next = this.pendingIndex;
+      this.pendingIndex = null;
+      return this.enterSection(next, stepCount, time);
+    }
+    if (bar >= this.sectionBars) {
+      const next = getNextSectionIndex(this.arrangement, this.index);
+      if (next === null) {
+        this.isFinished = true;
+        if (this.onEndCallback) this.onEndCallback(time);
+        return false;
+      }
+      return this.enterSection(next, stepCount, time);
+    }
+    this.bar = bar;
+    this.emitBar(time);
+    return true;
+  }
+
+  enterSection(index, stepCount, time) {
+    const section = this.arrangement.sections[index];
+    this.index = index;
+    this.sectionStartStep = stepCount;
+    this.sectionBars = getSectionBars(section, this.bpm);
+    this.bar = 0;
+    if (this.onSectionCallback) this.onSectionCallback(index, section, time);
+    this.sequencer.restartPattern(stepCount);
+    this.emitBar(time);
+    return true;
+  }
+
+  emitBar(time) {
+    if (!this.onBarCallback || this.index === null) return;
+    this.onBarCallback(
+      {
+        index: this.index,
+        bar: this.bar + 1,
+        bars: this.sectionBars,
+        pendingIndex: this.pendingIndex,
+      },
+      time
+    );
+  }
+}
+
+export default SongPlayback;
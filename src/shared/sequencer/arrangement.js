@@ -0,0 +1,76 @@
+// Set-level song arrangement: an ordered list of sections, each playing one
+// track's sequencer pattern for a number of bars (or seconds, rounded to
+// bars), with optional loop points.
+//
+// set.arrangement = {
+//   sections: [{ id, trackId, bars } | { id, trackId, seconds }],
+//   loop: boolean, loopStart: sectionId, loopEnd: sectionId
+// }
+
+export const SECTION_LENGTH_UNITS = [
+  { id: "bars", label: "Bars" },
+  { id: "seconds", label: "Seconds" },
+];
+export const DEFAULT_SECTION_BARS = 4;
+export const MAX_SECTION_BARS = 256;
+export const MAX_SECTION_SECONDS = 3600;
+
+const clampInt = (value, min, max, fallback) => {
+  const n = typeof value === "number" ? value : parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.trunc(n)));
+};
+
+// Sections whose track was deleted are skipped; loop points resolve to
+// indexes into the remaining sections
+export const getArrangement = (set) => {
+  const arrangement = set?.arrangement || {};
+  const trackIds = new Set((set?.tracks || []).map((t) => t.id));
+  const sections = (
+    Array.isArray(arrangement.sections) ? arrangement.sections : []
+  ).filter((section) => trackIds.has(section.trackId));
+  const indexOf = (id, fallback) => {
+    const index = sections.findIndex((section) => section.id === id);
+    return index === -1 ? fallback : index;
+  };
+  const loopStart = indexOf(arrangement.loopStart, 0);
+  return {
+    sections,
+    loop: Boolean(arrangement.loop) && sections.length > 0,
+    loopStart,
+    loopEnd: Math.max(
+      loopStart,
+      indexOf(arrangement.loopEnd, sections.length - 1)
+    ),
+  };
+};
+
+export const getSectionUnit = (section) =>
+  typeof section?.seconds === "number" ? "seconds" : "bars";
+
+// A 4/4 bar is four beats at the sequencer BPM
+export const getBarSeconds = (bpm) => (4 * 60) / (bpm > 0 ? bpm : 120);
+
+// Durations are rounded to whole bars so sections change on bar boundaries
+export const getSectionBars = (section, bpm) => {
+  if (getSectionUnit(section) === "seconds") {
+    const seconds = clampInt(section.seconds, 1, MAX_SECTION_SECONDS, 1);
+    return Math.max(1, Math.round(seconds / getBarSeconds(bpm)));
+  }
+  return clampInt(section?.bars, 1, MAX_SECTION_BARS, DEFAULT_SECTION_BARS);
+};
+
+// Where playback goes after `index`: back to the loop start at the loop
+// end, otherwise the next section; null once the song is over
+export const getNextSectionIndex = (arrangement, index) => {
+  if (arrangement.loop && index === arrangement.loopEnd) {
+    return arrangement.loopStart;
+  }
+  return index + 1 < arrangement.sections.length ? index + 1 : null;
+};
+
+export const createSection = (trackId) => ({
+  id: `section_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  trackId,
+  bars: DEFAULT_SECTION_BARS,
+});
@@ -0,0 +1,36 @@
+export const MIN_PATTERN_STEPS = 1;
+export const MAX_PATTERN_STEPS = 64;
+export const DEFAULT_PATTERN_STEPS = 16;
+export const STEPS_PER_PAGE = 16;
+
+export const clampPatternLength = (value, fallback = DEFAULT_PATTERN_STEPS) => {
+  const n = typeof value === "number" ? value : parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(
+    MIN_PATTERN_STEPS,
+    Math.min(MAX_PATTERN_STEPS, Math.trunc(n))
+  );
+};
+
+// Track-level length; patterns saved before lengths existed are 16 steps
+export const getPatternLength = (sequencer) =>
+  clampPatternLength(sequencer?.length);
+
+// A channel without its own length follows the track length
+export const getChannelLength = (sequencer, channelKey) => {
+  const own = sequencer?.channelLengths?.[channelKey];
+  return own === undefined || own === null
+    ? getPatternLength(sequencer)
+    : clampPatternLength(own, getPatternLength(sequencer));
+};
+
+export const getPageCount = (length) =>
+  Math.max(1, Math.ceil(length / STEPS_PER_PAGE));
+
+// Longest cycle in the pattern, used to size the grid
+export const getMaxPatternLength = (sequencer) => {
+  const channelLengths = Object.keys(sequencer?.channelLengths || {}).map(
+    (key) => getChannelLength(sequencer, key)
+  );
+  return Math.max(getPatternLength(sequencer), ...channelLengths);
+};
@@ -0,0 +1,73 @@
+import { clamp } from "../utils/numbers.js";
+
+// `beats` is the step length in quarter notes
+export const SEQUENCER_RESOLUTIONS = [
+  { id: "8n", label: "1/8", beats: 1 / 2 },
+  { id: "8t", label: "1/8T", beats: 1 / 3 },
+  { id: "16n", label: "1/16", beats: 1 / 4 },
+  { id: "16t", label: "1/16T", beats: 1 / 6 },
+  { id: "32n", label: "1/32", beats: 1 / 8 },
+];
+export const DEFAULT_RESOLUTION = "16n";
+export const MAX_SWING = 100;
+export const MAX_RATCHET = 4;
+export const PROBABILITY_STEPS = [1, 0.75, 0.5, 0.25];
+
+// Steps are stored as { step, probability, ratchet }; patterns saved before
+// step objects existed hold bare step indexes
+export const normalizePatternStep = (entry) => {
+  if (typeof entry === "number") {
+    return Number.isInteger(entry) && entry >= 0
+      ? { step: entry, probability: 1, ratchet: 1 }
+      : null;
+  }
+  if (!entry || typeof entry !== "object") return null;
+  const step = parseInt(entry.step, 10);
+  if (!Number.isInteger(step) || step < 0) return null;
+  return {
+    step,
+    probability: clamp(entry.probability, 0, 1, 1),
+    ratchet: Math.round(clamp(entry.ratchet, 1, MAX_RATCHET, 1)),
+  };
+};
+
+export const getChannelSteps = (pattern, channelName) => {
+  const raw = pattern?.[channelName];
+  return Array.isArray(raw)
+    ? raw.map(normalizePatternStep).filter(Boolean)
+    : [];
+};
+
+export const findPatternStep = (pattern, channelName, stepIndex) =>
+  getChannelSteps(pattern, channelName).find((s) => s.step === stepIndex) ||
+  null;
+
+export const getResolution = (sequencer) =>
+  SEQUENCER_RESOLUTIONS.some((r) => r.id === sequencer?.resolution)
+    ? sequencer.resolution
+    : DEFAULT_RESOLUTION;
+
+// 0-100: how far every second step is pushed towards the next one (100 = half
+// a step late)
+export const getSwing = (sequencer) =>
+  Math.round(clamp(sequencer?.swing, 0, MAX_SWING, 0));
+
+// Macro lanes set a track macro on chosen steps:
+// sequencer.macroSteps = { [macroId]: [{ step, value }] }
+export const MACRO_STEP_VALUES = [0, 0.25, 0.5, 0.75, 1];
+
+export const getMacroLaneSteps = (sequencer, macroId) => {
+  const raw = sequencer?.macroSteps?.[macroId];
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((entry) => {
+      const step = parseInt(entry?.step, 10);
+      if (!Number.isInteger(step) || step < 0) return null;
+      return { step, value: clamp(entry.value, 0, 1, 0) };
+    })
+    .filter(Boolean);
+};
+
+export const findMacroLaneStep = (sequencer, macroId, stepIndex) =>
+  getMacroLaneSteps(sequencer, macroId).find((s) => s.step === stepIndex) ||
+  null;
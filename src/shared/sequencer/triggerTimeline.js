@@ -0,0 +1,90 @@
+import {
+  SEQUENCER_RESOLUTIONS,
+  getChannelSteps,
+  getMacroLaneSteps,
+  getResolution,
+  getSwing,
+} from "./patternSteps.js";
+import { getChannelLength, getPatternLength } from "./patternLength.js";
+import { createSeededRandom } from "../utils/seededRandom.js";
+
+// Offline renders play a track's triggers from a timeline instead of
+// Tone.js: [{ time, channel }] and [{ time, macros }] in seconds, sorted
+
+const byTime = (a, b) => a.time - b.time;
+
+export const getStepSeconds = (sequencer, bpm) => {
+  const resolution = getResolution(sequencer);
+  const { beats } = SEQUENCER_RESOLUTIONS.find((r) => r.id === resolution);
+  return (60 / Math.max(1, bpm || 120)) * beats;
+};
+
+// The pattern looped for `duration` seconds, with swing, ratchets and
+// probabilities applied the way SequencerPlayback plays them
+export const patternToTimeline = (sequencer, bpm, duration, seed = 1) => {
+  const stepSeconds = getStepSeconds(sequencer, bpm);
+  const swingSeconds = (getSwing(sequencer) / 100) * (stepSeconds / 2);
+  const patternLength = getPatternLength(sequencer);
+  // Seeded so step probabilities roll the same way on every export
+  const random = createSeededRandom(seed);
+  const pattern = sequencer?.pattern || {};
+  const channels = Object.keys(pattern).map((channelName) => ({
+    channelName,
+    length: getChannelLength(sequencer, channelName),
+    steps: getChannelSteps(pattern, channelName),
+  }));
+  const macroLanes = Object.keys(sequencer?.macroSteps || {}).map((id) => ({
+    id,
+    steps: getMacroLaneSteps(sequencer, id),
+  }));
+
+  const events = [];
+  for (let stepCount = 0; stepCount * stepSeconds < duration; stepCount++) {
+    const stepTime = stepCount * stepSeconds;
+    const stepIndex = stepCount % patternLength;
+    const macros = {};
+    macroLanes.forEach(({ id, steps }) => {
+      const step = steps.find((s) => s.step === stepIndex);
+      if (step) macros[id] = step.value;
+    });
+    if (Object.keys(macros).length > 0) {
+      events.push({ time: stepTime, macros });
+    }
+
+    const start = stepTime + (stepCount % 2 === 1 ? swingSeconds : 0);
+    channels.forEach(({ channelName, length, steps }) => {
+      const step = steps.find((s) => s.step === stepCount % length);
+      if (!step) return;
+      if (step.probability < 1 && random() >= step.probability) return;
+      for (let i = 0; i < step.ratchet; i++) {
+        events.push({
+          time: start + (i * stepSeconds) / step.ratchet,
+          channel: channelName,
+        });
+      }
+    });
+  }
+  return events.filter((e) => e.time < duration).sort(byTime);
+};
+
+export const recordingToTimeline = (recording, duration = Infinity) => {
+  const events = [];
+  (recording?.channels || []).forEach((channel) => {
+    (channel?.sequences || []).forEach((sequence) => {
+      const time = Number(sequence?.time);
+      if (!Number.isFinite(time) || time < 0 || time >= duration) return;
+      events.push({ time, channel: channel.name });
+    });
+  });
+  return events.sort(byTime);
+};
+
+// One pass of the pattern, or the recording up to a second after its
+// last trigger
+export const getTimelineDuration = (source, data, bpm) => {
+  if (source === "recording") {
+    const events = recordingToTimeline(data);
+    return events.length > 0 ? events[events.length - 1].time + 1 : 1;
+  }
+  return getPatternLength(data) * getStepSeconds(data, bpm);
+};
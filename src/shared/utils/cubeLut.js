@@ -0,0 +1,106 @@
+// Color grading LUTs in the .cube format (Adobe/Resolve), 1D or 3D, with
+// values in 0-1. 3D tables list red fastest, then green, then blue.
+
+const FIT_MAX_STEPS = 17;
+
+// { size, is3d, data } with rgb triples in `data`, or null when the text
+// isn't a usable .cube file
+export const parseCubeLut = (text) => {
+  if (typeof text !== "string") return null;
+  let size = 0;
+  let is3d = true;
+  const values = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const [key, ...rest] = line.split(/\s+/);
+    if (key === "LUT_3D_SIZE" || key === "LUT_1D_SIZE") {
+      size = parseInt(rest[0], 10);
+      is3d = key === "LUT_3D_SIZE";
+      continue;
+    }
+    if (key === "DOMAIN_MIN" || key === "DOMAIN_MAX") {
+      const expected = key === "DOMAIN_MIN" ? 0 : 1;
+      if (rest.some((v) => Number(v) !== expected)) return null;
+      continue;
+    }
+    if (!/^[-+.\d]/.test(key)) continue; // TITLE and other keywords
+    const rgb = [key, ...rest].slice(0, 3).map(Number);
+    if (rgb.length !== 3 || !rgb.every(Number.isFinite)) return null;
+    values.push(...rgb);
+  }
+  if (!(size >= 2 && size <= 256)) return null;
+  const count = is3d ? size * size * size : size;
+  if (values.length !== count * 3) return null;
+  return { size, is3d, data: Float32Array.from(values) };
+};
+
+const getEntry = ({ size, data }, r, g, b) => {
+  const i = 3 * (r + g * size + b * size * size);
+  return [data[i], data[i + 1], data[i + 2]];
+};
+
+// Solves the 4x4 system `a x = b` by Gaussian elimination with pivoting
+const solve4 = (a, b) => {
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < 4; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 4; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-9) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = 0; row < 4; row++) {
+      if (row === col) continue;
+      const f = m[row][col] / m[col][col];
+      for (let k = col; k < 5; k++) m[row][k] -= f * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[4] / row[i]);
+};
+
+const IDENTITY_MATRIX = [
+  [1, 0, 0, 0],
+  [0, 1, 0, 0],
+  [0, 0, 1, 0],
+];
+
+// SVG filters can only run per-channel tables and a color matrix, so a 3D
+// LUT becomes its gray-axis curves followed by the affine matrix that best
+// maps those curves onto the full table (least squares). Tone and color
+// casts come through exactly; hue twists only approximately.
+export const approximateCubeLut = (lut) => {
+  const { size, is3d, data } = lut;
+  const curves = [[], [], []];
+  for (let i = 0; i < size; i++) {
+    const entry = is3d
+      ? getEntry(lut, i, i, i)
+      : [data[3 * i], data[3 * i + 1], data[3 * i + 2]];
+    entry.forEach((v, c) => curves[c].push(Math.max(0, Math.min(1, v))));
+  }
+  if (!is3d) return { curves, matrix: IDENTITY_MATRIX };
+
+  const ata = Array.from({ length: 4 }, () => [0, 0, 0, 0]);
+  const aty = [0, 1, 2].map(() => [0, 0, 0, 0]);
+  const step = Math.max(1, Math.ceil((size - 1) / (FIT_MAX_STEPS - 1)));
+  const indices = [];
+  for (let i = 0; i < size; i += step) indices.push(i);
+  if (indices[indices.length - 1] !== size - 1) indices.push(size - 1);
+  indices.forEach((b) =>
+    indices.forEach((g) =>
+      indices.forEach((r) => {
+        const x = [curves[0][r], curves[1][g], curves[2][b], 1];
+        const y = getEntry(lut, r, g, b);
+        for (let i = 0; i < 4; i++) {
+          for (let j = 0; j < 4; j++) ata[i][j] += x[i] * x[j];
+          for (let c = 0; c < 3; c++) aty[c][i] += x[i] * y[c];
+        }
+      })
+    )
+  );
+  const rows = aty.map((rhs) => solve4(ata, rhs));
+  return {
+    curves,
+    matrix: rows.every(Boolean) ? rows : IDENTITY_MATRIX,
+  };
+};
@@ -0,0 +1,92 @@
+// How a track's module instances composite in the projector, saved on the
+// track under `compositing`, keyed by instance id:
+//
+// - blend: how the layer mixes with the layers below it
+// - opacity: a fader over the whole layer, on top of the module's own
+//   `opacity` method
+// - mask / maskMode: another instance of the track that limits where this
+//   one shows, by its coverage ("alpha") or its brightness ("luma"). A mask
+//   instance is hidden and only shapes the layer it masks, so it masks one
+//   layer and can't be masked itself.
+
+export const BLEND_MODES = [
+  { id: "normal", label: "Normal", css: "normal" },
+  { id: "add", label: "Add", css: "plus-lighter" },
+  { id: "multiply", label: "Multiply", css: "multiply" },
+  { id: "screen", label: "Screen", css: "screen" },
+  { id: "difference", label: "Difference", css: "difference" },
+];
+
+export const MASK_MODES = ["alpha", "luma"];
+
+export const DEFAULT_LAYER_COMPOSITING = {
+  blend: "normal",
+  opacity: 1,
+  mask: null,
+  maskMode: "alpha",
+};
+
+export const normalizeLayerCompositing = (compositing) => {
+  const opacity = Number(compositing?.opacity);
+  const mask =
+    typeof compositing?.mask === "string" ? compositing.mask.trim() : "";
+  return {
+    blend: BLEND_MODES.some((m) => m.id === compositing?.blend)
+      ? compositing.blend
+      : DEFAULT_LAYER_COMPOSITING.blend,
+    opacity: Number.isFinite(opacity)
+      ? Math.max(0, Math.min(1, opacity))
+      : DEFAULT_LAYER_COMPOSITING.opacity,
+    mask: mask || null,
+    maskMode: MASK_MODES.includes(compositing?.maskMode)
+      ? compositing.maskMode
+      : DEFAULT_LAYER_COMPOSITING.maskMode,
+  };
+};
+
+export const isDefaultLayerCompositing = (compositing) => {
+  const c = normalizeLayerCompositing(compositing);
+  return (
+    c.blend === DEFAULT_LAYER_COMPOSITING.blend &&
+    c.opacity === DEFAULT_LAYER_COMPOSITING.opacity &&
+    c.mask === null
+  );
+};
+
+export const getBlendModeCss = (blend) =>
+  (BLEND_MODES.find((m) => m.id === blend) || BLEND_MODES[0]).css;
+
+// Every instance in `instanceIds` (bottom layer first) gets an entry; masks
+// that point at a missing instance, at the layer itself, at a masked layer
+// or at a source a lower layer already uses are dropped
+export const resolveLayerCompositing = (compositing, instanceIds) => {
+  const ids = Array.isArray(instanceIds) ? instanceIds : [];
+  const resolved = {};
+  ids.forEach((id) => {
+    resolved[id] = normalizeLayerCompositing(compositing?.[id]);
+  });
+  const usedSources = new Set();
+  ids.forEach((id) => {
+    const { mask } = resolved[id];
+    if (!mask) return;
+    const valid =
+      mask !== id &&
+      Boolean(resolved[mask]) &&
+      !compositing?.[mask]?.mask &&
+      !usedSources.has(mask);
+    if (valid) {
+      usedSources.add(mask);
+    } else {
+      resolved[id] = { ...resolved[id], mask: null };
+    }
+  });
+  return resolved;
+};
+
+export const getTrackCompositing = (track) =>
+  resolveLayerCompositing(
+    track?.compositing,
+    (Array.isArray(track?.modules) ? track.modules : [])
+      .map((m) => m?.id)
+      .filter(Boolean)
+  );
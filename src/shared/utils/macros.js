@@ -0,0 +1,86 @@
+import { MIDI_CC_MIN, MIDI_CC_MAX } from "./parameterMappings.js";
+import { toFiniteNumber } from "./numbers.js";
+import { applyResponseCurve, isResponseCurve } from "./responseCurves.js";
+
+// Track macros: named 0-1 controls, each driving any number of module
+// method options with their own range and response curve.
+//
+// track.macros = [{
+//   id, name, value, cc?,
+//   targets: [{ id, instanceId, method, option, min, max, curve }]
+// }]
+
+export const MAX_TRACK_MACROS = 8;
+
+const clampUnit = (value) => Math.max(0, Math.min(1, toFiniteNumber(value, 0)));
+
+export const createMacroId = (prefix = "macro") =>
+  `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+export const normalizeMacroTarget = (target) => {
+  if (!target || typeof target !== "object") return null;
+  const instanceId = String(target.instanceId || "").trim();
+  const method = String(target.method || "").trim();
+  const option = String(target.option || "").trim();
+  if (!instanceId || !method || !option) return null;
+  return {
+    id: String(target.id || `${instanceId}:${method}:${option}`),
+    instanceId,
+    method,
+    option,
+    min: toFiniteNumber(target.min, 0),
+    max: toFiniteNumber(target.max, 1),
+    curve: isResponseCurve(target.curve) ? target.curve : "linear",
+  };
+};
+
+export const normalizeMacro = (macro, index = 0) => {
+  if (!macro || typeof macro !== "object" || !macro.id) return null;
+  const cc = parseInt(macro.cc, 10);
+  const out = {
+    id: String(macro.id),
+    name: String(macro.name || "").trim() || `Macro ${index + 1}`,
+    value: clampUnit(macro.value),
+    targets: (Array.isArray(macro.targets) ? macro.targets : [])
+      .map(normalizeMacroTarget)
+      .filter(Boolean),
+  };
+  if (Number.isFinite(cc) && cc >= MIDI_CC_MIN && cc <= MIDI_CC_MAX) {
+    out.cc = cc;
+  }
+  return out;
+};
+
+export const getTrackMacros = (track) =>
+  (Array.isArray(track?.macros) ? track.macros : [])
+    .slice(0, MAX_TRACK_MACROS)
+    .map(normalizeMacro)
+    .filter(Boolean);
+
+// OSC and remote control address macros by id, name or 1-based number
+export const findTrackMacro = (track, identifier) => {
+  const macros = getTrackMacros(track);
+  const key = String(identifier ?? "").trim();
+  if (!key) return null;
+  const byId = macros.find((m) => m.id === key);
+  if (byId) return byId;
+  const lowerKey = key.toLowerCase();
+  const byName = macros.find((m) => m.name.toLowerCase() === lowerKey);
+  if (byName) return byName;
+  const number = parseInt(key, 10);
+  return String(number) === key ? macros[number - 1] || null : null;
+};
+
+export const getMacrosForController = (track, controller) => {
+  const cc = parseInt(controller, 10);
+  if (!Number.isFinite(cc)) return [];
+  return getTrackMacros(track).filter((m) => m.cc === cc);
+};
+
+// `value` is the macro position (0-1), shaped by the target's curve
+export const scaleMacroTargetValue = (target, value) => {
+  const t = applyResponseCurve(target?.curve, clampUnit(value));
+  const min = toFiniteNumber(target?.min, 0);
+  const max = toFiniteNumber(target?.max, 1);
+  return min + (max - min) * t;
+};
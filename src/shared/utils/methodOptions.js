@@ -1,3 +1,5 @@
+import { scaleVelocityValue } from "./velocityScaling.js";
+
 export const buildMethodOptions = (
   methodOptions,
   {
@@ -5,6 +7,9 @@ export const buildMethodOptions = (
     onSwapRandomRange,
     noRepeatCache,
     noRepeatKeyPrefix,
+    modulatedValues,
+    velocity,
+    random = Math.random,
   } = {}
 ) => {
   const out = {};
@@ -20,6 +25,21 @@ export const buildMethodOptions = (
     const name = entry?.name;
     if (!name) continue;
 
+    // A running LFO or envelope overrides the static value
+    if (entry?.modulator && modulatedValues?.[name] !== undefined) {
+      out[name] = modulatedValues[name];
+      continue;
+    }
+
+    // Harder hits move velocity-scaled options further through their range
+    if (entry?.velocity && typeof velocity === "number") {
+      const scaled = scaleVelocityValue(entry.velocity, velocity);
+      if (scaled !== undefined) {
+        out[name] = scaled;
+        continue;
+      }
+    }
+
     const rv = entry?.randomValues;
     if (Array.isArray(rv) && rv.length > 0) {
       const key = canNoRepeat ? `${noRepeatKeyPrefix}:${name}:rv` : null;
@@ -27,7 +47,7 @@ export const buildMethodOptions = (
       const candidates =
         last !== undefined && rv.length > 1 ? rv.filter((v) => v !== last) : rv;
       const picked =
-        candidates[Math.floor(Math.random() * Math.max(1, candidates.length))];
+        candidates[Math.floor(random() * Math.max(1, candidates.length))];
       out[name] = picked;
       if (key) noRepeatCache.set(key, picked);
       continue;
@@ -60,14 +80,14 @@ export const buildMethodOptions = (
         const key = canNoRepeat ? `${noRepeatKeyPrefix}:${name}:rrInt` : null;
         const last = key ? noRepeatCache.get(key) : undefined;
         const range = max - min + 1;
-        let picked = Math.floor(Math.random() * range) + min;
+        let picked = Math.floor(random() * range) + min;
         if (key && range > 1 && typeof last === "number" && picked === last) {
           picked = picked < max ? picked + 1 : min;
         }
         out[name] = picked;
         if (key) noRepeatCache.set(key, picked);
       } else {
-        out[name] = Math.random() * (max - min) + min;
+        out[name] = random() * (max - min) + min;
       }
       continue;
     }
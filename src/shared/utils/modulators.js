@@ -0,0 +1,167 @@
+import { clamp, toFiniteNumber } from "./numbers.js";
+
+// Modulators move a numeric method option between triggers. They live on
+// the option entry next to `value`, like randomRange:
+//
+// { name, value, modulator: { type: "lfo", shape, sync, beats, hz, min, max } }
+// { name, value, modulator: { type: "envelope", attack, decay, sustain,
+//   release, min, max } }
+//
+// Envelope times are in ms and sustain is a level (0-1).
+
+export const MODULATOR_TYPES = [
+  { id: "lfo", label: "LFO" },
+  { id: "envelope", label: "Envelope" },
+];
+
+export const LFO_SHAPES = [
+  { id: "sine", label: "Sine" },
+  { id: "saw", label: "Saw" },
+  { id: "square", label: "Square" },
+  { id: "random", label: "Random (S&H)" },
+];
+
+// Synced LFO cycle lengths, in beats
+export const LFO_SYNC_DIVISIONS = [
+  { beats: 16, label: "4 bars" },
+  { beats: 8, label: "2 bars" },
+  { beats: 4, label: "1 bar" },
+  { beats: 2, label: "1/2" },
+  { beats: 1, label: "1/4" },
+  { beats: 0.5, label: "1/8" },
+  { beats: 0.25, label: "1/16" },
+];
+
+export const MIN_LFO_HZ = 0.01;
+export const MAX_LFO_HZ = 20;
+export const MAX_ENVELOPE_TIME = 10000; // ms
+
+const clampTime = (value, fallback) =>
+  Math.round(clamp(value, 0, MAX_ENVELOPE_TIME, fallback));
+
+export const createModulator = (type, { min = 0, max = 1 } = {}) =>
+  type === "envelope"
+    ? { type, attack: 10, decay: 300, sustain: 0.5, release: 500, min, max }
+    : { type: "lfo", shape: "sine", sync: true, beats: 4, hz: 1, min, max };
+
+export const normalizeModulator = (modulator) => {
+  if (!modulator || typeof modulator !== "object") return null;
+  const min = toFiniteNumber(modulator.min, 0);
+  const max = toFiniteNumber(modulator.max, 1);
+  if (modulator.type === "envelope") {
+    return {
+      type: "envelope",
+      attack: clampTime(modulator.attack, 10),
+      decay: clampTime(modulator.decay, 300),
+      sustain: clamp(modulator.sustain, 0, 1, 0.5),
+      release: clampTime(modulator.release, 500),
+      min,
+      max,
+    };
+  }
+  if (modulator.type !== "lfo") return null;
+  const beats = toFiniteNumber(modulator.beats, 4);
+  return {
+    type: "lfo",
+    shape: LFO_SHAPES.some((s) => s.id === modulator.shape)
+      ? modulator.shape
+      : "sine",
+    sync: modulator.sync !== false,
+    beats: LFO_SYNC_DIVISIONS.some((d) => d.beats === beats) ? beats : 4,
+    hz: clamp(modulator.hz, MIN_LFO_HZ, MAX_LFO_HZ, 1),
+    min,
+    max,
+  };
+};
+
+// LFO position (0-1) `elapsed` ms after it started. `hold` keeps the
+// sample-and-hold value between frames, drawn from `random`.
+export const getLfoValue = (
+  lfo,
+  elapsed,
+  bpm,
+  hold = {},
+  random = Math.random
+) => {
+  const periodMs = lfo.sync
+    ? (60000 / Math.max(1, toFiniteNumber(bpm, 120))) * lfo.beats
+    : 1000 / lfo.hz;
+  const cycles = Math.max(0, elapsed) / periodMs;
+  const phase = cycles - Math.floor(cycles);
+  switch (lfo.shape) {
+    case "saw":
+      return phase;
+    case "square":
+      return phase < 0.5 ? 1 : 0;
+    case "random": {
+      const cycle = Math.floor(cycles);
+      if (hold.cycle !== cycle) {
+        hold.cycle = cycle;
+        hold.value = random();
+      }
+      return hold.value;
+    }
+    default:
+      return 0.5 - 0.5 * Math.cos(2 * Math.PI * phase);
+  }
+};
+
+const getHeldLevel = ({ attack, decay, sustain }, t) => {
+  if (t < attack) return t / attack;
+  if (t < attack + decay) return 1 - (1 - sustain) * ((t - attack) / decay);
+  return sustain;
+};
+
+// Envelope level (0-1) at `now` for a gate opened at `startedAt`. A null
+// `releasedAt` holds the sustain level until the gate closes.
+export const getEnvelopeValue = (envelope, { startedAt, releasedAt }, now) => {
+  if (releasedAt === null || now < releasedAt) {
+    return getHeldLevel(envelope, now - startedAt);
+  }
+  const t = now - releasedAt;
+  if (t >= envelope.release) return 0;
+  const from = getHeldLevel(envelope, releasedAt - startedAt);
+  return from * (1 - t / envelope.release);
+};
+
+export const isEnvelopeDone = (envelope, { releasedAt }, now) =>
+  releasedAt !== null && now - releasedAt >= envelope.release;
+
+export const scaleModulatorValue = (modulator, value) => {
+  const t = clamp(value, 0, 1, 0);
+  return modulator.min + (modulator.max - modulator.min) * t;
+};
+
+// Every modulated option on a track. `channel` is null for constructor
+// methods.
+export const getTrackModulators = (track) => {
+  const out = [];
+  const modules = Array.isArray(track?.modules) ? track.modules : [];
+  modules.forEach(({ id: instanceId }) => {
+    const moduleData = track.modulesData?.[instanceId];
+    if (!moduleData) return;
+    const lists = [[null, moduleData.constructor]];
+    Object.entries(moduleData.methods || {}).forEach(([channel, methods]) => {
+      lists.push([channel, methods]);
+    });
+    lists.forEach(([channel, methods]) => {
+      if (!Array.isArray(methods)) return;
+      methods.forEach((method) => {
+        if (!method?.name || !Array.isArray(method.options)) return;
+        method.options.forEach((option) => {
+          const modulator = normalizeModulator(option?.modulator);
+          if (!modulator || !option.name) return;
+          out.push({
+            id: [instanceId, channel, method.name, option.name].join(":"),
+            instanceId,
+            channel,
+            method: method.name,
+            option: option.name,
+            modulator,
+          });
+        });
+      });
+    });
+  });
+  return out;
+};
@@ -0,0 +1,10 @@
+export const toFiniteNumber = (value, fallback) => {
+  const n = typeof value === "number" ? value : Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// `fallback` when the value isn't a number, otherwise clamped to min-max
+export const clamp = (value, min, max, fallback) => {
+  const n = toFiniteNumber(value, null);
+  return n === null ? fallback : Math.max(min, Math.min(max, n));
+};
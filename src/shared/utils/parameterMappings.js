@@ -0,0 +1,75 @@
+import { toFiniteNumber } from "./numbers.js";
+
+export const MIDI_CC_MIN = 0;
+export const MIDI_CC_MAX = 127;
+
+export const normalizeParameterMapping = (mapping) => {
+  if (!mapping || typeof mapping !== "object") return null;
+  const cc = parseInt(mapping.cc, 10);
+  if (!Number.isFinite(cc) || cc < MIDI_CC_MIN || cc > MIDI_CC_MAX) {
+    return null;
+  }
+  const instanceId = String(mapping.instanceId || "").trim();
+  const method = String(mapping.method || "").trim();
+  const option = String(mapping.option || "").trim();
+  if (!instanceId || !method || !option) return null;
+  return {
+    id: String(mapping.id || `${cc}:${instanceId}:${method}:${option}`),
+    cc,
+    instanceId,
+    method,
+    option,
+    min: toFiniteNumber(mapping.min, 0),
+    max: toFiniteNumber(mapping.max, 1),
+  };
+};
+
+export const getParameterMappings = (track) => {
+  const list = Array.isArray(track?.parameterMappings)
+    ? track.parameterMappings
+    : [];
+  return list.map(normalizeParameterMapping).filter(Boolean);
+};
+
+export const getParameterMappingsForController = (track, controller) => {
+  const cc = parseInt(controller, 10);
+  if (!Number.isFinite(cc)) return [];
+  return getParameterMappings(track).filter((m) => m.cc === cc);
+};
+
+// `value` is the normalized controller position (0-1).
+export const scaleParameterValue = (mapping, value) => {
+  const t = Math.max(0, Math.min(1, toFiniteNumber(value, 0)));
+  const min = toFiniteNumber(mapping?.min, 0);
+  const max = toFiniteNumber(mapping?.max, 1);
+  return min + (max - min) * t;
+};
+
+// Base options for a mapped method come from the instance's configured method
+// (constructor first, then any channel), so unmapped options keep their values.
+export const getBaseMethodOptionValues = (moduleData, methodName) => {
+  const lists = [];
+  if (Array.isArray(moduleData?.constructor)) {
+    lists.push(moduleData.constructor);
+  }
+  const methodsByChannel =
+    moduleData?.methods && typeof moduleData.methods === "object"
+      ? moduleData.methods
+      : {};
+  Object.keys(methodsByChannel).forEach((key) => {
+    if (Array.isArray(methodsByChannel[key])) {
+      lists.push(methodsByChannel[key]);
+    }
+  });
+
+  for (const list of lists) {
+    const method = list.find((m) => m?.name === methodName);
+    if (!method || !Array.isArray(method.options)) continue;
+    const out = {};
+    method.options.forEach((opt) => {
+      if (opt?.name) out[opt.name] = opt.value;
+    });
+    return out;
+  }
+  return {};
+};
@@ -0,0 +1,152 @@
+// Projection mapping for an output, saved per output id in config.json
+// under `warps`. Everything is normalized to the output size (0-1):
+//
+// - corners: where the output's top-left, top-right, bottom-right and
+//   bottom-left corners land (a corner pin, applied as a perspective
+//   transform)
+// - mesh: an optional size x size grid of control point offsets that bends
+//   the picture before the corner pin
+// - softEdge: how far each edge fades to black for overlapping projectors,
+//   and the projector gamma the fade is corrected for
+
+import { clamp } from "./numbers.js";
+
+export const MESH_SIZES = [3, 4, 5];
+export const MAX_SOFT_EDGE = 0.5;
+export const DEFAULT_SOFT_EDGE_GAMMA = 2.2;
+
+const UNIT_CORNERS = [
+  [0, 0],
+  [1, 0],
+  [1, 1],
+  [0, 1],
+];
+
+export const createMesh = (size) => ({
+  size,
+  points: Array.from({ length: size * size }, () => [0, 0]),
+});
+
+export const createDefaultWarp = () => ({
+  corners: UNIT_CORNERS.map(([x, y]) => [x, y]),
+  mesh: null,
+  softEdge: {
+    left: 0,
+    right: 0,
+    top: 0,
+    bottom: 0,
+    gamma: DEFAULT_SOFT_EDGE_GAMMA,
+  },
+});
+
+const normalizeMesh = (mesh) => {
+  const size = Number(mesh?.size);
+  if (!MESH_SIZES.includes(size)) return null;
+  const points = Array.isArray(mesh.points) ? mesh.points : [];
+  return {
+    size,
+    points: Array.from({ length: size * size }, (_, i) => [
+      clamp(points[i]?.[0], -0.5, 0.5, 0),
+      clamp(points[i]?.[1], -0.5, 0.5, 0),
+    ]),
+  };
+};
+
+export const normalizeWarp = (warp) => {
+  const corners = Array.isArray(warp?.corners) ? warp.corners : [];
+  const softEdge = warp?.softEdge || {};
+  return {
+    corners: UNIT_CORNERS.map(([x, y], i) => [
+      clamp(corners[i]?.[0], 0, 1, x),
+      clamp(corners[i]?.[1], 0, 1, y),
+    ]),
+    mesh: normalizeMesh(warp?.mesh),
+    softEdge: {
+      left: clamp(softEdge.left, 0, MAX_SOFT_EDGE, 0),
+      right: clamp(softEdge.right, 0, MAX_SOFT_EDGE, 0),
+      top: clamp(softEdge.top, 0, MAX_SOFT_EDGE, 0),
+      bottom: clamp(softEdge.bottom, 0, MAX_SOFT_EDGE, 0),
+      gamma: clamp(softEdge.gamma, 1, 3, DEFAULT_SOFT_EDGE_GAMMA),
+    },
+  };
+};
+
+export const hasCornerPin = (warp) =>
+  warp.corners.some(
+    ([x, y], i) => x !== UNIT_CORNERS[i][0] || y !== UNIT_CORNERS[i][1]
+  );
+
+export const hasMeshWarp = (warp) =>
+  Boolean(warp.mesh?.points.some(([dx, dy]) => dx !== 0 || dy !== 0));
+
+// CSS matrix3d() mapping a width x height box (transform-origin 0 0) onto
+// the corner quad, or null when the quad is degenerate
+export const getCornerPinMatrix = (corners, width, height) => {
+  const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = corners.map(([x, y]) => [
+    x * width,
+    y * height,
+  ]);
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dx3 = x0 - x1 + x2 - x3;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const dy3 = y0 - y1 + y2 - y3;
+  const det = dx1 * dy2 - dx2 * dy1;
+  if (!det || !width || !height) return null;
+
+  // Unit square to quad (Heckbert), then scaled down from the box size
+  const g = (dx3 * dy2 - dx2 * dy3) / det;
+  const h = (dx1 * dy3 - dx3 * dy1) / det;
+  const a = x1 - x0 + g * x1;
+  const b = x3 - x0 + h * x3;
+  const d = y1 - y0 + g * y1;
+  const e = y3 - y0 + h * y3;
+  const values = [
+    a / width,
+    d / width,
+    0,
+    g / width,
+    b / height,
+    e / height,
+    0,
+    h / height,
+    0,
+    0,
+    1,
+    0,
+    x0,
+    y0,
+    0,
+    1,
+  ];
+  return `matrix3d(${values.join(",")})`;
+};
+
+// Bilinear mesh offset at (u, v) in 0-1
+export const getMeshOffset = (mesh, u, v) => {
+  const last = mesh.size - 1;
+  const fx = Math.max(0, Math.min(last, u * last));
+  const fy = Math.max(0, Math.min(last, v * last));
+  const col = Math.min(last - 1, Math.floor(fx));
+  const row = Math.min(last - 1, Math.floor(fy));
+  const tx = fx - col;
+  const ty = fy - row;
+  const at = (c, r) => mesh.points[r * mesh.size + c];
+  return [0, 1].map(
+    (axis) =>
+      at(col, row)[axis] * (1 - tx) * (1 - ty) +
+      at(col + 1, row)[axis] * tx * (1 - ty) +
+      at(col, row + 1)[axis] * (1 - tx) * ty +
+      at(col + 1, row + 1)[axis] * tx * ty
+  );
+};
+
+// Brightness across a blend zone, t from 0 at the outer edge to 1: the two
+// overlapping ramps add up to full brightness once the projectors apply
+// their gamma
+export const getSoftEdgeLevel = (t, gamma = DEFAULT_SOFT_EDGE_GAMMA) => {
+  const x = Math.max(0, Math.min(1, t));
+  const linear = x < 0.5 ? 2 * x * x : 1 - 2 * (1 - x) * (1 - x);
+  return linear ** (1 / gamma);
+};
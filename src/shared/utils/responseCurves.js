@@ -0,0 +1,22 @@
+// Shapes for mapping a 0-1 control position onto a range
+export const RESPONSE_CURVES = [
+  { id: "linear", label: "Linear" },
+  { id: "easeIn", label: "Ease in" },
+  { id: "easeOut", label: "Ease out" },
+  { id: "sCurve", label: "S-curve" },
+  { id: "inverse", label: "Inverse" },
+];
+
+const CURVES = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => 1 - (1 - t) * (1 - t),
+  sCurve: (t) => t * t * (3 - 2 * t),
+  inverse: (t) => 1 - t,
+};
+
+export const isResponseCurve = (curve) =>
+  RESPONSE_CURVES.some((c) => c.id === curve);
+
+export const applyResponseCurve = (curve, t) =>
+  (isResponseCurve(curve) ? CURVES[curve] : CURVES.linear)(t);
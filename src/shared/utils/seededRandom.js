@@ -0,0 +1,9 @@
+// A Math.random stand-in that repeats its sequence for the same seed, for
+// renders that must come out the same every time
+export const createSeededRandom = (seed = 1) => {
+  let state = seed >>> 0 || 1;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
@@ -0,0 +1,28 @@
+// How a track enters the projector when it replaces the active track.
+// "cut" swaps immediately; the others keep the outgoing track on screen
+// while the incoming one initializes.
+export const TRACK_TRANSITION_TYPES = [
+  { id: "cut", label: "Cut" },
+  { id: "crossfade", label: "Crossfade" },
+  { id: "beat", label: "Cut on beat" },
+  { id: "wipe", label: "Wipe" },
+];
+
+export const DEFAULT_TRANSITION_DURATION = 1000; // ms
+export const MAX_TRANSITION_DURATION = 10000;
+
+export const normalizeTrackTransition = (transition) => {
+  const type = TRACK_TRANSITION_TYPES.some((t) => t.id === transition?.type)
+    ? transition.type
+    : "cut";
+  const duration = Number(transition?.duration);
+  return {
+    type,
+    duration: Number.isFinite(duration)
+      ? Math.max(0, Math.min(MAX_TRANSITION_DURATION, Math.round(duration)))
+      : DEFAULT_TRANSITION_DURATION,
+  };
+};
+
+export const getTrackTransition = (track) =>
+  normalizeTrackTransition(track?.transition);
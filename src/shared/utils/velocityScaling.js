@@ -0,0 +1,26 @@
+import { toFiniteNumber } from "./numbers.js";
+import { applyResponseCurve, isResponseCurve } from "./responseCurves.js";
+
+// Velocity scaling maps a trigger's velocity (0-127) onto a numeric option,
+// stored on the option entry next to `value`:
+//
+// { name, value, velocity: { min, max, curve } }
+
+export const MAX_VELOCITY = 127;
+
+export const normalizeVelocityScaling = (scaling) => {
+  if (!scaling || typeof scaling !== "object") return null;
+  return {
+    min: toFiniteNumber(scaling.min, 0),
+    max: toFiniteNumber(scaling.max, 1),
+    curve: isResponseCurve(scaling.curve) ? scaling.curve : "linear",
+  };
+};
+
+export const scaleVelocityValue = (scaling, velocity) => {
+  const normalized = normalizeVelocityScaling(scaling);
+  if (!normalized) return undefined;
+  const v = Math.max(0, Math.min(MAX_VELOCITY, toFiniteNumber(velocity, 0)));
+  const t = applyResponseCurve(normalized.curve, v / MAX_VELOCITY);
+  return normalized.min + (normalized.max - normalized.min) * t;
+};
@@ -4,6 +4,7 @@
  * Industry standard OSC addressing:
  * - /track/... → Track selection only
  * - /ch/... or /channel/... → Channel triggers only
+ * - /macro/... → Track macro value (0-1)
  */
 
 function isValidOSCTrackAddress(address) {
@@ -18,6 +19,13 @@ function isValidOSCChannelAddress(address) {
   return trimmed.startsWith("/ch/") || trimmed.startsWith("/channel/");
 }
 
+// The macro's id, name or number, or null for other addresses
+function getOSCMacroIdentifier(address) {
+  if (!address || typeof address !== "string") return null;
+  const match = address.trim().match(/^\/macro\/(.+)$/);
+  return match ? match[1] : null;
+}
+
 function isValidOSCAddress(address) {
   return isValidOSCTrackAddress(address) || isValidOSCChannelAddress(address);
 }
@@ -64,6 +72,7 @@ function validateOSCAddress(address) {
 module.exports = {
   isValidOSCTrackAddress,
   isValidOSCChannelAddress,
+  getOSCMacroIdentifier,
   isValidOSCAddress,
   getOSCAddressType,
   validateOSCAddress,
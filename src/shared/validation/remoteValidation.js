@@ -0,0 +1,128 @@
+/**
+ * Remote Input Message Validation
+ *
+ * JSON messages accepted by the remote (HTTP/WebSocket) input:
+ * - { "type": "track", "track": "intro" } → Select track by name
+ * - { "type": "trigger", "channel": 3, "velocity": 127 } → Trigger channel
+ *   (velocity 0-127, or a decimal such as 0.5 as a fraction of full velocity)
+ * - { "type": "release", "channel": 3 } → Release channel
+ * - { "type": "cc", "controller": 7, "value": 0.5 } → Parameter change (0-1)
+ *
+ * The input event names (track-selection, method-trigger, method-release,
+ * parameter-change) are accepted as aliases for the short types.
+ */
+
+const REMOTE_MESSAGE_TYPES = {
+  track: "track-selection",
+  "track-selection": "track-selection",
+  trigger: "method-trigger",
+  "method-trigger": "method-trigger",
+  release: "method-release",
+  "method-release": "method-release",
+  cc: "parameter-change",
+  "parameter-change": "parameter-change",
+};
+
+function parseChannelNumber(value) {
+  const n =
+    typeof value === "number" ? value : parseInt(String(value ?? ""), 10);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// Velocity in MIDI units (0-127). Decimals below 1 are a fraction of full
+// velocity, so integers keep their MIDI meaning (1 stays 1). `isFloat` marks
+// a value typed as a float (OSC), where the whole 0-1 range is a fraction.
+// Only an exact 0 is a release.
+function toMidiVelocity(value, isFloat = false) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return 127;
+  if (value <= 0) return 0;
+  if (value < 1 || (isFloat && value === 1)) {
+    return Math.max(1, Math.round(value * 127));
+  }
+  return Math.min(127, value);
+}
+
+function normalizeRemoteMessage(message, source = "remote") {
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    return { valid: false, error: "Message must be a JSON object" };
+  }
+
+  const eventType = REMOTE_MESSAGE_TYPES[message.type];
+  if (!eventType) {
+    return {
+      valid: false,
+      error: `Unknown message type: ${message.type}`,
+      suggestion: "Use 'track', 'trigger', 'release' or 'cc'",
+    };
+  }
+
+  switch (eventType) {
+    case "track-selection": {
+      const track = typeof message.track === "string" ? message.track : "";
+      if (!track.trim()) {
+        return { valid: false, error: "Track name cannot be empty" };
+      }
+      return {
+        valid: true,
+        type: eventType,
+        data: { identifier: track.trim(), source },
+      };
+    }
+
+    case "method-trigger":
+    case "method-release": {
+      const channel = parseChannelNumber(message.channel);
+      if (channel === null) {
+        return { valid: false, error: "Channel must be a positive integer" };
+      }
+      const velocity =
+        eventType === "method-release" ? 0 : toMidiVelocity(message.velocity);
+      if (velocity === 0 && eventType === "method-trigger") {
+        // Mirror MIDI/OSC: a zero-velocity trigger is a release
+        return {
+          valid: true,
+          type: "method-release",
+          data: { channelName: String(channel), velocity: 0, source },
+        };
+      }
+      return {
+        valid: true,
+        type: eventType,
+        data: { channelName: String(channel), velocity, source },
+      };
+    }
+
+    case "parameter-change": {
+      const controller =
+        typeof message.controller === "number"
+          ? message.controller
+          : parseInt(String(message.controller ?? ""), 10);
+      const value = Number(message.value);
+      if (!Number.isInteger(controller) || controller < 0 || controller > 127) {
+        return { valid: false, error: "Controller must be between 0 and 127" };
+      }
+      if (!Number.isFinite(value)) {
+        return { valid: false, error: "Value must be a number between 0 and 1" };
+      }
+      const clamped = Math.max(0, Math.min(1, value));
+      return {
+        valid: true,
+        type: eventType,
+        data: {
+          controller,
+          value: clamped,
+          rawValue: Math.round(clamped * 127),
+          source,
+        },
+      };
+    }
+  }
+
+  return { valid: false, error: `Unknown message type: ${message.type}` };
+}
+
+module.exports = {
+  REMOTE_MESSAGE_TYPES,
+  normalizeRemoteMessage,
+  toMidiVelocity,
+};
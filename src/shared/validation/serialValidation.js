@@ -0,0 +1,53 @@
+/**
+ * Serial Input Line Protocol
+ *
+ * One message per line (\n or \r\n terminated):
+ * - track:intro → Select track by name
+ * - ch:3 or ch:3:127 → Trigger channel 3 (velocity 0 releases, 0.5 is half)
+ * - cc:7:0.5 → Parameter change, value 0-1
+ *
+ * Lines are converted to Remote API messages so both sources share validation.
+ */
+
+const { normalizeRemoteMessage } = require("./remoteValidation");
+
+function parseSerialLine(line) {
+  const trimmed = typeof line === "string" ? line.trim() : "";
+  if (!trimmed) {
+    return { valid: false, error: "Empty line" };
+  }
+
+  const [prefix, ...parts] = trimmed.split(":");
+  switch (prefix.toLowerCase()) {
+    case "track":
+      // Track names may themselves contain colons
+      return normalizeRemoteMessage(
+        { type: "track", track: parts.join(":") },
+        "serial"
+      );
+    case "ch":
+      return normalizeRemoteMessage(
+        {
+          type: "trigger",
+          channel: parts[0],
+          velocity: parts[1] !== undefined ? Number(parts[1]) : undefined,
+        },
+        "serial"
+      );
+    case "cc":
+      return normalizeRemoteMessage(
+        { type: "cc", controller: parts[0], value: parts[1] },
+        "serial"
+      );
+    default:
+      return {
+        valid: false,
+        error: `Unknown serial command: "${trimmed}"`,
+        suggestion: "Use 'track:<name>', 'ch:<n>[:<velocity>]' or 'cc:<n>:<0-1>'",
+      };
+  }
+}
+
+module.exports = {
+  parseSerialLine,
+};
@@ -5,17 +5,25 @@ import type {
   WorkspaceModuleUrl,
 } from "./workspace";
 import type { SandboxEnsureResult, SandboxRequestType } from "./sandbox";
-import type { InputConfig } from "./userData";
+import type { InputConfig, OscOutputConfig } from "./userData";
+import type { DisplayInfo, ProjectorOutput } from "./config";
 import type {
+  ClockInputConfig,
+  TempoSyncSessionConfig,
   InputEventPayload,
   InputStatusPayload,
   MidiDeviceInfo,
+  SerialPortInfo,
 } from "./input";
 import type {
   DashboardToProjectorMessageMap,
   ProjectorToDashboardMessageMap,
+  OscOutputMessageMap,
+  AudioInputMessageMap,
   DashboardToProjectorMessage,
   ProjectorToDashboardMessage,
+  FrameExportFormat,
+  FrameExportResult,
 } from "./messaging";
 
 export interface NwWrldBridge {
@@ -23,6 +31,7 @@ export interface NwWrldBridge {
     getDir: () => string | null;
     isRequired: () => boolean;
     isDirAvailable: () => boolean;
+    getOutputId: () => string | null;
   };
   sandbox: {
     registerToken: (
@@ -37,6 +46,34 @@ export interface NwWrldBridge {
     ) => Promise<unknown>;
     destroy: () => Promise<{ ok: boolean; reason?: string } | unknown>;
   };
+  frameExport: {
+    begin: (payload: {
+      trackName: string;
+      format: FrameExportFormat;
+      fps: number;
+    }) => Promise<
+      { ok: true; id: string; dir: string } | { ok: false; error: string }
+    >;
+    captureFrame: (payload: {
+      id: string;
+      index: number;
+    }) => Promise<
+      { ok: true; png?: Uint8Array } | { ok: false; error: string }
+    >;
+    writeFrame: (payload: {
+      id: string;
+      data: Uint8Array;
+    }) => Promise<{ ok: true } | { ok: false; error: string }>;
+    finish: (payload: {
+      id: string;
+      aborted?: boolean;
+    }) => Promise<
+      Omit<Extract<FrameExportResult, { ok: true }>, "trackName"> | {
+        ok: false;
+        error: string;
+      }
+    >;
+  };
   workspace: {
     listModuleFiles: () => Promise<string[]>;
     listModuleSummaries: () => Promise<WorkspaceModuleSummary[]>;
@@ -54,6 +91,7 @@ export interface NwWrldBridge {
     assetUrl: (relPath: string) => string | null;
     listAssets: (relDir: string) => Promise<ListAssetsResult>;
     readAssetText: (relPath: string) => Promise<string | null>;
+    readAssetArrayBuffer: (relPath: string) => Promise<ArrayBuffer | null>;
   };
   app: {
     getBaseMethodNames: () => { moduleBase: string[]; threeBase: string[] };
@@ -76,6 +114,14 @@ export interface NwWrldBridge {
       type: T,
       props: ProjectorToDashboardMessageMap[T]
     ) => void;
+    sendOscOutput: <T extends keyof OscOutputMessageMap>(
+      type: T,
+      props: OscOutputMessageMap[T]
+    ) => void;
+    sendAudioInput: <T extends keyof AudioInputMessageMap>(
+      type: T,
+      props: AudioInputMessageMap[T]
+    ) => void;
     onFromProjector: (
       handler: (event: unknown, data: ProjectorToDashboardMessage) => void
     ) => void | (() => void);
@@ -95,7 +141,38 @@ export interface NwWrldBridge {
       handler: (event: unknown, payload: unknown) => void
     ) => void | (() => void);
     configureInput: (payload: InputConfig) => Promise<{ success: true }>;
+    configureClock: (payload: ClockInputConfig) => Promise<{ success: true }>;
+    configureTempoSync: (
+      payload: TempoSyncSessionConfig
+    ) => Promise<{ success: true }>;
+    leadTempoSync: () => Promise<{ success: true }>;
+    configureOscOutput: (
+      payload: OscOutputConfig
+    ) => Promise<{ success: true }>;
+    configureOutputs: (
+      outputs: ProjectorOutput[]
+    ) => Promise<{ success: boolean; error?: string }>;
+    getDisplays: () => Promise<DisplayInfo[]>;
     getMidiDevices: () => Promise<MidiDeviceInfo[]>;
+    getSerialPorts: () => Promise<SerialPortInfo[]>;
+    selectAudioFile: () => Promise<
+      { cancelled: true } | { cancelled: false; path: string }
+    >;
+    readAudioFile: (filePath: string) => Promise<ArrayBuffer | null>;
+    importTrackAudio: () => Promise<
+      | { cancelled: true; error?: string }
+      | { cancelled: false; relPath: string }
+    >;
+    openMidiFile: () => Promise<
+      | { cancelled: true; error?: string }
+      | { cancelled: false; name: string; data: ArrayBuffer }
+    >;
+    saveMidiFile: (payload: {
+      defaultName: string;
+      data: Uint8Array;
+    }) => Promise<
+      { cancelled: true; error?: string } | { cancelled: false; path: string }
+    >;
     selectWorkspace: () => Promise<unknown>;
   };
 }
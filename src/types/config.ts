@@ -14,9 +14,41 @@ export interface BackgroundColorOption extends LabeledOption {
   value: string;
 }
 
+export interface ProjectorOutput {
+  id: string;
+  label: string;
+  aspectRatio: string;
+  bgColor: string;
+  display: number | null;
+  setId: string | null;
+  trackName: string | null;
+  layers: string[];
+}
+
+export interface ProjectionWarp {
+  corners: [number, number][];
+  mesh: { size: number; points: [number, number][] } | null;
+  softEdge: {
+    left: number;
+    right: number;
+    top: number;
+    bottom: number;
+    gamma: number;
+  };
+}
+
+export interface DisplayInfo {
+  index: number;
+  label: string;
+  width: number;
+  height: number;
+}
+
 export interface AppConfig {
   input: InputConfig;
   aspectRatios: AspectRatioOption[];
   backgroundColors: BackgroundColorOption[];
   autoRefresh: boolean;
+  outputs?: ProjectorOutput[];
+  warps?: Record<string, ProjectionWarp>;
 }
@@ -1,18 +1,23 @@
 export type {
   AspectRatioConfig,
+  AudioBand,
   GlobalMappings,
   InputConfig,
   InputType,
   InstanceId,
   JsonObject,
   JsonValue,
+  LayerCompositing,
   MethodBlock,
   MethodOption,
   ModuleInstanceData,
   ModuleRef,
   ModuleType,
   NwSet,
+  OscOutputConfig,
+  ParameterMapping,
   SetId,
+  TempoSyncConfig,
   Track,
   TrackId,
   UserConfig,
@@ -23,20 +28,36 @@ export type {
   AppConfig,
   AspectRatioOption,
   BackgroundColorOption,
+  DisplayInfo,
   LabeledOption,
+  ProjectionWarp,
+  ProjectorOutput,
 } from "./config";
 export type { ModuleMetadata } from "./moduleMetadata";
 export type {
+  ClockEventData,
+  ClockInputConfig,
   InputEventPayload,
   InputSource,
+  InputSourceStatus,
   InputStatus,
   InputStatusData,
   InputStatusPayload,
+  MethodReleaseEventData,
   MidiDeviceInfo,
+  ParameterChangeEventData,
+  SerialPortInfo,
+  TempoSyncSessionConfig,
 } from "./input";
 export type {
   DashboardToProjectorMessage,
   DashboardToProjectorMessageMap,
+  AudioInputMessage,
+  AudioInputMessageMap,
+  FrameExportFormat,
+  FrameExportResult,
+  FrameExportSource,
+  OscOutputMessageMap,
   ProjectorToDashboardMessage,
   ProjectorToDashboardMessageMap,
   TypedMessage,
@@ -2,10 +2,17 @@ import type { InputConfig } from "./userData";
 
 export type InputStatus = "disconnected" | "connecting" | "connected" | "error";
 
+export interface InputSourceStatus {
+  type: InputSource;
+  status: InputStatus;
+  message: string;
+}
+
 export interface InputStatusData {
   status: InputStatus;
   message: string;
   config: InputConfig | null;
+  sources?: InputSourceStatus[];
 }
 
 export interface InputStatusPayload {
@@ -13,7 +20,10 @@ export interface InputStatusPayload {
   data: InputStatusData;
 }
 
-export type InputSource = "midi" | "osc";
+export type InputSource = "midi" | "osc" | "remote" | "serial" | "audio";
+
+// Sources that address tracks by name and channels by number
+export type DirectInputSource = "remote" | "serial" | "audio";
 
 export interface InputEventBase {
   timestamp: number;
@@ -47,19 +57,114 @@ export interface OscMethodTriggerEvent extends InputEventBase {
   address: string;
 }
 
+export interface MidiMethodReleaseEvent extends InputEventBase {
+  source: "midi";
+  note: number;
+  channel: number;
+  velocity: 0;
+}
+
+export interface OscMethodReleaseEvent extends InputEventBase {
+  source: "osc";
+  channelName: string;
+  velocity: 0;
+  address: string;
+}
+
+export interface MidiParameterChangeEvent extends InputEventBase {
+  source: "midi";
+  controller: number;
+  value: number;
+  rawValue: number;
+  channel: number;
+}
+
+export interface DirectTrackSelectionEvent extends InputEventBase {
+  source: DirectInputSource;
+  identifier: string;
+}
+
+export interface DirectMethodTriggerEvent extends InputEventBase {
+  source: DirectInputSource;
+  channelName: string;
+  velocity: number;
+}
+
+export interface DirectMethodReleaseEvent extends InputEventBase {
+  source: DirectInputSource;
+  channelName: string;
+  velocity: 0;
+}
+
+export interface DirectParameterChangeEvent extends InputEventBase {
+  source: DirectInputSource;
+  controller: number;
+  value: number;
+  rawValue: number;
+}
+
 export type TrackSelectionEventData =
   | MidiTrackSelectionEvent
-  | OscTrackSelectionEvent;
+  | OscTrackSelectionEvent
+  | DirectTrackSelectionEvent;
 export type MethodTriggerEventData =
   | MidiMethodTriggerEvent
-  | OscMethodTriggerEvent;
+  | OscMethodTriggerEvent
+  | DirectMethodTriggerEvent;
+
+export type MethodReleaseEventData =
+  | MidiMethodReleaseEvent
+  | OscMethodReleaseEvent
+  | DirectMethodReleaseEvent;
+export type ParameterChangeEventData =
+  | MidiParameterChangeEvent
+  | DirectParameterChangeEvent;
+
+export interface ClockInputConfig {
+  enabled: boolean;
+  deviceId?: string;
+  deviceName?: string;
+}
+
+export interface TempoSyncSessionConfig {
+  enabled: boolean;
+  bpm: number;
+  group?: string;
+  port?: number;
+}
+
+export type ClockAction =
+  | "start"
+  | "continue"
+  | "stop"
+  | "step"
+  | "status"
+  | "error";
+
+export interface ClockEventData {
+  action: ClockAction;
+  bpm: number | null;
+  position?: number;
+  message?: string;
+  role?: "leader" | "follower" | null;
+  source: "midi" | "network";
+  timestamp: number;
+}
 
 export type InputEventPayload =
   | { type: "track-selection"; data: TrackSelectionEventData }
-  | { type: "method-trigger"; data: MethodTriggerEventData };
+  | { type: "method-trigger"; data: MethodTriggerEventData }
+  | { type: "method-release"; data: MethodReleaseEventData }
+  | { type: "parameter-change"; data: ParameterChangeEventData }
+  | { type: "clock"; data: ClockEventData };
 
 export interface MidiDeviceInfo {
   id: string;
   name: string;
   manufacturer?: string;
 }
+
+export interface SerialPortInfo {
+  path: string;
+  manufacturer?: string;
+}
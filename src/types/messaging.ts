@@ -1,4 +1,5 @@
-import type { SetId } from "./userData";
+import type { InstanceId, LayerCompositing, SetId } from "./userData";
+import type { ProjectionWarp, ProjectorOutput } from "./config";
 import type { ModuleIntrospectResult, PreviewModuleData } from "./moduleMethods";
 
 export type DashboardToProjectorMessageMap = {
@@ -21,15 +22,66 @@ export type DashboardToProjectorMessageMap = {
   "set-activate": { setId: SetId | null };
   "track-activate": { trackName: string };
   "channel-trigger": { channelName?: string; channelNumber?: string | number };
+  "layer-compositing": {
+    trackName: string;
+    instanceId: InstanceId;
+    compositing: LayerCompositing;
+  };
   "debug-overlay-visibility": { isOpen: boolean };
+  "export-frames": {
+    trackName: string;
+    source?: FrameExportSource;
+    fps?: number;
+    duration?: number | null;
+    format?: FrameExportFormat;
+    seed?: number;
+  };
+  "output-config": { output: ProjectorOutput };
+  "output-warp": {
+    outputId: string;
+    warp: ProjectionWarp;
+    calibrate?: boolean;
+  };
 };
 
+export type FrameExportFormat = "png" | "webm";
+export type FrameExportSource = "sequencer" | "recording";
+
+export type FrameExportResult =
+  | {
+      ok: true;
+      trackName: string;
+      dir: string;
+      file: string | null;
+      frames: number;
+    }
+  | { ok: false; trackName?: string; error: string };
+
 export type ProjectorToDashboardMessageMap = {
   "debug-log": { log: string };
   "projector-ready": Record<string, never>;
   "module-introspect-result": ModuleIntrospectResult;
   "preview-module-ready": { moduleName: string; requestId: string };
   "preview-module-error": { moduleName: string; requestId: string; error: string };
+  "frame-export-progress": { trackName: string; frame: number; frameCount: number };
+  "frame-export-done": FrameExportResult;
+};
+
+export type OscOutputMessageMap = {
+  "track-active": { trackName: string };
+  "channel": { channel: string | number; velocity?: number; release?: boolean };
+  "step": { step: number };
+};
+
+// Remote API style messages produced by renderer-side audio band analysis
+export type AudioInputMessage =
+  | { type: "trigger"; channel: number; velocity: number }
+  | { type: "release"; channel: number }
+  | { type: "cc"; controller: number; value: number };
+
+export type AudioInputMessageMap = {
+  "status": { status: "connected" | "error"; message: string };
+  "messages": { messages: AudioInputMessage[] };
 };
 
 export type TypedMessage<K extends string, P> = { type: K; props: P };
@@ -3,7 +3,11 @@ export type SandboxRequestType =
   | "invokeOnInstance"
   | "introspectModule"
   | "destroyTrack"
-  | "setMatrixForInstance";
+  | "finishTransition"
+  | "setMatrixForInstance"
+  | "advanceFrame"
+  | "setWarp"
+  | "setLayer";
 
 export interface SandboxEnsureOk {
   ok: true;
@@ -8,7 +8,15 @@ export type JsonValue =
 
 export type JsonObject = { [key: string]: JsonValue };
 
-export type InputType = "midi" | "osc";
+export type InputType = "midi" | "osc" | "remote" | "serial" | "audio";
+
+export interface AudioBand {
+  low: number;
+  high: number;
+  threshold: number;
+  channel: number;
+  cc: number | null;
+}
 
 export interface InputConfig {
   type: InputType;
@@ -17,6 +25,27 @@ export interface InputConfig {
   methodTriggerChannel: number;
   velocitySensitive: boolean;
   port: number;
+  sources?: InputType[];
+  remotePort?: number;
+  remoteToken?: string;
+  remoteAllowedOrigins?: string[];
+  serialPath?: string;
+  serialBaudRate?: number;
+  audioDeviceId?: string;
+  audioFile?: string;
+  audioBands?: AudioBand[];
+  audioHysteresis?: number;
+}
+
+export interface OscOutputConfig {
+  enabled: boolean;
+  host: string;
+  port: number;
+}
+
+export interface TempoSyncConfig {
+  group: string;
+  port: number;
 }
 
 export type MappingTable = Record<string, string>;
@@ -44,7 +73,11 @@ export interface UserConfig {
   activeTrackId: TrackId | null;
   sequencerMode: boolean;
   sequencerBpm: number;
+  sequencerClock?: "internal" | "midi" | "network";
+  tempoSync?: TempoSyncConfig;
+  oscOutput?: OscOutputConfig;
   sequencerMuted?: boolean;
+  songMode?: boolean;
   aspectRatio?: AspectRatioConfig["id"];
   bgColor?: string;
 }
@@ -54,6 +87,32 @@ export interface ModuleRef {
   type: ModuleType;
 }
 
+export type Modulator =
+  | {
+      type: "lfo";
+      shape: "sine" | "saw" | "square" | "random";
+      sync: boolean;
+      beats: number;
+      hz: number;
+      min: number;
+      max: number;
+    }
+  | {
+      type: "envelope";
+      attack: number;
+      decay: number;
+      sustain: number;
+      release: number;
+      min: number;
+      max: number;
+    };
+
+export interface VelocityScaling {
+  min: number;
+  max: number;
+  curve: "linear" | "easeIn" | "easeOut" | "sCurve" | "inverse";
+}
+
 export interface MethodOption {
   name: string;
   value: JsonValue;
@@ -63,6 +122,8 @@ export interface MethodOption {
     | [string, string]
     | [number | string, number | string];
   randomizeFromUserColors?: boolean;
+  modulator?: Modulator;
+  velocity?: VelocityScaling;
 }
 
 export interface MethodBlock {
@@ -73,6 +134,47 @@ export interface MethodBlock {
 export interface ModuleInstanceData {
   constructor: MethodBlock[];
   methods: Record<string, JsonValue[]>;
+  releaseMethods?: Record<string, JsonValue[]>;
+}
+
+export interface ParameterMapping {
+  id: string;
+  cc: number;
+  instanceId: InstanceId;
+  method: string;
+  option: string;
+  min: number;
+  max: number;
+}
+
+export interface MacroTarget {
+  id: string;
+  instanceId: InstanceId;
+  method: string;
+  option: string;
+  min: number;
+  max: number;
+  curve: "linear" | "easeIn" | "easeOut" | "sCurve" | "inverse";
+}
+
+export interface TrackMacro {
+  id: string;
+  name: string;
+  value: number;
+  cc?: number;
+  targets: MacroTarget[];
+}
+
+export interface TrackTransition {
+  type: "cut" | "crossfade" | "beat" | "wipe";
+  duration: number;
+}
+
+export interface LayerCompositing {
+  blend: "normal" | "add" | "multiply" | "screen" | "difference";
+  opacity: number;
+  mask: InstanceId | null;
+  maskMode: "alpha" | "luma";
 }
 
 export interface Track {
@@ -81,14 +183,30 @@ export interface Track {
   trackSlot?: number;
   bpm?: number;
   channelMappings?: Record<string, number>;
+  parameterMappings?: ParameterMapping[];
+  macros?: TrackMacro[];
+  transition?: TrackTransition;
+  compositing?: Record<InstanceId, LayerCompositing>;
   modules: ModuleRef[];
   modulesData: Record<InstanceId, ModuleInstanceData>;
 }
 
+export type ArrangementSection =
+  | { id: string; trackId: TrackId; bars: number }
+  | { id: string; trackId: TrackId; seconds: number };
+
+export interface Arrangement {
+  sections: ArrangementSection[];
+  loop?: boolean;
+  loopStart?: string;
+  loopEnd?: string;
+}
+
 export interface NwSet {
   id: SetId;
   name: string;
   tracks: Track[];
+  arrangement?: Arrangement;
 }
 
 export interface UserData {